@@ -1,83 +1,303 @@
 /**
  * API client for payment worker
+ * Generated from the OpenAPI document by `npm run generate:client`; do not edit.
  */
 
 const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:8787';
 
+let authToken = import.meta.env.VITE_API_TOKEN || null;
+
 /**
- * Create a checkout session
- * @param {object} payload - Checkout parameters
- * @returns {Promise<object>}
+ * Set the JWT issued by our backend for the signed-in user
+ * @param {string|null} token - Bearer token
+ */
+export function setAuthToken(token) {
+  authToken = token;
+}
+
+/**
+ * @typedef {object} ApiResponse
+ * @property {true} success
+ * @property {*} data
+ * @property {string} [message]
+ */
+
+/**
+ * Error thrown for non-2xx responses
+ * `status` is the HTTP status and `errors` the per-field validation errors.
+ */
+export class ApiError extends Error {
+  constructor(message, status, errors = []) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.errors = errors;
+  }
+}
+
+/**
+ * @typedef {object} CheckoutRequest
+ * @property {"paddle"|"paypal"|"stripe"|"auto"} provider - Payment provider, or auto to pick one from PROVIDER_ROUTING
+ * @property {string} userId - Your user ID; end users may only pass their own
+ * @property {string} email
+ * @property {number} [amount] - Total in minor units (cents). Required unless items or sku is given. Must meet the currency's minimum and be a multiple of the provider's smallest unit
+ * @property {string} [currency] - ISO 4217 code (default USD)
+ * @property {string} [productName] - Required with amount
+ * @property {string} [sku] - Catalog product to buy, instead of amount or items
+ * @property {Array<{name: string, unitAmount: number, quantity?: number}|{sku: string, quantity?: number}>} [items] - Line items instead of amount: { name, unitAmount, quantity } or catalog items { sku, quantity }
+ * @property {{amount?: number, percent?: number, code?: string}} [discount] - Either amount in minor units or percent, with an optional code
+ * @property {{rate: number, inclusive?: boolean}} [tax] - rate as a percentage; inclusive when the prices already include it. Not accepted for Paddle, which calculates tax itself
+ * @property {string} [country] - Buyer's ISO 3166-1 alpha-2 country for provider routing (default: from the request)
+ * @property {boolean} [savePaymentMethod] - Save the payment method on the user's provider customer
+ * @property {string} [successUrl] - Where the provider sends the buyer afterwards. Must use https (http only for localhost) and an origin in ALLOWED_REDIRECT_ORIGINS (default: the INTERNAL_BACKEND_URL origin)
+ * @property {string} [cancelUrl] - Where the provider sends the buyer on cancel; same rules as successUrl
+ * @property {object} [metadata] - Up to 20 string, number or boolean values passed to the provider. user_id is reserved
+ */
+
+/**
+ * @typedef {object} SubscriptionRequest
+ * @property {"paddle"|"paypal"|"stripe"} provider
+ * @property {string} userId
+ * @property {string} email
+ * @property {string} [planId] - PayPal billing plan ID (P-...). PayPal subscriptions need planId or planKey; Paddle and Stripe ignore it
+ * @property {string} [priceId] - Paddle or Stripe price ID. Paddle and Stripe subscriptions need priceId or planKey; PayPal ignores it
+ * @property {string} [planKey] - Catalog plan, which supplies each provider's plan or price ID
+ * @property {string} [successUrl] - Where the provider sends the buyer afterwards. Must use https (http only for localhost) and an origin in ALLOWED_REDIRECT_ORIGINS (default: the INTERNAL_BACKEND_URL origin)
+ * @property {string} [cancelUrl] - Where the provider sends the buyer on cancel; same rules as successUrl
+ */
+
+/**
+ * @typedef {object} SubscriptionUpdateRequest
+ * @property {string} [planKey] - New catalog plan
+ * @property {string} [planId] - New provider plan or price ID; planId and priceId are interchangeable here
+ * @property {string} [priceId] - Same as planId
+ * @property {number} [quantity] - New quantity. Required unless the plan changes
+ * @property {"immediately"|"next_period"|"none"} [proration]
+ */
+
+/**
+ * @typedef {object} SubscriptionPauseRequest
+ * @property {string} [resumeAt] - When to resume automatically
+ * @property {string} [reason]
  */
-export async function createCheckoutSession(payload) {
-  const response = await fetch(`${API_BASE_URL}/api/checkout`, {
-    method: 'POST',
+
+/**
+ * Send an API request
+ * @param {string} method - HTTP method
+ * @param {string} path - Path with params filled in
+ * @param {object} [init]
+ * @param {object} [init.body] - JSON body
+ * @param {object} [init.query] - Query parameters; undefined values are skipped
+ * @param {object} [init.headers] - Extra headers; undefined values are skipped
+ * @returns {Promise<ApiResponse>}
+ */
+async function request(method, path, { body, query = {}, headers = {} } = {}) {
+  const url = new URL(path, API_BASE_URL);
+  for (const [name, value] of Object.entries(query)) {
+    if (value !== undefined) url.searchParams.set(name, String(value));
+  }
+
+  const response = await fetch(url, {
+    method,
     headers: {
-      'Content-Type': 'application/json',
+      ...(body !== undefined && { 'Content-Type': 'application/json' }),
+      ...(authToken && { Authorization: `Bearer ${authToken}` }),
+      ...Object.fromEntries(Object.entries(headers).filter(([, value]) => value !== undefined)),
     },
-    body: JSON.stringify(payload),
+    body: body === undefined ? undefined : JSON.stringify(body),
   });
+  const payload = await response.json().catch(() => null);
 
   if (!response.ok) {
-    const error = await response.json();
-    throw new Error(error.error || 'Failed to create checkout session');
+    throw new ApiError(
+      payload?.error || `Request failed with status ${response.status}`,
+      response.status,
+      payload?.errors
+    );
   }
 
-  return response.json();
+  return payload;
 }
 
 /**
- * Get receipt information
- * @param {string} sessionId - Session identifier
- * @returns {Promise<object>}
+ * Create a checkout session
+ * @param {CheckoutRequest} body
+ * @param {{idempotencyKey?: string}} [options]
+ * @returns {Promise<ApiResponse>}
  */
-export async function getReceipt(sessionId) {
-  const response = await fetch(`${API_BASE_URL}/api/receipt/${sessionId}`);
+export function createCheckoutSession(body, options = {}) {
+  return request('POST', '/api/checkout', {
+    body,
+    headers: { 'Idempotency-Key': options.idempotencyKey },
+  });
+}
 
-  if (!response.ok) {
-    const error = await response.json();
-    throw new Error(error.error || 'Failed to get receipt');
-  }
+/**
+ * Capture an approved PayPal order
+ * @param {string} sessionId
+ * @returns {Promise<ApiResponse>}
+ */
+export function capturePayment(sessionId) {
+  return request('POST', `/api/checkout/${encodeURIComponent(sessionId)}/capture`);
+}
 
-  return response.json();
+/**
+ * Get the receipt of a checkout session
+ * @param {string} sessionId
+ * @param {{refresh?: boolean}} [options]
+ * @returns {Promise<ApiResponse>}
+ */
+export function getReceipt(sessionId, options = {}) {
+  return request('GET', `/api/receipt/${encodeURIComponent(sessionId)}`, {
+    query: { refresh: options.refresh },
+  });
 }
 
 /**
- * Create a subscription
- * @param {object} payload - Subscription parameters
- * @returns {Promise<object>}
+ * Create a subscription checkout
+ * @param {SubscriptionRequest} body
+ * @param {{idempotencyKey?: string}} [options]
+ * @returns {Promise<ApiResponse>}
  */
-export async function createSubscription(payload) {
-  const response = await fetch(`${API_BASE_URL}/api/subscription`, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-    },
-    body: JSON.stringify(payload),
+export function createSubscription(body, options = {}) {
+  return request('POST', '/api/subscription', {
+    body,
+    headers: { 'Idempotency-Key': options.idempotencyKey },
   });
+}
 
-  if (!response.ok) {
-    const error = await response.json();
-    throw new Error(error.error || 'Failed to create subscription');
-  }
+/**
+ * Get a subscription
+ * @param {string} subscriptionId
+ * @returns {Promise<ApiResponse>}
+ */
+export function getSubscription(subscriptionId) {
+  return request('GET', `/api/subscription/${encodeURIComponent(subscriptionId)}`);
+}
 
-  return response.json();
+/**
+ * Change the plan or quantity of a subscription
+ * @param {string} subscriptionId
+ * @param {SubscriptionUpdateRequest} body
+ * @returns {Promise<ApiResponse>}
+ */
+export function updateSubscription(subscriptionId, body) {
+  return request('PATCH', `/api/subscription/${encodeURIComponent(subscriptionId)}`, { body });
 }
 
 /**
  * Cancel a subscription
- * @param {string} subscriptionId - Subscription identifier
- * @returns {Promise<object>}
+ * @param {string} subscriptionId
+ * @param {{immediately?: boolean, reason?: string}} [options]
+ * @returns {Promise<ApiResponse>}
  */
-export async function cancelSubscription(subscriptionId) {
-  const response = await fetch(`${API_BASE_URL}/api/subscription/${subscriptionId}`, {
-    method: 'DELETE',
+export function cancelSubscription(subscriptionId, options = {}) {
+  return request('DELETE', `/api/subscription/${encodeURIComponent(subscriptionId)}`, {
+    query: { immediately: options.immediately, reason: options.reason },
   });
+}
 
-  if (!response.ok) {
-    const error = await response.json();
-    throw new Error(error.error || 'Failed to cancel subscription');
-  }
+/**
+ * Preview a plan or quantity change
+ * @param {string} subscriptionId
+ * @param {SubscriptionUpdateRequest} body
+ * @returns {Promise<ApiResponse>}
+ */
+export function previewSubscriptionUpdate(subscriptionId, body) {
+  return request('POST', `/api/subscription/${encodeURIComponent(subscriptionId)}/preview`, {
+    body,
+  });
+}
+
+/**
+ * Pause a subscription
+ * @param {string} subscriptionId
+ * @param {SubscriptionPauseRequest} [body]
+ * @returns {Promise<ApiResponse>}
+ */
+export function pauseSubscription(subscriptionId, body) {
+  return request('POST', `/api/subscription/${encodeURIComponent(subscriptionId)}/pause`, { body });
+}
+
+/**
+ * Resume a subscription
+ * @param {string} subscriptionId
+ * @returns {Promise<ApiResponse>}
+ */
+export function resumeSubscription(subscriptionId) {
+  return request('POST', `/api/subscription/${encodeURIComponent(subscriptionId)}/resume`);
+}
+
+/**
+ * Uncancel a subscription
+ * @param {string} subscriptionId
+ * @returns {Promise<ApiResponse>}
+ */
+export function uncancelSubscription(subscriptionId) {
+  return request('POST', `/api/subscription/${encodeURIComponent(subscriptionId)}/uncancel`);
+}
+
+/**
+ * List a user's subscriptions
+ * @param {string} userId
+ * @param {{status?: "pending"|"trialing"|"active"|"past_due"|"paused"|"canceled", limit?: number, cursor?: string}} [options]
+ * @returns {Promise<ApiResponse>}
+ */
+export function listUserSubscriptions(userId, options = {}) {
+  return request('GET', `/api/users/${encodeURIComponent(userId)}/subscriptions`, {
+    query: { status: options.status, limit: options.limit, cursor: options.cursor },
+  });
+}
+
+/**
+ * List a user's saved payment methods
+ * @param {string} userId
+ * @returns {Promise<ApiResponse>}
+ */
+export function listPaymentMethods(userId) {
+  return request('GET', `/api/users/${encodeURIComponent(userId)}/payment-methods`);
+}
+
+/**
+ * Remove a saved payment method
+ * @param {string} userId
+ * @param {string} paymentMethodId
+ * @returns {Promise<ApiResponse>}
+ */
+export function deletePaymentMethod(userId, paymentMethodId) {
+  return request(
+    'DELETE',
+    `/api/users/${encodeURIComponent(userId)}/payment-methods/${encodeURIComponent(paymentMethodId)}`
+  );
+}
 
-  return response.json();
+/**
+ * Search transactions
+ * @param {{userId?: string, provider?: string, status?: "created"|"pending"|"authorized"|"captured"|"partially_refunded"|"refunded"|"failed"|"expired"|"disputed", currency?: string, from?: string, to?: string, minAmount?: number, maxAmount?: number, limit?: number, cursor?: string}} [options]
+ * @returns {Promise<ApiResponse>}
+ */
+export function listTransactions(options = {}) {
+  return request('GET', '/api/transactions', {
+    query: {
+      userId: options.userId,
+      provider: options.provider,
+      status: options.status,
+      currency: options.currency,
+      from: options.from,
+      to: options.to,
+      minAmount: options.minAmount,
+      maxAmount: options.maxAmount,
+      limit: options.limit,
+      cursor: options.cursor,
+    },
+  });
+}
+
+/**
+ * Get a transaction and its timeline
+ * @param {string} transactionId
+ * @returns {Promise<ApiResponse>}
+ */
+export function getTransaction(transactionId) {
+  return request('GET', `/api/transactions/${encodeURIComponent(transactionId)}`);
 }
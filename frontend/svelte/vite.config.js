@@ -1,9 +1,21 @@
+import { fileURLToPath } from 'node:url';
 import { defineConfig } from 'vite';
 import { svelte } from '@sveltejs/vite-plugin-svelte';
 
+// Dependency-free modules shared with the Worker (e.g. money formatting)
+const sharedDir = fileURLToPath(new URL('../../src/utils', import.meta.url));
+
 export default defineConfig({
   plugins: [svelte()],
+  resolve: {
+    alias: {
+      '@shared': sharedDir,
+    },
+  },
   server: {
     port: 5173,
+    fs: {
+      allow: ['.', sharedDir],
+    },
   },
 });
@@ -0,0 +1,18 @@
+/**
+ * Generate the frontend API client from the OpenAPI document
+ * Usage: npm run generate:client
+ */
+
+import { writeFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import * as prettier from 'prettier';
+import { getRoutes } from '../src/router.js';
+import { buildOpenApiDocument, renderClient } from '../src/utils/openapi.js';
+
+const CLIENT_PATH = fileURLToPath(new URL('../frontend/svelte/src/lib/api.js', import.meta.url));
+
+const source = renderClient(buildOpenApiDocument(getRoutes()));
+const options = await prettier.resolveConfig(CLIENT_PATH);
+await writeFile(CLIENT_PATH, await prettier.format(source, { ...options, filepath: CLIENT_PATH }));
+
+console.log(`Wrote ${CLIENT_PATH}`);
@@ -3,8 +3,50 @@
  * Implements the ProviderAdapter interface for Paddle
  */
 
-import { ProviderAdapter } from './providerAdapter.js';
+import { ProviderAdapter, upstreamError, parameterKey } from './providerAdapter.js';
 import { verifyHmacSignature } from '../utils/webhook.js';
+import { EVENT_TYPES, createNormalizedEvent } from '../utils/events.js';
+import { assertRepresentable } from '../utils/money.js';
+import { buildOrder } from '../utils/lineItems.js';
+import {
+  DEFAULT_PRORATION,
+  SUBSCRIPTION_STATUSES,
+  toIsoTime,
+  unsupportedOperation,
+} from '../utils/subscriptions.js';
+
+/**
+ * Paddle subscription events that map one-to-one onto canonical types
+ */
+const SUBSCRIPTION_EVENTS = {
+  'subscription.created': EVENT_TYPES.SUBSCRIPTION_CREATED,
+  'subscription.activated': EVENT_TYPES.SUBSCRIPTION_ACTIVATED,
+  'subscription.updated': EVENT_TYPES.SUBSCRIPTION_UPDATED,
+  'subscription.paused': EVENT_TYPES.SUBSCRIPTION_PAUSED,
+  'subscription.resumed': EVENT_TYPES.SUBSCRIPTION_RESUMED,
+  'subscription.canceled': EVENT_TYPES.SUBSCRIPTION_CANCELED,
+  'subscription.past_due': EVENT_TYPES.SUBSCRIPTION_PAST_DUE,
+};
+
+/**
+ * Paddle subscription statuses in the provider-neutral vocabulary
+ */
+const PADDLE_SUBSCRIPTION_STATUSES = {
+  trialing: SUBSCRIPTION_STATUSES.TRIALING,
+  active: SUBSCRIPTION_STATUSES.ACTIVE,
+  past_due: SUBSCRIPTION_STATUSES.PAST_DUE,
+  paused: SUBSCRIPTION_STATUSES.PAUSED,
+  canceled: SUBSCRIPTION_STATUSES.CANCELED,
+};
+
+/**
+ * Paddle proration_billing_mode for each proration mode
+ */
+const PADDLE_PRORATION_MODES = {
+  immediately: 'prorated_immediately',
+  next_period: 'prorated_next_billing_period',
+  none: 'do_not_bill',
+};
 
 export class PaddleAdapter extends ProviderAdapter {
   constructor(env, logger) {
@@ -12,54 +54,124 @@ export class PaddleAdapter extends ProviderAdapter {
     this.apiKey = env.PADDLE_API_KEY;
     this.webhookSecret = env.PADDLE_WEBHOOK_SECRET;
     this.baseUrl =
-      env.PADDLE_SANDBOX === 'true' ? 'https://sandbox-api.paddle.com' : 'https://api.paddle.com';
+      env.PADDLE_API_BASE_URL ||
+      (env.PADDLE_SANDBOX === 'true' ? 'https://sandbox-api.paddle.com' : 'https://api.paddle.com');
   }
 
   getName() {
     return 'paddle';
   }
 
+  /**
+   * Get the discount for an order-level discount, creating it the first time
+   * Transactions only take discounts by ID, so each distinct discount gets one
+   * Paddle discount, found again by a code derived from it. The code is not
+   * enabled for checkout, so buyers cannot enter it themselves.
+   * @param {object} discount - { amount } in minor units or { percent }, plus optional { code }
+   * @param {string} currency - ISO 4217 code
+   * @returns {Promise<string>} Discount ID
+   */
+  async _getDiscount(discount, currency) {
+    const params = {
+      description: discount.code || 'Discount',
+      ...(discount.percent
+        ? { type: 'percentage', amount: String(discount.percent) }
+        : { type: 'flat', amount: String(discount.amount), currency_code: currency }),
+      recur: false,
+    };
+    const code = `ORDER${(await parameterKey(params)).toUpperCase()}`;
+
+    const findDiscount = async () => {
+      const response = await this.fetch(`${this.baseUrl}/discounts?code=${code}`, {
+        headers: { Authorization: `Bearer ${this.apiKey}` },
+      });
+      if (!response.ok) {
+        const error = await response.text();
+        throw upstreamError(`Paddle discount error: ${error}`, response.status);
+      }
+      return (await response.json()).data[0]?.id || null;
+    };
+
+    const existing = await findDiscount();
+    if (existing) {
+      return existing;
+    }
+
+    const response = await this.fetch(`${this.baseUrl}/discounts`, {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${this.apiKey}`,
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ ...params, code, enabled_for_checkout: false }),
+    });
+
+    if (!response.ok) {
+      // A concurrent checkout may have created the same discount first
+      const error = await response.text();
+      const created = response.status < 500 && (await findDiscount());
+      if (created) {
+        return created;
+      }
+      throw upstreamError(`Paddle discount error: ${error}`, response.status);
+    }
+
+    return (await response.json()).data.id;
+  }
+
   /**
    * Create a checkout session with Paddle
+   * Line items without a Paddle price ID become non-catalog prices, and the
+   * discount is applied by ID (see _getDiscount). Paddle is merchant of record
+   * and calculates tax itself, so orders for Paddle carry no tax. Paddle's
+   * checkout asks the buyer whether to save the payment method, so
+   * `savePaymentMethod` has no effect.
    */
   async createCheckoutSession(payload) {
     const {
       userId,
       email,
-      amount,
       currency = 'USD',
-      productName,
       successUrl,
       cancelUrl,
       metadata = {},
+      customerId,
     } = payload;
 
     try {
-      const response = await fetch(`${this.baseUrl}/transactions`, {
+      const order = buildOrder(payload, currency, 'paddle');
+
+      // Paddle takes amounts in the currency's ISO minor unit
+      order.items.forEach((item) => assertRepresentable(item.unitAmount, currency, 'paddle'));
+
+      const discountId = order.discount && (await this._getDiscount(order.discount, currency));
+
+      const response = await this.fetch(`${this.baseUrl}/transactions`, {
         method: 'POST',
         headers: {
           Authorization: `Bearer ${this.apiKey}`,
           'Content-Type': 'application/json',
         },
         body: JSON.stringify({
-          items: [
-            {
-              price: {
-                description: productName,
-                unit_price: {
-                  amount: String(amount),
-                  currency_code: currency,
-                },
-              },
-              quantity: 1,
-            },
-          ],
-          customer: {
-            email,
-          },
+          items: order.items.map((item) =>
+            item.priceId
+              ? { price_id: item.priceId, quantity: item.quantity }
+              : {
+                  price: {
+                    description: item.name,
+                    unit_price: {
+                      amount: String(item.unitAmount),
+                      currency_code: currency,
+                    },
+                  },
+                  quantity: item.quantity,
+                }
+          ),
+          ...(discountId && { discount_id: discountId }),
+          ...(customerId ? { customer_id: customerId } : { customer: { email } }),
           custom_data: {
-            user_id: userId,
             ...metadata,
+            user_id: userId,
           },
           return_url: successUrl,
           checkout: {
@@ -70,7 +182,7 @@ export class PaddleAdapter extends ProviderAdapter {
 
       if (!response.ok) {
         const error = await response.text();
-        throw new Error(`Paddle API error: ${error}`);
+        throw upstreamError(`Paddle API error: ${error}`, response.status);
       }
 
       const data = await response.json();
@@ -143,19 +255,98 @@ export class PaddleAdapter extends ProviderAdapter {
     };
   }
 
+  /**
+   * Map a Paddle event into the canonical event schema
+   */
+  normalizeEvent(event) {
+    const data = event.data || {};
+    const occurredAt = event.rawPayload?.occurred_at;
+    let type = null;
+    let fields = {};
+
+    if (
+      event.eventType === 'transaction.completed' ||
+      event.eventType === 'transaction.payment_failed'
+    ) {
+      const failed = event.eventType === 'transaction.payment_failed';
+      const renewal = data.origin === 'subscription_recurring';
+
+      if (failed) {
+        type = renewal ? EVENT_TYPES.SUBSCRIPTION_PAST_DUE : EVENT_TYPES.PAYMENT_FAILED;
+      } else {
+        type = renewal ? EVENT_TYPES.SUBSCRIPTION_RENEWED : EVENT_TYPES.PAYMENT_SUCCEEDED;
+      }
+
+      fields = {
+        amount: parseInt(data.details?.totals?.grand_total ?? data.details?.totals?.total),
+        currency: data.currency_code,
+        sessionId: data.id,
+        subscriptionId: data.subscription_id,
+        refs: { transactionId: data.id, invoiceId: data.invoice_id },
+      };
+    } else if (event.eventType === 'transaction.canceled') {
+      // Paddle cancels checkouts that were never paid
+      type = EVENT_TYPES.PAYMENT_EXPIRED;
+      fields = {
+        currency: data.currency_code,
+        sessionId: data.id,
+        refs: { transactionId: data.id },
+      };
+    } else if (event.eventType.startsWith('adjustment.')) {
+      if (data.action === 'refund' && data.status === 'approved') {
+        type = EVENT_TYPES.REFUND_SUCCEEDED;
+      } else if (data.action === 'refund' && data.status === 'rejected') {
+        type = EVENT_TYPES.REFUND_FAILED;
+      } else if (data.action === 'chargeback' && event.eventType === 'adjustment.created') {
+        type = EVENT_TYPES.DISPUTE_OPENED;
+      } else {
+        return null;
+      }
+
+      fields = {
+        amount: parseInt(data.totals?.total),
+        currency: data.currency_code,
+        sessionId: data.transaction_id,
+        subscriptionId: data.subscription_id,
+        refs: { transactionId: data.transaction_id, adjustmentId: data.id },
+      };
+    } else if (SUBSCRIPTION_EVENTS[event.eventType]) {
+      type = SUBSCRIPTION_EVENTS[event.eventType];
+      fields = {
+        amount: parseInt(data.items?.[0]?.price?.unit_price?.amount),
+        currency: data.currency_code,
+        subscriptionId: data.id,
+        subscription: this._toSubscription(data),
+        refs: { transactionId: data.transaction_id },
+      };
+    } else {
+      return null;
+    }
+
+    return createNormalizedEvent(event, 'paddle', type, {
+      ...fields,
+      occurredAt,
+      userId: data.custom_data?.user_id,
+      customer: { providerCustomerId: data.customer_id },
+    });
+  }
+
   /**
    * Get Paddle session/transaction details
    */
   async getSession(sessionId) {
     try {
-      const response = await fetch(`${this.baseUrl}/transactions/${sessionId}`, {
+      const response = await this.fetch(`${this.baseUrl}/transactions/${sessionId}`, {
         headers: {
           Authorization: `Bearer ${this.apiKey}`,
         },
       });
 
       if (!response.ok) {
-        throw new Error(`Failed to get Paddle session: ${response.statusText}`);
+        throw upstreamError(
+          `Failed to get Paddle session: ${response.statusText}`,
+          response.status
+        );
       }
 
       const data = await response.json();
@@ -169,23 +360,109 @@ export class PaddleAdapter extends ProviderAdapter {
     }
   }
 
+  /**
+   * Paddle collects payment during checkout, so there is nothing to capture
+   */
+  async capturePayment(_sessionId) {
+    throw unsupportedOperation(
+      'Paddle captures payments automatically; manual capture is not supported'
+    );
+  }
+
+  /**
+   * Refund a Paddle transaction by creating a refund adjustment
+   */
+  async refund(sessionId, options = {}) {
+    const { amount, reason = 'Refund requested' } = options;
+
+    try {
+      const adjustment = {
+        action: 'refund',
+        transaction_id: sessionId,
+        reason,
+      };
+
+      if (amount) {
+        // Partial refunds are applied against transaction line items, in order
+        const transaction = await this.getSession(sessionId);
+        const lineItems = transaction.details?.line_items || [];
+
+        if (lineItems.length === 0) {
+          throw unsupportedOperation('Paddle transaction has no line items to refund');
+        }
+
+        let remaining = amount;
+        adjustment.type = 'partial';
+        adjustment.items = [];
+
+        for (const [index, lineItem] of lineItems.entries()) {
+          const lineTotal = parseInt(lineItem.totals?.total);
+          const share =
+            index === lineItems.length - 1 || isNaN(lineTotal)
+              ? remaining
+              : Math.min(remaining, lineTotal);
+
+          if (share > 0) {
+            adjustment.items.push({ item_id: lineItem.id, type: 'partial', amount: String(share) });
+            remaining -= share;
+          }
+          if (remaining === 0) break;
+        }
+      } else {
+        adjustment.type = 'full';
+      }
+
+      const response = await this.fetch(`${this.baseUrl}/adjustments`, {
+        method: 'POST',
+        headers: {
+          Authorization: `Bearer ${this.apiKey}`,
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(adjustment),
+      });
+
+      if (!response.ok) {
+        const error = await response.text();
+        throw upstreamError(`Paddle refund error: ${error}`, response.status);
+      }
+
+      const data = await response.json();
+
+      this.logger.info('Paddle refund adjustment created', {
+        sessionId,
+        refundId: data.data.id,
+      });
+
+      return {
+        refundId: data.data.id,
+        status: data.data.status,
+        amount: amount || parseInt(data.data.totals?.total) || null,
+        provider: 'paddle',
+      };
+    } catch (error) {
+      this.logger.error('Failed to refund Paddle transaction', {
+        error: error.message,
+        sessionId,
+      });
+      throw error;
+    }
+  }
+
   /**
    * Create a subscription with Paddle
    */
   async createSubscription(payload) {
-    const { userId, email, priceId, successUrl, cancelUrl } = payload;
+    const { userId, email, priceId, successUrl, cancelUrl, customerId } = payload;
 
     try {
-      const response = await fetch(`${this.baseUrl}/subscriptions`, {
+      const response = await this.fetch(`${this.baseUrl}/subscriptions`, {
         method: 'POST',
         headers: {
           Authorization: `Bearer ${this.apiKey}`,
           'Content-Type': 'application/json',
         },
         body: JSON.stringify({
-          customer: {
-            email,
-          },
+          ...(customerId ? { customer_id: customerId } : { customer: { email } }),
           items: [
             {
               price_id: priceId,
@@ -226,32 +503,225 @@ export class PaddleAdapter extends ProviderAdapter {
   }
 
   /**
-   * Cancel a Paddle subscription
+   * Call a Paddle customer endpoint
+   * @param {string} method - HTTP method
+   * @param {string} path - Path after /customers
+   * @param {object} [body] - JSON body
+   * @returns {Promise<Response>}
+   */
+  async _customerRequest(method, path, body) {
+    return this.fetch(`${this.baseUrl}/customers${path}`, {
+      method,
+      headers: {
+        Authorization: `Bearer ${this.apiKey}`,
+        'Content-Type': 'application/json',
+      },
+      ...(body && { body: JSON.stringify(body) }),
+    });
+  }
+
+  /**
+   * Create a Paddle customer, or link the one that already has the email
+   * Paddle customer emails are unique and creating a duplicate is a conflict.
    */
-  async cancelSubscription(subscriptionId) {
+  async createCustomer({ userId, email }) {
     try {
-      const response = await fetch(`${this.baseUrl}/subscriptions/${subscriptionId}/cancel`, {
-        method: 'POST',
+      const response = await this._customerRequest('POST', '', {
+        email,
+        custom_data: { user_id: userId },
+      });
+
+      if (response.status === 409) {
+        const existing = await this._customerRequest('GET', `?email=${encodeURIComponent(email)}`);
+        const customer = existing.ok && (await existing.json()).data[0];
+
+        if (!customer) {
+          throw upstreamError(`Paddle customer error: ${await response.text()}`, 409);
+        }
+
+        this.logger.info('Paddle customer linked', { customerId: customer.id, userId });
+        return { customerId: customer.id, provider: 'paddle' };
+      }
+
+      if (!response.ok) {
+        const error = await response.text();
+        throw upstreamError(`Paddle customer error: ${error}`, response.status);
+      }
+
+      const { data } = await response.json();
+
+      this.logger.info('Paddle customer created', { customerId: data.id, userId });
+
+      return { customerId: data.id, provider: 'paddle' };
+    } catch (error) {
+      this.logger.error('Failed to create Paddle customer', {
+        error: error.message,
+        userId,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * List a Paddle customer's saved payment methods
+   */
+  async listPaymentMethods(customerId) {
+    try {
+      const response = await this._customerRequest('GET', `/${customerId}/payment-methods`);
+
+      if (!response.ok) {
+        const error = await response.text();
+        throw upstreamError(`Paddle payment method error: ${error}`, response.status);
+      }
+
+      const { data } = await response.json();
+
+      return data.map((method) => ({
+        paymentMethodId: method.id,
+        provider: 'paddle',
+        type: method.type,
+        brand: method.card?.type || null,
+        last4: method.card?.last4 || null,
+        expMonth: method.card?.expiry_month ?? null,
+        expYear: method.card?.expiry_year ?? null,
+        email: method.paypal?.email || null,
+      }));
+    } catch (error) {
+      this.logger.error('Failed to list Paddle payment methods', {
+        error: error.message,
+        customerId,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a Paddle customer's saved payment method
+   */
+  async deletePaymentMethod(customerId, paymentMethodId) {
+    try {
+      const response = await this._customerRequest(
+        'DELETE',
+        `/${customerId}/payment-methods/${paymentMethodId}`
+      );
+
+      if (!response.ok) {
+        const error = await response.text();
+        throw upstreamError(`Paddle payment method error: ${error}`, response.status);
+      }
+
+      this.logger.info('Paddle payment method deleted', { customerId, paymentMethodId });
+    } catch (error) {
+      this.logger.error('Failed to delete Paddle payment method', {
+        error: error.message,
+        customerId,
+        paymentMethodId,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Call a Paddle subscription endpoint
+   * @param {string} subscriptionId - Subscription identifier
+   * @param {string} method - HTTP method
+   * @param {string} [action] - Path segment after the ID (e.g. 'cancel')
+   * @param {object} [body] - JSON body
+   * @returns {Promise<object>} Response `data`
+   */
+  async _subscriptionRequest(subscriptionId, method, action, body) {
+    const response = await this.fetch(
+      `${this.baseUrl}/subscriptions/${subscriptionId}${action ? `/${action}` : ''}`,
+      {
+        method,
         headers: {
           Authorization: `Bearer ${this.apiKey}`,
           'Content-Type': 'application/json',
         },
-        body: JSON.stringify({
-          effective_from: 'next_billing_period',
-        }),
-      });
-
-      if (!response.ok) {
-        throw new Error(`Failed to cancel Paddle subscription: ${response.statusText}`);
+        ...(body && { body: JSON.stringify(body) }),
       }
+    );
 
-      const data = await response.json();
+    if (!response.ok) {
+      const error = await response.text();
+      throw upstreamError(`Paddle subscription error: ${error}`, response.status);
+    }
+
+    return (await response.json()).data;
+  }
+
+  /**
+   * Map a Paddle subscription to the provider-neutral shape
+   */
+  _toSubscription(data) {
+    const item = data.items?.[0];
+    const scheduled = data.scheduled_change;
+
+    return {
+      subscriptionId: data.id,
+      provider: 'paddle',
+      status: PADDLE_SUBSCRIPTION_STATUSES[data.status] || data.status,
+      planId: item?.price?.id || null,
+      quantity: item?.quantity ?? null,
+      currency: data.currency_code || null,
+      currentPeriodStart: toIsoTime(data.current_billing_period?.starts_at),
+      currentPeriodEnd: toIsoTime(data.current_billing_period?.ends_at),
+      nextBillingAt: toIsoTime(data.next_billed_at),
+      cancelAtPeriodEnd: scheduled?.action === 'cancel',
+      pausedUntil: data.status === 'paused' ? toIsoTime(scheduled?.effective_at) : null,
+    };
+  }
+
+  /**
+   * Build the items and proration mode for a Paddle subscription change
+   * Paddle replaces the whole item list, so unchanged values come from the current subscription.
+   */
+  async _subscriptionChange(subscriptionId, { priceId, quantity, proration = DEFAULT_PRORATION }) {
+    const current = await this._subscriptionRequest(subscriptionId, 'GET');
+    const item = current.items?.[0];
+
+    return {
+      items: [
+        {
+          price_id: priceId || item?.price?.id,
+          quantity: quantity ?? item?.quantity ?? 1,
+        },
+      ],
+      proration_billing_mode: PADDLE_PRORATION_MODES[proration],
+    };
+  }
+
+  /**
+   * Get a Paddle subscription
+   */
+  async getSubscription(subscriptionId) {
+    try {
+      return this._toSubscription(await this._subscriptionRequest(subscriptionId, 'GET'));
+    } catch (error) {
+      this.logger.error('Failed to get Paddle subscription', {
+        error: error.message,
+        subscriptionId,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Cancel a Paddle subscription
+   * Cancels at the end of the billing period unless `immediately` is set.
+   */
+  async cancelSubscription(subscriptionId, options = {}) {
+    try {
+      const data = await this._subscriptionRequest(subscriptionId, 'POST', 'cancel', {
+        effective_from: options.immediately ? 'immediately' : 'next_billing_period',
+      });
 
       this.logger.info('Paddle subscription cancelled', {
         subscriptionId,
+        immediately: !!options.immediately,
       });
 
-      return data.data;
+      return this._toSubscription(data);
     } catch (error) {
       this.logger.error('Failed to cancel Paddle subscription', {
         error: error.message,
@@ -260,4 +730,124 @@ export class PaddleAdapter extends ProviderAdapter {
       throw error;
     }
   }
+
+  /**
+   * Remove a scheduled cancellation from a Paddle subscription
+   */
+  async uncancelSubscription(subscriptionId) {
+    try {
+      const data = await this._subscriptionRequest(subscriptionId, 'PATCH', null, {
+        scheduled_change: null,
+      });
+
+      this.logger.info('Paddle subscription cancellation withdrawn', { subscriptionId });
+
+      return this._toSubscription(data);
+    } catch (error) {
+      this.logger.error('Failed to withdraw Paddle subscription cancellation', {
+        error: error.message,
+        subscriptionId,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Pause a Paddle subscription immediately
+   */
+  async pauseSubscription(subscriptionId, options = {}) {
+    try {
+      const data = await this._subscriptionRequest(subscriptionId, 'POST', 'pause', {
+        effective_from: 'immediately',
+        ...(options.resumeAt && { resume_at: options.resumeAt }),
+      });
+
+      this.logger.info('Paddle subscription paused', { subscriptionId });
+
+      return this._toSubscription(data);
+    } catch (error) {
+      this.logger.error('Failed to pause Paddle subscription', {
+        error: error.message,
+        subscriptionId,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Resume a paused Paddle subscription immediately
+   */
+  async resumeSubscription(subscriptionId) {
+    try {
+      const data = await this._subscriptionRequest(subscriptionId, 'POST', 'resume', {
+        effective_from: 'immediately',
+      });
+
+      this.logger.info('Paddle subscription resumed', { subscriptionId });
+
+      return this._toSubscription(data);
+    } catch (error) {
+      this.logger.error('Failed to resume Paddle subscription', {
+        error: error.message,
+        subscriptionId,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Change the price or quantity of a Paddle subscription
+   */
+  async updateSubscription(subscriptionId, changes) {
+    try {
+      const body = await this._subscriptionChange(subscriptionId, changes);
+      const data = await this._subscriptionRequest(subscriptionId, 'PATCH', null, body);
+
+      this.logger.info('Paddle subscription updated', { subscriptionId });
+
+      return this._toSubscription(data);
+    } catch (error) {
+      this.logger.error('Failed to update Paddle subscription', {
+        error: error.message,
+        subscriptionId,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Preview a Paddle subscription change
+   * The immediate transaction is what Paddle charges now; otherwise the
+   * prorated difference is billed with the next renewal.
+   */
+  async previewSubscriptionUpdate(subscriptionId, changes) {
+    try {
+      const body = await this._subscriptionChange(subscriptionId, changes);
+      const data = await this._subscriptionRequest(subscriptionId, 'PATCH', 'preview', body);
+      const result = data.update_summary?.result;
+      const immediate = data.immediate_transaction;
+      const next = data.next_transaction;
+
+      return {
+        subscriptionId,
+        provider: 'paddle',
+        currency: data.currency_code,
+        amountDue: parseInt(
+          (immediate || next)?.details?.totals?.grand_total ||
+            data.recurring_transaction_details?.totals?.grand_total ||
+            '0'
+        ),
+        prorationAmount: result
+          ? parseInt(result.amount) * (result.action === 'credit' ? -1 : 1)
+          : 0,
+        billingDate: immediate ? new Date().toISOString() : toIsoTime(data.next_billed_at),
+      };
+    } catch (error) {
+      this.logger.error('Failed to preview Paddle subscription update', {
+        error: error.message,
+        subscriptionId,
+      });
+      throw error;
+    }
+  }
 }
@@ -3,7 +3,51 @@
  * Implements the ProviderAdapter interface for PayPal
  */
 
-import { ProviderAdapter } from './providerAdapter.js';
+import { ProviderAdapter, upstreamError } from './providerAdapter.js';
+import { EVENT_TYPES, createNormalizedEvent } from '../utils/events.js';
+import { toMajorUnits, toMinorUnits } from '../utils/money.js';
+import { buildOrder } from '../utils/lineItems.js';
+import {
+  DEFAULT_PRORATION,
+  SUBSCRIPTION_STATUSES,
+  toIsoTime,
+  unsupportedOperation,
+} from '../utils/subscriptions.js';
+
+/**
+ * PayPal billing events that map one-to-one onto canonical types
+ */
+const SUBSCRIPTION_EVENTS = {
+  'BILLING.SUBSCRIPTION.CREATED': EVENT_TYPES.SUBSCRIPTION_CREATED,
+  'BILLING.SUBSCRIPTION.ACTIVATED': EVENT_TYPES.SUBSCRIPTION_ACTIVATED,
+  'BILLING.SUBSCRIPTION.UPDATED': EVENT_TYPES.SUBSCRIPTION_UPDATED,
+  'BILLING.SUBSCRIPTION.SUSPENDED': EVENT_TYPES.SUBSCRIPTION_PAUSED,
+  'BILLING.SUBSCRIPTION.RE-ACTIVATED': EVENT_TYPES.SUBSCRIPTION_RESUMED,
+  'BILLING.SUBSCRIPTION.CANCELLED': EVENT_TYPES.SUBSCRIPTION_CANCELED,
+  'BILLING.SUBSCRIPTION.EXPIRED': EVENT_TYPES.SUBSCRIPTION_CANCELED,
+  'BILLING.SUBSCRIPTION.PAYMENT.FAILED': EVENT_TYPES.SUBSCRIPTION_PAST_DUE,
+};
+
+/**
+ * Convert a PayPal money object into minor units
+ * @param {object} [money] - PayPal amount ({ value, currency_code })
+ * @returns {number|null}
+ */
+function toMinor(money) {
+  return money ? toMinorUnits(money.value, money.currency_code) : null;
+}
+
+/**
+ * PayPal subscription statuses in the provider-neutral vocabulary
+ */
+const PAYPAL_SUBSCRIPTION_STATUSES = {
+  APPROVAL_PENDING: SUBSCRIPTION_STATUSES.PENDING,
+  APPROVED: SUBSCRIPTION_STATUSES.PENDING,
+  ACTIVE: SUBSCRIPTION_STATUSES.ACTIVE,
+  SUSPENDED: SUBSCRIPTION_STATUSES.PAUSED,
+  CANCELLED: SUBSCRIPTION_STATUSES.CANCELED,
+  EXPIRED: SUBSCRIPTION_STATUSES.CANCELED,
+};
 
 export class PayPalAdapter extends ProviderAdapter {
   constructor(env, logger) {
@@ -12,9 +56,10 @@ export class PayPalAdapter extends ProviderAdapter {
     this.clientSecret = env.PAYPAL_CLIENT_SECRET;
     this.webhookId = env.PAYPAL_WEBHOOK_ID;
     this.baseUrl =
-      env.PAYPAL_SANDBOX === 'true'
+      env.PAYPAL_API_BASE_URL ||
+      (env.PAYPAL_SANDBOX === 'true'
         ? 'https://api-m.sandbox.paypal.com'
-        : 'https://api-m.paypal.com';
+        : 'https://api-m.paypal.com');
     this.accessToken = null;
     this.tokenExpiry = null;
   }
@@ -34,7 +79,7 @@ export class PayPalAdapter extends ProviderAdapter {
 
     try {
       const auth = btoa(`${this.clientId}:${this.clientSecret}`);
-      const response = await fetch(`${this.baseUrl}/v1/oauth2/token`, {
+      const response = await this.fetch(`${this.baseUrl}/v1/oauth2/token`, {
         method: 'POST',
         headers: {
           Authorization: `Basic ${auth}`,
@@ -44,7 +89,10 @@ export class PayPalAdapter extends ProviderAdapter {
       });
 
       if (!response.ok) {
-        throw new Error(`Failed to get PayPal access token: ${response.statusText}`);
+        throw upstreamError(
+          `Failed to get PayPal access token: ${response.statusText}`,
+          response.status
+        );
       }
 
       const data = await response.json();
@@ -63,36 +111,57 @@ export class PayPalAdapter extends ProviderAdapter {
 
   /**
    * Create a checkout session (PayPal Order)
+   * A known vault customer lets returning buyers pay with their saved wallet;
+   * `savePaymentMethod` vaults the wallet once the payment is captured.
    */
   async createCheckoutSession(payload) {
     const {
       userId,
       email,
-      amount,
       currency = 'USD',
       productName,
       successUrl,
       cancelUrl,
       metadata = {},
+      customerId,
+      savePaymentMethod,
+      idempotencyKey,
     } = payload;
 
     try {
+      const order = buildOrder(payload, currency, 'paypal');
+      const money = (amount) => ({
+        currency_code: currency,
+        value: toMajorUnits(amount, currency, 'paypal'),
+      });
       const token = await this.getAccessToken();
 
-      const response = await fetch(`${this.baseUrl}/v2/checkout/orders`, {
+      const response = await this.fetch(`${this.baseUrl}/v2/checkout/orders`, {
         method: 'POST',
         headers: {
           Authorization: `Bearer ${token}`,
           'Content-Type': 'application/json',
+          ...(idempotencyKey && { 'PayPal-Request-Id': idempotencyKey }),
         },
         body: JSON.stringify({
           intent: 'CAPTURE',
           purchase_units: [
             {
               amount: {
-                currency_code: currency,
-                value: (amount / 100).toFixed(2), // Convert cents to dollars
+                ...money(order.totals.total),
+                // PayPal has no tax-inclusive prices: included tax stays inside item_total
+                breakdown: {
+                  item_total: money(order.totals.subtotal),
+                  ...(order.totals.discount > 0 && { discount: money(order.totals.discount) }),
+                  ...(order.tax && !order.tax.inclusive && { tax_total: money(order.totals.tax) }),
+                },
               },
+              items: order.items.map((item) => ({
+                name: item.name,
+                quantity: String(item.quantity),
+                unit_amount: money(item.unitAmount),
+                ...(item.priceId && { sku: item.priceId }),
+              })),
               description: productName,
               custom_id: userId,
             },
@@ -108,6 +177,14 @@ export class PayPalAdapter extends ProviderAdapter {
                 return_url: successUrl,
                 cancel_url: cancelUrl,
               },
+              ...((customerId || savePaymentMethod) && {
+                attributes: {
+                  ...(customerId && { customer: { id: customerId } }),
+                  ...(savePaymentMethod && {
+                    vault: { store_in_vault: 'ON_SUCCESS', usage_type: 'MERCHANT' },
+                  }),
+                },
+              }),
             },
           },
           application_context: {
@@ -119,7 +196,7 @@ export class PayPalAdapter extends ProviderAdapter {
 
       if (!response.ok) {
         const error = await response.text();
-        throw new Error(`PayPal API error: ${error}`);
+        throw upstreamError(`PayPal API error: ${error}`, response.status);
       }
 
       const data = await response.json();
@@ -171,22 +248,25 @@ export class PayPalAdapter extends ProviderAdapter {
       const token = await this.getAccessToken();
 
       // Verify webhook using PayPal's verification endpoint
-      const response = await fetch(`${this.baseUrl}/v1/notifications/verify-webhook-signature`, {
-        method: 'POST',
-        headers: {
-          Authorization: `Bearer ${token}`,
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          transmission_id: headers['transmission-id'],
-          transmission_time: headers['transmission-time'],
-          cert_url: headers['cert-url'],
-          auth_algo: headers['auth-algo'],
-          transmission_sig: headers['transmission-sig'],
-          webhook_id: webhookId,
-          webhook_event: eventData,
-        }),
-      });
+      const response = await this.fetch(
+        `${this.baseUrl}/v1/notifications/verify-webhook-signature`,
+        {
+          method: 'POST',
+          headers: {
+            Authorization: `Bearer ${token}`,
+            'Content-Type': 'application/json',
+          },
+          body: JSON.stringify({
+            transmission_id: headers['transmission-id'],
+            transmission_time: headers['transmission-time'],
+            cert_url: headers['cert-url'],
+            auth_algo: headers['auth-algo'],
+            transmission_sig: headers['transmission-sig'],
+            webhook_id: webhookId,
+            webhook_event: eventData,
+          }),
+        }
+      );
 
       if (!response.ok) {
         throw new Error(`PayPal webhook verification failed: ${response.statusText}`);
@@ -217,6 +297,109 @@ export class PayPalAdapter extends ProviderAdapter {
     }
   }
 
+  /**
+   * Map a PayPal event into the canonical event schema
+   */
+  normalizeEvent(event) {
+    const resource = event.data || {};
+    const occurredAt = event.rawPayload?.create_time;
+    let type;
+    let fields;
+
+    switch (event.eventType) {
+      case 'CHECKOUT.ORDER.APPROVED': {
+        const unit = resource.purchase_units?.[0] || {};
+        type = EVENT_TYPES.PAYMENT_AUTHORIZED;
+        fields = {
+          amount: toMinor(unit.amount),
+          currency: unit.amount?.currency_code,
+          userId: unit.custom_id,
+          sessionId: resource.id,
+          customer: {
+            email: resource.payer?.email_address,
+            providerCustomerId: resource.payer?.payer_id,
+          },
+          refs: { orderId: resource.id },
+        };
+        break;
+      }
+      case 'PAYMENT.CAPTURE.COMPLETED':
+      case 'PAYMENT.CAPTURE.PENDING':
+      case 'PAYMENT.CAPTURE.DENIED': {
+        const orderId = resource.supplementary_data?.related_ids?.order_id;
+        type = {
+          'PAYMENT.CAPTURE.COMPLETED': EVENT_TYPES.PAYMENT_SUCCEEDED,
+          'PAYMENT.CAPTURE.PENDING': EVENT_TYPES.PAYMENT_PENDING,
+          'PAYMENT.CAPTURE.DENIED': EVENT_TYPES.PAYMENT_FAILED,
+        }[event.eventType];
+        fields = {
+          amount: toMinor(resource.amount),
+          currency: resource.amount?.currency_code,
+          userId: resource.custom_id,
+          sessionId: orderId,
+          refs: { orderId, captureId: resource.id },
+        };
+        break;
+      }
+      case 'PAYMENT.CAPTURE.REFUNDED': {
+        type = EVENT_TYPES.REFUND_SUCCEEDED;
+        fields = {
+          amount: toMinor(resource.amount),
+          currency: resource.amount?.currency_code,
+          userId: resource.custom_id,
+          sessionId: resource.supplementary_data?.related_ids?.order_id,
+          refs: { refundId: resource.id },
+        };
+        break;
+      }
+      case 'PAYMENT.SALE.COMPLETED': {
+        // Recurring subscription charges arrive as sales against the billing agreement
+        type = EVENT_TYPES.SUBSCRIPTION_RENEWED;
+        fields = {
+          amount: toMinorUnits(resource.amount?.total, resource.amount?.currency),
+          currency: resource.amount?.currency,
+          userId: resource.custom,
+          subscriptionId: resource.billing_agreement_id,
+          refs: { saleId: resource.id },
+        };
+        break;
+      }
+      case 'CUSTOMER.DISPUTE.CREATED':
+      case 'CUSTOMER.DISPUTE.RESOLVED': {
+        const transaction = resource.disputed_transactions?.[0] || {};
+        type =
+          event.eventType === 'CUSTOMER.DISPUTE.CREATED'
+            ? EVENT_TYPES.DISPUTE_OPENED
+            : EVENT_TYPES.DISPUTE_CLOSED;
+        fields = {
+          amount: toMinor(resource.dispute_amount),
+          currency: resource.dispute_amount?.currency_code,
+          userId: transaction.custom,
+          refs: { disputeId: resource.dispute_id, captureId: transaction.seller_transaction_id },
+        };
+        break;
+      }
+      default: {
+        if (!SUBSCRIPTION_EVENTS[event.eventType]) {
+          return null;
+        }
+        type = SUBSCRIPTION_EVENTS[event.eventType];
+        fields = {
+          userId: resource.custom_id,
+          subscriptionId: resource.id,
+          subscription: this._toSubscription(resource),
+          customer: {
+            email: resource.subscriber?.email_address,
+            providerCustomerId: resource.subscriber?.payer_id,
+          },
+          refs: { planId: resource.plan_id },
+        };
+      }
+    }
+
+    return createNormalizedEvent(event, 'paypal', type, { ...fields, occurredAt });
+  }
+
   /**
    * Get PayPal order details
    */
@@ -224,14 +407,14 @@ export class PayPalAdapter extends ProviderAdapter {
     try {
       const token = await this.getAccessToken();
 
-      const response = await fetch(`${this.baseUrl}/v2/checkout/orders/${sessionId}`, {
+      const response = await this.fetch(`${this.baseUrl}/v2/checkout/orders/${sessionId}`, {
         headers: {
           Authorization: `Bearer ${token}`,
         },
       });
 
       if (!response.ok) {
-        throw new Error(`Failed to get PayPal order: ${response.statusText}`);
+        throw upstreamError(`Failed to get PayPal order: ${response.statusText}`, response.status);
       }
 
       const data = await response.json();
@@ -245,20 +428,141 @@ export class PayPalAdapter extends ProviderAdapter {
     }
   }
 
+  /**
+   * Capture an approved PayPal order
+   * The PayPal-Request-Id header is fixed per order, so retries return the
+   * original capture
+   */
+  async capturePayment(sessionId) {
+    try {
+      const token = await this.getAccessToken();
+
+      const response = await this.fetch(`${this.baseUrl}/v2/checkout/orders/${sessionId}/capture`, {
+        method: 'POST',
+        headers: {
+          Authorization: `Bearer ${token}`,
+          'Content-Type': 'application/json',
+          'PayPal-Request-Id': `capture-${sessionId}`,
+        },
+        body: JSON.stringify({}),
+      });
+
+      if (!response.ok) {
+        const error = await response.text();
+        // An order captured by a concurrent request conflicts rather than fails
+        const status = error.includes('ORDER_ALREADY_CAPTURED') ? 409 : response.status;
+        throw upstreamError(`PayPal capture error: ${error}`, status);
+      }
+
+      const data = await response.json();
+      const capture = data.purchase_units?.[0]?.payments?.captures?.[0];
+      const vault = data.payment_source?.paypal?.attributes?.vault;
+
+      this.logger.info('PayPal order captured', {
+        orderId: sessionId,
+        captureId: capture?.id,
+        status: data.status,
+      });
+
+      return {
+        sessionId,
+        captureId: capture?.id || null,
+        status: capture?.status || data.status,
+        provider: 'paypal',
+        ...(vault?.customer?.id && { customerId: vault.customer.id }),
+      };
+    } catch (error) {
+      this.logger.error('Failed to capture PayPal order', {
+        error: error.message,
+        sessionId,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Refund the captured payment of a PayPal order
+   */
+  async refund(sessionId, options = {}) {
+    const { amount, reason, idempotencyKey } = options;
+
+    try {
+      const order = await this.getSession(sessionId);
+      const capture = order.purchase_units?.[0]?.payments?.captures?.[0];
+
+      if (!capture) {
+        throw unsupportedOperation('PayPal order has no captured payment to refund');
+      }
+
+      const token = await this.getAccessToken();
+      const refundBody = {};
+
+      if (amount) {
+        refundBody.amount = {
+          currency_code: capture.amount.currency_code,
+          value: toMajorUnits(amount, capture.amount.currency_code, 'paypal'),
+        };
+      }
+      if (reason) {
+        refundBody.note_to_payer = reason;
+      }
+
+      const response = await this.fetch(
+        `${this.baseUrl}/v2/payments/captures/${capture.id}/refund`,
+        {
+          method: 'POST',
+          headers: {
+            Authorization: `Bearer ${token}`,
+            'Content-Type': 'application/json',
+            ...(idempotencyKey && { 'PayPal-Request-Id': idempotencyKey }),
+          },
+          body: JSON.stringify(refundBody),
+        }
+      );
+
+      if (!response.ok) {
+        const error = await response.text();
+        throw upstreamError(`PayPal refund error: ${error}`, response.status);
+      }
+
+      const data = await response.json();
+
+      this.logger.info('PayPal capture refunded', {
+        sessionId,
+        captureId: capture.id,
+        refundId: data.id,
+      });
+
+      return {
+        refundId: data.id,
+        status: data.status,
+        amount: amount || toMinor(capture.amount),
+        provider: 'paypal',
+      };
+    } catch (error) {
+      this.logger.error('Failed to refund PayPal order', {
+        error: error.message,
+        sessionId,
+      });
+      throw error;
+    }
+  }
+
   /**
    * Create a subscription with PayPal
    */
   async createSubscription(payload) {
-    const { userId, email, planId, successUrl, cancelUrl } = payload;
+    const { userId, email, planId, successUrl, cancelUrl, idempotencyKey } = payload;
 
     try {
       const token = await this.getAccessToken();
 
-      const response = await fetch(`${this.baseUrl}/v1/billing/subscriptions`, {
+      const response = await this.fetch(`${this.baseUrl}/v1/billing/subscriptions`, {
         method: 'POST',
         headers: {
           Authorization: `Bearer ${token}`,
           'Content-Type': 'application/json',
+          ...(idempotencyKey && { 'PayPal-Request-Id': idempotencyKey }),
         },
         body: JSON.stringify({
           plan_id: planId,
@@ -310,35 +614,186 @@ export class PayPalAdapter extends ProviderAdapter {
   }
 
   /**
-   * Cancel a PayPal subscription
+   * PayPal creates vault customers with the first saved payment method
+   * (see createCheckoutSession), so there is nothing to create up front
    */
-  async cancelSubscription(subscriptionId) {
-    try {
-      const token = await this.getAccessToken();
+  async createCustomer() {
+    return null;
+  }
 
-      const response = await fetch(
-        `${this.baseUrl}/v1/billing/subscriptions/${subscriptionId}/cancel`,
-        {
-          method: 'POST',
-          headers: {
-            Authorization: `Bearer ${token}`,
-            'Content-Type': 'application/json',
-          },
-          body: JSON.stringify({
-            reason: 'Customer requested cancellation',
-          }),
-        }
+  /**
+   * Call a PayPal vault payment token endpoint
+   * @param {string} method - HTTP method
+   * @param {string} path - Path after /v3/vault/payment-tokens
+   * @returns {Promise<object|null>} Response body, or null for 204 responses
+   */
+  async _vaultRequest(method, path) {
+    const token = await this.getAccessToken();
+
+    const response = await this.fetch(`${this.baseUrl}/v3/vault/payment-tokens${path}`, {
+      method,
+      headers: {
+        Authorization: `Bearer ${token}`,
+        'Content-Type': 'application/json',
+      },
+    });
+
+    if (!response.ok) {
+      const error = await response.text();
+      throw upstreamError(`PayPal vault error: ${error}`, response.status);
+    }
+
+    return response.status === 204 ? null : response.json();
+  }
+
+  /**
+   * List the payment tokens vaulted for a PayPal customer
+   */
+  async listPaymentMethods(customerId) {
+    try {
+      const data = await this._vaultRequest(
+        'GET',
+        `?customer_id=${encodeURIComponent(customerId)}`
       );
 
-      if (!response.ok) {
-        throw new Error(`Failed to cancel PayPal subscription: ${response.statusText}`);
+      return (data.payment_tokens || []).map((token) => {
+        const card = token.payment_source?.card;
+        const [expYear, expMonth] = card?.expiry?.split('-').map(Number) || [];
+
+        return {
+          paymentMethodId: token.id,
+          provider: 'paypal',
+          type: card ? 'card' : 'paypal',
+          brand: card?.brand?.toLowerCase() || null,
+          last4: card?.last_digits || null,
+          expMonth: expMonth ?? null,
+          expYear: expYear ?? null,
+          email: token.payment_source?.paypal?.email_address || null,
+        };
+      });
+    } catch (error) {
+      this.logger.error('Failed to list PayPal payment tokens', {
+        error: error.message,
+        customerId,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a vaulted PayPal payment token
+   */
+  async deletePaymentMethod(customerId, paymentMethodId) {
+    try {
+      await this._vaultRequest('DELETE', `/${paymentMethodId}`);
+
+      this.logger.info('PayPal payment token deleted', { customerId, paymentMethodId });
+    } catch (error) {
+      this.logger.error('Failed to delete PayPal payment token', {
+        error: error.message,
+        customerId,
+        paymentMethodId,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Call a PayPal subscription endpoint
+   * @param {string} subscriptionId - Subscription identifier
+   * @param {string} method - HTTP method
+   * @param {string} [action] - Path segment after the ID (e.g. 'suspend')
+   * @param {object} [body] - JSON body
+   * @returns {Promise<object|null>} Response body, or null for 204 responses
+   */
+  async _subscriptionRequest(subscriptionId, method, action, body) {
+    const token = await this.getAccessToken();
+
+    const response = await this.fetch(
+      `${this.baseUrl}/v1/billing/subscriptions/${subscriptionId}${action ? `/${action}` : ''}`,
+      {
+        method,
+        headers: {
+          Authorization: `Bearer ${token}`,
+          'Content-Type': 'application/json',
+        },
+        ...(body && { body: JSON.stringify(body) }),
       }
+    );
+
+    if (!response.ok) {
+      const error = await response.text();
+      throw upstreamError(`PayPal subscription error: ${error}`, response.status);
+    }
+
+    return response.status === 204 ? null : response.json();
+  }
+
+  /**
+   * Map a PayPal subscription to the provider-neutral shape
+   */
+  _toSubscription(data) {
+    return {
+      subscriptionId: data.id,
+      provider: 'paypal',
+      status: PAYPAL_SUBSCRIPTION_STATUSES[data.status] || data.status?.toLowerCase() || null,
+      planId: data.plan_id || null,
+      quantity: data.quantity ? parseInt(data.quantity) : 1,
+      currency: data.billing_info?.last_payment?.amount?.currency_code || null,
+      currentPeriodStart: null,
+      currentPeriodEnd: toIsoTime(data.billing_info?.next_billing_time),
+      nextBillingAt:
+        data.status === 'ACTIVE' ? toIsoTime(data.billing_info?.next_billing_time) : null,
+      cancelAtPeriodEnd: false,
+      pausedUntil: null,
+    };
+  }
+
+  /**
+   * Run a subscription action and return the subscription as it now stands
+   * PayPal answers the action endpoints with 204 No Content.
+   */
+  async _subscriptionAction(subscriptionId, action, reason) {
+    await this._subscriptionRequest(subscriptionId, 'POST', action, { reason });
+    return this._toSubscription(await this._subscriptionRequest(subscriptionId, 'GET'));
+  }
+
+  /**
+   * Get a PayPal subscription
+   */
+  async getSubscription(subscriptionId) {
+    try {
+      return this._toSubscription(await this._subscriptionRequest(subscriptionId, 'GET'));
+    } catch (error) {
+      this.logger.error('Failed to get PayPal subscription', {
+        error: error.message,
+        subscriptionId,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Cancel a PayPal subscription
+   * PayPal only cancels immediately; it has no end-of-period cancellation.
+   */
+  async cancelSubscription(subscriptionId, options = {}) {
+    if (options.immediately === false) {
+      throw unsupportedOperation('PayPal subscriptions can only be cancelled immediately');
+    }
+
+    try {
+      const subscription = await this._subscriptionAction(
+        subscriptionId,
+        'cancel',
+        options.reason || 'Customer requested cancellation'
+      );
 
       this.logger.info('PayPal subscription cancelled', {
         subscriptionId,
       });
 
-      return { status: 'cancelled', subscriptionId };
+      return subscription;
     } catch (error) {
       this.logger.error('Failed to cancel PayPal subscription', {
         error: error.message,
@@ -347,4 +802,103 @@ export class PayPalAdapter extends ProviderAdapter {
       throw error;
     }
   }
+
+  /**
+   * PayPal cancellations take effect immediately, so there is nothing to withdraw
+   */
+  async uncancelSubscription() {
+    throw unsupportedOperation('PayPal subscription cancellations cannot be withdrawn');
+  }
+
+  /**
+   * Suspend a PayPal subscription
+   * PayPal suspensions last until the subscription is activated again.
+   */
+  async pauseSubscription(subscriptionId, options = {}) {
+    if (options.resumeAt) {
+      throw unsupportedOperation('PayPal subscriptions cannot be resumed automatically');
+    }
+
+    try {
+      const subscription = await this._subscriptionAction(
+        subscriptionId,
+        'suspend',
+        options.reason || 'Customer requested pause'
+      );
+
+      this.logger.info('PayPal subscription suspended', { subscriptionId });
+
+      return subscription;
+    } catch (error) {
+      this.logger.error('Failed to suspend PayPal subscription', {
+        error: error.message,
+        subscriptionId,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Reactivate a suspended PayPal subscription
+   */
+  async resumeSubscription(subscriptionId) {
+    try {
+      const subscription = await this._subscriptionAction(
+        subscriptionId,
+        'activate',
+        'Customer requested resume'
+      );
+
+      this.logger.info('PayPal subscription activated', { subscriptionId });
+
+      return subscription;
+    } catch (error) {
+      this.logger.error('Failed to activate PayPal subscription', {
+        error: error.message,
+        subscriptionId,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Revise the plan or quantity of a PayPal subscription
+   * PayPal decides proration itself, and the subscriber has to approve the
+   * change at `approvalUrl` before it takes effect.
+   */
+  async updateSubscription(subscriptionId, changes) {
+    const { priceId, quantity, proration } = changes;
+
+    if (proration && proration !== DEFAULT_PRORATION) {
+      throw unsupportedOperation(`PayPal does not support proration "${proration}"`);
+    }
+
+    try {
+      const data = await this._subscriptionRequest(subscriptionId, 'POST', 'revise', {
+        ...(priceId && { plan_id: priceId }),
+        ...(quantity && { quantity: String(quantity) }),
+      });
+      const subscription = await this.getSubscription(subscriptionId);
+
+      this.logger.info('PayPal subscription revised', { subscriptionId });
+
+      return {
+        ...subscription,
+        approvalUrl: data.links?.find((link) => link.rel === 'approve')?.href || null,
+      };
+    } catch (error) {
+      this.logger.error('Failed to revise PayPal subscription', {
+        error: error.message,
+        subscriptionId,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * PayPal has no API to price a revision before it is made
+   */
+  async previewSubscriptionUpdate() {
+    throw unsupportedOperation('PayPal does not support subscription change previews');
+  }
 }
@@ -3,6 +3,9 @@
  * All provider implementations should follow this interface
  */
 
+import { instrumentAdapter } from '../utils/telemetry.js';
+import { traceAdapter } from '../utils/tracing.js';
+
 /**
  * Base class for payment provider adapters
  */
@@ -12,6 +15,24 @@ export class ProviderAdapter {
     this.logger = logger;
   }
 
+  /**
+   * Call the provider API, propagating the request's trace context
+   * @param {string} url - Request URL
+   * @param {object} init - fetch options, with headers as a plain object
+   * @returns {Promise<Response>}
+   */
+  fetch(url, init = {}) {
+    const tracer = this.logger && this.logger.tracer;
+    if (!tracer) {
+      return fetch(url, init);
+    }
+
+    return fetch(url, {
+      ...init,
+      headers: { ...init.headers, ...tracer.headers(this.activeSpan) },
+    });
+  }
+
   /**
    * Create a checkout session
    * @param {object} payload - Checkout session parameters
@@ -22,6 +43,9 @@ export class ProviderAdapter {
    * @param {string} payload.productName - Product name
    * @param {string} payload.successUrl - Success redirect URL
    * @param {string} payload.cancelUrl - Cancel redirect URL
+   * @param {string} [payload.customerId] - Provider customer to charge (see createCustomer)
+   * @param {boolean} [payload.savePaymentMethod] - Keep the payment method for later purchases
+   * @param {string} [payload.idempotencyKey] - Key forwarded to providers that support it
    * @returns {Promise<object>} Session data with checkout URL
    */
   async createCheckoutSession(payload) {
@@ -37,6 +61,15 @@ export class ProviderAdapter {
     throw new Error('verifyWebhook must be implemented by subclass');
   }
 
+  /**
+   * Map a verified provider event into the canonical event schema (see utils/events.js)
+   * @param {object} event - Event returned by verifyWebhook
+   * @returns {object|null} Normalized event, or null if the event has no canonical equivalent
+   */
+  normalizeEvent(event) {
+    throw new Error('normalizeEvent must be implemented by subclass');
+  }
+
   /**
    * Get session details by session ID
    * @param {string} sessionId - Session identifier
@@ -49,21 +82,146 @@ export class ProviderAdapter {
   /**
    * Create a subscription
    * @param {object} payload - Subscription parameters
+   * @param {string} [payload.customerId] - Provider customer to bill (see createCustomer)
    * @returns {Promise<object>} Subscription data
    */
   async createSubscription(payload) {
     throw new Error('createSubscription must be implemented by subclass');
   }
 
+  /**
+   * Get a subscription in the provider-neutral shape
+   * @param {string} subscriptionId - Subscription identifier
+   * @returns {Promise<object>} { subscriptionId, provider, status, planId, quantity, currency,
+   *   currentPeriodStart, currentPeriodEnd, nextBillingAt, cancelAtPeriodEnd, pausedUntil }
+   *   (see utils/subscriptions.js for statuses)
+   */
+  async getSubscription(subscriptionId) {
+    throw new Error('getSubscription must be implemented by subclass');
+  }
+
   /**
    * Cancel a subscription
    * @param {string} subscriptionId - Subscription identifier
-   * @returns {Promise<object>} Cancellation result
+   * @param {object} [options] - Cancellation options
+   * @param {boolean} [options.immediately] - End now instead of at the end of the billing
+   *   period (default: the provider's previous behavior)
+   * @param {string} [options.reason] - Reason recorded with the provider
+   * @returns {Promise<object>} Updated subscription
    */
-  async cancelSubscription(subscriptionId) {
+  async cancelSubscription(subscriptionId, options) {
     throw new Error('cancelSubscription must be implemented by subclass');
   }
 
+  /**
+   * Withdraw a cancellation scheduled for the end of the billing period
+   * @param {string} subscriptionId - Subscription identifier
+   * @returns {Promise<object>} Updated subscription
+   */
+  async uncancelSubscription(subscriptionId) {
+    throw new Error('uncancelSubscription must be implemented by subclass');
+  }
+
+  /**
+   * Pause billing for a subscription
+   * @param {string} subscriptionId - Subscription identifier
+   * @param {object} [options] - Pause options
+   * @param {string} [options.resumeAt] - ISO time to resume automatically
+   * @param {string} [options.reason] - Reason recorded with the provider
+   * @returns {Promise<object>} Updated subscription
+   */
+  async pauseSubscription(subscriptionId, options) {
+    throw new Error('pauseSubscription must be implemented by subclass');
+  }
+
+  /**
+   * Resume a paused subscription
+   * @param {string} subscriptionId - Subscription identifier
+   * @returns {Promise<object>} Updated subscription
+   */
+  async resumeSubscription(subscriptionId) {
+    throw new Error('resumeSubscription must be implemented by subclass');
+  }
+
+  /**
+   * Change a subscription's plan and/or quantity
+   * @param {string} subscriptionId - Subscription identifier
+   * @param {object} changes - Requested changes
+   * @param {string} [changes.priceId] - New plan or price ID
+   * @param {number} [changes.quantity] - New quantity
+   * @param {string} [changes.proration] - One of PRORATION_MODES
+   * @returns {Promise<object>} Updated subscription (PayPal adds an `approvalUrl` for the buyer)
+   */
+  async updateSubscription(subscriptionId, changes) {
+    throw new Error('updateSubscription must be implemented by subclass');
+  }
+
+  /**
+   * Preview the charge for a plan and/or quantity change without applying it
+   * @param {string} subscriptionId - Subscription identifier
+   * @param {object} changes - Same as updateSubscription
+   * @returns {Promise<object>} { subscriptionId, provider, currency, amountDue, prorationAmount, billingDate }
+   */
+  async previewSubscriptionUpdate(subscriptionId, changes) {
+    throw new Error('previewSubscriptionUpdate must be implemented by subclass');
+  }
+
+  /**
+   * Capture an approved payment
+   * @param {string} sessionId - Session identifier returned by createCheckoutSession
+   * @returns {Promise<object>} Capture data ({ sessionId, captureId, status, provider }, plus
+   *   `customerId` when the payment method was saved to a new provider customer)
+   */
+  async capturePayment(sessionId) {
+    throw new Error('capturePayment must be implemented by subclass');
+  }
+
+  /**
+   * Refund a completed payment, fully or partially
+   * @param {string} sessionId - Session identifier returned by createCheckoutSession
+   * @param {object} options - Refund options
+   * @param {number} [options.amount] - Amount to refund in cents (omit for a full refund)
+   * @param {string} [options.reason] - Reason for the refund
+   * @param {string} [options.idempotencyKey] - Key the provider deduplicates retries by
+   * @returns {Promise<object>} Refund data ({ refundId, status, amount, provider })
+   */
+  async refund(sessionId, options) {
+    throw new Error('refund must be implemented by subclass');
+  }
+
+  /**
+   * Create a provider customer for one of our users
+   * @param {object} customer - Customer details
+   * @param {string} customer.userId - User identifier
+   * @param {string} customer.email - User email
+   * @param {string} [customer.idempotencyKey] - Key forwarded to providers that support it
+   * @returns {Promise<object|null>} { customerId, provider }, or null when the provider
+   *   only creates customers with the first saved payment method
+   */
+  async createCustomer(customer) {
+    throw new Error('createCustomer must be implemented by subclass');
+  }
+
+  /**
+   * List a customer's saved payment methods
+   * @param {string} customerId - Provider customer ID
+   * @returns {Promise<object[]>} [{ paymentMethodId, provider, type, brand, last4, expMonth,
+   *   expYear, email }] (card fields are null for wallets and vice versa)
+   */
+  async listPaymentMethods(customerId) {
+    throw new Error('listPaymentMethods must be implemented by subclass');
+  }
+
+  /**
+   * Delete a saved payment method
+   * @param {string} customerId - Provider customer ID
+   * @param {string} paymentMethodId - Payment method ID from listPaymentMethods
+   * @returns {Promise<void>}
+   */
+  async deletePaymentMethod(customerId, paymentMethodId) {
+    throw new Error('deletePaymentMethod must be implemented by subclass');
+  }
+
   /**
    * Get provider name
    * @returns {string}
@@ -73,6 +231,57 @@ export class ProviderAdapter {
   }
 }
 
+/**
+ * Create an error for a failed provider API response
+ * 5xx and 429 responses are marked retryable so checkout can fail over to another provider.
+ * @param {string} message - Error message
+ * @param {number} status - HTTP status of the provider response
+ * @returns {Error}
+ */
+export function upstreamError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  error.retryable = status >= 500 || status === 429;
+  return error;
+}
+
+/**
+ * Build a stable key from a provider object's parameters, so an adapter can
+ * find the coupon, tax rate or discount an earlier checkout created with the
+ * same parameters instead of creating another
+ * @param {object} params - Parameters that define the object
+ * @returns {Promise<string>} 24 hex characters
+ */
+export async function parameterKey(params) {
+  const digest = await crypto.subtle.digest(
+    'SHA-256',
+    new TextEncoder().encode(JSON.stringify(params))
+  );
+  const hex = [...new Uint8Array(digest)].map((byte) => byte.toString(16).padStart(2, '0'));
+  return hex.join('').slice(0, 24);
+}
+
+/**
+ * Adapter methods that call the provider API, timed and counted per call
+ */
+const PROVIDER_API_METHODS = [
+  'createCheckoutSession',
+  'getSession',
+  'createSubscription',
+  'getSubscription',
+  'cancelSubscription',
+  'uncancelSubscription',
+  'pauseSubscription',
+  'resumeSubscription',
+  'updateSubscription',
+  'previewSubscriptionUpdate',
+  'capturePayment',
+  'refund',
+  'createCustomer',
+  'listPaymentMethods',
+  'deletePaymentMethod',
+];
+
 /**
  * Factory function to get the appropriate provider adapter
  * @param {string} provider - Provider name (paddle, paypal, stripe)
@@ -82,21 +291,27 @@ export class ProviderAdapter {
  */
 export async function getProviderAdapter(provider, env, logger) {
   const providerName = provider.toLowerCase();
+  let adapter;
 
   switch (providerName) {
     case 'paddle': {
       const { PaddleAdapter } = await import('./paddle.js');
-      return new PaddleAdapter(env, logger);
+      adapter = new PaddleAdapter(env, logger);
+      break;
     }
     case 'paypal': {
       const { PayPalAdapter } = await import('./paypal.js');
-      return new PayPalAdapter(env, logger);
+      adapter = new PayPalAdapter(env, logger);
+      break;
     }
     case 'stripe': {
       const { StripeAdapter } = await import('./stripe.js');
-      return new StripeAdapter(env, logger);
+      adapter = new StripeAdapter(env, logger);
+      break;
     }
     default:
       throw new Error(`Unsupported payment provider: ${provider}`);
   }
+
+  return traceAdapter(instrumentAdapter(adapter, PROVIDER_API_METHODS), PROVIDER_API_METHODS);
 }
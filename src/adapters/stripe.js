@@ -1,60 +1,987 @@
 /**
- * Stripe payment provider adapter (Placeholder)
+ * Stripe payment provider adapter
  * Implements the ProviderAdapter interface for Stripe
- * This is a template for future implementation
  */
 
-import { ProviderAdapter } from './providerAdapter.js';
+import { ProviderAdapter, upstreamError, parameterKey } from './providerAdapter.js';
+import { verifyHmacSignature, isTimestampValid } from '../utils/webhook.js';
+import { EVENT_TYPES, createNormalizedEvent } from '../utils/events.js';
+import { assertRepresentable, toProviderUnits, fromProviderUnits } from '../utils/money.js';
+import { buildOrder } from '../utils/lineItems.js';
+import {
+  DEFAULT_PRORATION,
+  SUBSCRIPTION_STATUSES,
+  toIsoTime,
+  unsupportedOperation,
+} from '../utils/subscriptions.js';
+
+/**
+ * Stripe subscription statuses in the provider-neutral vocabulary
+ */
+const STRIPE_SUBSCRIPTION_STATUSES = {
+  incomplete: SUBSCRIPTION_STATUSES.PENDING,
+  incomplete_expired: SUBSCRIPTION_STATUSES.CANCELED,
+  trialing: SUBSCRIPTION_STATUSES.TRIALING,
+  active: SUBSCRIPTION_STATUSES.ACTIVE,
+  past_due: SUBSCRIPTION_STATUSES.PAST_DUE,
+  unpaid: SUBSCRIPTION_STATUSES.PAST_DUE,
+  paused: SUBSCRIPTION_STATUSES.PAUSED,
+  canceled: SUBSCRIPTION_STATUSES.CANCELED,
+};
+
+/**
+ * Stripe proration_behavior for each proration mode
+ */
+const STRIPE_PRORATION_BEHAVIORS = {
+  immediately: 'always_invoice',
+  next_period: 'create_prorations',
+  none: 'none',
+};
+
+/**
+ * Encode a nested object using Stripe's form encoding (e.g. `metadata[user_id]=...`)
+ * @param {object} params - Parameters to encode
+ * @param {string} prefix - Key prefix for nested values
+ * @returns {string}
+ */
+function encodeForm(params, prefix = '') {
+  const parts = [];
+
+  for (const [key, value] of Object.entries(params)) {
+    if (value === undefined || value === null) continue;
+
+    const fullKey = prefix ? `${prefix}[${key}]` : key;
+
+    if (Array.isArray(value)) {
+      value.forEach((item, index) => {
+        if (typeof item === 'object') {
+          parts.push(encodeForm(item, `${fullKey}[${index}]`));
+        } else {
+          parts.push(`${encodeURIComponent(`${fullKey}[${index}]`)}=${encodeURIComponent(item)}`);
+        }
+      });
+    } else if (typeof value === 'object') {
+      parts.push(encodeForm(value, fullKey));
+    } else {
+      parts.push(`${encodeURIComponent(fullKey)}=${encodeURIComponent(value)}`);
+    }
+  }
+
+  return parts.filter(Boolean).join('&');
+}
 
 export class StripeAdapter extends ProviderAdapter {
   constructor(env, logger) {
     super(env, logger);
     this.secretKey = env.STRIPE_SECRET_KEY;
     this.webhookSecret = env.STRIPE_WEBHOOK_SECRET;
-    this.baseUrl = 'https://api.stripe.com';
+    this.webhookTolerance = parseInt(env.STRIPE_WEBHOOK_TOLERANCE || '300');
+    this.baseUrl = env.STRIPE_API_BASE_URL || 'https://api.stripe.com';
   }
 
   getName() {
     return 'stripe';
   }
 
+  /**
+   * Build request headers for the Stripe API
+   * @param {string} [idempotencyKey] - Sent as Stripe's Idempotency-Key header
+   */
+  _headers(idempotencyKey) {
+    return {
+      Authorization: `Bearer ${this.secretKey}`,
+      'Content-Type': 'application/x-www-form-urlencoded',
+      ...(idempotencyKey && { 'Idempotency-Key': idempotencyKey }),
+    };
+  }
+
+  /**
+   * Get the coupon for an order-level discount, creating it the first time
+   * Checkout Sessions only take discounts as coupons, so each distinct
+   * discount gets one coupon whose ID is derived from it.
+   * @param {object} discount - { amount } in minor units or { percent }, plus optional { code }
+   * @param {string} currency - ISO 4217 code
+   * @returns {Promise<string>} Coupon ID
+   */
+  async _getCoupon(discount, currency) {
+    const params = {
+      ...(discount.percent
+        ? { percent_off: discount.percent }
+        : {
+            amount_off: toProviderUnits(discount.amount, currency, 'stripe'),
+            currency: currency.toLowerCase(),
+          }),
+      duration: 'once',
+      name: discount.code,
+    };
+    const id = `order_${await parameterKey(params)}`;
+
+    const response = await this.fetch(`${this.baseUrl}/v1/coupons`, {
+      method: 'POST',
+      headers: this._headers(),
+      body: encodeForm({ id, ...params }),
+    });
+
+    if (!response.ok) {
+      const error = await response.text();
+      if (response.status === 400 && error.includes('resource_already_exists')) {
+        return id;
+      }
+      throw upstreamError(`Stripe coupon error: ${error}`, response.status);
+    }
+
+    return (await response.json()).id;
+  }
+
+  /**
+   * Get the tax rate for the order's line items, creating it the first time
+   * Tax rates cannot be given IDs, so they are found by a metadata key
+   * derived from the rate, reading every page of the account's active rates.
+   * @param {object} tax - { rate } in percent and { inclusive }
+   * @returns {Promise<string>} Tax rate ID
+   */
+  async _getTaxRate(tax) {
+    const params = { display_name: 'Tax', percentage: tax.rate, inclusive: Boolean(tax.inclusive) };
+    const key = `tax_${await parameterKey(params)}`;
+
+    let startingAfter = null;
+    do {
+      const listed = await this.fetch(
+        `${this.baseUrl}/v1/tax_rates?active=true&inclusive=${params.inclusive}&limit=100` +
+          (startingAfter ? `&starting_after=${startingAfter}` : ''),
+        { headers: this._headers() }
+      );
+      if (!listed.ok) {
+        const error = await listed.text();
+        throw upstreamError(`Stripe tax rate error: ${error}`, listed.status);
+      }
+
+      const page = await listed.json();
+      const existing = page.data.find((rate) => rate.metadata?.worker_key === key);
+      if (existing) {
+        return existing.id;
+      }
+      startingAfter = page.has_more ? page.data[page.data.length - 1].id : null;
+    } while (startingAfter);
+
+    // Concurrent first checkouts with the same rate create it once
+    const response = await this.fetch(`${this.baseUrl}/v1/tax_rates`, {
+      method: 'POST',
+      headers: this._headers(key),
+      body: encodeForm({ ...params, metadata: { worker_key: key } }),
+    });
+
+    if (!response.ok) {
+      const error = await response.text();
+      throw upstreamError(`Stripe tax rate error: ${error}`, response.status);
+    }
+
+    return (await response.json()).id;
+  }
+
   /**
    * Create a checkout session with Stripe
-   * TODO: Implement Stripe checkout session creation
+   * Line items without a Stripe price ID use inline price_data; the discount
+   * uses a one-time coupon and the tax a tax rate on every line, both shared
+   * by checkouts with the same discount or rate.
    */
   async createCheckoutSession(payload) {
-    throw new Error('Stripe adapter not yet implemented. Coming soon!');
+    const {
+      userId,
+      email,
+      currency = 'USD',
+      successUrl,
+      cancelUrl,
+      metadata = {},
+      customerId,
+      savePaymentMethod,
+      idempotencyKey,
+    } = payload;
+
+    try {
+      const order = buildOrder(payload, currency, 'stripe');
+
+      // Stripe's amount units follow ISO 4217 except for a few currencies (ISK, MGA, UGX)
+      order.items.forEach((item) => assertRepresentable(item.unitAmount, currency, 'stripe'));
+
+      const couponId = order.discount && (await this._getCoupon(order.discount, currency));
+      const taxRateId = order.tax && (await this._getTaxRate(order.tax));
+
+      const response = await this.fetch(`${this.baseUrl}/v1/checkout/sessions`, {
+        method: 'POST',
+        headers: this._headers(idempotencyKey),
+        body: encodeForm({
+          mode: 'payment',
+          // Stripe takes either an existing customer or an email for a new one
+          ...(customerId ? { customer: customerId } : { customer_email: email }),
+          client_reference_id: userId,
+          success_url: successUrl,
+          cancel_url: cancelUrl,
+          line_items: order.items.map((item) => ({
+            ...(item.priceId
+              ? { price: item.priceId }
+              : {
+                  price_data: {
+                    currency: currency.toLowerCase(),
+                    unit_amount: toProviderUnits(item.unitAmount, currency, 'stripe'),
+                    product_data: {
+                      name: item.name,
+                    },
+                  },
+                }),
+            quantity: item.quantity,
+            tax_rates: taxRateId && [taxRateId],
+          })),
+          discounts: couponId && [{ coupon: couponId }],
+          metadata: {
+            ...metadata,
+            user_id: userId,
+          },
+          payment_intent_data: {
+            metadata: {
+              user_id: userId,
+            },
+            setup_future_usage: customerId && savePaymentMethod ? 'on_session' : undefined,
+          },
+        }),
+      });
+
+      if (!response.ok) {
+        const error = await response.text();
+        throw upstreamError(`Stripe API error: ${error}`, response.status);
+      }
+
+      const data = await response.json();
+
+      this.logger.info('Stripe checkout session created', {
+        sessionId: data.id,
+        userId,
+      });
+
+      return {
+        sessionId: data.id,
+        checkoutUrl: data.url,
+        provider: 'stripe',
+      };
+    } catch (error) {
+      this.logger.error('Failed to create Stripe checkout session', {
+        error: error.message,
+        userId,
+      });
+      throw error;
+    }
   }
 
   /**
    * Verify Stripe webhook signature
-   * TODO: Implement Stripe webhook verification
    */
   async verifyWebhook(request) {
-    throw new Error('Stripe webhook verification not yet implemented. Coming soon!');
+    const signature = request.headers.get('stripe-signature');
+    if (!signature) {
+      throw new Error('Missing Stripe signature header');
+    }
+
+    const payload = await request.text();
+
+    // Stripe uses t and one or more v1 entries, comma separated
+    let timestamp = null;
+    const receivedSignatures = [];
+    signature.split(',').forEach((part) => {
+      const [key, value] = part.trim().split('=');
+      if (key === 't') {
+        timestamp = value;
+      } else if (key === 'v1' && value) {
+        receivedSignatures.push(value);
+      }
+    });
+
+    if (!timestamp || receivedSignatures.length === 0) {
+      throw new Error('Invalid Stripe signature format');
+    }
+
+    if (!isTimestampValid(parseInt(timestamp), this.webhookTolerance)) {
+      throw new Error('Stripe webhook timestamp outside tolerance window');
+    }
+
+    // Verify signature using HMAC SHA-256
+    const signedPayload = `${timestamp}.${payload}`;
+    let isValid = false;
+    for (const receivedSignature of receivedSignatures) {
+      if (await verifyHmacSignature(signedPayload, receivedSignature, this.webhookSecret)) {
+        isValid = true;
+        break;
+      }
+    }
+
+    if (!isValid) {
+      throw new Error('Invalid Stripe webhook signature');
+    }
+
+    const eventData = JSON.parse(payload);
+
+    this.logger.info('Stripe webhook verified', {
+      eventType: eventData.type,
+      eventId: eventData.id,
+    });
+
+    return {
+      eventId: eventData.id,
+      eventType: eventData.type,
+      data: eventData.data?.object,
+      rawPayload: eventData,
+    };
   }
 
   /**
-   * Get Stripe session details
-   * TODO: Implement Stripe session retrieval
+   * Map a Stripe event into the canonical event schema
+   */
+  normalizeEvent(event) {
+    const object = event.data || {};
+    const occurredAt = event.rawPayload?.created
+      ? new Date(event.rawPayload.created * 1000).toISOString()
+      : undefined;
+    const customer = {
+      email: object.customer_details?.email || object.customer_email || object.receipt_email,
+      providerCustomerId: typeof object.customer === 'string' ? object.customer : undefined,
+    };
+    let type;
+    let fields;
+
+    switch (event.eventType) {
+      case 'checkout.session.completed':
+      case 'checkout.session.async_payment_succeeded':
+      case 'checkout.session.async_payment_failed': {
+        if (object.mode !== 'payment') return null;
+
+        if (event.eventType === 'checkout.session.async_payment_failed') {
+          type = EVENT_TYPES.PAYMENT_FAILED;
+        } else if (object.payment_status === 'paid') {
+          type = EVENT_TYPES.PAYMENT_SUCCEEDED;
+        } else {
+          // Delayed payment methods complete later via async_payment_succeeded
+          type = EVENT_TYPES.PAYMENT_PENDING;
+        }
+
+        fields = {
+          amount: object.amount_total,
+          currency: object.currency,
+          userId: object.client_reference_id,
+          sessionId: object.id,
+          refs: { paymentIntentId: object.payment_intent },
+        };
+        break;
+      }
+      case 'checkout.session.expired': {
+        if (object.mode !== 'payment') return null;
+
+        type = EVENT_TYPES.PAYMENT_EXPIRED;
+        fields = {
+          currency: object.currency,
+          userId: object.client_reference_id,
+          sessionId: object.id,
+        };
+        break;
+      }
+      case 'payment_intent.payment_failed': {
+        type = EVENT_TYPES.PAYMENT_FAILED;
+        fields = {
+          amount: object.amount,
+          currency: object.currency,
+          userId: object.metadata?.user_id,
+          refs: { paymentIntentId: object.id },
+        };
+        break;
+      }
+      case 'charge.refunded': {
+        type = EVENT_TYPES.REFUND_SUCCEEDED;
+        fields = {
+          amount: object.amount_refunded,
+          currency: object.currency,
+          userId: object.metadata?.user_id,
+          refs: {
+            chargeId: object.id,
+            paymentIntentId: object.payment_intent,
+            refundId: object.refunds?.data?.[0]?.id,
+          },
+        };
+        break;
+      }
+      case 'invoice.paid':
+      case 'invoice.payment_failed': {
+        if (!object.subscription) return null;
+
+        if (event.eventType === 'invoice.payment_failed') {
+          type = EVENT_TYPES.SUBSCRIPTION_PAST_DUE;
+        } else if (object.billing_reason === 'subscription_create') {
+          type = EVENT_TYPES.SUBSCRIPTION_ACTIVATED;
+        } else {
+          type = EVENT_TYPES.SUBSCRIPTION_RENEWED;
+        }
+
+        fields = {
+          amount: event.eventType === 'invoice.paid' ? object.amount_paid : object.amount_due,
+          currency: object.currency,
+          userId: object.subscription_details?.metadata?.user_id,
+          subscriptionId: object.subscription,
+          refs: { invoiceId: object.id, paymentIntentId: object.payment_intent },
+        };
+        break;
+      }
+      case 'customer.subscription.created':
+      case 'customer.subscription.updated':
+      case 'customer.subscription.deleted': {
+        if (event.eventType === 'customer.subscription.created') {
+          type = EVENT_TYPES.SUBSCRIPTION_CREATED;
+        } else if (event.eventType === 'customer.subscription.deleted') {
+          type = EVENT_TYPES.SUBSCRIPTION_CANCELED;
+        } else if (object.status === 'past_due') {
+          type = EVENT_TYPES.SUBSCRIPTION_PAST_DUE;
+        } else if (object.pause_collection) {
+          type = EVENT_TYPES.SUBSCRIPTION_PAUSED;
+        } else {
+          type = EVENT_TYPES.SUBSCRIPTION_UPDATED;
+        }
+
+        const item = object.items?.data?.[0];
+        fields = {
+          amount: item?.price?.unit_amount,
+          currency: item?.price?.currency || object.currency,
+          userId: object.metadata?.user_id,
+          subscriptionId: object.id,
+          subscription: this._toSubscription(object),
+          refs: { priceId: item?.price?.id },
+        };
+        break;
+      }
+      case 'charge.dispute.created':
+      case 'charge.dispute.closed': {
+        type =
+          event.eventType === 'charge.dispute.created'
+            ? EVENT_TYPES.DISPUTE_OPENED
+            : EVENT_TYPES.DISPUTE_CLOSED;
+        fields = {
+          amount: object.amount,
+          currency: object.currency,
+          refs: {
+            disputeId: object.id,
+            chargeId: object.charge,
+            paymentIntentId: object.payment_intent,
+          },
+        };
+        break;
+      }
+      default:
+        return null;
+    }
+
+    return createNormalizedEvent(event, 'stripe', type, {
+      ...fields,
+      amount: fromProviderUnits(fields.amount, fields.currency, 'stripe'),
+      customer,
+      occurredAt,
+    });
+  }
+
+  /**
+   * Get Stripe checkout session details
    */
   async getSession(sessionId) {
-    throw new Error('Stripe session retrieval not yet implemented. Coming soon!');
+    try {
+      const response = await this.fetch(`${this.baseUrl}/v1/checkout/sessions/${sessionId}`, {
+        headers: {
+          Authorization: `Bearer ${this.secretKey}`,
+        },
+      });
+
+      if (!response.ok) {
+        throw upstreamError(
+          `Failed to get Stripe session: ${response.statusText}`,
+          response.status
+        );
+      }
+
+      const data = await response.json();
+      return data;
+    } catch (error) {
+      this.logger.error('Failed to get Stripe session', {
+        error: error.message,
+        sessionId,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Stripe Checkout captures payment on completion, so there is nothing to capture
+   */
+  async capturePayment(_sessionId) {
+    throw unsupportedOperation(
+      'Stripe captures payments automatically; manual capture is not supported'
+    );
+  }
+
+  /**
+   * Refund the payment intent behind a Stripe checkout session
+   */
+  async refund(sessionId, options = {}) {
+    const { amount, reason, idempotencyKey } = options;
+
+    try {
+      const session = await this.getSession(sessionId);
+
+      if (!session.payment_intent) {
+        throw unsupportedOperation('Stripe session has no payment to refund');
+      }
+
+      const response = await this.fetch(`${this.baseUrl}/v1/refunds`, {
+        method: 'POST',
+        headers: this._headers(idempotencyKey),
+        body: encodeForm({
+          payment_intent: session.payment_intent,
+          amount: amount && toProviderUnits(amount, session.currency, 'stripe'),
+          metadata: {
+            session_id: sessionId,
+            reason,
+          },
+        }),
+      });
+
+      if (!response.ok) {
+        const error = await response.text();
+        throw upstreamError(`Stripe refund error: ${error}`, response.status);
+      }
+
+      const data = await response.json();
+
+      this.logger.info('Stripe refund created', {
+        sessionId,
+        refundId: data.id,
+      });
+
+      return {
+        refundId: data.id,
+        status: data.status,
+        amount: fromProviderUnits(data.amount, data.currency, 'stripe'),
+        provider: 'stripe',
+      };
+    } catch (error) {
+      this.logger.error('Failed to refund Stripe session', {
+        error: error.message,
+        sessionId,
+      });
+      throw error;
+    }
   }
 
   /**
    * Create a subscription with Stripe
-   * TODO: Implement Stripe subscription creation
+   * Bills the given customer (or a new one) through an incomplete
+   * subscription whose first invoice is paid on Stripe's hosted invoice page.
    */
   async createSubscription(payload) {
-    throw new Error('Stripe subscription creation not yet implemented. Coming soon!');
+    const { userId, email, priceId, idempotencyKey } = payload;
+
+    try {
+      const customerId =
+        payload.customerId ||
+        (await this.createCustomer({ userId, email, idempotencyKey })).customerId;
+
+      const response = await this.fetch(`${this.baseUrl}/v1/subscriptions`, {
+        method: 'POST',
+        headers: this._headers(idempotencyKey && `${idempotencyKey}:subscription`),
+        body: encodeForm({
+          customer: customerId,
+          items: [
+            {
+              price: priceId,
+              quantity: 1,
+            },
+          ],
+          payment_behavior: 'default_incomplete',
+          metadata: {
+            user_id: userId,
+          },
+          expand: ['latest_invoice'],
+        }),
+      });
+
+      if (!response.ok) {
+        const error = await response.text();
+        throw new Error(`Stripe subscription error: ${error}`);
+      }
+
+      const data = await response.json();
+
+      this.logger.info('Stripe subscription created', {
+        subscriptionId: data.id,
+        userId,
+      });
+
+      return {
+        subscriptionId: data.id,
+        checkoutUrl: data.latest_invoice?.hosted_invoice_url || '',
+        provider: 'stripe',
+      };
+    } catch (error) {
+      this.logger.error('Failed to create Stripe subscription', {
+        error: error.message,
+        userId,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Create a Stripe customer
+   */
+  async createCustomer({ userId, email, idempotencyKey }) {
+    try {
+      const response = await this.fetch(`${this.baseUrl}/v1/customers`, {
+        method: 'POST',
+        headers: this._headers(idempotencyKey && `${idempotencyKey}:customer`),
+        body: encodeForm({
+          email,
+          metadata: {
+            user_id: userId,
+          },
+        }),
+      });
+
+      if (!response.ok) {
+        const error = await response.text();
+        throw upstreamError(`Stripe customer error: ${error}`, response.status);
+      }
+
+      const data = await response.json();
+
+      this.logger.info('Stripe customer created', { customerId: data.id, userId });
+
+      return { customerId: data.id, provider: 'stripe' };
+    } catch (error) {
+      this.logger.error('Failed to create Stripe customer', {
+        error: error.message,
+        userId,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * List the payment methods attached to a Stripe customer
+   */
+  async listPaymentMethods(customerId) {
+    try {
+      const response = await this.fetch(
+        `${this.baseUrl}/v1/customers/${customerId}/payment_methods?limit=100`,
+        { headers: this._headers() }
+      );
+
+      if (!response.ok) {
+        const error = await response.text();
+        throw upstreamError(`Stripe payment method error: ${error}`, response.status);
+      }
+
+      const { data } = await response.json();
+
+      return data.map((method) => ({
+        paymentMethodId: method.id,
+        provider: 'stripe',
+        type: method.type,
+        brand: method.card?.brand || null,
+        last4: method.card?.last4 || null,
+        expMonth: method.card?.exp_month ?? null,
+        expYear: method.card?.exp_year ?? null,
+        email: method.billing_details?.email || null,
+      }));
+    } catch (error) {
+      this.logger.error('Failed to list Stripe payment methods', {
+        error: error.message,
+        customerId,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Detach a payment method from its Stripe customer
+   */
+  async deletePaymentMethod(customerId, paymentMethodId) {
+    try {
+      const response = await this.fetch(
+        `${this.baseUrl}/v1/payment_methods/${paymentMethodId}/detach`,
+        {
+          method: 'POST',
+          headers: this._headers(),
+        }
+      );
+
+      if (!response.ok) {
+        const error = await response.text();
+        throw upstreamError(`Stripe payment method error: ${error}`, response.status);
+      }
+
+      this.logger.info('Stripe payment method detached', { customerId, paymentMethodId });
+    } catch (error) {
+      this.logger.error('Failed to detach Stripe payment method', {
+        error: error.message,
+        customerId,
+        paymentMethodId,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Call a Stripe subscription endpoint
+   * @param {string} subscriptionId - Subscription identifier
+   * @param {string} method - HTTP method
+   * @param {object} [params] - Form parameters
+   * @returns {Promise<object>} Stripe subscription
+   */
+  async _subscriptionRequest(subscriptionId, method, params) {
+    const response = await this.fetch(`${this.baseUrl}/v1/subscriptions/${subscriptionId}`, {
+      method,
+      headers: this._headers(),
+      ...(params && { body: encodeForm(params) }),
+    });
+
+    if (!response.ok) {
+      const error = await response.text();
+      throw upstreamError(`Stripe subscription error: ${error}`, response.status);
+    }
+
+    return response.json();
+  }
+
+  /**
+   * Map a Stripe subscription to the provider-neutral shape
+   * Stripe keeps paused subscriptions `active` and records the pause in `pause_collection`.
+   */
+  _toSubscription(data) {
+    const item = data.items?.data?.[0];
+    const paused = data.pause_collection && data.status === 'active';
+    const periodEnd = toIsoTime(data.current_period_end ?? item?.current_period_end);
+    const billing = ['trialing', 'active', 'past_due'].includes(data.status);
+
+    return {
+      subscriptionId: data.id,
+      provider: 'stripe',
+      status: paused
+        ? SUBSCRIPTION_STATUSES.PAUSED
+        : STRIPE_SUBSCRIPTION_STATUSES[data.status] || data.status,
+      planId: item?.price?.id || null,
+      quantity: item?.quantity ?? null,
+      currency: (item?.price?.currency || data.currency)?.toUpperCase() || null,
+      currentPeriodStart: toIsoTime(data.current_period_start ?? item?.current_period_start),
+      currentPeriodEnd: periodEnd,
+      nextBillingAt: billing && !paused && !data.cancel_at_period_end ? periodEnd : null,
+      cancelAtPeriodEnd: !!data.cancel_at_period_end,
+      pausedUntil: paused ? toIsoTime(data.pause_collection.resumes_at) : null,
+    };
+  }
+
+  /**
+   * Build the item parameters for a Stripe subscription change
+   * Stripe changes an existing item by its ID, so the current subscription is fetched first.
+   */
+  async _subscriptionChange(subscriptionId, { priceId, quantity }) {
+    const current = await this._subscriptionRequest(subscriptionId, 'GET');
+    const item = current.items?.data?.[0];
+
+    return {
+      current,
+      items: [{ id: item?.id, price: priceId, quantity }],
+    };
+  }
+
+  /**
+   * Get a Stripe subscription
+   */
+  async getSubscription(subscriptionId) {
+    try {
+      return this._toSubscription(await this._subscriptionRequest(subscriptionId, 'GET'));
+    } catch (error) {
+      this.logger.error('Failed to get Stripe subscription', {
+        error: error.message,
+        subscriptionId,
+      });
+      throw error;
+    }
   }
 
   /**
    * Cancel a Stripe subscription
-   * TODO: Implement Stripe subscription cancellation
+   * Cancels immediately unless `immediately` is false, in which case the
+   * subscription runs until the end of the current period.
+   */
+  async cancelSubscription(subscriptionId, options = {}) {
+    try {
+      const data =
+        options.immediately === false
+          ? await this._subscriptionRequest(subscriptionId, 'POST', {
+              cancel_at_period_end: true,
+              cancellation_details: { comment: options.reason },
+            })
+          : await this._subscriptionRequest(subscriptionId, 'DELETE');
+
+      this.logger.info('Stripe subscription cancelled', {
+        subscriptionId,
+        immediately: options.immediately !== false,
+      });
+
+      return this._toSubscription(data);
+    } catch (error) {
+      this.logger.error('Failed to cancel Stripe subscription', {
+        error: error.message,
+        subscriptionId,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a scheduled end-of-period cancellation
+   */
+  async uncancelSubscription(subscriptionId) {
+    try {
+      const data = await this._subscriptionRequest(subscriptionId, 'POST', {
+        cancel_at_period_end: false,
+      });
+
+      this.logger.info('Stripe subscription cancellation withdrawn', { subscriptionId });
+
+      return this._toSubscription(data);
+    } catch (error) {
+      this.logger.error('Failed to withdraw Stripe subscription cancellation', {
+        error: error.message,
+        subscriptionId,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Pause collection on a Stripe subscription
+   * Invoices created while paused are voided.
+   */
+  async pauseSubscription(subscriptionId, options = {}) {
+    try {
+      const data = await this._subscriptionRequest(subscriptionId, 'POST', {
+        pause_collection: {
+          behavior: 'void',
+          resumes_at: options.resumeAt && Math.floor(Date.parse(options.resumeAt) / 1000),
+        },
+      });
+
+      this.logger.info('Stripe subscription paused', { subscriptionId });
+
+      return this._toSubscription(data);
+    } catch (error) {
+      this.logger.error('Failed to pause Stripe subscription', {
+        error: error.message,
+        subscriptionId,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Resume collection on a paused Stripe subscription
+   */
+  async resumeSubscription(subscriptionId) {
+    try {
+      // An empty value clears pause_collection
+      const data = await this._subscriptionRequest(subscriptionId, 'POST', {
+        pause_collection: '',
+      });
+
+      this.logger.info('Stripe subscription resumed', { subscriptionId });
+
+      return this._toSubscription(data);
+    } catch (error) {
+      this.logger.error('Failed to resume Stripe subscription', {
+        error: error.message,
+        subscriptionId,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Change the price or quantity of a Stripe subscription
+   */
+  async updateSubscription(subscriptionId, changes) {
+    try {
+      const { items } = await this._subscriptionChange(subscriptionId, changes);
+      const data = await this._subscriptionRequest(subscriptionId, 'POST', {
+        items,
+        proration_behavior: STRIPE_PRORATION_BEHAVIORS[changes.proration || DEFAULT_PRORATION],
+      });
+
+      this.logger.info('Stripe subscription updated', { subscriptionId });
+
+      return this._toSubscription(data);
+    } catch (error) {
+      this.logger.error('Failed to update Stripe subscription', {
+        error: error.message,
+        subscriptionId,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Preview a Stripe subscription change
+   * With `next_period` the preview is the next renewal invoice including the
+   * proration lines; with `immediately` it is the invoice issued right away.
    */
-  async cancelSubscription(subscriptionId) {
-    throw new Error('Stripe subscription cancellation not yet implemented. Coming soon!');
+  async previewSubscriptionUpdate(subscriptionId, changes) {
+    const proration = changes.proration || DEFAULT_PRORATION;
+
+    try {
+      const { current, items } = await this._subscriptionChange(subscriptionId, changes);
+
+      const response = await this.fetch(`${this.baseUrl}/v1/invoices/create_preview`, {
+        method: 'POST',
+        headers: this._headers(),
+        body: encodeForm({
+          subscription: subscriptionId,
+          subscription_details: {
+            items,
+            proration_behavior: STRIPE_PRORATION_BEHAVIORS[proration],
+          },
+        }),
+      });
+
+      if (!response.ok) {
+        const error = await response.text();
+        throw upstreamError(`Stripe invoice preview error: ${error}`, response.status);
+      }
+
+      const invoice = await response.json();
+      const lines = invoice.lines?.data || [];
+
+      return {
+        subscriptionId,
+        provider: 'stripe',
+        currency: invoice.currency.toUpperCase(),
+        amountDue: fromProviderUnits(invoice.amount_due, invoice.currency, 'stripe'),
+        prorationAmount: fromProviderUnits(
+          lines.filter((line) => line.proration).reduce((sum, line) => sum + line.amount, 0),
+          invoice.currency,
+          'stripe'
+        ),
+        billingDate:
+          proration === 'immediately'
+            ? new Date().toISOString()
+            : this._toSubscription(current).currentPeriodEnd,
+      };
+    } catch (error) {
+      this.logger.error('Failed to preview Stripe subscription update', {
+        error: error.message,
+        subscriptionId,
+      });
+      throw error;
+    }
   }
 }
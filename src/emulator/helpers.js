@@ -0,0 +1,51 @@
+/**
+ * Shared helpers for the provider emulators
+ */
+
+/**
+ * Unit amount (minor units) the emulators charge for any catalog price ID
+ */
+export const CATALOG_UNIT_AMOUNT = 1000;
+
+/**
+ * Build a JSON response
+ * @param {*} data - Response body
+ * @param {number} status - HTTP status
+ * @returns {Response}
+ */
+export function jsonResponse(data, status = 200) {
+  return new Response(data === null ? null : JSON.stringify(data), {
+    status,
+    headers: { 'Content-Type': 'application/json' },
+  });
+}
+
+/**
+ * Generate a provider-style identifier
+ * @param {string} prefix - ID prefix (e.g. 'txn_')
+ * @param {number} length - Number of random characters
+ * @returns {string}
+ */
+export function generateId(prefix, length = 24) {
+  let random = '';
+  while (random.length < length) {
+    random += crypto.randomUUID().replace(/-/g, '');
+  }
+  return `${prefix}${random.slice(0, length)}`;
+}
+
+/**
+ * Length of every emulated subscription billing period
+ */
+export const BILLING_PERIOD_MS = 30 * 86400 * 1000;
+
+/**
+ * Prorate a price difference over what is left of a billing period
+ * @param {number} difference - Change in the per-period amount (minor units)
+ * @param {number} periodEnd - Period end (ms since epoch)
+ * @returns {number}
+ */
+export function prorate(difference, periodEnd) {
+  const remaining = Math.max(0, Math.min(periodEnd - Date.now(), BILLING_PERIOD_MS));
+  return Math.round((difference * remaining) / BILLING_PERIOD_MS);
+}
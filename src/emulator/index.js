@@ -0,0 +1,238 @@
+/**
+ * Local provider emulator
+ * An in-process fake of the Paddle, PayPal and Stripe APIs the adapters call.
+ * It intercepts fetch calls to EMULATOR_BASE_URL, keeps provider objects in
+ * memory and sends signed webhooks back to /api/webhook/:provider, so complete
+ * payment flows run in tests and `wrangler dev` without network access.
+ */
+
+import { createPaddleEmulator } from './paddle.js';
+import { createPayPalEmulator } from './paypal.js';
+import { createStripeEmulator } from './stripe.js';
+import { jsonResponse } from './helpers.js';
+
+/**
+ * Origin the emulated provider APIs are served from
+ */
+export const EMULATOR_BASE_URL = 'https://emulator.payments.local';
+
+/**
+ * Credentials the emulator expects and signs webhooks with
+ */
+const DEFAULT_CREDENTIALS = {
+  PADDLE_API_KEY: 'pdl_emulator_key',
+  PADDLE_WEBHOOK_SECRET: 'pdl_emulator_webhook_secret',
+  PAYPAL_CLIENT_ID: 'emulator_client_id',
+  PAYPAL_CLIENT_SECRET: 'emulator_client_secret',
+  PAYPAL_WEBHOOK_ID: 'WH-EMULATOR',
+  STRIPE_SECRET_KEY: 'sk_test_emulator',
+  STRIPE_WEBHOOK_SECRET: 'whsec_emulator',
+};
+
+/**
+ * Redelivery rounds per flush; webhooks can trigger API calls that queue more webhooks
+ */
+const MAX_DELIVERY_ROUNDS = 10;
+
+/**
+ * Buyer actions exposed by every provider emulator
+ */
+const BUYER_ACTIONS = ['complete', 'fail', 'expire'];
+
+/**
+ * Create a provider emulator
+ * @param {object} [options]
+ * @param {object} [options.credentials] - Overrides for the API keys and webhook secrets
+ * @param {string} [options.webhookUrl] - Worker origin webhooks and hosted checkout links point at
+ * @param {function(Request): Promise<Response>} [options.deliver] - Webhook transport (default: fetch)
+ * @returns {object} Emulator
+ */
+export function createProviderEmulator(options = {}) {
+  const { webhookUrl = 'http://localhost:8787' } = options;
+  const credentials = { ...DEFAULT_CREDENTIALS, ...options.credentials };
+  const queue = [];
+  const failures = {};
+  let passthrough = globalThis.fetch;
+
+  const context = {
+    credentials,
+    checkoutUrl: (provider, id) => `${webhookUrl}/emulator/checkout/${provider}/${id}`,
+    queueWebhook: (provider, payload) => queue.push({ provider, payload }),
+  };
+
+  const providers = {
+    paddle: createPaddleEmulator(context),
+    paypal: createPayPalEmulator(context),
+    stripe: createStripeEmulator(context),
+  };
+
+  const emulator = {
+    credentials,
+    providers,
+
+    /**
+     * Environment variables that point the adapters at the emulator
+     */
+    env: {
+      ...credentials,
+      PADDLE_API_BASE_URL: `${EMULATOR_BASE_URL}/paddle`,
+      PAYPAL_API_BASE_URL: `${EMULATOR_BASE_URL}/paypal`,
+      STRIPE_API_BASE_URL: `${EMULATOR_BASE_URL}/stripe`,
+    },
+
+    /**
+     * Webhooks waiting to be delivered
+     */
+    get pendingWebhooks() {
+      return queue.map(({ provider, payload }) => ({ provider, payload }));
+    },
+
+    /**
+     * fetch replacement: emulator URLs are answered locally, anything else passes through
+     * @param {RequestInfo} input - URL or Request
+     * @param {RequestInit} [init] - Request options
+     * @returns {Promise<Response>}
+     */
+    async fetch(input, init) {
+      const request = new Request(input, init);
+
+      if (!request.url.startsWith(`${EMULATOR_BASE_URL}/`)) {
+        return passthrough(input, init);
+      }
+
+      const [, provider, ...rest] = new URL(request.url).pathname.split('/');
+      const emulated = providers[provider];
+
+      if (!emulated) {
+        return jsonResponse({ error: `Unknown emulated provider: ${provider}` }, 404);
+      }
+
+      const failure = failures[provider];
+      if (failure?.times > 0) {
+        failure.times -= 1;
+        return jsonResponse({ error: 'Injected emulator failure' }, failure.status);
+      }
+
+      return emulated.handle(request, `/${rest.join('/')}`);
+    },
+
+    /**
+     * Replace global fetch with the emulator
+     */
+    install() {
+      passthrough = globalThis.fetch;
+      globalThis.fetch = (input, init) => emulator.fetch(input, init);
+      return emulator;
+    },
+
+    /**
+     * Restore the fetch that was active when install() was called
+     */
+    restore() {
+      globalThis.fetch = passthrough;
+    },
+
+    /**
+     * Make the next API calls to a provider fail (e.g. to exercise failover)
+     * @param {string} provider - Provider name
+     * @param {number} [status] - HTTP status to return (default: 503)
+     * @param {number} [times] - Number of calls to fail (default: 1)
+     */
+    failNext(provider, status = 503, times = 1) {
+      failures[provider] = { status, times };
+    },
+
+    /**
+     * Queue a signed webhook with an arbitrary payload
+     * @param {string} provider - Provider name
+     * @param {string} eventType - Provider event type
+     * @param {object} object - Event resource
+     */
+    emit(provider, eventType, object) {
+      providers[provider].emit(eventType, object);
+    },
+
+    /**
+     * Deliver queued webhooks to /api/webhook/:provider
+     * @param {function(Request): Promise<Response>} [deliver] - Transport for this flush
+     * @returns {Promise<Array<{provider: string, eventType: string, status: number}>>}
+     */
+    async deliverWebhooks(deliver = options.deliver) {
+      const send = deliver || ((request) => passthrough(request));
+      const results = [];
+
+      for (let round = 0; queue.length > 0 && round < MAX_DELIVERY_ROUNDS; round++) {
+        for (const { provider, payload } of queue.splice(0)) {
+          const body = JSON.stringify(payload);
+          const headers = await providers[provider].signWebhook(body, payload);
+          const response = await send(
+            new Request(`${webhookUrl}/api/webhook/${provider}`, {
+              method: 'POST',
+              headers: { 'Content-Type': 'application/json', ...headers },
+              body,
+            })
+          );
+
+          results.push({
+            provider,
+            eventType: payload.event_type || payload.type,
+            status: response.status,
+          });
+        }
+      }
+
+      return results;
+    },
+
+    /**
+     * Handle the emulator's development routes
+     * - `GET /emulator/checkout/:provider/:id`: hosted checkout; pays and redirects to the return URL
+     * - `POST /emulator/:provider/:id/:action`: run a buyer action (complete, fail, expire)
+     * @param {Request} request - Incoming request
+     * @returns {Promise<Response>}
+     */
+    async handleControl(request) {
+      const [, , first, second, third] = new URL(request.url).pathname.split('/');
+
+      try {
+        if (first === 'checkout' && providers[second] && request.method === 'GET') {
+          const object = providers[second].complete(third);
+          const returnUrl = providers[second].returnUrl(object);
+          return returnUrl ? Response.redirect(returnUrl, 303) : jsonResponse(object);
+        }
+
+        if (providers[first] && BUYER_ACTIONS.includes(third) && request.method === 'POST') {
+          return jsonResponse(providers[first][third](second));
+        }
+
+        return jsonResponse({ error: 'Not found' }, 404);
+      } catch (error) {
+        return jsonResponse({ error: error.message }, 400);
+      }
+    },
+  };
+
+  return emulator;
+}
+
+let localEmulator = null;
+
+/**
+ * Get the emulator used by `wrangler dev` when PROVIDER_EMULATOR is enabled
+ * It is created once per isolate, signs with the Worker's own secrets and is
+ * installed as the global fetch.
+ * @param {object} env - Environment variables
+ * @param {string} origin - Worker origin for hosted checkout links
+ * @returns {object} Emulator
+ */
+export function getLocalEmulator(env, origin) {
+  if (!localEmulator) {
+    const credentials = Object.fromEntries(
+      Object.keys(DEFAULT_CREDENTIALS)
+        .filter((name) => env[name])
+        .map((name) => [name, env[name]])
+    );
+    localEmulator = createProviderEmulator({ credentials, webhookUrl: origin }).install();
+  }
+  return localEmulator;
+}
@@ -0,0 +1,506 @@
+/**
+ * Paddle Billing API emulator
+ * Covers the transactions, adjustments, discounts, customers and subscriptions endpoints used by
+ * PaddleAdapter.
+ */
+
+import { createHmacSignature } from '../utils/webhook.js';
+import { buildOrder } from '../utils/lineItems.js';
+import {
+  jsonResponse,
+  generateId,
+  prorate,
+  CATALOG_UNIT_AMOUNT,
+  BILLING_PERIOD_MS,
+} from './helpers.js';
+
+/**
+ * Paddle-style error response
+ */
+function paddleError(status, code, detail) {
+  return jsonResponse({ error: { type: 'request_error', code, detail } }, status);
+}
+
+/**
+ * Create the Paddle emulator
+ * @param {object} context - Shared emulator context
+ * @returns {object}
+ */
+export function createPaddleEmulator(context) {
+  const transactions = new Map();
+  const adjustments = new Map();
+  const discounts = new Map();
+  const subscriptions = new Map();
+  const customers = new Map();
+  const paymentMethods = new Map();
+  const returnUrls = new Map();
+  const refundedAmounts = new Map();
+
+  function emit(eventType, data) {
+    context.queueWebhook('paddle', {
+      event_id: generateId('evt_'),
+      event_type: eventType,
+      occurred_at: new Date().toISOString(),
+      notification_id: generateId('ntf_'),
+      data: structuredClone(data),
+    });
+  }
+
+  function getTransaction(id) {
+    const transaction = transactions.get(id);
+    if (!transaction) {
+      throw new Error(`Unknown Paddle transaction: ${id}`);
+    }
+    return transaction;
+  }
+
+  function createDiscount(body) {
+    if ([...discounts.values()].some((discount) => discount.code === body.code)) {
+      return paddleError(
+        409,
+        'discount_code_conflict',
+        `Discount code ${body.code} already exists`
+      );
+    }
+
+    const discount = {
+      id: generateId('dsc_'),
+      status: 'active',
+      ...body,
+      created_at: new Date().toISOString(),
+    };
+    discounts.set(discount.id, discount);
+    return jsonResponse({ data: discount }, 201);
+  }
+
+  /**
+   * Price a transaction's items and discount
+   * Tax is left at zero: real Paddle calculates it from the buyer's location.
+   */
+  function createTransaction(body) {
+    const id = generateId('txn_');
+    const currency = body.items?.find((item) => item.price)?.price.unit_price.currency_code;
+    const applied = body.discount_id && discounts.get(body.discount_id);
+    const discount = applied && {
+      [applied.type === 'percentage' ? 'percent' : 'amount']: Number(applied.amount),
+    };
+    const order = buildOrder(
+      {
+        items: (body.items || []).map((item) => ({
+          unitAmount: item.price ? parseInt(item.price.unit_price.amount) : CATALOG_UNIT_AMOUNT,
+          quantity: item.quantity || 1,
+        })),
+        discount,
+      },
+      currency || 'USD',
+      'paddle'
+    );
+
+    const lineItems = order.items.map((item, index) => ({
+      id: generateId('txnitm_'),
+      price_id: body.items[index].price_id || null,
+      quantity: item.quantity,
+      totals: {
+        subtotal: String(item.amount),
+        discount: String(item.discount),
+        tax: '0',
+        total: String(item.total),
+      },
+    }));
+    const total = String(order.totals.total);
+
+    const transaction = {
+      id,
+      status: 'ready',
+      origin: 'api',
+      currency_code: currency || 'USD',
+      custom_data: body.custom_data || null,
+      customer_id: body.customer_id || generateId('ctm_'),
+      subscription_id: null,
+      invoice_id: null,
+      discount_id: body.discount_id || null,
+      details: {
+        totals: {
+          subtotal: String(order.totals.subtotal),
+          discount: String(order.totals.discount),
+          tax: '0',
+          total,
+          grand_total: total,
+        },
+        line_items: lineItems,
+      },
+      checkout: { url: context.checkoutUrl('paddle', id) },
+      created_at: new Date().toISOString(),
+    };
+
+    transactions.set(id, transaction);
+    returnUrls.set(id, body.return_url);
+    return transaction;
+  }
+
+  function createAdjustment(body) {
+    const transaction = transactions.get(body.transaction_id);
+    if (!transaction) {
+      return paddleError(404, 'not_found', `Transaction ${body.transaction_id} not found`);
+    }
+    if (transaction.status !== 'completed') {
+      return paddleError(400, 'transaction_not_completed', 'Transaction is not completed');
+    }
+
+    const refunded = refundedAmounts.get(transaction.id) || 0;
+    const amount =
+      body.type === 'partial'
+        ? (body.items || []).reduce((sum, item) => sum + parseInt(item.amount), 0)
+        : parseInt(transaction.details.totals.grand_total) - refunded;
+
+    if (amount <= 0 || refunded + amount > parseInt(transaction.details.totals.grand_total)) {
+      return paddleError(400, 'adjustment_amount_above_remaining', 'Refund exceeds the total');
+    }
+
+    refundedAmounts.set(transaction.id, refunded + amount);
+
+    const adjustment = {
+      id: generateId('adj_'),
+      action: body.action,
+      type: body.type,
+      transaction_id: transaction.id,
+      subscription_id: transaction.subscription_id,
+      customer_id: transaction.customer_id,
+      reason: body.reason,
+      status: 'approved',
+      currency_code: transaction.currency_code,
+      items: body.items || [],
+      totals: { subtotal: String(amount), tax: '0', total: String(amount) },
+      created_at: new Date().toISOString(),
+    };
+
+    adjustments.set(adjustment.id, adjustment);
+    emit('adjustment.created', adjustment);
+    return jsonResponse({ data: adjustment }, 201);
+  }
+
+  /**
+   * Create a customer; emails are unique, as in Paddle
+   */
+  function createCustomer(body) {
+    const email = body.email?.toLowerCase();
+    if ([...customers.values()].some((customer) => customer.email === email)) {
+      return paddleError(
+        409,
+        'customer_already_exists',
+        'customer email conflicts with a customer'
+      );
+    }
+
+    const customer = {
+      id: generateId('ctm_'),
+      email,
+      custom_data: body.custom_data || null,
+      created_at: new Date().toISOString(),
+    };
+
+    customers.set(customer.id, customer);
+    return jsonResponse({ data: customer }, 201);
+  }
+
+  function customerPaymentMethods(customerId) {
+    return [...paymentMethods.values()].filter((method) => method.customer_id === customerId);
+  }
+
+  function deletePaymentMethod(customerId, id) {
+    const paymentMethod = paymentMethods.get(id);
+    if (paymentMethod?.customer_id !== customerId) {
+      return paddleError(404, 'not_found', `Payment method ${id} not found`);
+    }
+
+    paymentMethods.delete(id);
+    return jsonResponse(null, 204);
+  }
+
+  function subscriptionItems(items) {
+    return (items || []).map((item) => ({
+      price: {
+        id: item.price_id,
+        unit_price: { amount: String(CATALOG_UNIT_AMOUNT), currency_code: 'USD' },
+      },
+      quantity: item.quantity || 1,
+    }));
+  }
+
+  function recurringTotal(items) {
+    return items.reduce(
+      (sum, item) => sum + parseInt(item.price.unit_price.amount) * item.quantity,
+      0
+    );
+  }
+
+  function createSubscription(body) {
+    const now = Date.now();
+    const periodEnd = new Date(now + BILLING_PERIOD_MS).toISOString();
+    const subscription = {
+      id: generateId('sub_'),
+      status: 'active',
+      customer_id: body.customer_id || generateId('ctm_'),
+      currency_code: 'USD',
+      custom_data: body.custom_data || null,
+      items: subscriptionItems(body.items),
+      current_billing_period: { starts_at: new Date(now).toISOString(), ends_at: periodEnd },
+      next_billed_at: periodEnd,
+      scheduled_change: null,
+      created_at: new Date(now).toISOString(),
+    };
+
+    subscriptions.set(subscription.id, subscription);
+    emit('subscription.created', subscription);
+    return jsonResponse({ data: subscription }, 201);
+  }
+
+  /**
+   * Emit a subscription change; only active subscriptions without a
+   * scheduled cancellation have a next billing date
+   */
+  function emitChange(eventType, subscription) {
+    const billing =
+      subscription.status === 'active' && subscription.scheduled_change?.action !== 'cancel';
+    subscription.next_billed_at = billing ? subscription.current_billing_period.ends_at : null;
+    emit(eventType, subscription);
+  }
+
+  function cancelSubscription(id, body) {
+    const subscription = subscriptions.get(id);
+    if (!subscription) {
+      return paddleError(404, 'not_found', `Subscription ${id} not found`);
+    }
+
+    if (body.effective_from === 'immediately') {
+      subscription.status = 'canceled';
+      subscription.scheduled_change = null;
+      emitChange('subscription.canceled', subscription);
+    } else {
+      subscription.scheduled_change = {
+        action: 'cancel',
+        effective_at: subscription.current_billing_period.ends_at,
+      };
+      emitChange('subscription.updated', subscription);
+    }
+
+    return jsonResponse({ data: subscription });
+  }
+
+  /**
+   * Price an item change the way Paddle's preview does
+   * Upgrades produce a charge and downgrades a credit, prorated over the rest
+   * of the billing period unless the mode is `do_not_bill`.
+   */
+  function previewChange(subscription, body) {
+    const items = subscriptionItems(body.items);
+    const recurring = recurringTotal(items);
+    const difference = recurring - recurringTotal(subscription.items);
+    const proration =
+      body.proration_billing_mode === 'do_not_bill'
+        ? 0
+        : prorate(difference, Date.parse(subscription.current_billing_period.ends_at));
+    const immediately = body.proration_billing_mode === 'prorated_immediately';
+    const totals = (total) => ({ details: { totals: { grand_total: String(total) } } });
+
+    return {
+      items,
+      preview: {
+        ...subscription,
+        items,
+        update_summary: {
+          result: {
+            action: proration < 0 ? 'credit' : 'charge',
+            amount: String(Math.abs(proration)),
+            currency_code: subscription.currency_code,
+          },
+        },
+        immediate_transaction: immediately ? totals(Math.max(0, proration)) : null,
+        next_transaction: totals(Math.max(0, recurring + (immediately ? 0 : proration))),
+        recurring_transaction_details: { totals: { grand_total: String(recurring) } },
+      },
+    };
+  }
+
+  function updateSubscription(id, body, previewOnly) {
+    const subscription = subscriptions.get(id);
+    if (!subscription) {
+      return paddleError(404, 'not_found', `Subscription ${id} not found`);
+    }
+    if (subscription.status === 'canceled') {
+      return paddleError(400, 'subscription_locked_canceled', `Subscription ${id} is canceled`);
+    }
+
+    if (body.items) {
+      const { items, preview } = previewChange(subscription, body);
+      if (previewOnly) {
+        return jsonResponse({ data: preview });
+      }
+      subscription.items = items;
+    }
+    if ('scheduled_change' in body) {
+      subscription.scheduled_change = body.scheduled_change;
+    }
+
+    emitChange('subscription.updated', subscription);
+    return jsonResponse({ data: subscription });
+  }
+
+  function pauseSubscription(id, body) {
+    const subscription = subscriptions.get(id);
+    if (!subscription) {
+      return paddleError(404, 'not_found', `Subscription ${id} not found`);
+    }
+    if (subscription.status !== 'active') {
+      return paddleError(400, 'subscription_not_active', `Subscription ${id} is not active`);
+    }
+
+    subscription.status = 'paused';
+    subscription.scheduled_change = body.resume_at
+      ? { action: 'resume', effective_at: body.resume_at }
+      : null;
+    emitChange('subscription.paused', subscription);
+    return jsonResponse({ data: subscription });
+  }
+
+  function resumeSubscription(id) {
+    const subscription = subscriptions.get(id);
+    if (!subscription) {
+      return paddleError(404, 'not_found', `Subscription ${id} not found`);
+    }
+    if (subscription.status !== 'paused') {
+      return paddleError(400, 'subscription_not_paused', `Subscription ${id} is not paused`);
+    }
+
+    subscription.status = 'active';
+    subscription.scheduled_change = null;
+    emitChange('subscription.resumed', subscription);
+    return jsonResponse({ data: subscription });
+  }
+
+  /**
+   * Act on an open transaction the way the buyer would
+   * A failed payment leaves the transaction open so the buyer can retry. Buyers
+   * paying as a known customer save their card.
+   */
+  function settle(id, status, eventType) {
+    const transaction = getTransaction(id);
+    if (transaction.status !== 'ready') {
+      throw new Error(`Paddle transaction ${id} is already ${transaction.status}`);
+    }
+    transaction.status = status;
+    if (status === 'completed' && customers.has(transaction.customer_id)) {
+      const paymentMethod = {
+        id: generateId('paymtd_'),
+        customer_id: transaction.customer_id,
+        type: 'card',
+        card: {
+          type: 'visa',
+          last4: '4242',
+          expiry_month: 12,
+          expiry_year: new Date().getFullYear() + 3,
+        },
+        saved_at: new Date().toISOString(),
+      };
+      paymentMethods.set(paymentMethod.id, paymentMethod);
+    }
+    emit(eventType, transaction);
+    return transaction;
+  }
+
+  return {
+    transactions,
+    adjustments,
+    discounts,
+    subscriptions,
+    customers,
+    paymentMethods,
+    emit,
+
+    async handle(request, path) {
+      if (!request.headers.get('Authorization')?.startsWith('Bearer ')) {
+        return paddleError(401, 'authentication_missing', 'Missing API key');
+      }
+
+      const [, resource, id, action, actionId] = path.split('/');
+      const body = ['POST', 'PATCH'].includes(request.method) ? await request.json() : null;
+
+      if (resource === 'customers' && !id && request.method === 'POST') {
+        return createCustomer(body);
+      }
+      if (resource === 'customers' && !id && request.method === 'GET') {
+        const email = new URL(request.url).searchParams.get('email')?.toLowerCase();
+        const data = [...customers.values()].filter((customer) => customer.email === email);
+        return jsonResponse({ data });
+      }
+      if (resource === 'customers' && action === 'payment-methods' && request.method === 'GET') {
+        return jsonResponse({ data: customerPaymentMethods(id) });
+      }
+      if (resource === 'customers' && action === 'payment-methods' && request.method === 'DELETE') {
+        return deletePaymentMethod(id, actionId);
+      }
+
+      if (resource === 'discounts' && !id && request.method === 'POST') {
+        return createDiscount(body);
+      }
+      if (resource === 'discounts' && !id && request.method === 'GET') {
+        const code = new URL(request.url).searchParams.get('code');
+        const data = [...discounts.values()].filter((discount) => !code || discount.code === code);
+        return jsonResponse({ data });
+      }
+
+      if (resource === 'transactions' && !id && request.method === 'POST') {
+        if (body.discount_id && !discounts.has(body.discount_id)) {
+          return paddleError(404, 'not_found', `Discount ${body.discount_id} not found`);
+        }
+        return jsonResponse({ data: createTransaction(body) }, 201);
+      }
+      if (resource === 'transactions' && id && request.method === 'GET') {
+        const transaction = transactions.get(id);
+        return transaction
+          ? jsonResponse({ data: transaction })
+          : paddleError(404, 'not_found', `Transaction ${id} not found`);
+      }
+      if (resource === 'adjustments' && request.method === 'POST') {
+        return createAdjustment(body);
+      }
+      if (resource === 'subscriptions' && !id && request.method === 'POST') {
+        return createSubscription(body);
+      }
+      if (resource === 'subscriptions' && id && !action && request.method === 'GET') {
+        const subscription = subscriptions.get(id);
+        return subscription
+          ? jsonResponse({ data: subscription })
+          : paddleError(404, 'not_found', `Subscription ${id} not found`);
+      }
+      if (resource === 'subscriptions' && id && request.method === 'PATCH') {
+        return updateSubscription(id, body, action === 'preview');
+      }
+      if (resource === 'subscriptions' && action === 'cancel' && request.method === 'POST') {
+        return cancelSubscription(id, body);
+      }
+      if (resource === 'subscriptions' && action === 'pause' && request.method === 'POST') {
+        return pauseSubscription(id, body);
+      }
+      if (resource === 'subscriptions' && action === 'resume' && request.method === 'POST') {
+        return resumeSubscription(id);
+      }
+
+      return paddleError(404, 'not_found', `No emulated route for ${request.method} ${path}`);
+    },
+
+    async signWebhook(body) {
+      const ts = Math.floor(Date.now() / 1000);
+      const h1 = await createHmacSignature(
+        `${ts}:${body}`,
+        context.credentials.PADDLE_WEBHOOK_SECRET
+      );
+      return { 'paddle-signature': `ts=${ts};h1=${h1}` };
+    },
+
+    complete: (id) => settle(id, 'completed', 'transaction.completed'),
+    fail: (id) => settle(id, 'ready', 'transaction.payment_failed'),
+    expire: (id) => settle(id, 'canceled', 'transaction.canceled'),
+    returnUrl: (transaction) => returnUrls.get(transaction?.id),
+  };
+}
@@ -0,0 +1,468 @@
+/**
+ * PayPal REST API emulator
+ * Covers OAuth, Orders v2, captures, refunds, vault payment tokens,
+ * subscriptions and webhook signature verification as used by PayPalAdapter. Webhooks are "signed" with
+ * a transmission signature the verification endpoint recognizes, just as
+ * PayPal only confirms signatures for transmissions it sent.
+ */
+
+import { toMajorUnits, toMinorUnits } from '../utils/money.js';
+import { jsonResponse, generateId, BILLING_PERIOD_MS } from './helpers.js';
+
+/**
+ * PayPal-style error response
+ */
+function paypalError(status, name, issue, message = issue) {
+  return jsonResponse({ name, message, details: [{ issue }] }, status);
+}
+
+/**
+ * PayPal-style uppercase identifier (e.g. 5O190127TN364715T)
+ */
+function paypalId(prefix = '') {
+  return generateId(prefix, 17).toUpperCase();
+}
+
+/**
+ * Create the PayPal emulator
+ * @param {object} context - Shared emulator context
+ * @returns {object}
+ */
+export function createPayPalEmulator(context) {
+  const tokens = new Set();
+  const orders = new Map();
+  const captures = new Map();
+  const subscriptions = new Map();
+  const revisions = new Map();
+  const paymentTokens = new Map();
+  const transmissions = new Map();
+  const returnUrls = new Map();
+  const refundedAmounts = new Map();
+  // PayPal-Request-Id -> stored response, so retried requests return the original result
+  const requestIds = new Map();
+
+  function emit(eventType, resource) {
+    context.queueWebhook('paypal', {
+      id: paypalId('WH-'),
+      event_type: eventType,
+      create_time: new Date().toISOString(),
+      resource_type: eventType.split('.')[0].toLowerCase(),
+      resource: structuredClone(resource),
+    });
+  }
+
+  function getOrder(id) {
+    const order = orders.get(id);
+    if (!order) {
+      throw new Error(`Unknown PayPal order: ${id}`);
+    }
+    return order;
+  }
+
+  /**
+   * Check a purchase unit's items against its amount breakdown, as PayPal does
+   * @returns {string|null} PayPal issue code
+   */
+  function breakdownIssue(unit) {
+    const { currency_code: currency, value, breakdown } = unit.amount;
+    const minor = (money) => (money ? toMinorUnits(money.value, currency) : 0);
+
+    if (unit.items?.length && !breakdown?.item_total) {
+      return 'ITEM_TOTAL_REQUIRED';
+    }
+    if (!breakdown) {
+      return null;
+    }
+
+    const itemTotal = (unit.items || []).reduce(
+      (sum, item) => sum + minor(item.unit_amount) * parseInt(item.quantity),
+      0
+    );
+    if (unit.items?.length && itemTotal !== minor(breakdown.item_total)) {
+      return 'ITEM_TOTAL_MISMATCH';
+    }
+
+    const expected =
+      minor(breakdown.item_total) + minor(breakdown.tax_total) - minor(breakdown.discount);
+    return expected === toMinorUnits(value, currency) ? null : 'AMOUNT_MISMATCH';
+  }
+
+  function createOrder(body) {
+    const issue = (body.purchase_units || []).map(breakdownIssue).find(Boolean);
+    if (issue) {
+      return paypalError(422, 'UNPROCESSABLE_ENTITY', issue);
+    }
+
+    const id = paypalId();
+    const order = {
+      id,
+      intent: body.intent,
+      status: 'CREATED',
+      purchase_units: (body.purchase_units || []).map((unit) => ({ ...unit, payments: {} })),
+      attributes: body.payment_source?.paypal?.attributes || null,
+      links: [
+        { rel: 'self', href: `/v2/checkout/orders/${id}`, method: 'GET' },
+        { rel: 'approve', href: context.checkoutUrl('paypal', id), method: 'GET' },
+      ],
+      create_time: new Date().toISOString(),
+    };
+
+    orders.set(id, order);
+    returnUrls.set(id, body.application_context?.return_url);
+    return jsonResponse(order, 201);
+  }
+
+  function captureOrder(id) {
+    const order = orders.get(id);
+    if (!order) {
+      return paypalError(404, 'RESOURCE_NOT_FOUND', 'INVALID_RESOURCE_ID');
+    }
+    if (order.status === 'COMPLETED') {
+      return paypalError(422, 'UNPROCESSABLE_ENTITY', 'ORDER_ALREADY_CAPTURED');
+    }
+    if (order.status !== 'APPROVED') {
+      return paypalError(422, 'UNPROCESSABLE_ENTITY', 'ORDER_NOT_APPROVED');
+    }
+
+    const unit = order.purchase_units[0];
+    const capture = {
+      id: paypalId(),
+      status: 'COMPLETED',
+      amount: { currency_code: unit.amount.currency_code, value: unit.amount.value },
+      custom_id: unit.custom_id,
+      supplementary_data: { related_ids: { order_id: id } },
+      create_time: new Date().toISOString(),
+    };
+
+    captures.set(capture.id, capture);
+    unit.payments = { captures: [capture] };
+    order.status = 'COMPLETED';
+    if (order.attributes?.vault?.store_in_vault === 'ON_SUCCESS') {
+      order.payment_source = { paypal: { attributes: { vault: vaultWallet(order) } } };
+    }
+    emit('PAYMENT.CAPTURE.COMPLETED', capture);
+    return jsonResponse(order, 201);
+  }
+
+  /**
+   * Vault the buyer's wallet after a successful capture
+   * The token belongs to the order's customer, or to a new vault customer.
+   */
+  function vaultWallet(order) {
+    const token = {
+      id: generateId('', 7),
+      customer: { id: order.attributes.customer?.id || generateId('', 10) },
+      payment_source: { paypal: { email_address: 'buyer@example.com' } },
+    };
+
+    paymentTokens.set(token.id, token);
+    return { id: token.id, status: 'VAULTED', customer: token.customer };
+  }
+
+  function refundCapture(id, body) {
+    const capture = captures.get(id);
+    if (!capture) {
+      return paypalError(404, 'RESOURCE_NOT_FOUND', 'INVALID_RESOURCE_ID');
+    }
+
+    const { currency_code: currency } = capture.amount;
+    const captured = toMinorUnits(capture.amount.value, currency);
+    const refunded = refundedAmounts.get(id) || 0;
+    const amount = body.amount ? toMinorUnits(body.amount.value, currency) : captured - refunded;
+
+    if (amount <= 0 || refunded + amount > captured) {
+      return paypalError(422, 'UNPROCESSABLE_ENTITY', 'REFUND_AMOUNT_EXCEEDED');
+    }
+
+    const refund = {
+      id: paypalId(),
+      status: 'COMPLETED',
+      amount: { currency_code: currency, value: toMajorUnits(amount, currency) },
+      note_to_payer: body.note_to_payer,
+      custom_id: capture.custom_id,
+      supplementary_data: capture.supplementary_data,
+      create_time: new Date().toISOString(),
+    };
+
+    refundedAmounts.set(id, refunded + amount);
+    capture.status = refunded + amount === captured ? 'REFUNDED' : 'PARTIALLY_REFUNDED';
+    emit('PAYMENT.CAPTURE.REFUNDED', refund);
+    return jsonResponse(refund, 201);
+  }
+
+  function createSubscription(body) {
+    const id = paypalId('I-');
+    const subscription = {
+      id,
+      plan_id: body.plan_id,
+      quantity: body.quantity || '1',
+      status: 'APPROVAL_PENDING',
+      custom_id: body.custom_id,
+      subscriber: body.subscriber,
+      links: [{ rel: 'approve', href: context.checkoutUrl('paypal', id), method: 'GET' }],
+      create_time: new Date().toISOString(),
+    };
+
+    subscriptions.set(id, subscription);
+    returnUrls.set(id, body.application_context?.return_url);
+    emit('BILLING.SUBSCRIPTION.CREATED', subscription);
+    return jsonResponse(subscription, 201);
+  }
+
+  function cancelSubscription(id) {
+    const subscription = subscriptions.get(id);
+    if (!subscription) {
+      return paypalError(404, 'RESOURCE_NOT_FOUND', 'INVALID_RESOURCE_ID');
+    }
+    if (subscription.status === 'CANCELLED') {
+      return paypalError(422, 'UNPROCESSABLE_ENTITY', 'SUBSCRIPTION_STATUS_INVALID');
+    }
+
+    subscription.status = 'CANCELLED';
+    emit('BILLING.SUBSCRIPTION.CANCELLED', subscription);
+    return jsonResponse(null, 204);
+  }
+
+  /**
+   * Suspend an active subscription or reactivate a suspended one
+   */
+  function setSubscriptionStatus(id, from, to, eventType) {
+    const subscription = subscriptions.get(id);
+    if (!subscription) {
+      return paypalError(404, 'RESOURCE_NOT_FOUND', 'INVALID_RESOURCE_ID');
+    }
+    if (subscription.status !== from) {
+      return paypalError(422, 'UNPROCESSABLE_ENTITY', 'SUBSCRIPTION_STATUS_INVALID');
+    }
+
+    subscription.status = to;
+    emit(eventType, subscription);
+    return jsonResponse(null, 204);
+  }
+
+  /**
+   * Revise the plan or quantity
+   * The change waits for the subscriber to approve it (see `complete`).
+   */
+  function reviseSubscription(id, body) {
+    const subscription = subscriptions.get(id);
+    if (!subscription) {
+      return paypalError(404, 'RESOURCE_NOT_FOUND', 'INVALID_RESOURCE_ID');
+    }
+    if (subscription.status !== 'ACTIVE') {
+      return paypalError(422, 'UNPROCESSABLE_ENTITY', 'SUBSCRIPTION_STATUS_INVALID');
+    }
+
+    const revision = {
+      plan_id: body.plan_id || subscription.plan_id,
+      quantity: body.quantity || subscription.quantity,
+    };
+    revisions.set(id, revision);
+
+    return jsonResponse({
+      ...revision,
+      plan_overridden: false,
+      links: [{ rel: 'approve', href: context.checkoutUrl('paypal', id), method: 'GET' }],
+    });
+  }
+
+  function verifySignature(body) {
+    const transmission = transmissions.get(body.transmission_id);
+    const verified =
+      !!transmission &&
+      transmission.signature === body.transmission_sig &&
+      transmission.eventId === body.webhook_event?.id &&
+      body.webhook_id === context.credentials.PAYPAL_WEBHOOK_ID;
+
+    return jsonResponse({ verification_status: verified ? 'SUCCESS' : 'FAILURE' });
+  }
+
+  /**
+   * Route an authenticated API request
+   */
+  function route(method, path, body, query) {
+    const parts = path.split('/');
+
+    if (method === 'POST' && path === '/v2/checkout/orders') {
+      return createOrder(body);
+    }
+    if (method === 'GET' && path.startsWith('/v2/checkout/orders/')) {
+      const order = orders.get(parts[4]);
+      return order
+        ? jsonResponse(order)
+        : paypalError(404, 'RESOURCE_NOT_FOUND', 'INVALID_RESOURCE_ID');
+    }
+    if (method === 'POST' && path.startsWith('/v2/checkout/orders/') && parts[5] === 'capture') {
+      return captureOrder(parts[4]);
+    }
+    if (method === 'POST' && path.startsWith('/v2/payments/captures/') && parts[5] === 'refund') {
+      return refundCapture(parts[4], body);
+    }
+    if (method === 'POST' && path === '/v1/billing/subscriptions') {
+      return createSubscription(body);
+    }
+    if (method === 'GET' && path.startsWith('/v1/billing/subscriptions/')) {
+      const subscription = subscriptions.get(parts[4]);
+      return subscription
+        ? jsonResponse(subscription)
+        : paypalError(404, 'RESOURCE_NOT_FOUND', 'INVALID_RESOURCE_ID');
+    }
+    if (method === 'POST' && path.startsWith('/v1/billing/subscriptions/')) {
+      switch (parts[5]) {
+        case 'cancel':
+          return cancelSubscription(parts[4]);
+        case 'suspend':
+          return setSubscriptionStatus(
+            parts[4],
+            'ACTIVE',
+            'SUSPENDED',
+            'BILLING.SUBSCRIPTION.SUSPENDED'
+          );
+        case 'activate':
+          return setSubscriptionStatus(
+            parts[4],
+            'SUSPENDED',
+            'ACTIVE',
+            'BILLING.SUBSCRIPTION.RE-ACTIVATED'
+          );
+        case 'revise':
+          return reviseSubscription(parts[4], body);
+      }
+    }
+    if (method === 'GET' && path === '/v3/vault/payment-tokens') {
+      const customerId = query.get('customer_id');
+      return jsonResponse({
+        customer: { id: customerId },
+        payment_tokens: [...paymentTokens.values()].filter(
+          (token) => token.customer.id === customerId
+        ),
+      });
+    }
+    if (method === 'DELETE' && path.startsWith('/v3/vault/payment-tokens/')) {
+      return paymentTokens.delete(parts[4])
+        ? jsonResponse(null, 204)
+        : paypalError(404, 'RESOURCE_NOT_FOUND', 'INVALID_RESOURCE_ID');
+    }
+    if (method === 'POST' && path === '/v1/notifications/verify-webhook-signature') {
+      return verifySignature(body);
+    }
+
+    return paypalError(
+      404,
+      'RESOURCE_NOT_FOUND',
+      'INVALID_RESOURCE_ID',
+      `No emulated route for ${method} ${path}`
+    );
+  }
+
+  /**
+   * Approve an order, a subscription or a subscription revision the way the buyer would
+   */
+  function complete(id) {
+    const subscription = subscriptions.get(id);
+    if (subscription && revisions.has(id)) {
+      Object.assign(subscription, revisions.get(id));
+      revisions.delete(id);
+      emit('BILLING.SUBSCRIPTION.UPDATED', subscription);
+      return subscription;
+    }
+    if (subscription) {
+      subscription.status = 'ACTIVE';
+      subscription.billing_info = {
+        next_billing_time: new Date(Date.now() + BILLING_PERIOD_MS).toISOString(),
+      };
+      emit('BILLING.SUBSCRIPTION.ACTIVATED', subscription);
+      return subscription;
+    }
+
+    const order = getOrder(id);
+    if (order.status !== 'CREATED') {
+      throw new Error(`PayPal order ${id} is already ${order.status}`);
+    }
+    order.status = 'APPROVED';
+    emit('CHECKOUT.ORDER.APPROVED', order);
+    return order;
+  }
+
+  /**
+   * Decline the buyer's payment for an approved order
+   */
+  function fail(id) {
+    const order = getOrder(id);
+    const unit = order.purchase_units[0];
+    const capture = {
+      id: paypalId(),
+      status: 'DECLINED',
+      amount: { currency_code: unit.amount.currency_code, value: unit.amount.value },
+      custom_id: unit.custom_id,
+      supplementary_data: { related_ids: { order_id: id } },
+    };
+
+    emit('PAYMENT.CAPTURE.DENIED', capture);
+    return order;
+  }
+
+  return {
+    orders,
+    captures,
+    subscriptions,
+    paymentTokens,
+    emit,
+
+    async handle(request, path) {
+      const authorization = request.headers.get('Authorization') || '';
+
+      if (path === '/v1/oauth2/token') {
+        const { PAYPAL_CLIENT_ID: id, PAYPAL_CLIENT_SECRET: secret } = context.credentials;
+        if (authorization !== `Basic ${btoa(`${id}:${secret}`)}`) {
+          return jsonResponse({ error: 'invalid_client' }, 401);
+        }
+
+        const token = generateId('A21AA', 40);
+        tokens.add(token);
+        return jsonResponse({ access_token: token, token_type: 'Bearer', expires_in: 32400 });
+      }
+
+      if (!tokens.has(authorization.replace('Bearer ', ''))) {
+        return paypalError(401, 'AUTHENTICATION_FAILURE', 'INVALID_TOKEN');
+      }
+
+      const requestId = request.headers.get('PayPal-Request-Id');
+      const replayKey = requestId && `${request.method} ${path} ${requestId}`;
+      if (replayKey && requestIds.has(replayKey)) {
+        const { body, status } = requestIds.get(replayKey);
+        return jsonResponse(body, status);
+      }
+
+      const body = request.method === 'POST' ? await request.json() : null;
+      const response = route(request.method, path, body, new URL(request.url).searchParams);
+
+      if (replayKey && response.ok && response.status !== 204) {
+        requestIds.set(replayKey, { body: await response.clone().json(), status: response.status });
+      }
+
+      return response;
+    },
+
+    async signWebhook(body, payload) {
+      const transmissionId = crypto.randomUUID();
+      const signature = btoa(generateId('', 64));
+      transmissions.set(transmissionId, { signature, eventId: payload.id });
+
+      return {
+        'paypal-transmission-id': transmissionId,
+        'paypal-transmission-time': new Date().toISOString(),
+        'paypal-transmission-sig': signature,
+        'paypal-cert-url': 'https://api.paypal.com/v1/notifications/certs/CERT-EMULATOR',
+        'paypal-auth-algo': 'SHA256withRSA',
+      };
+    },
+
+    complete,
+    fail,
+    expire(id) {
+      throw new Error(`PayPal orders do not expire by webhook (order ${id})`);
+    },
+    returnUrl: (object) => returnUrls.get(object?.id),
+  };
+}
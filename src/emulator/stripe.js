@@ -0,0 +1,660 @@
+/**
+ * Stripe API emulator
+ * Covers Checkout Sessions, refunds, customers and their payment methods,
+ * subscriptions and invoice previews as used by StripeAdapter, including
+ * form-encoded bodies and Idempotency-Key replays.
+ */
+
+import { createHmacSignature } from '../utils/webhook.js';
+import { buildOrder } from '../utils/lineItems.js';
+import {
+  jsonResponse,
+  generateId,
+  prorate,
+  CATALOG_UNIT_AMOUNT,
+  BILLING_PERIOD_MS,
+} from './helpers.js';
+
+/**
+ * Stripe-style error response
+ */
+function stripeError(status, code, message) {
+  return jsonResponse({ error: { type: 'invalid_request_error', code, message } }, status);
+}
+
+/**
+ * Decode Stripe form encoding (e.g. `line_items[0][price_data][currency]=usd`)
+ * into nested objects; numeric keys become arrays.
+ * @param {string} body - Form-encoded body
+ * @returns {object}
+ */
+export function decodeForm(body) {
+  const result = {};
+
+  for (const [fullKey, value] of new URLSearchParams(body)) {
+    const keys = fullKey.split('[').map((key) => key.replace(/\]$/, ''));
+    let target = result;
+
+    keys.forEach((key, index) => {
+      if (index === keys.length - 1) {
+        target[key] = value;
+      } else {
+        target[key] ??= /^\d+$/.test(keys[index + 1]) ? [] : {};
+        target = target[key];
+      }
+    });
+  }
+
+  return result;
+}
+
+/**
+ * Create the Stripe emulator
+ * @param {object} context - Shared emulator context
+ * @returns {object}
+ */
+export function createStripeEmulator(context) {
+  const sessions = new Map();
+  const charges = new Map();
+  const customers = new Map();
+  const paymentMethods = new Map();
+  const subscriptions = new Map();
+  const invoices = new Map();
+  const coupons = new Map();
+  const taxRates = new Map();
+  // Idempotency-Key -> stored response
+  const idempotentResponses = new Map();
+
+  function emit(eventType, object) {
+    context.queueWebhook('stripe', {
+      id: generateId('evt_'),
+      object: 'event',
+      type: eventType,
+      created: Math.floor(Date.now() / 1000),
+      data: { object: structuredClone(object) },
+    });
+  }
+
+  /**
+   * Price a session's line items with their coupon and tax rate
+   * Every line shares the first line's tax rate, as StripeAdapter sends them.
+   */
+  function createSession(body) {
+    const lineItems = body.line_items || [];
+    const currency = lineItems.find((item) => item.price_data)?.price_data.currency || 'usd';
+    const coupon = coupons.get(body.discounts?.[0]?.coupon);
+    const taxRate = taxRates.get(lineItems[0]?.tax_rates?.[0]);
+
+    if (body.discounts && !coupon) {
+      return stripeError(400, 'resource_missing', 'No such coupon');
+    }
+    if (body.customer && !customers.has(body.customer)) {
+      return stripeError(400, 'resource_missing', `No such customer: '${body.customer}'`);
+    }
+
+    const order = buildOrder(
+      {
+        items: lineItems.map((item) => ({
+          unitAmount: item.price_data ? parseInt(item.price_data.unit_amount) : CATALOG_UNIT_AMOUNT,
+          quantity: parseInt(item.quantity || 1),
+        })),
+        discount:
+          coupon &&
+          (coupon.percent_off ? { percent: coupon.percent_off } : { amount: coupon.amount_off }),
+        tax: taxRate && { rate: taxRate.percentage, inclusive: taxRate.inclusive },
+      },
+      currency,
+      'stripe'
+    );
+
+    const session = {
+      id: generateId('cs_test_', 58),
+      object: 'checkout.session',
+      mode: body.mode,
+      status: 'open',
+      payment_status: 'unpaid',
+      amount_subtotal: order.totals.subtotal,
+      amount_total: order.totals.total,
+      total_details: {
+        amount_discount: order.totals.discount,
+        amount_tax: order.totals.tax,
+      },
+      currency,
+      customer: body.customer || null,
+      customer_email: body.customer_email || null,
+      setup_future_usage: body.payment_intent_data?.setup_future_usage || null,
+      client_reference_id: body.client_reference_id || null,
+      metadata: body.metadata || {},
+      payment_intent: null,
+      success_url: body.success_url || null,
+      cancel_url: body.cancel_url || null,
+      created: Math.floor(Date.now() / 1000),
+    };
+
+    session.url = context.checkoutUrl('stripe', session.id);
+    sessions.set(session.id, session);
+    return jsonResponse(session);
+  }
+
+  function createRefund(body) {
+    const charge = charges.get(body.payment_intent);
+    if (!charge) {
+      return stripeError(
+        400,
+        'resource_missing',
+        `No such payment_intent: '${body.payment_intent}'`
+      );
+    }
+
+    const remaining = charge.amount - charge.amount_refunded;
+    const amount = body.amount ? parseInt(body.amount) : remaining;
+
+    if (remaining === 0) {
+      return stripeError(
+        400,
+        'charge_already_refunded',
+        `Charge ${charge.id} has already been refunded.`
+      );
+    }
+    if (amount > remaining) {
+      return stripeError(
+        400,
+        'amount_too_large',
+        'Refund amount is greater than the unrefunded amount.'
+      );
+    }
+
+    const refund = {
+      id: generateId('re_'),
+      object: 'refund',
+      amount,
+      charge: charge.id,
+      payment_intent: charge.payment_intent,
+      currency: charge.currency,
+      metadata: body.metadata || {},
+      status: 'succeeded',
+      created: Math.floor(Date.now() / 1000),
+    };
+
+    charge.amount_refunded += amount;
+    charge.refunded = charge.amount_refunded === charge.amount;
+    charge.refunds.data.unshift(refund);
+    emit('charge.refunded', charge);
+    return jsonResponse(refund);
+  }
+
+  function createCoupon(body) {
+    if (body.id && coupons.has(body.id)) {
+      return stripeError(400, 'resource_already_exists', 'Coupon already exists.');
+    }
+
+    const coupon = {
+      id: body.id || generateId('', 8),
+      object: 'coupon',
+      amount_off: body.amount_off ? parseInt(body.amount_off) : null,
+      percent_off: body.percent_off ? parseFloat(body.percent_off) : null,
+      currency: body.currency || null,
+      duration: body.duration,
+      name: body.name || null,
+    };
+
+    coupons.set(coupon.id, coupon);
+    return jsonResponse(coupon);
+  }
+
+  function createTaxRate(body) {
+    const taxRate = {
+      id: generateId('txr_'),
+      object: 'tax_rate',
+      display_name: body.display_name,
+      percentage: parseFloat(body.percentage),
+      inclusive: body.inclusive === 'true',
+      active: true,
+      metadata: body.metadata || {},
+    };
+
+    taxRates.set(taxRate.id, taxRate);
+    return jsonResponse(taxRate);
+  }
+
+  function createCustomer(body) {
+    const customer = {
+      id: generateId('cus_', 14),
+      object: 'customer',
+      email: body.email || null,
+      metadata: body.metadata || {},
+    };
+
+    customers.set(customer.id, customer);
+    return jsonResponse(customer);
+  }
+
+  /**
+   * Attach the test card the buyer paid with to a customer
+   */
+  function attachCard(customerId) {
+    const paymentMethod = {
+      id: generateId('pm_'),
+      object: 'payment_method',
+      type: 'card',
+      customer: customerId,
+      card: { brand: 'visa', last4: '4242', exp_month: 12, exp_year: new Date().getFullYear() + 3 },
+      billing_details: { email: customers.get(customerId).email },
+    };
+
+    paymentMethods.set(paymentMethod.id, paymentMethod);
+    return paymentMethod;
+  }
+
+  function listPaymentMethods(customerId) {
+    if (!customers.has(customerId)) {
+      return stripeError(404, 'resource_missing', `No such customer: '${customerId}'`);
+    }
+
+    const data = [...paymentMethods.values()].filter((method) => method.customer === customerId);
+    return jsonResponse({ object: 'list', data, has_more: false });
+  }
+
+  function detachPaymentMethod(id) {
+    const paymentMethod = paymentMethods.get(id);
+    if (!paymentMethod?.customer) {
+      return stripeError(
+        400,
+        'payment_method_unexpected_state',
+        'The payment method you provided is not attached to a customer.'
+      );
+    }
+
+    paymentMethod.customer = null;
+    return jsonResponse(paymentMethod);
+  }
+
+  function createSubscription(body) {
+    if (!customers.has(body.customer)) {
+      return stripeError(400, 'resource_missing', `No such customer: '${body.customer}'`);
+    }
+
+    const id = generateId('sub_');
+    const now = Math.floor(Date.now() / 1000);
+    const price = catalogPrice(body.items?.[0]?.price);
+    const invoice = {
+      id: generateId('in_'),
+      object: 'invoice',
+      subscription: id,
+      customer: body.customer,
+      status: 'open',
+      amount_due: price.unit_amount,
+      amount_paid: 0,
+      currency: price.currency,
+      billing_reason: 'subscription_create',
+      payment_intent: generateId('pi_'),
+      subscription_details: { metadata: body.metadata || {} },
+      hosted_invoice_url: context.checkoutUrl('stripe', id),
+    };
+    const subscription = {
+      id,
+      object: 'subscription',
+      status: 'incomplete',
+      customer: body.customer,
+      items: {
+        data: [
+          { id: generateId('si_', 14), price, quantity: parseInt(body.items?.[0]?.quantity || 1) },
+        ],
+      },
+      metadata: body.metadata || {},
+      latest_invoice: invoice.id,
+      current_period_start: now,
+      current_period_end: now + BILLING_PERIOD_MS / 1000,
+      cancel_at_period_end: false,
+      pause_collection: null,
+    };
+
+    invoices.set(invoice.id, invoice);
+    subscriptions.set(id, subscription);
+    emit('customer.subscription.created', subscription);
+
+    const expanded = Object.values(body.expand || {}).includes('latest_invoice');
+    return jsonResponse(expanded ? { ...subscription, latest_invoice: invoice } : subscription);
+  }
+
+  function catalogPrice(id) {
+    return { id, unit_amount: CATALOG_UNIT_AMOUNT, currency: 'usd' };
+  }
+
+  /**
+   * Apply `items` changes to a copy of the subscription's items and price the
+   * proration for the rest of the period
+   */
+  function changeItems(subscription, changes = []) {
+    const items = subscription.items.data.map((item) => ({ ...item }));
+
+    for (const change of Object.values(changes)) {
+      const item = items.find((candidate) => candidate.id === change.id);
+      if (!item) {
+        return {
+          error: stripeError(400, 'resource_missing', `No such subscription item: '${change.id}'`),
+        };
+      }
+      if (change.price) {
+        item.price = catalogPrice(change.price);
+      }
+      if (change.quantity) {
+        item.quantity = parseInt(change.quantity);
+      }
+    }
+
+    const total = (list) =>
+      list.reduce((sum, item) => sum + item.price.unit_amount * item.quantity, 0);
+    const recurring = total(items);
+    const proration = prorate(
+      recurring - total(subscription.items.data),
+      subscription.current_period_end * 1000
+    );
+
+    return { items, recurring, proration };
+  }
+
+  /**
+   * Build the invoice a subscription change would produce
+   * `always_invoice` bills the proration now; `create_prorations` adds it to
+   * the next renewal; `none` skips it.
+   */
+  function previewInvoice(subscription, behavior, { recurring, proration }) {
+    const lines = [];
+    if (behavior !== 'none' && proration !== 0) {
+      lines.push({ id: generateId('il_'), amount: proration, proration: true });
+    }
+    if (behavior !== 'always_invoice') {
+      lines.push({ id: generateId('il_'), amount: recurring, proration: false });
+    }
+    const total = lines.reduce((sum, line) => sum + line.amount, 0);
+
+    return {
+      id: generateId('upcoming_'),
+      object: 'invoice',
+      subscription: subscription.id,
+      customer: subscription.customer,
+      currency: 'usd',
+      amount_due: Math.max(0, total),
+      total,
+      lines: { object: 'list', data: lines },
+    };
+  }
+
+  function getSubscription(id) {
+    const subscription = subscriptions.get(id);
+    return subscription
+      ? jsonResponse(subscription)
+      : stripeError(404, 'resource_missing', `No such subscription: '${id}'`);
+  }
+
+  function updateSubscription(id, body) {
+    const subscription = subscriptions.get(id);
+    if (!subscription) {
+      return stripeError(404, 'resource_missing', `No such subscription: '${id}'`);
+    }
+    if (subscription.status === 'canceled') {
+      return stripeError(
+        400,
+        'resource_missing',
+        'A canceled subscription can only update its cancellation_details and metadata.'
+      );
+    }
+
+    if (body.items) {
+      const change = changeItems(subscription, body.items);
+      if (change.error) {
+        return change.error;
+      }
+      subscription.items.data = change.items;
+
+      if (body.proration_behavior === 'always_invoice' && change.proration !== 0) {
+        const invoice = {
+          ...previewInvoice(subscription, 'always_invoice', change),
+          id: generateId('in_'),
+          status: 'paid',
+          billing_reason: 'subscription_update',
+        };
+        invoices.set(invoice.id, invoice);
+        subscription.latest_invoice = invoice.id;
+      }
+    }
+    if ('cancel_at_period_end' in body) {
+      subscription.cancel_at_period_end = body.cancel_at_period_end === 'true';
+      subscription.cancellation_details = body.cancellation_details || null;
+    }
+    if ('pause_collection' in body) {
+      subscription.pause_collection = body.pause_collection
+        ? {
+            behavior: body.pause_collection.behavior,
+            resumes_at: body.pause_collection.resumes_at
+              ? parseInt(body.pause_collection.resumes_at)
+              : null,
+          }
+        : null;
+    }
+
+    emit('customer.subscription.updated', subscription);
+    return jsonResponse(subscription);
+  }
+
+  function createInvoicePreview(body) {
+    const subscription = subscriptions.get(body.subscription);
+    if (!subscription) {
+      return stripeError(404, 'resource_missing', `No such subscription: '${body.subscription}'`);
+    }
+
+    const details = body.subscription_details || {};
+    const change = changeItems(subscription, details.items);
+    if (change.error) {
+      return change.error;
+    }
+
+    return jsonResponse(
+      previewInvoice(subscription, details.proration_behavior || 'create_prorations', change)
+    );
+  }
+
+  function cancelSubscription(id) {
+    const subscription = subscriptions.get(id);
+    if (!subscription) {
+      return stripeError(404, 'resource_missing', `No such subscription: '${id}'`);
+    }
+
+    subscription.status = 'canceled';
+    subscription.canceled_at = Math.floor(Date.now() / 1000);
+    emit('customer.subscription.deleted', subscription);
+    return jsonResponse(subscription);
+  }
+
+  /**
+   * Route an authenticated API request
+   */
+  function route(method, path, body) {
+    const [, , resource, id] = path.split('/');
+
+    if (resource === 'checkout' && method === 'POST' && path === '/v1/checkout/sessions') {
+      return createSession(body);
+    }
+    if (resource === 'checkout' && method === 'GET') {
+      const session = sessions.get(path.split('/')[4]);
+      return session
+        ? jsonResponse(session)
+        : stripeError(404, 'resource_missing', 'No such checkout.session');
+    }
+    if (resource === 'refunds' && method === 'POST') {
+      return createRefund(body);
+    }
+    if (resource === 'coupons' && method === 'POST') {
+      return createCoupon(body);
+    }
+    if (resource === 'tax_rates' && method === 'POST') {
+      return createTaxRate(body);
+    }
+    if (resource === 'tax_rates' && method === 'GET') {
+      return jsonResponse({ object: 'list', data: [...taxRates.values()], has_more: false });
+    }
+    if (resource === 'customers' && !id && method === 'POST') {
+      return createCustomer(body);
+    }
+    if (resource === 'customers' && path.endsWith('/payment_methods') && method === 'GET') {
+      return listPaymentMethods(id);
+    }
+    if (resource === 'payment_methods' && path.endsWith('/detach') && method === 'POST') {
+      return detachPaymentMethod(id);
+    }
+    if (resource === 'subscriptions' && !id && method === 'POST') {
+      return createSubscription(body);
+    }
+    if (resource === 'subscriptions' && id && method === 'GET') {
+      return getSubscription(id);
+    }
+    if (resource === 'subscriptions' && id && method === 'POST') {
+      return updateSubscription(id, body);
+    }
+    if (resource === 'subscriptions' && id && method === 'DELETE') {
+      return cancelSubscription(id);
+    }
+    if (resource === 'invoices' && id === 'create_preview' && method === 'POST') {
+      return createInvoicePreview(body);
+    }
+
+    return stripeError(404, 'resource_missing', `Unrecognized request URL (${method}: ${path})`);
+  }
+
+  function getSubscriptionInvoice(id) {
+    const subscription = subscriptions.get(id);
+    return subscription && { subscription, invoice: invoices.get(subscription.latest_invoice) };
+  }
+
+  function getOpenSession(id) {
+    const session = sessions.get(id);
+    if (!session) {
+      throw new Error(`Unknown Stripe object: ${id}`);
+    }
+    if (session.status !== 'open') {
+      throw new Error(`Stripe checkout session ${id} is already ${session.status}`);
+    }
+    return session;
+  }
+
+  /**
+   * Pay a checkout session (or a subscription's first invoice) the way the buyer would
+   */
+  function complete(id) {
+    const billing = getSubscriptionInvoice(id);
+    if (billing) {
+      attachCard(billing.subscription.customer);
+      billing.subscription.status = 'active';
+      Object.assign(billing.invoice, { status: 'paid', amount_paid: billing.invoice.amount_due });
+      emit('customer.subscription.updated', billing.subscription);
+      emit('invoice.paid', billing.invoice);
+      return billing.subscription;
+    }
+
+    const session = getOpenSession(id);
+    const paymentIntent = generateId('pi_');
+
+    Object.assign(session, {
+      status: 'complete',
+      payment_status: 'paid',
+      payment_intent: paymentIntent,
+    });
+    if (session.customer && session.setup_future_usage) {
+      attachCard(session.customer);
+    }
+    charges.set(paymentIntent, {
+      id: generateId('ch_'),
+      object: 'charge',
+      payment_intent: paymentIntent,
+      amount: session.amount_total,
+      amount_refunded: 0,
+      refunded: false,
+      currency: session.currency,
+      metadata: session.metadata,
+      refunds: { object: 'list', data: [] },
+    });
+
+    emit('checkout.session.completed', session);
+    return session;
+  }
+
+  /**
+   * Decline the buyer's payment
+   */
+  function fail(id) {
+    const billing = getSubscriptionInvoice(id);
+    if (billing) {
+      emit('invoice.payment_failed', billing.invoice);
+      return billing.subscription;
+    }
+
+    const session = getOpenSession(id);
+    emit('checkout.session.async_payment_failed', session);
+    return session;
+  }
+
+  /**
+   * Let an unpaid checkout session expire
+   */
+  function expire(id) {
+    const session = getOpenSession(id);
+    session.status = 'expired';
+    emit('checkout.session.expired', session);
+    return session;
+  }
+
+  return {
+    sessions,
+    charges,
+    customers,
+    paymentMethods,
+    subscriptions,
+    coupons,
+    taxRates,
+    emit,
+
+    async handle(request, path) {
+      const authorization = request.headers.get('Authorization') || '';
+      if (authorization !== `Bearer ${context.credentials.STRIPE_SECRET_KEY}`) {
+        return jsonResponse(
+          { error: { type: 'invalid_request_error', message: 'Invalid API Key provided' } },
+          401
+        );
+      }
+
+      const idempotencyKey = request.headers.get('Idempotency-Key');
+      const replayKey = idempotencyKey && `${request.method} ${path} ${idempotencyKey}`;
+      if (replayKey && idempotentResponses.has(replayKey)) {
+        const { body, status } = idempotentResponses.get(replayKey);
+        return jsonResponse(body, status);
+      }
+
+      const body = request.method === 'POST' ? decodeForm(await request.text()) : null;
+      const response = route(request.method, path, body);
+
+      if (replayKey) {
+        idempotentResponses.set(replayKey, {
+          body: await response.clone().json(),
+          status: response.status,
+        });
+      }
+
+      return response;
+    },
+
+    async signWebhook(body) {
+      const t = Math.floor(Date.now() / 1000);
+      const v1 = await createHmacSignature(
+        `${t}.${body}`,
+        context.credentials.STRIPE_WEBHOOK_SECRET
+      );
+      return { 'stripe-signature': `t=${t},v1=${v1}` };
+    },
+
+    complete,
+    fail,
+    expire,
+    returnUrl: (object) => object?.success_url,
+  };
+}
@@ -3,17 +3,59 @@
  * Handles incoming requests and routes them appropriately
  */
 
-import { route } from './router.js';
+import { route, routeTemplate } from './router.js';
 import { createLogger } from './utils/logger.js';
-import { errorResponse } from './utils/response.js';
+import { errorResponse, withHeaders } from './utils/response.js';
+import { corsHeaders } from './utils/cors.js';
+import { processOutbox } from './utils/outbox.js';
+import { rollupDailyMetrics } from './utils/metrics.js';
+import {
+  countMetric,
+  observeMetric,
+  flushTelemetry,
+  compactTelemetry,
+  flushTelemetryIfDue,
+} from './utils/telemetry.js';
+import { createTracer, traceEnv, SPAN_KINDS } from './utils/tracing.js';
+
+/**
+ * Count a handled request and its latency for GET /metrics
+ * @param {Request} request - Incoming request
+ * @param {string} template - Route template of the request path
+ * @param {number} status - Response status
+ * @param {number} startedAt - Time the request arrived, in milliseconds
+ */
+function recordRequestTelemetry(request, template, status, startedAt) {
+  const labels = { route: template, method: request.method };
+  countMetric('http_requests', { ...labels, status });
+  observeMetric('http_request_duration_seconds', labels, (Date.now() - startedAt) / 1000);
+}
 
 /**
  * Fetch handler - main entry point for Cloudflare Worker
  */
 export default {
   async fetch(request, env, ctx) {
-    // Create logger for this request
-    const logger = createLogger(request, env);
+    // Create tracer and logger for this request
+    const tracer = createTracer(request, env);
+    const logger = createLogger(request, env, tracer);
+    const tracedEnv = traceEnv(env, tracer);
+    const startedAt = Date.now();
+    const path = new URL(request.url).pathname;
+    const template = routeTemplate(path);
+    const span = tracer.startSpan(
+      template === 'unmatched' ? request.method : `${request.method} ${template}`,
+      {
+        kind: SPAN_KINDS.SERVER,
+        attributes: {
+          'http.request.method': request.method,
+          'http.route': template,
+          'url.path': path,
+        },
+      }
+    );
+    let response;
+    let failure;
 
     try {
       logger.info('Request received', {
@@ -21,39 +63,113 @@ export default {
         url: request.url,
       });
 
+      // Local provider emulator for offline development; never enabled in production
+      let emulator = null;
+      if (env.PROVIDER_EMULATOR === 'true' && env.ENVIRONMENT !== 'production') {
+        const { getLocalEmulator } = await import('./emulator/index.js');
+        emulator = getLocalEmulator(env, new URL(request.url).origin);
+      }
+
       // Route the request
-      const response = await route(request, env, logger);
+      response =
+        emulator && path.startsWith('/emulator/')
+          ? await emulator.handleControl(request)
+          : await route(request, tracedEnv, logger);
+
+      // Webhooks the emulator queued during this request reach the Worker after it responds
+      if (emulator) {
+        ctx.waitUntil(
+          emulator.deliverWebhooks((webhook) => route(webhook, env, createLogger(webhook, env)))
+        );
+      }
 
       logger.info('Request completed', {
         status: response.status,
       });
-
-      return response;
     } catch (error) {
+      failure = error;
       logger.error('Unhandled error', {
         error: error.message,
         stack: error.stack,
       });
 
-      return errorResponse('Internal server error', 500, {
-        message: error.message,
-      });
+      response = withHeaders(
+        errorResponse('Internal server error', 500, {
+          message: error.message,
+        }),
+        corsHeaders(request, env)
+      );
     }
+
+    span.attributes['http.response.status_code'] = response.status;
+    tracer.endSpan(
+      span,
+      failure || (response.status >= 500 ? new Error(`HTTP ${response.status}`) : undefined)
+    );
+    recordRequestTelemetry(request, template, response.status, startedAt);
+    ctx.waitUntil(
+      Promise.all([
+        flushTelemetryIfDue(env).catch((error) => {
+          logger.warn('Telemetry flush failed', { error: error.message });
+        }),
+        tracer.export().catch((error) => {
+          logger.warn('Trace export failed', { error: error.message });
+        }),
+      ])
+    );
+
+    // Callers quote the request ID when reporting issues
+    return withHeaders(response, { 'X-Request-Id': tracer.requestId });
   },
 
   /**
-   * Scheduled handler for cron jobs (optional)
-   * Can be used for cleanup, metrics aggregation, etc.
+   * Scheduled handler for cron jobs
+   * Retries queued backend deliveries from the webhook outbox, rolls up
+   * daily metrics, and flushes and compacts telemetry
    */
   async scheduled(event, env, ctx) {
-    const logger = createLogger({ url: 'cron', method: 'CRON' }, env);
+    const tracer = createTracer({ url: 'cron', method: 'CRON' }, env);
+    const logger = createLogger({ url: 'cron', method: 'CRON' }, env, tracer);
+    const span = tracer.startSpan('scheduled', { attributes: { 'faas.cron': event.cron } });
 
     logger.info('Scheduled task running', {
       cron: event.cron,
       scheduledTime: event.scheduledTime,
     });
 
-    // Example: Clean up old sessions or aggregate metrics
-    // Implementation depends on specific needs
+    try {
+      const stats = await processOutbox(traceEnv(env, tracer), logger);
+      logger.info('Outbox processed', stats);
+    } catch (error) {
+      logger.error('Outbox processing failed', {
+        error: error.message,
+        stack: error.stack,
+      });
+    }
+
+    try {
+      const { rolledUp } = await rollupDailyMetrics(env, logger);
+      logger.info('Metrics rollup finished', { rolledUp });
+    } catch (error) {
+      logger.error('Metrics rollup failed', {
+        error: error.message,
+        stack: error.stack,
+      });
+    }
+
+    try {
+      await flushTelemetry(env);
+      const { folded, deleted } = await compactTelemetry(env);
+      logger.info('Telemetry compacted', { folded, deleted });
+    } catch (error) {
+      logger.error('Telemetry flush or compaction failed', { error: error.message });
+    }
+
+    tracer.endSpan(span);
+    ctx.waitUntil(
+      tracer.export().catch((error) => {
+        logger.warn('Trace export failed', { error: error.message });
+      })
+    );
   },
 };
@@ -5,68 +5,235 @@
 
 import { getProviderAdapter } from './adapters/providerAdapter.js';
 import {
-  storeSession,
   getSession,
   isEventProcessed,
   markEventProcessed,
   incrementCounter,
+  acquireLock,
+  releaseLock,
 } from './utils/kv.js';
-import { successResponse, errorResponse, corsResponse } from './utils/response.js';
+import {
+  jsonResponse,
+  successResponse,
+  errorResponse,
+  validationErrorResponse,
+  withHeaders,
+} from './utils/response.js';
+import { canAccessUser } from './utils/auth.js';
+import { parseRequestBody, validateOrderTotal, SCHEMAS } from './utils/validation.js';
+import { isRepresentable } from './utils/money.js';
+import { buildOrder } from './utils/lineItems.js';
+import {
+  CATALOG_KINDS,
+  isValidCatalogKey,
+  isCatalogRequired,
+  getCatalogEntry,
+  putCatalogEntry,
+  deleteCatalogEntry,
+  listCatalogEntries,
+  resolveCheckoutItems,
+  resolvePlan,
+} from './utils/catalog.js';
+import { selectProviders, recordProviderResult, isRetryableError } from './utils/routing.js';
+import {
+  PAYMENT_STATES,
+  canTransition,
+  initialPaymentState,
+  transitionSession,
+  savePaymentSession,
+  applyPaymentEvent,
+} from './utils/paymentState.js';
+import {
+  deliverNotification,
+  enqueueDelivery,
+  listDeadLetters,
+  getDeadLetter,
+  replayDeadLetter,
+} from './utils/outbox.js';
+import {
+  SUBSCRIPTION_STATUSES,
+  getSubscriptionRecord,
+  saveSubscriptionRecord,
+  listUserSubscriptions,
+  mergeSubscriptionState,
+  withPlan,
+  withChange,
+  applySubscriptionEvent,
+} from './utils/subscriptions.js';
+import {
+  getCustomerRecord,
+  linkProviderCustomer,
+  resolveProviderCustomer,
+  applyCustomerEvent,
+} from './utils/customers.js';
+import {
+  getTransaction,
+  recordCheckoutTransaction,
+  applyTransactionEvent,
+  parseTransactionFilters,
+  searchTransactions,
+} from './utils/transactions.js';
+import { parseReportRange, getMetricsReport } from './utils/metrics.js';
+import {
+  countMetric,
+  flushTelemetry,
+  readTelemetryTotals,
+  renderOpenMetrics,
+  OPENMETRICS_CONTENT_TYPE,
+} from './utils/telemetry.js';
+import { compareSignatures } from './utils/webhook.js';
+import { corsHeaders, checkPreflight } from './utils/cors.js';
+import {
+  createRouteTable,
+  matchPath,
+  allowedMethods,
+  selectRoute,
+  runMiddleware,
+  listRoutes,
+} from './utils/routeTable.js';
+import { ROUTE_MIDDLEWARE, idempotent } from './utils/middleware.js';
+import { buildOpenApiDocument } from './utils/openapi.js';
+import { renderApiExplorer } from './utils/apiExplorer.js';
+
+/**
+ * Create a checkout session with the first provider that succeeds
+ * The user's customer at each candidate is created on first use. Only
+ * retryable upstream errors move on to the next candidate.
+ * @returns {Promise<{session: object, provider: string, attempts: Array}>}
+ */
+async function createCheckoutWithFailover(env, logger, candidates, payload) {
+  const attempts = [];
+
+  for (const [index, provider] of candidates.entries()) {
+    const adapter = await getProviderAdapter(provider, env, logger);
+
+    try {
+      const customerId = await resolveProviderCustomer(env, adapter, payload);
+      const session = await adapter.createCheckoutSession({ ...payload, customerId });
+      await recordProviderResult(env, provider);
+      return { session, provider, attempts };
+    } catch (error) {
+      attempts.push({ provider, error: error.message });
+
+      // Rejections of the request itself say nothing about provider health
+      if (!isRetryableError(error)) {
+        throw error;
+      }
+
+      await recordProviderResult(env, provider, error);
+
+      if (index === candidates.length - 1) {
+        throw error;
+      }
+
+      await incrementCounter(
+        env.METRICS,
+        `failover:${provider}:${new Date().toISOString().split('T')[0]}`
+      );
+      logger.warn('Checkout failing over to next provider', {
+        provider,
+        next: candidates[index + 1],
+        error: error.message,
+      });
+    }
+  }
+}
 
 /**
  * Handle checkout endpoint: POST /api/checkout
+ * `provider: "auto"` picks a provider from the routing rules and fails over on upstream errors.
  */
-export async function handleCheckout(request, env, logger) {
+export async function handleCheckout(request, env, logger, auth, idempotencyKey) {
   try {
-    const body = await request.json();
-    const {
-      provider,
-      userId,
-      email,
-      amount,
-      currency,
-      productName,
-      successUrl,
-      cancelUrl,
-      metadata,
-    } = body;
+    const parsed = await parseRequestBody(request, SCHEMAS.checkout, env);
 
-    // Validate required fields
-    if (!provider || !userId || !email || !amount || !productName) {
-      return errorResponse('Missing required fields', 400);
+    if (parsed.errors) {
+      return validationErrorResponse(parsed.errors);
     }
 
-    // Get the appropriate provider adapter
-    const adapter = await getProviderAdapter(provider, env, logger);
+    // SKUs are priced from the catalog
+    const { body, errors } = await resolveCheckoutItems(env, parsed.body, !auth || auth.trusted);
 
-    // Create checkout session
-    const session = await adapter.createCheckoutSession({
-      userId,
-      email,
-      amount,
-      currency: currency || 'USD',
-      productName,
-      successUrl: successUrl || `${env.INTERNAL_BACKEND_URL}/payment/success`,
-      cancelUrl: cancelUrl || `${env.INTERNAL_BACKEND_URL}/payment/cancel`,
-      metadata,
-    });
+    if (errors.length > 0) {
+      return validationErrorResponse(errors);
+    }
+
+    const { userId, email, amount, productName, items, discount, tax } = body;
+    const { successUrl, cancelUrl, metadata, savePaymentMethod } = body;
+    const currency = (body.currency || 'USD').toUpperCase();
+    const country = (body.country || request.cf?.country || '').toUpperCase() || null;
+    const isAuto = body.provider.toLowerCase() === 'auto';
+
+    // Discounts can take an order below the minimum charge
+    const { total } = buildOrder(body, currency).totals;
+    const totalErrors = validateOrderTotal(total, currency, items ? 'items' : 'amount');
+    if (totalErrors.length > 0) {
+      return validationErrorResponse(totalErrors);
+    }
+
+    if (!canAccessUser(auth, userId)) {
+      return errorResponse('Access denied', 403);
+    }
+
+    // Paddle calculates its own tax, so it cannot take an order with a tax rate
+    const routed = isAuto
+      ? await selectProviders(env, { amount: total, currency, country })
+      : [body.provider];
+    const candidates = tax ? routed.filter((provider) => provider !== 'paddle') : routed;
+
+    if (candidates.length === 0) {
+      return errorResponse('No payment provider is available for this payment', 422);
+    }
+
+    const { session, provider, attempts } = await createCheckoutWithFailover(
+      env,
+      logger,
+      candidates,
+      {
+        userId,
+        email,
+        amount,
+        currency,
+        productName,
+        items,
+        discount,
+        tax,
+        successUrl: successUrl || `${env.INTERNAL_BACKEND_URL}/payment/success`,
+        cancelUrl: cancelUrl || `${env.INTERNAL_BACKEND_URL}/payment/cancel`,
+        metadata,
+        savePaymentMethod,
+        idempotencyKey,
+      }
+    );
 
-    // Store session metadata in KV
-    await storeSession(env.SESSIONS, session.sessionId, {
+    // Store session metadata, the priced order and its initial payment state in KV
+    const order = buildOrder(body, currency, provider);
+    const stored = {
       userId,
       provider,
       email,
-      amount,
+      amount: order.totals.total,
       currency,
       productName,
+      items: order.items,
+      discount: order.discount,
+      tax: order.tax,
+      totals: order.totals,
+      ...(isAuto && {
+        routing: { mode: 'auto', country, candidates, failedAttempts: attempts },
+      }),
+      ...initialPaymentState(),
       createdAt: new Date().toISOString(),
-    });
+    };
+    await savePaymentSession(env, session.sessionId, stored);
+    await recordCheckoutTransaction(env, session.sessionId, stored);
 
     // Increment metrics
-    await incrementCounter(
-      env.METRICS,
-      `checkout:${provider}:${new Date().toISOString().split('T')[0]}`
-    );
+    const date = new Date().toISOString().split('T')[0];
+    await incrementCounter(env.METRICS, `checkout:${provider}:${date}`);
+    if (isAuto) {
+      await incrementCounter(env.METRICS, `routing:${provider}:${date}`);
+    }
 
     logger.info('Checkout session created', {
       sessionId: session.sessionId,
@@ -81,6 +248,128 @@ export async function handleCheckout(request, env, logger) {
   }
 }
 
+/**
+ * Check whether a provider refused the request itself (a 4xx other than
+ * credential failures and rate limits), so retrying it cannot succeed
+ * @param {Error} error - Error from the adapter
+ * @returns {boolean}
+ */
+function isProviderRejection(error) {
+  return (
+    !error.retryable &&
+    error.status >= 400 &&
+    error.status < 500 &&
+    error.status !== 401 &&
+    error.status !== 403
+  );
+}
+
+/**
+ * Map a refund or capture failure to a response
+ * Provider rejections (4xx) answer 422, or 409 for conflicts, and provider
+ * outages or credential failures 502; the provider's message is only logged.
+ * @param {Error} error - Error from the adapter
+ * @param {string} action - 'Refund' or 'Capture', for the messages
+ * @returns {Response}
+ */
+function providerErrorResponse(error, action) {
+  if (error.unsupported) {
+    return errorResponse(error.message, 422);
+  }
+  if (error.retryable || error.status === 401 || error.status === 403) {
+    return errorResponse('Payment provider is unavailable', 502);
+  }
+  if (error.status === 409) {
+    return errorResponse(`${action} conflicts with the payment's current state`, 409);
+  }
+  if (isProviderRejection(error)) {
+    return errorResponse(`${action} was rejected by the payment provider`, 422);
+  }
+  return errorResponse(`${action} failed`, 500);
+}
+
+/**
+ * Capture a stored checkout session and record the capture in KV
+ * Sessions that already carry a capture ID are returned as-is.
+ */
+async function captureSession(env, logger, sessionId, session) {
+  if (session.captureId) {
+    return {
+      sessionId,
+      captureId: session.captureId,
+      status: session.captureStatus,
+      provider: session.provider,
+    };
+  }
+
+  const adapter = await getProviderAdapter(session.provider, env, logger);
+  const capture = await adapter.capturePayment(sessionId);
+  // Pending captures keep their state until the capture webhook settles them
+  const updated =
+    capture.status === 'COMPLETED'
+      ? transitionSession(session, PAYMENT_STATES.CAPTURED, { source: 'capture' })
+      : session;
+
+  await savePaymentSession(env, sessionId, {
+    ...updated,
+    captureId: capture.captureId,
+    captureStatus: capture.status,
+    capturedAt: new Date().toISOString(),
+  });
+
+  // PayPal creates the vault customer when the first payment method is saved
+  if (capture.customerId) {
+    await linkProviderCustomer(
+      env,
+      session.userId,
+      session.provider,
+      capture.customerId,
+      session.email
+    );
+  }
+
+  return capture;
+}
+
+/**
+ * Handle capture endpoint: POST /api/checkout/:sessionId/capture
+ */
+export async function handleCapture(request, env, logger, sessionId, auth) {
+  try {
+    // Retrieve session from KV
+    const session = await getSession(env.SESSIONS, sessionId);
+
+    if (!session) {
+      return errorResponse('Session not found', 404);
+    }
+
+    if (!canAccessUser(auth, session.userId)) {
+      return errorResponse('Access denied', 403);
+    }
+
+    if (
+      !session.captureId &&
+      session.state &&
+      !canTransition(session.state, PAYMENT_STATES.CAPTURED)
+    ) {
+      return errorResponse(`Payment in state ${session.state} cannot be captured`, 409);
+    }
+
+    const capture = await captureSession(env, logger, sessionId, session);
+
+    logger.info('Payment captured', {
+      sessionId,
+      captureId: capture.captureId,
+      provider: session.provider,
+    });
+
+    return successResponse(capture, 'Payment captured successfully');
+  } catch (error) {
+    logger.error('Capture error', { error: error.message, sessionId });
+    return providerErrorResponse(error, 'Capture');
+  }
+}
+
 /**
  * Handle webhook endpoint: POST /api/webhook/:provider
  */
@@ -90,12 +379,19 @@ export async function handleWebhook(request, env, logger, provider) {
     const adapter = await getProviderAdapter(provider, env, logger);
 
     // Verify webhook signature and extract event data
-    const event = await adapter.verifyWebhook(request);
+    let event;
+    try {
+      event = await adapter.verifyWebhook(request);
+    } catch (error) {
+      countMetric('webhook_verification_failures', { provider: adapter.getName() });
+      throw error;
+    }
 
     // Check idempotency - ensure we haven't processed this event before
     const alreadyProcessed = await isEventProcessed(env.EVENTS, provider, event.eventId);
 
     if (alreadyProcessed) {
+      countMetric('idempotent_replays', { source: 'webhook' });
       logger.info('Event already processed (idempotent)', {
         provider,
         eventId: event.eventId,
@@ -103,48 +399,83 @@ export async function handleWebhook(request, env, logger, provider) {
       return successResponse({ received: true }, 'Event already processed');
     }
 
-    // Mark event as processed
-    await markEventProcessed(env.EVENTS, provider, event.eventId, {
-      eventType: event.eventType,
-      processedAt: new Date().toISOString(),
-    });
+    // Move the session's payment state before anything reads it
+    const normalized = adapter.normalizeEvent(event);
+    const stateChange = await applyPaymentEvent(env, logger, provider, normalized);
+    const subscriptionChange = await applySubscriptionEvent(env, logger, normalized);
+    const customerLink = await applyCustomerEvent(env, normalized);
+    const transaction = await applyTransactionEvent(env, normalized, stateChange);
 
-    // Forward to internal backend for persistence and processing
-    try {
-      const backendResponse = await fetch(`${env.INTERNAL_BACKEND_URL}/internal/payment/notify`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'X-Internal-Secret': env.INTERNAL_SECRET || '',
-        },
-        body: JSON.stringify({
-          provider,
-          event: event.eventType,
-          eventId: event.eventId,
-          data: event.data,
-          rawPayload: event.rawPayload,
-          timestamp: new Date().toISOString(),
-        }),
-      });
+    // Auto-capture approved PayPal orders when enabled. This runs before the event
+    // is marked processed so a failed capture is retried by PayPal's redelivery.
+    if (
+      provider === 'paypal' &&
+      event.eventType === 'CHECKOUT.ORDER.APPROVED' &&
+      env.PAYPAL_AUTO_CAPTURE === 'true'
+    ) {
+      const orderId = event.data?.id;
+      const session = await getSession(env.SESSIONS, orderId);
 
-      if (!backendResponse.ok) {
-        logger.warn('Backend notification failed', {
-          status: backendResponse.status,
-          provider,
-          eventId: event.eventId,
+      if (session && !canTransition(session.state, PAYMENT_STATES.CAPTURED)) {
+        logger.warn('Approved PayPal order cannot be captured', {
+          orderId,
+          state: session.state,
         });
-        // Don't fail the webhook - we've already marked it as processed
-        // Implement retry logic separately if needed
+      } else if (session) {
+        try {
+          const capture = await captureSession(env, logger, orderId, session);
+          logger.info('PayPal order auto-captured', {
+            orderId,
+            captureId: capture.captureId,
+          });
+        } catch (error) {
+          // Redelivery cannot fix a rejected capture (e.g. a declined instrument)
+          if (!isProviderRejection(error)) {
+            throw error;
+          }
+          logger.warn('PayPal rejected the auto-capture', { orderId, error: error.message });
+        }
+      } else {
+        logger.warn('Approved PayPal order has no stored session', { orderId });
       }
-    } catch (backendError) {
-      logger.error('Failed to notify backend', {
-        error: backendError.message,
+    }
+
+    // Forward both the canonical event and the raw provider event
+    const notification = {
+      provider,
+      event: event.eventType,
+      eventId: event.eventId,
+      normalized,
+      data: event.data,
+      rawPayload: event.rawPayload,
+      timestamp: new Date().toISOString(),
+    };
+
+    // Forward to internal backend for persistence and processing. Failed deliveries
+    // are queued in the outbox and retried from the scheduled handler.
+    try {
+      await deliverNotification(env, notification, logger.tracer);
+    } catch (deliveryError) {
+      countMetric('backend_forward_failures', { source: 'webhook' });
+      logger.warn('Backend notification failed, queued for retry', {
+        error: deliveryError.message,
         provider,
         eventId: event.eventId,
       });
-      // Continue - don't fail the webhook response
+      await enqueueDelivery(
+        env,
+        `${provider}:${event.eventId}`,
+        notification,
+        deliveryError.message
+      );
     }
 
+    // Mark event as processed once it has been delivered or durably queued
+    await markEventProcessed(env.EVENTS, provider, event.eventId, {
+      eventType: event.eventType,
+      processedAt: new Date().toISOString(),
+    });
+
     // Increment webhook metrics
     await incrementCounter(
       env.METRICS,
@@ -155,6 +486,11 @@ export async function handleWebhook(request, env, logger, provider) {
       provider,
       eventId: event.eventId,
       eventType: event.eventType,
+      normalizedType: normalized?.type || null,
+      paymentState: stateChange?.applied ? stateChange.to : null,
+      subscriptionStatus: subscriptionChange?.applied ? subscriptionChange.status : null,
+      linkedCustomer: customerLink?.linked ? customerLink.customerId : null,
+      transactionId: transaction?.transactionId || null,
     });
 
     return successResponse({ received: true }, 'Webhook processed successfully');
@@ -170,7 +506,7 @@ export async function handleWebhook(request, env, logger, provider) {
 /**
  * Handle receipt endpoint: GET /api/receipt/:sessionId
  */
-export async function handleReceipt(request, env, logger, sessionId) {
+export async function handleReceipt(request, env, logger, sessionId, auth) {
   try {
     // Retrieve session from KV
     const session = await getSession(env.SESSIONS, sessionId);
@@ -179,19 +515,30 @@ export async function handleReceipt(request, env, logger, sessionId) {
       return errorResponse('Session not found', 404);
     }
 
-    // Get provider details if needed
-    const adapter = await getProviderAdapter(session.provider, env, logger);
-    const providerSession = await adapter.getSession(sessionId);
+    // Only the session owner (or a trusted server caller) may read the receipt
+    if (!canAccessUser(auth, session.userId)) {
+      return errorResponse('Access denied', 403);
+    }
+
+    // The payment state comes from the session; the provider is only asked on request
+    let providerDetails;
+    if (new URL(request.url).searchParams.get('refresh') === 'true') {
+      const adapter = await getProviderAdapter(session.provider, env, logger);
+      providerDetails = await adapter.getSession(sessionId);
+    }
 
     logger.info('Receipt retrieved', {
       sessionId,
       provider: session.provider,
+      state: session.state,
     });
 
     return successResponse(
       {
         session,
-        providerDetails: providerSession,
+        state: session.state || null,
+        stateHistory: session.stateHistory || [],
+        ...(providerDetails && { providerDetails }),
       },
       'Receipt retrieved successfully'
     );
@@ -204,46 +551,209 @@ export async function handleReceipt(request, env, logger, sessionId) {
   }
 }
 
+/**
+ * Handle refund endpoint: POST /api/refund
+ * Refunds a checkout session fully (no amount) or partially (amount in cents)
+ */
+export async function handleRefund(request, env, logger, auth, idempotencyKey) {
+  let sessionId;
+  let lockAcquired = false;
+
+  // Refunds are issued by our backend, never directly by end users
+  if (auth && !auth.trusted) {
+    return errorResponse('Access denied', 403);
+  }
+
+  try {
+    const { body, errors } = await parseRequestBody(request, SCHEMAS.refund, env);
+
+    if (errors) {
+      return validationErrorResponse(errors);
+    }
+
+    const { amount, reason } = body;
+    sessionId = body.sessionId;
+
+    // Lock before reading, so concurrent refunds check the balance one at a time
+    lockAcquired = await acquireLock(env.SESSIONS, `refund:${sessionId}`);
+    if (!lockAcquired) {
+      return errorResponse('A refund for this session is already in progress', 409);
+    }
+
+    const session = await getSession(env.SESSIONS, sessionId);
+
+    if (!session) {
+      return errorResponse('Session not found', 404);
+    }
+
+    if (session.type === 'subscription') {
+      return errorResponse('Subscriptions cannot be refunded through this endpoint', 400);
+    }
+
+    const refundedAmount = session.refundedAmount || 0;
+    const remaining = session.amount - refundedAmount;
+    const refundAmount = amount || remaining;
+
+    if (remaining <= 0) {
+      return errorResponse('Session has already been fully refunded', 409);
+    }
+
+    if (refundAmount > remaining) {
+      return errorResponse('Refund amount exceeds refundable balance', 400, {
+        refundable: remaining,
+      });
+    }
+
+    if (!isRepresentable(refundAmount, session.currency || 'USD', session.provider)) {
+      return errorResponse('Refund amount cannot be represented in the session currency', 400);
+    }
+
+    const newRefundedAmount = refundedAmount + refundAmount;
+    const refundState =
+      newRefundedAmount >= session.amount
+        ? PAYMENT_STATES.REFUNDED
+        : PAYMENT_STATES.PARTIALLY_REFUNDED;
+
+    if (session.state && !canTransition(session.state, refundState)) {
+      return errorResponse(`Payment in state ${session.state} cannot be refunded`, 409);
+    }
+
+    const adapter = await getProviderAdapter(session.provider, env, logger);
+
+    // A full refund is only sent as such when nothing has been refunded yet
+    const result = await adapter.refund(sessionId, {
+      amount: refundAmount === session.amount ? undefined : refundAmount,
+      reason,
+      idempotencyKey,
+    });
+
+    // Record the refund on the session as it is now: webhooks may have
+    // updated it during the provider call
+    const latest = (await getSession(env.SESSIONS, sessionId)) || session;
+    const details = { source: 'refund', refundId: result.refundId };
+    await savePaymentSession(env, sessionId, {
+      ...(latest.state && !canTransition(latest.state, refundState)
+        ? latest
+        : transitionSession(latest, refundState, details)),
+      refunds: [
+        ...(latest.refunds || []),
+        {
+          refundId: result.refundId,
+          amount: refundAmount,
+          reason: reason || null,
+          status: result.status,
+          createdAt: new Date().toISOString(),
+        },
+      ],
+      refundedAmount: newRefundedAmount,
+      refundStatus: refundState,
+    });
+
+    await incrementCounter(
+      env.METRICS,
+      `refund:${session.provider}:${new Date().toISOString().split('T')[0]}`
+    );
+
+    logger.info('Refund created', {
+      sessionId,
+      refundId: result.refundId,
+      provider: session.provider,
+      amount: refundAmount,
+    });
+
+    return successResponse(
+      { ...result, amount: refundAmount, refundedAmount: newRefundedAmount },
+      'Refund created successfully'
+    );
+  } catch (error) {
+    logger.error('Refund error', { error: error.message, sessionId });
+    return providerErrorResponse(error, 'Refund');
+  } finally {
+    if (lockAcquired) {
+      await releaseLock(env.SESSIONS, `refund:${sessionId}`);
+    }
+  }
+}
+
 /**
  * Handle subscription creation: POST /api/subscription
  */
-export async function handleSubscriptionCreate(request, env, logger) {
+export async function handleSubscriptionCreate(request, env, logger, auth, idempotencyKey) {
   try {
-    const body = await request.json();
-    const { provider, userId, email, planId, priceId, successUrl, cancelUrl } = body;
+    const { body, errors } = await parseRequestBody(request, SCHEMAS.subscription, env);
+
+    if (errors) {
+      return validationErrorResponse(errors);
+    }
+
+    const { provider, userId, email, planKey, successUrl, cancelUrl } = body;
+    let { planId, priceId } = body;
+
+    if (isCatalogRequired(env) && !planKey) {
+      return validationErrorResponse([
+        { field: 'planKey', code: 'required', message: 'planKey is required' },
+      ]);
+    }
 
-    // Validate required fields
-    if (!provider || !userId || !email || (!planId && !priceId)) {
-      return errorResponse('Missing required fields', 400);
+    if (!canAccessUser(auth, userId)) {
+      return errorResponse('Access denied', 403);
+    }
+
+    // Catalog plans map to the provider's plan (PayPal) or price ID
+    let plan = null;
+    if (planKey) {
+      const resolved = await resolvePlan(env, planKey, provider);
+      plan = resolved.plan;
+
+      if (!plan) {
+        return validationErrorResponse([
+          { field: 'planKey', code: 'invalid', message: 'planKey is not an available plan' },
+        ]);
+      }
+      if (!resolved.providerId) {
+        return errorResponse(`Plan ${planKey} is not available with ${provider}`, 422);
+      }
+
+      planId = resolved.providerId;
+      priceId = resolved.providerId;
     }
 
     // Get the appropriate provider adapter
     const adapter = await getProviderAdapter(provider, env, logger);
+    const customerId = await resolveProviderCustomer(env, adapter, {
+      userId,
+      email,
+      idempotencyKey,
+    });
 
     // Create subscription
     const subscription = await adapter.createSubscription({
       userId,
       email,
+      customerId,
       planId,
       priceId,
       successUrl: successUrl || `${env.INTERNAL_BACKEND_URL}/payment/success`,
       cancelUrl: cancelUrl || `${env.INTERNAL_BACKEND_URL}/payment/cancel`,
+      idempotencyKey,
     });
 
-    // Store subscription metadata in KV
-    await storeSession(
-      env.SESSIONS,
-      subscription.subscriptionId,
-      {
-        userId,
-        provider,
-        email,
-        type: 'subscription',
-        planId: planId || priceId,
-        createdAt: new Date().toISOString(),
-      },
-      86400 * 30
-    ); // 30 days TTL
+    // Record the subscription; webhooks keep the record in step from here on
+    await saveSubscriptionRecord(
+      env,
+      withPlan(
+        {
+          subscriptionId: subscription.subscriptionId,
+          provider,
+          userId,
+          email,
+          status: SUBSCRIPTION_STATUSES.PENDING,
+          createdAt: new Date().toISOString(),
+        },
+        planId || priceId,
+        plan
+      )
+    );
 
     logger.info('Subscription created', {
       subscriptionId: subscription.subscriptionId,
@@ -258,23 +768,96 @@ export async function handleSubscriptionCreate(request, env, logger) {
   }
 }
 
+/**
+ * Load a subscription the caller may manage
+ * @returns {Promise<{subscription: object|null, response: Response|null}>} `response` is set when access fails
+ */
+async function getOwnedSubscription(env, subscriptionId, auth) {
+  const subscription = await getSubscriptionRecord(env, subscriptionId);
+
+  if (!subscription) {
+    return { subscription: null, response: errorResponse('Subscription not found', 404) };
+  }
+
+  // Only the subscriber (or a trusted server caller) may manage it
+  if (!canAccessUser(auth, subscription.userId)) {
+    return { subscription: null, response: errorResponse('Access denied', 403) };
+  }
+
+  return { subscription, response: null };
+}
+
+/**
+ * Map an adapter error to a response; operations the provider lacks are 422
+ */
+function subscriptionErrorResponse(error) {
+  return errorResponse(error.message, error.unsupported ? 422 : 500);
+}
+
+/**
+ * Handle subscription lookup: GET /api/subscription/:subscriptionId
+ */
+export async function handleSubscriptionGet(request, env, logger, subscriptionId, auth) {
+  try {
+    const { subscription, response } = await getOwnedSubscription(env, subscriptionId, auth);
+    if (response) {
+      return response;
+    }
+
+    const adapter = await getProviderAdapter(subscription.provider, env, logger);
+    const result = await adapter.getSubscription(subscriptionId);
+    const record = await saveSubscriptionRecord(env, mergeSubscriptionState(subscription, result));
+
+    return successResponse({
+      ...result,
+      userId: subscription.userId,
+      ...(record.planKey && { planKey: record.planKey }),
+    });
+  } catch (error) {
+    logger.error('Subscription lookup error', {
+      error: error.message,
+      subscriptionId,
+    });
+    return subscriptionErrorResponse(error);
+  }
+}
+
 /**
  * Handle subscription cancellation: DELETE /api/subscription/:subscriptionId
+ * `?immediately=true|false` picks immediate or end-of-period cancellation;
+ * without it each provider keeps its default. `?reason=` is passed on.
  */
-export async function handleSubscriptionCancel(request, env, logger, subscriptionId) {
+export async function handleSubscriptionCancel(request, env, logger, subscriptionId, auth) {
   try {
-    // Retrieve subscription from KV to get provider
-    const subscription = await getSession(env.SESSIONS, subscriptionId);
+    const params = new URL(request.url).searchParams;
+    const immediately = params.get('immediately');
+    const reason = params.get('reason') || undefined;
+
+    if (immediately !== null && !['true', 'false'].includes(immediately)) {
+      return validationErrorResponse([
+        { field: 'immediately', code: 'invalid', message: 'immediately must be true or false' },
+      ]);
+    }
+    if (reason && reason.length > 500) {
+      return validationErrorResponse([
+        { field: 'reason', code: 'invalid', message: 'reason must be at most 500 characters' },
+      ]);
+    }
 
-    if (!subscription) {
-      return errorResponse('Subscription not found', 404);
+    const { subscription, response } = await getOwnedSubscription(env, subscriptionId, auth);
+    if (response) {
+      return response;
     }
 
     // Get the appropriate provider adapter
     const adapter = await getProviderAdapter(subscription.provider, env, logger);
 
     // Cancel subscription
-    const result = await adapter.cancelSubscription(subscriptionId);
+    const result = await adapter.cancelSubscription(subscriptionId, {
+      ...(immediately !== null && { immediately: immediately === 'true' }),
+      reason,
+    });
+    await saveSubscriptionRecord(env, mergeSubscriptionState(subscription, result));
 
     logger.info('Subscription cancelled', {
       subscriptionId,
@@ -287,52 +870,1084 @@ export async function handleSubscriptionCancel(request, env, logger, subscriptio
       error: error.message,
       subscriptionId,
     });
-    return errorResponse(error.message, 500);
+    return subscriptionErrorResponse(error);
   }
 }
 
 /**
- * Main router function
+ * Subscription actions by route segment
  */
-export async function route(request, env, logger) {
-  const url = new URL(request.url);
-  const path = url.pathname;
-  const method = request.method;
+const SUBSCRIPTION_ACTIONS = {
+  pause: {
+    method: 'pauseSubscription',
+    message: 'Subscription paused successfully',
+    body: SCHEMAS.subscriptionPause,
+  },
+  resume: { method: 'resumeSubscription', message: 'Subscription resumed successfully' },
+  uncancel: {
+    method: 'uncancelSubscription',
+    message: 'Subscription cancellation withdrawn successfully',
+  },
+};
 
-  // Handle CORS preflight
-  if (method === 'OPTIONS') {
-    return corsResponse();
-  }
+/**
+ * Handle subscription actions: POST /api/subscription/:subscriptionId/(pause|resume|uncancel)
+ * Pause takes an optional body `{ resumeAt, reason }`.
+ */
+export async function handleSubscriptionAction(request, env, logger, subscriptionId, action, auth) {
+  try {
+    let options = {};
+    if (action === 'pause' && request.body) {
+      const { body, errors } = await parseRequestBody(request, SCHEMAS.subscriptionPause, env);
+      if (errors) {
+        return validationErrorResponse(errors);
+      }
+      options = body;
+    }
 
-  // Route matching
-  if (path === '/api/checkout' && method === 'POST') {
-    return handleCheckout(request, env, logger);
-  }
+    const { subscription, response } = await getOwnedSubscription(env, subscriptionId, auth);
+    if (response) {
+      return response;
+    }
 
-  if (path.startsWith('/api/webhook/') && method === 'POST') {
-    const provider = path.split('/')[3];
-    return handleWebhook(request, env, logger, provider);
-  }
+    const { method, message } = SUBSCRIPTION_ACTIONS[action];
+    const adapter = await getProviderAdapter(subscription.provider, env, logger);
+    const result = await adapter[method](subscriptionId, options);
+    await saveSubscriptionRecord(env, mergeSubscriptionState(subscription, result));
 
-  if (path.startsWith('/api/receipt/') && method === 'GET') {
-    const sessionId = path.split('/')[3];
-    return handleReceipt(request, env, logger, sessionId);
-  }
+    logger.info('Subscription action completed', {
+      subscriptionId,
+      provider: subscription.provider,
+      action,
+    });
 
-  if (path === '/api/subscription' && method === 'POST') {
-    return handleSubscriptionCreate(request, env, logger);
+    return successResponse(result, message);
+  } catch (error) {
+    logger.error('Subscription action error', {
+      error: error.message,
+      subscriptionId,
+      action,
+    });
+    return subscriptionErrorResponse(error);
   }
+}
+
+/**
+ * Handle plan and quantity changes: PATCH /api/subscription/:subscriptionId,
+ * or POST /api/subscription/:subscriptionId/preview to price the change first
+ */
+export async function handleSubscriptionUpdate(
+  request,
+  env,
+  logger,
+  subscriptionId,
+  auth,
+  preview = false
+) {
+  try {
+    const { body, errors } = await parseRequestBody(request, SCHEMAS.subscriptionUpdate, env);
+
+    if (errors) {
+      return validationErrorResponse(errors);
+    }
+
+    const { planKey, quantity, proration } = body;
 
-  if (path.startsWith('/api/subscription/') && method === 'DELETE') {
-    const subscriptionId = path.split('/')[3];
-    return handleSubscriptionCancel(request, env, logger, subscriptionId);
+    const { subscription, response } = await getOwnedSubscription(env, subscriptionId, auth);
+    if (response) {
+      return response;
+    }
+
+    let priceId = body.planId || body.priceId;
+    let plan = null;
+    if (planKey) {
+      const resolved = await resolvePlan(env, planKey, subscription.provider);
+      plan = resolved.plan;
+
+      if (!plan) {
+        return validationErrorResponse([
+          { field: 'planKey', code: 'invalid', message: 'planKey is not an available plan' },
+        ]);
+      }
+      if (!resolved.providerId) {
+        return errorResponse(`Plan ${planKey} is not available with ${subscription.provider}`, 422);
+      }
+      priceId = resolved.providerId;
+    } else if (priceId && isCatalogRequired(env)) {
+      return validationErrorResponse([
+        { field: 'planKey', code: 'required', message: 'planKey is required' },
+      ]);
+    }
+
+    const adapter = await getProviderAdapter(subscription.provider, env, logger);
+    const changes = { priceId, quantity, proration };
+
+    if (preview) {
+      return successResponse(await adapter.previewSubscriptionUpdate(subscriptionId, changes));
+    }
+
+    const result = await adapter.updateSubscription(subscriptionId, changes);
+    const change = { planId: priceId, plan, quantity };
+    const merged = mergeSubscriptionState(subscription, result);
+
+    // PayPal changes wait for the subscriber's approval, so they are kept
+    // aside until the provider reports them (see mergeSubscriptionState)
+    await saveSubscriptionRecord(
+      env,
+      result.approvalUrl
+        ? {
+            ...merged,
+            pendingChange: {
+              ...change,
+              approvalUrl: result.approvalUrl,
+              requestedAt: new Date().toISOString(),
+            },
+          }
+        : withChange(merged, change)
+    );
+
+    logger.info('Subscription updated', {
+      subscriptionId,
+      provider: subscription.provider,
+    });
+
+    return successResponse(result, 'Subscription updated successfully');
+  } catch (error) {
+    logger.error('Subscription update error', {
+      error: error.message,
+      subscriptionId,
+    });
+    return subscriptionErrorResponse(error);
   }
+}
 
-  // Health check endpoint
-  if (path === '/health' && method === 'GET') {
-    return successResponse({ status: 'healthy' }, 'Service is running');
+/**
+ * Page size of list routes when `?limit=` is not given, and the largest allowed
+ */
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 1000;
+
+/**
+ * Parse the `?limit=` page size of list routes (see PAGE_QUERY)
+ * Sizes above the maximum are lowered to it.
+ * @param {URLSearchParams} params - Query parameters
+ * @returns {{limit: number, errors: Array<{field: string, code: string, message: string}>}}
+ */
+function parsePageLimit(params) {
+  const value = params.get('limit');
+
+  if (value === null) {
+    return { limit: DEFAULT_PAGE_SIZE, errors: [] };
+  }
+  if (!/^\d+$/.test(value) || Number(value) < 1) {
+    return {
+      limit: null,
+      errors: [{ field: 'limit', code: 'invalid', message: 'limit must be a positive integer' }],
+    };
+  }
+  return { limit: Math.min(Number(value), MAX_PAGE_SIZE), errors: [] };
+}
+
+/**
+ * Handle subscription listing: GET /api/users/:userId/subscriptions
+ * `?status=` filters the user's records; `?limit=` and `?cursor=` page through them.
+ */
+export async function handleUserSubscriptions(request, env, logger, userId, auth) {
+  if (!canAccessUser(auth, userId)) {
+    return errorResponse('Access denied', 403);
+  }
+
+  try {
+    const url = new URL(request.url);
+    const status = url.searchParams.get('status');
+    const { limit, errors } = parsePageLimit(url.searchParams);
+
+    if (status && !Object.values(SUBSCRIPTION_STATUSES).includes(status)) {
+      errors.push({
+        field: 'status',
+        code: 'invalid',
+        message: `status must be one of ${Object.values(SUBSCRIPTION_STATUSES).join(', ')}`,
+      });
+    }
+
+    if (errors.length > 0) {
+      return validationErrorResponse(errors);
+    }
+
+    const { subscriptions, cursor } = await listUserSubscriptions(env, userId, {
+      cursor: url.searchParams.get('cursor') || undefined,
+      limit,
+      status: status || undefined,
+    });
+
+    return successResponse({ subscriptions, cursor });
+  } catch (error) {
+    logger.error('Subscription listing error', { error: error.message, userId });
+    return errorResponse(error.message, 500);
   }
+}
+
+/**
+ * List the saved payment methods of every provider customer linked to a user
+ * @returns {Promise<Array<{customerId: string, method: object}>>}
+ */
+async function listLinkedPaymentMethods(env, logger, userId) {
+  const record = await getCustomerRecord(env, userId);
+  const customers = Object.entries(record?.customerIds || {});
+
+  const lists = await Promise.all(
+    customers.map(async ([provider, customerId]) => {
+      const adapter = await getProviderAdapter(provider, env, logger);
+      const methods = await adapter.listPaymentMethods(customerId);
+      return methods.map((method) => ({ customerId, method }));
+    })
+  );
+
+  return lists.flat();
+}
+
+/**
+ * Handle saved payment method listing: GET /api/users/:userId/payment-methods
+ */
+export async function handlePaymentMethodList(request, env, logger, userId, auth) {
+  if (!canAccessUser(auth, userId)) {
+    return errorResponse('Access denied', 403);
+  }
+
+  try {
+    const linked = await listLinkedPaymentMethods(env, logger, userId);
+    return successResponse({ paymentMethods: linked.map(({ method }) => method) });
+  } catch (error) {
+    logger.error('Payment method listing error', { error: error.message, userId });
+    return errorResponse(error.message, 500);
+  }
+}
+
+/**
+ * Handle saved payment method removal: DELETE /api/users/:userId/payment-methods/:paymentMethodId
+ * The method must belong to one of the user's own provider customers.
+ */
+export async function handlePaymentMethodDelete(
+  request,
+  env,
+  logger,
+  userId,
+  paymentMethodId,
+  auth
+) {
+  if (!canAccessUser(auth, userId)) {
+    return errorResponse('Access denied', 403);
+  }
+
+  try {
+    const linked = await listLinkedPaymentMethods(env, logger, userId);
+    const match = linked.find(({ method }) => method.paymentMethodId === paymentMethodId);
+
+    if (!match) {
+      return errorResponse('Payment method not found', 404);
+    }
+
+    const { customerId, method } = match;
+    const adapter = await getProviderAdapter(method.provider, env, logger);
+    await adapter.deletePaymentMethod(customerId, paymentMethodId);
+
+    logger.info('Payment method deleted', { userId, paymentMethodId, provider: method.provider });
+
+    return successResponse(
+      { paymentMethodId, provider: method.provider, deleted: true },
+      'Payment method deleted successfully'
+    );
+  } catch (error) {
+    logger.error('Payment method deletion error', {
+      error: error.message,
+      userId,
+      paymentMethodId,
+    });
+    return errorResponse(error.message, 500);
+  }
+}
+
+/**
+ * Handle transaction search: GET /api/transactions
+ * Filters on `userId`, `provider`, `status`, `currency`, a `from`/`to` range of
+ * creation dates and `minAmount`/`maxAmount`; `?limit=` and `?cursor=` page
+ * through the results, newest first. End users must filter on their own userId.
+ */
+export async function handleTransactionList(request, env, logger, auth) {
+  const url = new URL(request.url);
+
+  if (!canAccessUser(auth, url.searchParams.get('userId'))) {
+    return errorResponse('Access denied', 403);
+  }
+
+  try {
+    const { filters, errors } = parseTransactionFilters(url.searchParams);
+    const { limit, errors: limitErrors } = parsePageLimit(url.searchParams);
+
+    if (errors.length > 0 || limitErrors.length > 0) {
+      return validationErrorResponse([...errors, ...limitErrors]);
+    }
+
+    const { transactions, cursor } = await searchTransactions(env, filters, {
+      cursor: url.searchParams.get('cursor') || undefined,
+      limit,
+    });
+
+    return successResponse({ transactions, cursor });
+  } catch (error) {
+    logger.error('Transaction search error', { error: error.message });
+    return errorResponse(error.message, 500);
+  }
+}
+
+/**
+ * Handle transaction lookup: GET /api/transactions/:transactionId
+ * Returns the transaction with its full event timeline.
+ */
+export async function handleTransactionGet(request, env, logger, transactionId, auth) {
+  try {
+    const transaction = await getTransaction(env, transactionId);
+
+    if (!transaction) {
+      return errorResponse('Transaction not found', 404);
+    }
+
+    if (!canAccessUser(auth, transaction.userId)) {
+      return errorResponse('Access denied', 403);
+    }
+
+    return successResponse(transaction);
+  } catch (error) {
+    logger.error('Transaction retrieval error', { error: error.message, transactionId });
+    return errorResponse(error.message, 500);
+  }
+}
+
+/**
+ * Handle dead-letter listing: GET /api/admin/dead-letters
+ */
+export async function handleDeadLetterList(request, env, logger, auth) {
+  if (auth && !auth.trusted) {
+    return errorResponse('Access denied', 403);
+  }
+
+  try {
+    const url = new URL(request.url);
+    const { limit, errors } = parsePageLimit(url.searchParams);
+
+    if (errors.length > 0) {
+      return validationErrorResponse(errors);
+    }
+
+    const { ids, cursor } = await listDeadLetters(env.EVENTS, {
+      cursor: url.searchParams.get('cursor') || undefined,
+      limit,
+    });
+
+    const entries = await Promise.all(ids.map((id) => getDeadLetter(env.EVENTS, id)));
+
+    return successResponse(
+      {
+        deadLetters: entries.filter(Boolean).map((entry) => ({
+          id: entry.id,
+          provider: entry.notification.provider,
+          event: entry.notification.event,
+          eventId: entry.notification.eventId,
+          attempts: entry.attempts,
+          lastError: entry.lastError,
+          deadLetteredAt: entry.deadLetteredAt,
+        })),
+        cursor,
+      },
+      'Dead letters retrieved successfully'
+    );
+  } catch (error) {
+    logger.error('Dead letter listing error', { error: error.message });
+    return errorResponse(error.message, 500);
+  }
+}
+
+/**
+ * Handle dead-letter inspection: GET /api/admin/dead-letters/:id
+ */
+export async function handleDeadLetterGet(request, env, logger, id, auth) {
+  if (auth && !auth.trusted) {
+    return errorResponse('Access denied', 403);
+  }
+
+  try {
+    const entry = await getDeadLetter(env.EVENTS, id);
+
+    if (!entry) {
+      return errorResponse('Dead letter not found', 404);
+    }
+
+    return successResponse(entry, 'Dead letter retrieved successfully');
+  } catch (error) {
+    logger.error('Dead letter retrieval error', { error: error.message, id });
+    return errorResponse(error.message, 500);
+  }
+}
+
+/**
+ * Handle dead-letter replay: POST /api/admin/dead-letters/:id/replay
+ */
+export async function handleDeadLetterReplay(request, env, logger, id, auth) {
+  if (auth && !auth.trusted) {
+    return errorResponse('Access denied', 403);
+  }
+
+  try {
+    const entry = await getDeadLetter(env.EVENTS, id);
+
+    if (!entry) {
+      return errorResponse('Dead letter not found', 404);
+    }
+
+    const delivered = await replayDeadLetter(env, entry, logger.tracer);
+
+    if (!delivered) {
+      logger.warn('Dead letter replay failed', { id });
+      return errorResponse('Replay failed; the event remains dead-lettered', 502);
+    }
+
+    logger.info('Dead letter replayed', { id });
+
+    return successResponse({ id, replayed: true }, 'Dead letter replayed successfully');
+  } catch (error) {
+    logger.error('Dead letter replay error', { error: error.message, id });
+    return errorResponse(error.message, 500);
+  }
+}
+
+/**
+ * Handle catalog listing: GET /api/admin/catalog
+ */
+export async function handleCatalogList(request, env, logger, auth) {
+  if (auth && !auth.trusted) {
+    return errorResponse('Access denied', 403);
+  }
+
+  try {
+    const [products, plans] = await Promise.all([
+      listCatalogEntries(env, 'products'),
+      listCatalogEntries(env, 'plans'),
+    ]);
+
+    return successResponse({ products, plans }, 'Catalog retrieved successfully');
+  } catch (error) {
+    logger.error('Catalog listing error', { error: error.message });
+    return errorResponse(error.message, 500);
+  }
+}
+
+/**
+ * Handle catalog entries: GET, PUT and DELETE /api/admin/catalog/:kind/:key
+ * `kind` is `products` (keyed by SKU) or `plans` (keyed by plan key).
+ */
+export async function handleCatalogEntry(request, env, logger, kind, key, auth) {
+  if (auth && !auth.trusted) {
+    return errorResponse('Access denied', 403);
+  }
+
+  if (!CATALOG_KINDS[kind]) {
+    return errorResponse('Endpoint not found', 404);
+  }
+
+  const { keyField } = CATALOG_KINDS[kind];
+  if (!isValidCatalogKey(key)) {
+    return validationErrorResponse([
+      {
+        field: keyField,
+        code: 'invalid',
+        message: `${keyField} must be 1-64 letters, digits, dots, dashes or underscores`,
+      },
+    ]);
+  }
+
+  try {
+    if (request.method === 'PUT') {
+      const schema = kind === 'products' ? SCHEMAS.catalogProduct : SCHEMAS.catalogPlan;
+      const { body, errors } = await parseRequestBody(request, schema, env);
+
+      if (errors) {
+        return validationErrorResponse(errors);
+      }
+
+      const entry = await putCatalogEntry(env, kind, key, body);
+      logger.info('Catalog entry saved', { kind, key });
+
+      return successResponse(entry, 'Catalog entry saved successfully');
+    }
+
+    const entry = await getCatalogEntry(env, kind, key);
+
+    if (!entry) {
+      return errorResponse('Catalog entry not found', 404);
+    }
+
+    if (request.method === 'DELETE') {
+      await deleteCatalogEntry(env, kind, key);
+      logger.info('Catalog entry deleted', { kind, key });
+
+      return successResponse({ [keyField]: key, deleted: true }, 'Catalog entry deleted');
+    }
+
+    return successResponse(entry, 'Catalog entry retrieved successfully');
+  } catch (error) {
+    logger.error('Catalog entry error', { error: error.message, kind, key });
+    return errorResponse(error.message, 500);
+  }
+}
+
+/**
+ * Handle metrics report: GET /api/admin/metrics
+ * Daily counts per provider, webhook event and error route, conversion and
+ * revenue per currency over `?from=` to `?to=`, optionally for one `?provider=`.
+ */
+export async function handleMetricsReport(request, env, logger, auth) {
+  if (auth && !auth.trusted) {
+    return errorResponse('Access denied', 403);
+  }
+
+  try {
+    const { range, errors } = parseReportRange(new URL(request.url).searchParams);
+
+    if (errors.length > 0) {
+      return validationErrorResponse(errors);
+    }
+
+    return successResponse(await getMetricsReport(env, range));
+  } catch (error) {
+    logger.error('Metrics report error', { error: error.message });
+    return errorResponse(error.message, 500);
+  }
+}
+
+/**
+ * Handle Prometheus scrape: GET /metrics
+ * Requires `Authorization: Bearer <METRICS_TOKEN>`. Sums every isolate's
+ * shard, with this isolate's measurements flushed first.
+ */
+export async function handleMetricsExport(request, env, logger) {
+  const [scheme, token] = (request.headers.get('Authorization') || '').split(' ');
+
+  if (!env.METRICS_TOKEN || scheme !== 'Bearer' || !compareSignatures(token, env.METRICS_TOKEN)) {
+    return errorResponse('Invalid or missing metrics token', 401);
+  }
+
+  try {
+    await flushTelemetry(env);
+    const totals = await readTelemetryTotals(env);
+
+    return new Response(renderOpenMetrics(totals), {
+      headers: { 'Content-Type': OPENMETRICS_CONTENT_TYPE },
+    });
+  } catch (error) {
+    logger.error('Metrics export error', { error: error.message });
+    return errorResponse(error.message, 500);
+  }
+}
+
+/**
+ * Handle OpenAPI document: GET /openapi.json
+ * Generated from the route table and body schemas on each request.
+ */
+export function handleOpenApi(request) {
+  const serverUrl = new URL(request.url).origin;
+  return jsonResponse(buildOpenApiDocument(getRoutes(), { serverUrl }));
+}
+
+/**
+ * Handle API explorer: GET /docs
+ * The page only runs its own inline script and only calls this origin.
+ */
+export function handleApiExplorer() {
+  const nonce = crypto.randomUUID();
+
+  return new Response(renderApiExplorer('/openapi.json', nonce), {
+    headers: {
+      'Content-Type': 'text/html; charset=utf-8',
+      'Content-Security-Policy': `default-src 'none'; script-src 'nonce-${nonce}'; style-src 'nonce-${nonce}'; connect-src 'self'`,
+    },
+  });
+}
+
+/**
+ * Pagination query parameters of list routes
+ */
+const PAGE_QUERY = {
+  limit: {
+    type: 'integer',
+    minimum: 1,
+    maximum: MAX_PAGE_SIZE,
+    description: `Page size (default ${DEFAULT_PAGE_SIZE})`,
+  },
+  cursor: { type: 'string', description: 'Cursor from the previous page' },
+};
+
+/**
+ * Routes for the GET, PUT and DELETE of one catalog kind
+ * @param {string} kind - Key of CATALOG_KINDS
+ * @param {object} schema - Body schema for PUT
+ * @param {string} noun - Entry name for summaries and operation IDs
+ * @returns {Array<object>} Route definitions
+ */
+function catalogEntryRoutes(kind, schema, noun) {
+  const { keyField } = CATALOG_KINDS[kind];
+  const path = `/api/admin/catalog/${kind}/:${keyField}`;
+  const name = `Catalog${noun[0].toUpperCase()}${noun.slice(1)}`;
+  const handler = ({ request, env, logger, params, auth }) =>
+    handleCatalogEntry(request, env, logger, kind, params[keyField], auth);
+  const admin = { path, auth: 'server', rateLimit: 'api', tags: ['Admin'], handler };
+
+  return [
+    { ...admin, method: 'GET', summary: `Get a catalog ${noun}`, operationId: `get${name}` },
+    {
+      ...admin,
+      method: 'PUT',
+      summary: `Create or replace a catalog ${noun}`,
+      operationId: `put${name}`,
+      body: schema,
+    },
+    {
+      ...admin,
+      method: 'DELETE',
+      summary: `Delete a catalog ${noun}`,
+      operationId: `delete${name}`,
+    },
+  ];
+}
+
+/**
+ * Routes
+ * Besides method, path and handler, each route declares `summary`,
+ * `operationId` and `tags` for docs and the `auth`, `rateLimit` and `body`
+ * metadata the middleware read (see utils/middleware.js). The OpenAPI
+ * document also reads the optional `description`, `params` and `query` (JSON
+ * Schemas by name), `security` and `contentType` (for responses that are not
+ * the JSON envelope). Handlers receive the middleware context.
+ */
+const ROUTES = createRouteTable([
+  {
+    method: 'POST',
+    path: '/api/checkout',
+    summary: 'Create a checkout session',
+    operationId: 'createCheckoutSession',
+    tags: ['Checkout'],
+    auth: 'user',
+    rateLimit: 'checkout',
+    body: SCHEMAS.checkout,
+    middleware: [idempotent('checkout')],
+    handler: ({ request, env, logger, auth, idempotencyKey }) =>
+      handleCheckout(request, env, logger, auth, idempotencyKey),
+  },
+  {
+    method: 'POST',
+    path: '/api/checkout/:sessionId/capture',
+    summary: 'Capture an approved PayPal order',
+    operationId: 'capturePayment',
+    tags: ['Checkout'],
+    auth: 'user',
+    rateLimit: 'checkout',
+    handler: ({ request, env, logger, params, auth }) =>
+      handleCapture(request, env, logger, params.sessionId, auth),
+  },
+  {
+    method: 'POST',
+    path: '/api/webhook/:provider',
+    summary: 'Receive a provider webhook',
+    operationId: 'receiveWebhook',
+    description:
+      "Called by the provider with its own event format, signed with Paddle-Signature, PayPal's transmission headers or Stripe-Signature.",
+    tags: ['Webhooks'],
+    auth: 'none',
+    params: { provider: { enum: ['paddle', 'paypal', 'stripe'] } },
+    rateLimit: 'webhook',
+    handler: ({ request, env, logger, params }) =>
+      handleWebhook(request, env, logger, params.provider),
+  },
+  {
+    method: 'GET',
+    path: '/api/receipt/:sessionId',
+    summary: 'Get the receipt of a checkout session',
+    operationId: 'getReceipt',
+    tags: ['Checkout'],
+    auth: 'user',
+    query: {
+      refresh: { type: 'boolean', description: 'Also fetch the latest state from the provider' },
+    },
+    rateLimit: 'receipt',
+    handler: ({ request, env, logger, params, auth }) =>
+      handleReceipt(request, env, logger, params.sessionId, auth),
+  },
+  {
+    method: 'POST',
+    path: '/api/refund',
+    summary: 'Refund a payment',
+    operationId: 'createRefund',
+    tags: ['Checkout'],
+    auth: 'server',
+    rateLimit: 'refund',
+    body: SCHEMAS.refund,
+    // Refunds have no natural key to detect duplicates by, and Paddle
+    // adjustments none upstream, so callers must send one
+    middleware: [idempotent('refund', { required: true })],
+    handler: ({ request, env, logger, auth, idempotencyKey }) =>
+      handleRefund(request, env, logger, auth, idempotencyKey),
+  },
+  {
+    method: 'POST',
+    path: '/api/subscription',
+    summary: 'Create a subscription checkout',
+    operationId: 'createSubscription',
+    tags: ['Subscriptions'],
+    auth: 'user',
+    rateLimit: 'subscription',
+    body: SCHEMAS.subscription,
+    middleware: [idempotent('subscription')],
+    handler: ({ request, env, logger, auth, idempotencyKey }) =>
+      handleSubscriptionCreate(request, env, logger, auth, idempotencyKey),
+  },
+  {
+    method: 'GET',
+    path: '/api/subscription/:subscriptionId',
+    summary: 'Get a subscription',
+    operationId: 'getSubscription',
+    tags: ['Subscriptions'],
+    auth: 'user',
+    rateLimit: 'subscription',
+    handler: ({ request, env, logger, params, auth }) =>
+      handleSubscriptionGet(request, env, logger, params.subscriptionId, auth),
+  },
+  {
+    method: 'PATCH',
+    path: '/api/subscription/:subscriptionId',
+    summary: 'Change the plan or quantity of a subscription',
+    operationId: 'updateSubscription',
+    tags: ['Subscriptions'],
+    auth: 'user',
+    rateLimit: 'subscription',
+    body: SCHEMAS.subscriptionUpdate,
+    handler: ({ request, env, logger, params, auth }) =>
+      handleSubscriptionUpdate(request, env, logger, params.subscriptionId, auth),
+  },
+  {
+    method: 'DELETE',
+    path: '/api/subscription/:subscriptionId',
+    summary: 'Cancel a subscription',
+    operationId: 'cancelSubscription',
+    tags: ['Subscriptions'],
+    auth: 'user',
+    query: {
+      immediately: {
+        type: 'boolean',
+        description: "Cancel now rather than at period end (default: the provider's default)",
+      },
+      reason: { type: 'string', maxLength: 500 },
+    },
+    rateLimit: 'subscription',
+    handler: ({ request, env, logger, params, auth }) =>
+      handleSubscriptionCancel(request, env, logger, params.subscriptionId, auth),
+  },
+  {
+    method: 'POST',
+    path: '/api/subscription/:subscriptionId/preview',
+    summary: 'Preview a plan or quantity change',
+    operationId: 'previewSubscriptionUpdate',
+    tags: ['Subscriptions'],
+    auth: 'user',
+    rateLimit: 'subscription',
+    body: SCHEMAS.subscriptionUpdate,
+    handler: ({ request, env, logger, params, auth }) =>
+      handleSubscriptionUpdate(request, env, logger, params.subscriptionId, auth, true),
+  },
+  ...Object.entries(SUBSCRIPTION_ACTIONS).map(([action, { body }]) => ({
+    method: 'POST',
+    path: `/api/subscription/:subscriptionId/${action}`,
+    summary: `${action[0].toUpperCase()}${action.slice(1)} a subscription`,
+    operationId: `${action}Subscription`,
+    tags: ['Subscriptions'],
+    auth: 'user',
+    rateLimit: 'subscription',
+    ...(body && { body, bodyRequired: false }),
+    handler: ({ request, env, logger, params, auth }) =>
+      handleSubscriptionAction(request, env, logger, params.subscriptionId, action, auth),
+  })),
+  {
+    method: 'GET',
+    path: '/api/users/:userId/subscriptions',
+    summary: "List a user's subscriptions",
+    operationId: 'listUserSubscriptions',
+    tags: ['Subscriptions'],
+    auth: 'user',
+    query: { status: { enum: Object.values(SUBSCRIPTION_STATUSES) }, ...PAGE_QUERY },
+    rateLimit: 'api',
+    handler: ({ request, env, logger, params, auth }) =>
+      handleUserSubscriptions(request, env, logger, params.userId, auth),
+  },
+  {
+    method: 'GET',
+    path: '/api/users/:userId/payment-methods',
+    summary: "List a user's saved payment methods",
+    operationId: 'listPaymentMethods',
+    tags: ['Customers'],
+    auth: 'user',
+    rateLimit: 'api',
+    handler: ({ request, env, logger, params, auth }) =>
+      handlePaymentMethodList(request, env, logger, params.userId, auth),
+  },
+  {
+    method: 'DELETE',
+    path: '/api/users/:userId/payment-methods/:paymentMethodId',
+    summary: 'Remove a saved payment method',
+    operationId: 'deletePaymentMethod',
+    tags: ['Customers'],
+    auth: 'user',
+    rateLimit: 'api',
+    handler: ({ request, env, logger, params, auth }) =>
+      handlePaymentMethodDelete(request, env, logger, params.userId, params.paymentMethodId, auth),
+  },
+  {
+    method: 'GET',
+    path: '/api/transactions',
+    summary: 'Search transactions',
+    operationId: 'listTransactions',
+    description: 'End users must pass their own userId.',
+    tags: ['Transactions'],
+    auth: 'user',
+    query: {
+      userId: { type: 'string' },
+      provider: { type: 'string' },
+      status: { enum: Object.values(PAYMENT_STATES) },
+      currency: { type: 'string', description: 'ISO 4217 code' },
+      from: { type: 'string', format: 'date-time', description: 'Created at or after' },
+      to: { type: 'string', format: 'date-time', description: 'Created before' },
+      minAmount: { type: 'integer', minimum: 0, description: 'Minor units' },
+      maxAmount: { type: 'integer', minimum: 0, description: 'Minor units' },
+      ...PAGE_QUERY,
+    },
+    rateLimit: 'api',
+    handler: ({ request, env, logger, auth }) => handleTransactionList(request, env, logger, auth),
+  },
+  {
+    method: 'GET',
+    path: '/api/transactions/:transactionId',
+    summary: 'Get a transaction and its timeline',
+    operationId: 'getTransaction',
+    tags: ['Transactions'],
+    auth: 'user',
+    rateLimit: 'api',
+    handler: ({ request, env, logger, params, auth }) =>
+      handleTransactionGet(request, env, logger, params.transactionId, auth),
+  },
+  {
+    method: 'GET',
+    path: '/api/admin/dead-letters',
+    summary: 'List dead-lettered backend notifications',
+    operationId: 'listDeadLetters',
+    tags: ['Admin'],
+    auth: 'server',
+    query: PAGE_QUERY,
+    rateLimit: 'api',
+    handler: ({ request, env, logger, auth }) => handleDeadLetterList(request, env, logger, auth),
+  },
+  {
+    method: 'GET',
+    path: '/api/admin/dead-letters/:id',
+    summary: 'Get a dead-lettered backend notification',
+    operationId: 'getDeadLetter',
+    tags: ['Admin'],
+    auth: 'server',
+    rateLimit: 'api',
+    handler: ({ request, env, logger, params, auth }) =>
+      handleDeadLetterGet(request, env, logger, params.id, auth),
+  },
+  {
+    method: 'POST',
+    path: '/api/admin/dead-letters/:id/replay',
+    summary: 'Replay a dead-lettered backend notification',
+    operationId: 'replayDeadLetter',
+    tags: ['Admin'],
+    auth: 'server',
+    rateLimit: 'api',
+    handler: ({ request, env, logger, params, auth }) =>
+      handleDeadLetterReplay(request, env, logger, params.id, auth),
+  },
+  {
+    method: 'GET',
+    path: '/api/admin/catalog',
+    summary: 'List catalog products and plans',
+    operationId: 'listCatalog',
+    tags: ['Admin'],
+    auth: 'server',
+    rateLimit: 'api',
+    handler: ({ request, env, logger, auth }) => handleCatalogList(request, env, logger, auth),
+  },
+  ...catalogEntryRoutes('products', SCHEMAS.catalogProduct, 'product'),
+  ...catalogEntryRoutes('plans', SCHEMAS.catalogPlan, 'plan'),
+  {
+    method: 'GET',
+    path: '/api/admin/metrics',
+    summary: 'Get the conversion and revenue report',
+    operationId: 'getMetricsReport',
+    tags: ['Admin'],
+    auth: 'server',
+    query: {
+      from: {
+        type: 'string',
+        format: 'date',
+        description: 'First day (default: 29 days before to)',
+      },
+      to: { type: 'string', format: 'date', description: 'Last day, inclusive (default: today)' },
+      provider: { type: 'string', description: 'Only count this provider' },
+    },
+    rateLimit: 'api',
+    handler: ({ request, env, logger, auth }) => handleMetricsReport(request, env, logger, auth),
+  },
+  {
+    method: 'GET',
+    path: '/metrics',
+    summary: 'Prometheus metrics',
+    operationId: 'getPrometheusMetrics',
+    tags: ['Operations'],
+    auth: 'none',
+    security: [{ metricsToken: [] }],
+    contentType: OPENMETRICS_CONTENT_TYPE,
+    handler: ({ request, env, logger }) => handleMetricsExport(request, env, logger),
+  },
+  {
+    method: 'GET',
+    path: '/health',
+    summary: 'Health check',
+    operationId: 'getHealth',
+    tags: ['Operations'],
+    auth: 'none',
+    handler: () => successResponse({ status: 'healthy' }, 'Service is running'),
+  },
+  {
+    method: 'GET',
+    path: '/openapi.json',
+    summary: 'OpenAPI document',
+    operationId: 'getOpenApiDocument',
+    tags: ['Operations'],
+    auth: 'none',
+    contentType: 'application/json',
+    handler: ({ request }) => handleOpenApi(request),
+  },
+  {
+    method: 'GET',
+    path: '/docs',
+    summary: 'API explorer',
+    operationId: 'getApiExplorer',
+    tags: ['Operations'],
+    auth: 'none',
+    contentType: 'text/html',
+    handler: () => handleApiExplorer(),
+  },
+]);
+
+/**
+ * Find the route template a path belongs to, to label per-route telemetry
+ * without the IDs in paths
+ * @param {string} path - URL pathname
+ * @returns {string} Template such as `/api/receipt/:sessionId`, or `unmatched`
+ */
+export function routeTemplate(path) {
+  const match = matchPath(ROUTES, path);
+  return match ? match.template : 'unmatched';
+}
+
+/**
+ * Find the methods a path accepts
+ * @param {string} path - URL pathname
+ * @returns {string[]|null} Methods including HEAD and OPTIONS, or null if no route matches
+ */
+export function routeMethods(path) {
+  const match = matchPath(ROUTES, path);
+  return match ? allowedMethods(match) : null;
+}
+
+/**
+ * List every route with its metadata
+ * @returns {Array<object>} Route definitions ({ method, path, summary, tags, auth, rateLimit, body, ... })
+ */
+export function getRoutes() {
+  return listRoutes(ROUTES);
+}
+
+/**
+ * Answer an OPTIONS request
+ * CORS preflights are checked against the CORS policy and the route's
+ * methods; plain OPTIONS requests get the route's methods in `Allow`.
+ * @param {Request} request - OPTIONS request
+ * @param {object} env - Environment variables
+ * @param {object} logger - Logger instance
+ * @returns {Response}
+ */
+function handleOptions(request, env, logger) {
+  const path = new URL(request.url).pathname;
+  const methods = routeMethods(path);
+
+  if (!request.headers.has('Origin')) {
+    return methods
+      ? new Response(null, { status: 204, headers: { Allow: methods.join(', ') } })
+      : errorResponse('Endpoint not found', 404);
+  }
+
+  const { status, error, headers } = checkPreflight(request, env, methods);
+  if (error) {
+    logger.warn('CORS preflight rejected', { path, origin: request.headers.get('Origin'), error });
+    return withHeaders(errorResponse(error, status), headers);
+  }
+
+  return new Response(null, { status, headers });
+}
+
+/**
+ * Main router function
+ */
+export async function route(request, env, logger) {
+  if (request.method === 'OPTIONS') {
+    return handleOptions(request, env, logger);
+  }
+
+  const response = await handleRequest(request, env, logger);
+  return withHeaders(response, corsHeaders(request, env));
+}
+
+/**
+ * Match a request to its route and run the route behind its middleware
+ * Paths without a route get 404; methods the route does not accept get 405
+ * with `Allow`. HEAD runs the GET route and drops the body.
+ * @param {Request} request - Incoming request
+ * @param {object} env - Environment variables
+ * @param {object} logger - Logger instance
+ * @returns {Promise<Response>}
+ */
+async function handleRequest(request, env, logger) {
+  const path = new URL(request.url).pathname;
+  const match = matchPath(ROUTES, path);
+
+  if (!match) {
+    return errorResponse('Endpoint not found', 404);
+  }
+
+  const definition = selectRoute(match, request.method);
+  if (!definition) {
+    return withHeaders(errorResponse('Method not allowed', 405), {
+      Allow: allowedMethods(match).join(', '),
+    });
+  }
+
+  const ctx = { request, env, logger, path, route: definition, params: match.params };
+  const response = await runMiddleware(
+    [...ROUTE_MIDDLEWARE, ...definition.middleware],
+    ctx,
+    definition.handler
+  );
 
-  // Not found
-  return errorResponse('Endpoint not found', 404);
+  return request.method === 'HEAD'
+    ? new Response(null, { status: response.status, headers: response.headers })
+    : response;
 }
@@ -3,9 +3,30 @@
  */
 
 import { describe, it, expect, beforeEach, vi } from 'vitest';
-import { getProviderAdapter } from '../adapters/providerAdapter.js';
+import { getProviderAdapter, parameterKey } from '../adapters/providerAdapter.js';
 import { PaddleAdapter } from '../adapters/paddle.js';
 import { PayPalAdapter } from '../adapters/paypal.js';
+import { StripeAdapter } from '../adapters/stripe.js';
+
+async function signStripePayload(payload, secret, timestamp) {
+  const encoder = new TextEncoder();
+  const key = await crypto.subtle.importKey(
+    'raw',
+    encoder.encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  );
+  const signature = await crypto.subtle.sign(
+    'HMAC',
+    key,
+    encoder.encode(`${timestamp}.${payload}`)
+  );
+  const hex = Array.from(new Uint8Array(signature))
+    .map((b) => b.toString(16).padStart(2, '0'))
+    .join('');
+  return `t=${timestamp},v1=${hex}`;
+}
 
 describe('Provider Adapter Factory', () => {
   let mockEnv;
@@ -40,6 +61,12 @@ describe('Provider Adapter Factory', () => {
     expect(adapter.getName()).toBe('paypal');
   });
 
+  it('should return StripeAdapter for stripe provider', async () => {
+    const adapter = await getProviderAdapter('stripe', mockEnv, mockLogger);
+    expect(adapter).toBeInstanceOf(StripeAdapter);
+    expect(adapter.getName()).toBe('stripe');
+  });
+
   it('should be case insensitive for provider names', async () => {
     const adapter1 = await getProviderAdapter('PADDLE', mockEnv, mockLogger);
     const adapter2 = await getProviderAdapter('PayPal', mockEnv, mockLogger);
@@ -230,4 +257,336 @@ describe('PayPalAdapter', () => {
     expect(result).toHaveProperty('checkoutUrl');
     expect(result).toHaveProperty('provider', 'paypal');
   });
+
+  it('should refund the captured payment of an order', async () => {
+    const fetchMock = vi
+      .fn()
+      // First call for access token
+      .mockImplementationOnce(() =>
+        Promise.resolve({
+          ok: true,
+          json: () => Promise.resolve({ access_token: 'test_token', expires_in: 3600 }),
+        })
+      )
+      // Second call fetches the order
+      .mockImplementationOnce(() =>
+        Promise.resolve({
+          ok: true,
+          json: () =>
+            Promise.resolve({
+              id: 'order_123',
+              purchase_units: [
+                {
+                  payments: {
+                    captures: [{ id: 'cap_123', amount: { currency_code: 'EUR', value: '10.00' } }],
+                  },
+                },
+              ],
+            }),
+        })
+      )
+      // Third call refunds the capture
+      .mockImplementationOnce(() =>
+        Promise.resolve({
+          ok: true,
+          json: () => Promise.resolve({ id: 'ref_123', status: 'COMPLETED' }),
+        })
+      );
+    global.fetch = fetchMock;
+
+    const result = await adapter.refund('order_123', {
+      amount: 250,
+      reason: 'Damaged',
+      idempotencyKey: 'refund-key',
+    });
+
+    expect(result).toEqual({
+      refundId: 'ref_123',
+      status: 'COMPLETED',
+      amount: 250,
+      provider: 'paypal',
+    });
+
+    const [url, options] = fetchMock.mock.calls[2];
+    expect(url).toContain('/v2/payments/captures/cap_123/refund');
+    expect(options.headers['PayPal-Request-Id']).toBe('refund-key');
+    expect(JSON.parse(options.body)).toEqual({
+      amount: { currency_code: 'EUR', value: '2.50' },
+      note_to_payer: 'Damaged',
+    });
+  });
+});
+
+describe('StripeAdapter', () => {
+  let adapter;
+  let mockEnv;
+  let mockLogger;
+
+  beforeEach(() => {
+    mockEnv = {
+      STRIPE_SECRET_KEY: 'sk_test_123',
+      STRIPE_WEBHOOK_SECRET: 'whsec_test',
+    };
+
+    mockLogger = {
+      info: vi.fn(),
+      error: vi.fn(),
+      warn: vi.fn(),
+      debug: vi.fn(),
+    };
+
+    adapter = new StripeAdapter(mockEnv, mockLogger);
+  });
+
+  it('should have correct provider name', () => {
+    expect(adapter.getName()).toBe('stripe');
+  });
+
+  it('should create checkout session successfully', async () => {
+    const fetchMock = vi.fn(() =>
+      Promise.resolve({
+        ok: true,
+        json: () =>
+          Promise.resolve({
+            id: 'cs_test_123',
+            url: 'https://checkout.stripe.com/c/pay/cs_test_123',
+          }),
+      })
+    );
+    global.fetch = fetchMock;
+
+    const result = await adapter.createCheckoutSession({
+      userId: 'user_123',
+      email: 'test@example.com',
+      amount: 1000,
+      currency: 'USD',
+      productName: 'Test Product',
+      successUrl: 'https://example.com/success',
+      cancelUrl: 'https://example.com/cancel',
+      metadata: { plan: 'pro', user_id: 'user_456' },
+    });
+
+    expect(result).toEqual({
+      sessionId: 'cs_test_123',
+      checkoutUrl: 'https://checkout.stripe.com/c/pay/cs_test_123',
+      provider: 'stripe',
+    });
+
+    const [url, options] = fetchMock.mock.calls[0];
+    const body = new URLSearchParams(options.body);
+    expect(url).toBe('https://api.stripe.com/v1/checkout/sessions');
+    expect(options.headers.Authorization).toBe('Bearer sk_test_123');
+    expect(body.get('mode')).toBe('payment');
+    expect(body.get('line_items[0][price_data][currency]')).toBe('usd');
+    expect(body.get('line_items[0][price_data][unit_amount]')).toBe('1000');
+    expect(body.get('line_items[0][price_data][product_data][name]')).toBe('Test Product');
+    expect(body.get('metadata[user_id]')).toBe('user_123');
+    expect(body.get('metadata[plan]')).toBe('pro');
+  });
+
+  it('should handle API errors gracefully', async () => {
+    global.fetch = vi.fn(() =>
+      Promise.resolve({
+        ok: false,
+        text: () => Promise.resolve('API Error'),
+      })
+    );
+
+    await expect(
+      adapter.createCheckoutSession({
+        userId: 'user_123',
+        email: 'test@example.com',
+        amount: 1000,
+        productName: 'Test Product',
+      })
+    ).rejects.toThrow('Stripe API error');
+  });
+
+  it('should find its tax rate beyond the first page of tax rates', async () => {
+    const workerKey = `tax_${await parameterKey({ display_name: 'Tax', percentage: 10, inclusive: false })}`;
+    const otherRates = Array.from({ length: 100 }, (_, i) => ({ id: `txr_${i}`, metadata: {} }));
+    const fetchMock = vi.fn(async (url) => {
+      if (url.includes('/v1/tax_rates')) {
+        const page = url.includes('starting_after=txr_99')
+          ? { data: [{ id: 'txr_ours', metadata: { worker_key: workerKey } }], has_more: false }
+          : { data: otherRates, has_more: true };
+        return { ok: true, json: async () => page };
+      }
+      return { ok: true, json: async () => ({ id: 'cs_test_123', url: 'https://stripe.test' }) };
+    });
+    global.fetch = fetchMock;
+
+    await adapter.createCheckoutSession({
+      userId: 'user_123',
+      email: 'test@example.com',
+      currency: 'USD',
+      items: [{ name: 'Ticket', unitAmount: 1000, quantity: 1 }],
+      tax: { rate: 10 },
+    });
+
+    const urls = fetchMock.mock.calls.map(([url]) => url);
+    const body = new URLSearchParams(fetchMock.mock.calls.at(-1)[1].body);
+    expect(urls.filter((url) => url.includes('/v1/tax_rates'))).toHaveLength(2);
+    expect(urls).not.toContain('https://api.stripe.com/v1/tax_rates');
+    expect(body.get('line_items[0][tax_rates][0]')).toBe('txr_ours');
+  });
+
+  it('should create subscription with customer and hosted invoice url', async () => {
+    const fetchMock = vi
+      .fn()
+      // First call creates the customer
+      .mockImplementationOnce(() =>
+        Promise.resolve({
+          ok: true,
+          json: () => Promise.resolve({ id: 'cus_123' }),
+        })
+      )
+      // Second call creates the subscription
+      .mockImplementationOnce(() =>
+        Promise.resolve({
+          ok: true,
+          json: () =>
+            Promise.resolve({
+              id: 'sub_123',
+              latest_invoice: { hosted_invoice_url: 'https://invoice.stripe.com/i/123' },
+            }),
+        })
+      );
+    global.fetch = fetchMock;
+
+    const result = await adapter.createSubscription({
+      userId: 'user_123',
+      email: 'test@example.com',
+      priceId: 'price_123',
+    });
+
+    expect(result).toEqual({
+      subscriptionId: 'sub_123',
+      checkoutUrl: 'https://invoice.stripe.com/i/123',
+      provider: 'stripe',
+    });
+
+    const body = new URLSearchParams(fetchMock.mock.calls[1][1].body);
+    expect(body.get('customer')).toBe('cus_123');
+    expect(body.get('items[0][price]')).toBe('price_123');
+  });
+
+  it('should cancel subscription', async () => {
+    const fetchMock = vi.fn(() =>
+      Promise.resolve({
+        ok: true,
+        json: () => Promise.resolve({ id: 'sub_123', status: 'canceled' }),
+      })
+    );
+    global.fetch = fetchMock;
+
+    const result = await adapter.cancelSubscription('sub_123');
+
+    expect(result.status).toBe('canceled');
+    expect(fetchMock.mock.calls[0][0]).toBe('https://api.stripe.com/v1/subscriptions/sub_123');
+    expect(fetchMock.mock.calls[0][1].method).toBe('DELETE');
+  });
+
+  it('should verify a correctly signed webhook', async () => {
+    const payload = JSON.stringify({
+      id: 'evt_123',
+      type: 'checkout.session.completed',
+      data: { object: { id: 'cs_test_123' } },
+    });
+    const timestamp = Math.floor(Date.now() / 1000);
+
+    const request = new Request('https://example.com/api/webhook/stripe', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Stripe-Signature': await signStripePayload(payload, 'whsec_test', timestamp),
+      },
+      body: payload,
+    });
+
+    const event = await adapter.verifyWebhook(request);
+
+    expect(event.eventId).toBe('evt_123');
+    expect(event.eventType).toBe('checkout.session.completed');
+    expect(event.data).toEqual({ id: 'cs_test_123' });
+  });
+
+  it('should reject webhook with invalid signature', async () => {
+    const payload = JSON.stringify({ id: 'evt_123', type: 'checkout.session.completed' });
+    const timestamp = Math.floor(Date.now() / 1000);
+
+    const request = new Request('https://example.com/api/webhook/stripe', {
+      method: 'POST',
+      headers: {
+        'Stripe-Signature': await signStripePayload(payload, 'wrong_secret', timestamp),
+      },
+      body: payload,
+    });
+
+    await expect(adapter.verifyWebhook(request)).rejects.toThrow(
+      'Invalid Stripe webhook signature'
+    );
+  });
+
+  it('should reject webhook outside the timestamp window', async () => {
+    const payload = JSON.stringify({ id: 'evt_123', type: 'checkout.session.completed' });
+    const timestamp = Math.floor(Date.now() / 1000) - 3600;
+
+    const request = new Request('https://example.com/api/webhook/stripe', {
+      method: 'POST',
+      headers: {
+        'Stripe-Signature': await signStripePayload(payload, 'whsec_test', timestamp),
+      },
+      body: payload,
+    });
+
+    await expect(adapter.verifyWebhook(request)).rejects.toThrow('outside tolerance window');
+  });
+
+  it('should reject webhook with malformed signature header', async () => {
+    const request = new Request('https://example.com/api/webhook/stripe', {
+      method: 'POST',
+      headers: { 'Stripe-Signature': 'garbage' },
+      body: '{}',
+    });
+
+    await expect(adapter.verifyWebhook(request)).rejects.toThrow('Invalid Stripe signature format');
+  });
+
+  it('should refund the payment intent of a session', async () => {
+    const fetchMock = vi
+      .fn()
+      // First call retrieves the checkout session
+      .mockImplementationOnce(() =>
+        Promise.resolve({
+          ok: true,
+          json: () => Promise.resolve({ id: 'cs_test_123', payment_intent: 'pi_123' }),
+        })
+      )
+      // Second call creates the refund
+      .mockImplementationOnce(() =>
+        Promise.resolve({
+          ok: true,
+          json: () => Promise.resolve({ id: 're_123', status: 'succeeded', amount: 500 }),
+        })
+      );
+    global.fetch = fetchMock;
+
+    const result = await adapter.refund('cs_test_123', {
+      amount: 500,
+      idempotencyKey: 'refund-key',
+    });
+
+    expect(result).toEqual({
+      refundId: 're_123',
+      status: 'succeeded',
+      amount: 500,
+      provider: 'stripe',
+    });
+
+    const body = new URLSearchParams(fetchMock.mock.calls[1][1].body);
+    expect(body.get('payment_intent')).toBe('pi_123');
+    expect(body.get('amount')).toBe('500');
+    expect(fetchMock.mock.calls[1][1].headers['Idempotency-Key']).toBe('refund-key');
+  });
 });
@@ -0,0 +1,349 @@
+/**
+ * Tests for API request authentication
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { authenticateRequest, verifyJwt, canAccessUser } from '../utils/auth.js';
+import { route } from '../router.js';
+import { createMockKV, createMockLogger } from './helpers.js';
+
+const encoder = new TextEncoder();
+
+function base64UrlEncode(input) {
+  const bytes = typeof input === 'string' ? encoder.encode(input) : new Uint8Array(input);
+  return btoa(String.fromCharCode(...bytes))
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+}
+
+async function hex(buffer) {
+  return Array.from(new Uint8Array(buffer))
+    .map((b) => b.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+/**
+ * Claims expire in ten minutes unless the test sets `exp`
+ */
+function withExpiry(claims) {
+  return { exp: Math.floor(Date.now() / 1000) + 600, ...claims };
+}
+
+async function signHs256(claims, secret) {
+  const header = base64UrlEncode(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const payload = base64UrlEncode(JSON.stringify(withExpiry(claims)));
+  const key = await crypto.subtle.importKey(
+    'raw',
+    encoder.encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  );
+  const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(`${header}.${payload}`));
+  return `${header}.${payload}.${base64UrlEncode(signature)}`;
+}
+
+async function signRs256(claims, privateKey, kid) {
+  const header = base64UrlEncode(JSON.stringify({ alg: 'RS256', typ: 'JWT', kid }));
+  const payload = base64UrlEncode(JSON.stringify(withExpiry(claims)));
+  const signature = await crypto.subtle.sign(
+    'RSASSA-PKCS1-v1_5',
+    privateKey,
+    encoder.encode(`${header}.${payload}`)
+  );
+  return `${header}.${payload}.${base64UrlEncode(signature)}`;
+}
+
+function apiRequest(path, options = {}) {
+  return new Request(`https://example.com${path}`, options);
+}
+
+describe('authenticateRequest', () => {
+  const env = {
+    API_KEYS: 'backend:key_abc123,reports:key_def456',
+    HMAC_SECRETS: 'billing:hmac_secret',
+    JWT_SECRET: 'jwt_secret',
+  };
+
+  it('should require credentials', async () => {
+    const result = await authenticateRequest(apiRequest('/api/checkout'), env);
+    expect(result.principal).toBeNull();
+    expect(result.error).toBe('Authentication required');
+  });
+
+  it('should accept a configured API key', async () => {
+    const result = await authenticateRequest(
+      apiRequest('/api/checkout', { headers: { 'X-API-Key': 'key_def456' } }),
+      env
+    );
+    expect(result.principal).toMatchObject({ type: 'apiKey', clientId: 'reports', trusted: true });
+  });
+
+  it('should reject an unknown API key', async () => {
+    const result = await authenticateRequest(
+      apiRequest('/api/checkout', { headers: { 'X-API-Key': 'key_wrong' } }),
+      env
+    );
+    expect(result.error).toBe('Invalid credentials');
+  });
+
+  it('should accept a correctly signed HMAC request', async () => {
+    const body = JSON.stringify({ sessionId: 'txn_123' });
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const key = await crypto.subtle.importKey(
+      'raw',
+      encoder.encode('hmac_secret'),
+      { name: 'HMAC', hash: 'SHA-256' },
+      false,
+      ['sign']
+    );
+    const signature = await hex(
+      await crypto.subtle.sign('HMAC', key, encoder.encode(`${timestamp}.POST./api/refund.${body}`))
+    );
+
+    const request = apiRequest('/api/refund', {
+      method: 'POST',
+      headers: {
+        'X-Client-Id': 'billing',
+        'X-Signature-Timestamp': timestamp,
+        'X-Signature': signature,
+      },
+      body,
+    });
+
+    const result = await authenticateRequest(request, env);
+    expect(result.principal).toMatchObject({ type: 'hmac', clientId: 'billing', trusted: true });
+
+    // The body must still be readable by the handler
+    expect(await request.json()).toEqual({ sessionId: 'txn_123' });
+  });
+
+  it('should reject an HMAC request with a stale timestamp', async () => {
+    const request = apiRequest('/api/refund', {
+      method: 'POST',
+      headers: {
+        'X-Client-Id': 'billing',
+        'X-Signature-Timestamp': String(Math.floor(Date.now() / 1000) - 3600),
+        'X-Signature': 'deadbeef',
+      },
+      body: '{}',
+    });
+
+    const result = await authenticateRequest(request, env);
+    expect(result.error).toBe('Invalid credentials');
+  });
+
+  it('should accept an HS256 JWT and use sub as userId', async () => {
+    const token = await signHs256(
+      { sub: 'user_123', exp: Math.floor(Date.now() / 1000) + 600 },
+      'jwt_secret'
+    );
+
+    const result = await authenticateRequest(
+      apiRequest('/api/checkout', { headers: { Authorization: `Bearer ${token}` } }),
+      env
+    );
+    expect(result.principal).toMatchObject({ type: 'jwt', userId: 'user_123', trusted: false });
+  });
+
+  it('should reject an HS256 JWT signed with another secret', async () => {
+    const token = await signHs256({ sub: 'user_123' }, 'other_secret');
+    const result = await authenticateRequest(
+      apiRequest('/api/checkout', { headers: { Authorization: `Bearer ${token}` } }),
+      env
+    );
+    expect(result.error).toBe('Invalid credentials');
+  });
+});
+
+describe('verifyJwt', () => {
+  it('should reject expired tokens', async () => {
+    const token = await signHs256(
+      { sub: 'user_123', exp: Math.floor(Date.now() / 1000) - 3600 },
+      'jwt_secret'
+    );
+    expect(await verifyJwt(token, { JWT_SECRET: 'jwt_secret' })).toBeNull();
+  });
+
+  it('should reject tokens without an expiry', async () => {
+    const token = await signHs256({ sub: 'user_123', exp: undefined }, 'jwt_secret');
+    const stringExpiry = await signHs256({ sub: 'user_123', exp: '9999999999' }, 'jwt_secret');
+
+    expect(await verifyJwt(token, { JWT_SECRET: 'jwt_secret' })).toBeNull();
+    expect(await verifyJwt(stringExpiry, { JWT_SECRET: 'jwt_secret' })).toBeNull();
+  });
+
+  it('should enforce issuer and audience when configured', async () => {
+    const env = {
+      JWT_SECRET: 'jwt_secret',
+      JWT_ISSUER: 'https://auth.example.com',
+      JWT_AUDIENCE: 'payments',
+    };
+    const good = await signHs256(
+      { sub: 'user_123', iss: 'https://auth.example.com', aud: ['payments'] },
+      'jwt_secret'
+    );
+    const wrongIssuer = await signHs256(
+      { sub: 'user_123', iss: 'https://evil.example.com', aud: 'payments' },
+      'jwt_secret'
+    );
+
+    expect(await verifyJwt(good, env)).toMatchObject({ sub: 'user_123' });
+    expect(await verifyJwt(wrongIssuer, env)).toBeNull();
+  });
+
+  it('should reject unsigned tokens', async () => {
+    const header = base64UrlEncode(JSON.stringify({ alg: 'none' }));
+    const payload = base64UrlEncode(JSON.stringify({ sub: 'user_123' }));
+    expect(await verifyJwt(`${header}.${payload}.`, { JWT_SECRET: 'jwt_secret' })).toBeNull();
+  });
+
+  it('should verify RS256 tokens against the configured JWKS', async () => {
+    const { privateKey, publicKey } = await crypto.subtle.generateKey(
+      {
+        name: 'RSASSA-PKCS1-v1_5',
+        modulusLength: 2048,
+        publicExponent: new Uint8Array([1, 0, 1]),
+        hash: 'SHA-256',
+      },
+      true,
+      ['sign', 'verify']
+    );
+    const jwk = await crypto.subtle.exportKey('jwk', publicKey);
+    const env = { JWT_JWKS: JSON.stringify({ keys: [{ ...jwk, kid: 'key-1' }] }) };
+
+    const token = await signRs256({ sub: 'user_456' }, privateKey, 'key-1');
+    const unknownKid = await signRs256({ sub: 'user_456' }, privateKey, 'key-2');
+
+    expect(await verifyJwt(token, env)).toMatchObject({ sub: 'user_456' });
+    expect(await verifyJwt(unknownKid, env)).toBeNull();
+  });
+});
+
+describe('canAccessUser', () => {
+  it('should allow trusted callers to act for any user', () => {
+    expect(canAccessUser({ trusted: true, userId: null }, 'user_123')).toBe(true);
+  });
+
+  it('should restrict end users to their own resources', () => {
+    expect(canAccessUser({ trusted: false, userId: 'user_123' }, 'user_123')).toBe(true);
+    expect(canAccessUser({ trusted: false, userId: 'user_123' }, 'user_999')).toBe(false);
+  });
+});
+
+describe('Route authentication', () => {
+  let mockEnv;
+  let mockLogger;
+
+  beforeEach(() => {
+    mockEnv = {
+      SESSIONS: createMockKV(),
+      SUBSCRIPTIONS: createMockKV({
+        'subscription:sub_123': JSON.stringify({
+          subscriptionId: 'sub_123',
+          userId: 'user_123',
+          provider: 'paddle',
+        }),
+      }),
+      METRICS: createMockKV(),
+      EVENTS: createMockKV(),
+      API_KEYS: 'backend:key_abc123',
+      JWT_SECRET: 'jwt_secret',
+      PADDLE_API_KEY: 'test_paddle_key',
+    };
+
+    mockLogger = createMockLogger();
+
+    global.fetch = vi.fn(() =>
+      Promise.resolve({
+        ok: true,
+        json: () => Promise.resolve({ data: { id: 'sub_123', status: 'canceled' } }),
+      })
+    );
+  });
+
+  it('should return 401 for unauthenticated API calls', async () => {
+    const response = await route(
+      apiRequest('/api/subscription/sub_123', { method: 'DELETE' }),
+      mockEnv,
+      mockLogger
+    );
+
+    expect(response.status).toBe(401);
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  it('should not require authentication for health checks and webhooks', async () => {
+    const health = await route(apiRequest('/health'), mockEnv, mockLogger);
+    const webhook = await route(
+      apiRequest('/api/webhook/paddle', { method: 'POST', body: '{}' }),
+      mockEnv,
+      mockLogger
+    );
+
+    expect(health.status).toBe(200);
+    // Rejected by signature verification, not authentication
+    expect(webhook.status).toBe(400);
+  });
+
+  it('should forbid users from cancelling subscriptions they do not own', async () => {
+    const token = await signHs256({ sub: 'user_999' }, 'jwt_secret');
+
+    const response = await route(
+      apiRequest('/api/subscription/sub_123', {
+        method: 'DELETE',
+        headers: { Authorization: `Bearer ${token}` },
+      }),
+      mockEnv,
+      mockLogger
+    );
+
+    expect(response.status).toBe(403);
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  it('should let the owner cancel their subscription', async () => {
+    const token = await signHs256({ sub: 'user_123' }, 'jwt_secret');
+
+    const response = await route(
+      apiRequest('/api/subscription/sub_123', {
+        method: 'DELETE',
+        headers: { Authorization: `Bearer ${token}` },
+      }),
+      mockEnv,
+      mockLogger
+    );
+
+    expect(response.status).toBe(200);
+  });
+
+  it('should let API key callers act for any user', async () => {
+    const response = await route(
+      apiRequest('/api/subscription/sub_123', {
+        method: 'DELETE',
+        headers: { 'X-API-Key': 'key_abc123' },
+      }),
+      mockEnv,
+      mockLogger
+    );
+
+    expect(response.status).toBe(200);
+  });
+
+  it('should forbid end users from issuing refunds', async () => {
+    const token = await signHs256({ sub: 'user_123' }, 'jwt_secret');
+
+    const response = await route(
+      apiRequest('/api/refund', {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${token}` },
+        body: JSON.stringify({ sessionId: 'txn_123' }),
+      }),
+      mockEnv,
+      mockLogger
+    );
+
+    expect(response.status).toBe(403);
+  });
+});
@@ -0,0 +1,234 @@
+/**
+ * Tests for PayPal order capture
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { handleCapture, handleWebhook } from '../router.js';
+import { createMockKV, createMockLogger } from './helpers.js';
+
+function paypalError(status, issue) {
+  return {
+    ok: false,
+    status,
+    text: () =>
+      Promise.resolve(JSON.stringify({ name: 'UNPROCESSABLE_ENTITY', details: [{ issue }] })),
+  };
+}
+
+function paypalFetchMock(captureResponse) {
+  return vi.fn((url) => {
+    if (url.endsWith('/v1/oauth2/token')) {
+      return Promise.resolve({
+        ok: true,
+        json: () => Promise.resolve({ access_token: 'test_token', expires_in: 3600 }),
+      });
+    }
+    if (url.endsWith('/verify-webhook-signature')) {
+      return Promise.resolve({
+        ok: true,
+        json: () => Promise.resolve({ verification_status: 'SUCCESS' }),
+      });
+    }
+    if (url.endsWith('/capture') && captureResponse) {
+      return Promise.resolve(captureResponse);
+    }
+    if (url.endsWith('/capture')) {
+      return Promise.resolve({
+        ok: true,
+        json: () =>
+          Promise.resolve({
+            id: 'order_123',
+            status: 'COMPLETED',
+            purchase_units: [{ payments: { captures: [{ id: 'cap_123', status: 'COMPLETED' }] } }],
+          }),
+      });
+    }
+    return Promise.resolve({ ok: true, json: () => Promise.resolve({}) });
+  });
+}
+
+describe('Capture Endpoint', () => {
+  let mockEnv;
+  let mockLogger;
+
+  beforeEach(() => {
+    mockEnv = {
+      SESSIONS: createMockKV({
+        'session:order_123': JSON.stringify({
+          userId: 'user_123',
+          provider: 'paypal',
+          amount: 1000,
+          currency: 'USD',
+        }),
+      }),
+      PAYPAL_CLIENT_ID: 'test_paypal_id',
+      PAYPAL_CLIENT_SECRET: 'test_paypal_secret',
+    };
+
+    mockLogger = createMockLogger();
+    global.fetch = paypalFetchMock();
+  });
+
+  it('should return 404 for unknown sessions', async () => {
+    const request = new Request('https://example.com/api/checkout/order_missing/capture', {
+      method: 'POST',
+    });
+
+    const response = await handleCapture(request, mockEnv, mockLogger, 'order_missing');
+
+    expect(response.status).toBe(404);
+  });
+
+  it('should reject captures of providers that capture automatically with 422', async () => {
+    mockEnv.SESSIONS.store.set(
+      'session:cs_123',
+      JSON.stringify({ userId: 'user_123', provider: 'stripe', amount: 1000, currency: 'USD' })
+    );
+    mockEnv.STRIPE_SECRET_KEY = 'sk_test_123';
+    const request = new Request('https://example.com/api/checkout/cs_123/capture', {
+      method: 'POST',
+    });
+
+    const response = await handleCapture(request, mockEnv, mockLogger, 'cs_123');
+
+    expect(response.status).toBe(422);
+    expect((await response.json()).error).toContain('manual capture is not supported');
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  it('should capture the order and update the stored session', async () => {
+    const request = new Request('https://example.com/api/checkout/order_123/capture', {
+      method: 'POST',
+    });
+
+    const response = await handleCapture(request, mockEnv, mockLogger, 'order_123');
+    const data = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(data.data.captureId).toBe('cap_123');
+
+    const [, options] = global.fetch.mock.calls.find(([url]) => url.endsWith('/capture'));
+    expect(options.headers['PayPal-Request-Id']).toBe('capture-order_123');
+
+    const session = JSON.parse(mockEnv.SESSIONS.store.get('session:order_123'));
+    expect(session.captureId).toBe('cap_123');
+    expect(session.captureStatus).toBe('COMPLETED');
+  });
+
+  it('should send the same PayPal-Request-Id whatever Idempotency-Key the client sends', async () => {
+    global.fetch = paypalFetchMock({ ok: false, status: 503, text: () => Promise.resolve('') });
+    const request = (key) =>
+      new Request('https://example.com/api/checkout/order_123/capture', {
+        method: 'POST',
+        headers: { 'Idempotency-Key': key },
+      });
+
+    await handleCapture(request('client-key-1'), mockEnv, mockLogger, 'order_123');
+    await handleCapture(request('client-key-2'), mockEnv, mockLogger, 'order_123');
+
+    const captures = global.fetch.mock.calls.filter(([url]) => url.endsWith('/capture'));
+    expect(captures.map(([, options]) => options.headers['PayPal-Request-Id'])).toEqual([
+      'capture-order_123',
+      'capture-order_123',
+    ]);
+  });
+
+  it('should map PayPal rejections to 422 or 409 and outages to 502', async () => {
+    const capture = async (captureResponse) => {
+      global.fetch = paypalFetchMock(captureResponse);
+      const request = new Request('https://example.com/api/checkout/order_123/capture', {
+        method: 'POST',
+      });
+      const response = await handleCapture(request, mockEnv, mockLogger, 'order_123');
+      return { status: response.status, error: (await response.json()).error };
+    };
+
+    expect(await capture(paypalError(422, 'INSTRUMENT_DECLINED'))).toEqual({
+      status: 422,
+      error: 'Capture was rejected by the payment provider',
+    });
+    expect((await capture(paypalError(422, 'ORDER_ALREADY_CAPTURED'))).status).toBe(409);
+    expect(
+      await capture({ ok: false, status: 503, text: () => Promise.resolve('Unavailable') })
+    ).toEqual({ status: 502, error: 'Payment provider is unavailable' });
+  });
+
+  it('should not capture an already captured session again', async () => {
+    const request = () =>
+      new Request('https://example.com/api/checkout/order_123/capture', { method: 'POST' });
+
+    await handleCapture(request(), mockEnv, mockLogger, 'order_123');
+    const response = await handleCapture(request(), mockEnv, mockLogger, 'order_123');
+    const data = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(data.data.captureId).toBe('cap_123');
+    expect(global.fetch.mock.calls.filter(([url]) => url.endsWith('/capture'))).toHaveLength(1);
+  });
+});
+
+describe('CHECKOUT.ORDER.APPROVED webhook', () => {
+  let mockEnv;
+  let mockLogger;
+
+  const approvedRequest = () =>
+    new Request('https://example.com/api/webhook/paypal', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'paypal-transmission-id': 'tx_123',
+        'paypal-transmission-sig': 'sig',
+      },
+      body: JSON.stringify({
+        id: 'WH-123',
+        event_type: 'CHECKOUT.ORDER.APPROVED',
+        resource: { id: 'order_123', status: 'APPROVED' },
+      }),
+    });
+
+  beforeEach(() => {
+    mockEnv = {
+      SESSIONS: createMockKV({
+        'session:order_123': JSON.stringify({ userId: 'user_123', provider: 'paypal' }),
+      }),
+      EVENTS: createMockKV(),
+      METRICS: createMockKV(),
+      TRANSACTIONS: createMockKV(),
+      PAYPAL_CLIENT_ID: 'test_paypal_id',
+      PAYPAL_CLIENT_SECRET: 'test_paypal_secret',
+      PAYPAL_WEBHOOK_ID: 'test_webhook_id',
+      INTERNAL_BACKEND_URL: 'https://test-backend.com',
+    };
+
+    mockLogger = createMockLogger();
+    global.fetch = paypalFetchMock();
+  });
+
+  it('should auto-capture approved orders when enabled', async () => {
+    mockEnv.PAYPAL_AUTO_CAPTURE = 'true';
+
+    const response = await handleWebhook(approvedRequest(), mockEnv, mockLogger, 'paypal');
+
+    expect(response.status).toBe(200);
+    const session = JSON.parse(mockEnv.SESSIONS.store.get('session:order_123'));
+    expect(session.captureId).toBe('cap_123');
+  });
+
+  it('should acknowledge approved orders whose auto-capture PayPal rejects', async () => {
+    mockEnv.PAYPAL_AUTO_CAPTURE = 'true';
+    global.fetch = paypalFetchMock(paypalError(422, 'INSTRUMENT_DECLINED'));
+
+    const response = await handleWebhook(approvedRequest(), mockEnv, mockLogger, 'paypal');
+
+    expect(response.status).toBe(200);
+    expect(mockEnv.EVENTS.store.has('evt:paypal:WH-123')).toBe(true);
+    expect(JSON.parse(mockEnv.SESSIONS.store.get('session:order_123')).captureId).toBeUndefined();
+  });
+
+  it('should not capture approved orders when auto-capture is disabled', async () => {
+    const response = await handleWebhook(approvedRequest(), mockEnv, mockLogger, 'paypal');
+
+    expect(response.status).toBe(200);
+    expect(global.fetch.mock.calls.some(([url]) => url.endsWith('/capture'))).toBe(false);
+  });
+});
@@ -0,0 +1,258 @@
+/**
+ * Tests for the product and price catalog
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { route, handleCatalogList, handleCheckout } from '../router.js';
+import { createProviderEmulator } from '../emulator/index.js';
+import { createMockKV, createMockLogger } from './helpers.js';
+
+const tshirt = {
+  name: 'Pro T-shirt',
+  unitAmount: 2000,
+  currency: 'USD',
+  providerIds: { stripe: 'price_tshirt' },
+};
+
+const proMonthly = {
+  name: 'Pro Monthly',
+  amount: 1500,
+  currency: 'USD',
+  interval: 'month',
+  providerIds: { paypal: 'P-PRO', stripe: 'price_pro' },
+};
+
+describe('Catalog', () => {
+  let emulator;
+  let env;
+
+  async function api(method, path, body) {
+    const response = await route(
+      new Request(`https://worker.test${path}`, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body && JSON.stringify(body),
+      }),
+      env,
+      createMockLogger()
+    );
+    return { status: response.status, data: await response.json() };
+  }
+
+  function checkout(overrides) {
+    return api('POST', '/api/checkout', {
+      provider: 'stripe',
+      userId: 'user_123',
+      email: 'test@example.com',
+      ...overrides,
+    });
+  }
+
+  function subscribe(overrides) {
+    return api('POST', '/api/subscription', {
+      userId: 'user_123',
+      email: 'test@example.com',
+      planKey: 'pro-monthly',
+      ...overrides,
+    });
+  }
+
+  beforeEach(async () => {
+    emulator = createProviderEmulator().install();
+    env = {
+      ...emulator.env,
+      SESSIONS: createMockKV(),
+      CUSTOMERS: createMockKV(),
+      TRANSACTIONS: createMockKV(),
+      METRICS: createMockKV(),
+      CATALOG: createMockKV(),
+      SUBSCRIPTIONS: createMockKV(),
+      AUTH_DISABLED: 'true',
+      INTERNAL_BACKEND_URL: 'https://backend.test',
+    };
+
+    await api('PUT', '/api/admin/catalog/products/tshirt', tshirt);
+    await api('PUT', '/api/admin/catalog/plans/pro-monthly', proMonthly);
+  });
+
+  afterEach(() => {
+    emulator.restore();
+  });
+
+  describe('admin routes', () => {
+    it('should store and list products and plans', async () => {
+      const { status, data } = await api('GET', '/api/admin/catalog');
+
+      expect(status).toBe(200);
+      expect(data.data.products).toMatchObject([{ sku: 'tshirt', active: true, ...tshirt }]);
+      expect(data.data.plans).toMatchObject([{ planKey: 'pro-monthly', ...proMonthly }]);
+    });
+
+    it('should keep createdAt when an entry is replaced', async () => {
+      const before = (await api('GET', '/api/admin/catalog/products/tshirt')).data.data;
+      const { data } = await api('PUT', '/api/admin/catalog/products/tshirt', {
+        ...tshirt,
+        unitAmount: 2500,
+      });
+
+      expect(data.data.unitAmount).toBe(2500);
+      expect(data.data.createdAt).toBe(before.createdAt);
+    });
+
+    it('should validate entries and keys', async () => {
+      const invalid = await api('PUT', '/api/admin/catalog/plans/basic', {
+        ...proMonthly,
+        interval: 'fortnight',
+        providerIds: { square: 'sq_1' },
+      });
+      const badKey = await api('PUT', '/api/admin/catalog/products/bad%20sku', tshirt);
+
+      expect(invalid.status).toBe(400);
+      expect(invalid.data.errors.map((error) => error.field)).toEqual(['interval', 'providerIds']);
+      expect(badKey.status).toBe(400);
+      expect(badKey.data.errors[0].field).toBe('sku');
+    });
+
+    it('should delete entries', async () => {
+      await api('DELETE', '/api/admin/catalog/products/tshirt');
+
+      expect((await api('GET', '/api/admin/catalog/products/tshirt')).status).toBe(404);
+    });
+
+    it('should deny end users', async () => {
+      const response = await handleCatalogList(
+        new Request('https://worker.test/api/admin/catalog'),
+        env,
+        createMockLogger(),
+        { type: 'jwt', userId: 'user_123', trusted: false }
+      );
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('checkout', () => {
+    it('should price SKUs from the catalog and use provider price IDs', async () => {
+      const { data } = await checkout({ items: [{ sku: 'tshirt', quantity: 2 }] });
+      const session = JSON.parse(env.SESSIONS.store.get(`session:${data.data.sessionId}`));
+      const stripeSession = emulator.providers.stripe.sessions.get(data.data.sessionId);
+
+      expect(session.currency).toBe('USD');
+      expect(session.amount).toBe(4000);
+      expect(session.items[0]).toMatchObject({ sku: 'tshirt', name: 'Pro T-shirt', quantity: 2 });
+      expect(session.items[0].priceId).toBe('price_tshirt');
+      expect(stripeSession).toBeDefined();
+    });
+
+    it('should accept a single top-level SKU', async () => {
+      const { status, data } = await checkout({ provider: 'paypal', sku: 'tshirt' });
+      const [unit] = emulator.providers.paypal.orders.get(data.data.sessionId).purchase_units;
+
+      expect(status).toBe(200);
+      expect(unit.amount.value).toBe('20.00');
+      expect(unit.items[0].name).toBe('Pro T-shirt');
+    });
+
+    it('should reject unknown, inactive and mispriced SKUs', async () => {
+      await api('PUT', '/api/admin/catalog/products/retired', { ...tshirt, active: false });
+      await api('PUT', '/api/admin/catalog/products/euro-mug', { ...tshirt, currency: 'EUR' });
+
+      const { status, data } = await checkout({
+        items: [{ sku: 'missing' }, { sku: 'retired' }, { sku: 'tshirt' }, { sku: 'euro-mug' }],
+      });
+
+      expect(status).toBe(400);
+      expect(data.errors.map((error) => error.field)).toEqual([
+        'items[0].sku',
+        'items[1].sku',
+        'items[3].sku',
+      ]);
+    });
+
+    it('should not let SKU items carry their own prices', async () => {
+      const { status, data } = await checkout({ items: [{ sku: 'tshirt', unitAmount: 1 }] });
+
+      expect(status).toBe(400);
+      expect(data.errors[0].field).toBe('items[0].unitAmount');
+    });
+
+    it('should refuse discounts and tax on SKU orders from end users', async () => {
+      const body = { provider: 'stripe', userId: 'user_123', email: 'test@example.com' };
+      const response = await handleCheckout(
+        new Request('https://worker.test/api/checkout', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ ...body, sku: 'tshirt', discount: { percent: 99 } }),
+        }),
+        env,
+        createMockLogger(),
+        { type: 'jwt', userId: 'user_123', trusted: false }
+      );
+
+      expect(response.status).toBe(400);
+      expect((await response.json()).errors).toEqual([
+        {
+          field: 'discount',
+          code: 'invalid',
+          message: 'discount is not accepted for catalog SKUs',
+        },
+      ]);
+      expect(emulator.providers.stripe.sessions.size).toBe(0);
+    });
+
+    it('should let trusted callers discount SKU orders unless CATALOG_REQUIRED is set', async () => {
+      const trusted = await checkout({ sku: 'tshirt', discount: { percent: 10 } });
+      env.CATALOG_REQUIRED = 'true';
+      const required = await checkout({ sku: 'tshirt', tax: { rate: 10 } });
+
+      expect(trusted.status).toBe(200);
+      expect(required.status).toBe(400);
+      expect(required.data.errors[0].field).toBe('tax');
+    });
+
+    it('should require SKUs when CATALOG_REQUIRED is set', async () => {
+      env.CATALOG_REQUIRED = 'true';
+
+      const raw = await checkout({ amount: 1000, productName: 'Anything' });
+      const catalog = await checkout({ sku: 'tshirt' });
+
+      expect(raw.status).toBe(400);
+      expect(raw.data.errors[0].field).toBe('amount');
+      expect(catalog.status).toBe(200);
+    });
+  });
+
+  describe('subscriptions', () => {
+    it("should resolve a plan key to the provider's plan ID", async () => {
+      const { status, data } = await subscribe({ provider: 'paypal' });
+      const record = JSON.parse(
+        env.SUBSCRIPTIONS.store.get(`subscription:${data.data.subscriptionId}`)
+      );
+
+      expect(status).toBe(200);
+      expect(emulator.providers.paypal.subscriptions.get(data.data.subscriptionId).plan_id).toBe(
+        'P-PRO'
+      );
+      expect(record).toMatchObject({ planKey: 'pro-monthly', planId: 'P-PRO', amount: 1500 });
+    });
+
+    it('should return 422 when the plan has no ID for the provider', async () => {
+      const { status } = await subscribe({ provider: 'paddle' });
+
+      expect(status).toBe(422);
+    });
+
+    it('should require a plan key when CATALOG_REQUIRED is set', async () => {
+      env.CATALOG_REQUIRED = 'true';
+
+      const { status, data } = await subscribe({
+        provider: 'stripe',
+        planKey: undefined,
+        priceId: 'price_any',
+      });
+
+      expect(status).toBe(400);
+      expect(data.errors[0].field).toBe('planKey');
+    });
+  });
+});
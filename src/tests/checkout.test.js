@@ -19,10 +19,19 @@ describe('Checkout Endpoint', () => {
         put: vi.fn(),
         get: vi.fn(),
       },
+      CUSTOMERS: {
+        put: vi.fn(),
+        get: vi.fn(),
+      },
+      TRANSACTIONS: {
+        put: vi.fn(),
+        get: vi.fn(),
+      },
       PADDLE_API_KEY: 'test_paddle_key',
       PAYPAL_CLIENT_ID: 'test_paypal_id',
       PAYPAL_CLIENT_SECRET: 'test_paypal_secret',
       INTERNAL_BACKEND_URL: 'https://test-backend.com',
+      ALLOWED_REDIRECT_ORIGINS: 'https://example.com',
     };
 
     mockLogger = {
@@ -107,9 +116,15 @@ describe('Checkout Endpoint', () => {
     const response = await handleCheckout(request, mockEnv, mockLogger);
     const data = await response.json();
 
-    expect(response.status).toBe(500);
+    expect(response.status).toBe(400);
     expect(data.success).toBe(false);
-    expect(data.error).toContain('Unsupported payment provider');
+    expect(data.errors).toEqual([
+      {
+        field: 'provider',
+        code: 'invalid',
+        message: 'provider must be one of paddle, paypal, stripe, auto',
+      },
+    ]);
   });
 
   it('should use default currency if not provided', async () => {
@@ -0,0 +1,111 @@
+/**
+ * Tests for the CORS policy on responses and preflights
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { route } from '../router.js';
+import { isOriginAllowed } from '../utils/cors.js';
+import { createMockKV, createMockLogger } from './helpers.js';
+
+describe('CORS', () => {
+  let env;
+
+  function send(path, { method = 'GET', headers = {} } = {}) {
+    return route(
+      new Request(`https://worker.test${path}`, { method, headers }),
+      env,
+      createMockLogger()
+    );
+  }
+
+  function preflight(path, origin, requestMethod) {
+    return send(path, {
+      method: 'OPTIONS',
+      headers: { Origin: origin, 'Access-Control-Request-Method': requestMethod },
+    });
+  }
+
+  beforeEach(() => {
+    env = {
+      SESSIONS: createMockKV(),
+      AUTH_DISABLED: 'true',
+      CORS_ALLOWED_ORIGINS: 'https://app.example.com, https://*.shop.example.com',
+    };
+  });
+
+  it('should echo allowed origins and vary responses by origin', async () => {
+    const allowed = await send('/health', { headers: { Origin: 'https://app.example.com' } });
+    const other = await send('/health', { headers: { Origin: 'https://evil.test' } });
+
+    expect(allowed.headers.get('Access-Control-Allow-Origin')).toBe('https://app.example.com');
+    expect(allowed.headers.get('Access-Control-Expose-Headers')).toContain('X-Request-Id');
+    expect(allowed.headers.get('Access-Control-Allow-Credentials')).toBeNull();
+    expect(allowed.headers.get('Vary')).toBe('Origin');
+    expect(other.status).toBe(200);
+    expect(other.headers.get('Access-Control-Allow-Origin')).toBeNull();
+    expect(other.headers.get('Vary')).toBe('Origin');
+  });
+
+  it('should match wildcard subdomains but not the apex or lookalikes', () => {
+    expect(isOriginAllowed('https://eu.shop.example.com', env)).toBe(true);
+    expect(isOriginAllowed('https://a.b.shop.example.com', env)).toBe(true);
+    expect(isOriginAllowed('https://shop.example.com', env)).toBe(false);
+    expect(isOriginAllowed('http://eu.shop.example.com', env)).toBe(false);
+    expect(isOriginAllowed('https://eu.shop.example.com:8443', env)).toBe(false);
+    expect(isOriginAllowed('https://evilshop.example.com', env)).toBe(false);
+    expect(isOriginAllowed('https://eu.shop.example.com.evil.test', env)).toBe(false);
+    expect(isOriginAllowed('null', env)).toBe(false);
+    expect(isOriginAllowed('https://app.example.com', {})).toBe(false);
+    expect(isOriginAllowed('https://anything.test', { CORS_ALLOWED_ORIGINS: '*' })).toBe(true);
+  });
+
+  it('should answer preflights with the route methods', async () => {
+    env.CORS_ALLOW_CREDENTIALS = 'true';
+    env.CORS_MAX_AGE = '600';
+
+    const response = await preflight(
+      '/api/subscription/sub_123',
+      'https://eu.shop.example.com',
+      'PATCH'
+    );
+
+    expect(response.status).toBe(204);
+    expect(response.headers.get('Access-Control-Allow-Origin')).toBe('https://eu.shop.example.com');
+    expect(response.headers.get('Access-Control-Allow-Methods')).toBe(
+      'GET, HEAD, PATCH, DELETE, OPTIONS'
+    );
+    expect(response.headers.get('Access-Control-Allow-Headers')).toContain('Idempotency-Key');
+    expect(response.headers.get('Access-Control-Allow-Credentials')).toBe('true');
+    expect(response.headers.get('Access-Control-Max-Age')).toBe('600');
+  });
+
+  it('should reject preflights for unknown routes, origins and methods', async () => {
+    const unknownRoute = await preflight('/api/nowhere', 'https://app.example.com', 'GET');
+    const unknownOrigin = await preflight('/api/checkout', 'https://evil.test', 'POST');
+    const wrongMethod = await preflight('/api/checkout', 'https://app.example.com', 'PUT');
+
+    expect(unknownRoute.status).toBe(404);
+    expect(unknownOrigin.status).toBe(403);
+    expect(unknownOrigin.headers.get('Access-Control-Allow-Origin')).toBeNull();
+    expect(wrongMethod.status).toBe(403);
+    expect((await wrongMethod.json()).error).toBe('Method not allowed');
+  });
+
+  it('should list the route methods for plain OPTIONS requests', async () => {
+    const response = await send('/api/admin/catalog/products/pro', { method: 'OPTIONS' });
+
+    expect(response.status).toBe(204);
+    expect(response.headers.get('Allow')).toBe('GET, HEAD, PUT, DELETE, OPTIONS');
+  });
+
+  it('should add CORS headers to error responses', async () => {
+    delete env.AUTH_DISABLED;
+
+    const response = await send('/api/transactions', {
+      headers: { Origin: 'https://app.example.com' },
+    });
+
+    expect(response.status).toBe(401);
+    expect(response.headers.get('Access-Control-Allow-Origin')).toBe('https://app.example.com');
+  });
+});
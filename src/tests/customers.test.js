@@ -0,0 +1,216 @@
+/**
+ * Tests for customer records and saved payment methods
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { route, handlePaymentMethodDelete } from '../router.js';
+import { createProviderEmulator } from '../emulator/index.js';
+import { createMockKV, createMockLogger } from './helpers.js';
+
+describe('Customers', () => {
+  let emulator;
+  let env;
+
+  async function api(method, path, body) {
+    const response = await route(
+      new Request(`https://worker.test${path}`, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body && JSON.stringify(body),
+      }),
+      env,
+      createMockLogger()
+    );
+    return { status: response.status, data: await response.json() };
+  }
+
+  async function checkout(provider, overrides) {
+    const { data } = await api('POST', '/api/checkout', {
+      provider,
+      userId: 'user_123',
+      email: 'test@example.com',
+      amount: 1000,
+      productName: 'Pro T-shirt',
+      ...overrides,
+    });
+    return data.data.sessionId;
+  }
+
+  function customerRecord(userId = 'user_123') {
+    return JSON.parse(env.CUSTOMERS.store.get(`customer:${userId}`) || 'null');
+  }
+
+  beforeEach(() => {
+    emulator = createProviderEmulator({
+      deliver: (request) => route(request, env, createMockLogger()),
+    }).install();
+    env = {
+      ...emulator.env,
+      SESSIONS: createMockKV(),
+      CUSTOMERS: createMockKV(),
+      TRANSACTIONS: createMockKV(),
+      EVENTS: createMockKV(),
+      METRICS: createMockKV(),
+      SUBSCRIPTIONS: createMockKV(),
+      AUTH_DISABLED: 'true',
+      INTERNAL_BACKEND_URL: 'https://backend.test',
+    };
+  });
+
+  afterEach(() => {
+    emulator.restore();
+  });
+
+  it('should create a provider customer once and reuse it', async () => {
+    const first = await checkout('stripe');
+    const second = await checkout('stripe');
+    const customerId = customerRecord().customerIds.stripe;
+
+    expect(emulator.providers.stripe.customers.size).toBe(1);
+    expect(emulator.providers.stripe.sessions.get(first).customer).toBe(customerId);
+    expect(emulator.providers.stripe.sessions.get(second).customer).toBe(customerId);
+  });
+
+  it('should bill subscriptions to the same customer as checkouts', async () => {
+    await checkout('stripe');
+    const { data } = await api('POST', '/api/subscription', {
+      provider: 'stripe',
+      userId: 'user_123',
+      email: 'test@example.com',
+      priceId: 'price_pro',
+    });
+
+    expect(emulator.providers.stripe.subscriptions.get(data.data.subscriptionId).customer).toBe(
+      customerRecord().customerIds.stripe
+    );
+  });
+
+  it('should link an existing Paddle customer with the same email', async () => {
+    emulator.providers.paddle.customers.set('ctm_existing', {
+      id: 'ctm_existing',
+      email: 'test@example.com',
+    });
+
+    const sessionId = await checkout('paddle');
+
+    expect(customerRecord().customerIds.paddle).toBe('ctm_existing');
+    expect(emulator.providers.paddle.transactions.get(sessionId).customer_id).toBe('ctm_existing');
+  });
+
+  it('should list and delete saved payment methods', async () => {
+    emulator.providers.stripe.complete(await checkout('stripe', { savePaymentMethod: true }));
+    emulator.providers.paddle.complete(await checkout('paddle'));
+
+    const listed = await api('GET', '/api/users/user_123/payment-methods');
+    expect(listed.status).toBe(200);
+    expect(listed.data.data.paymentMethods).toMatchObject([
+      { provider: 'stripe', type: 'card', brand: 'visa', last4: '4242' },
+      { provider: 'paddle', type: 'card', brand: 'visa', last4: '4242' },
+    ]);
+
+    const [stripeCard] = listed.data.data.paymentMethods;
+    const deleted = await api(
+      'DELETE',
+      `/api/users/user_123/payment-methods/${stripeCard.paymentMethodId}`
+    );
+    const remaining = await api('GET', '/api/users/user_123/payment-methods');
+
+    expect(deleted.data.data).toEqual({
+      paymentMethodId: stripeCard.paymentMethodId,
+      provider: 'stripe',
+      deleted: true,
+    });
+    expect(remaining.data.data.paymentMethods.map((method) => method.provider)).toEqual(['paddle']);
+  });
+
+  it('should not save a Stripe card unless asked', async () => {
+    emulator.providers.stripe.complete(await checkout('stripe'));
+
+    const { data } = await api('GET', '/api/users/user_123/payment-methods');
+
+    expect(data.data.paymentMethods).toEqual([]);
+  });
+
+  it('should link the PayPal vault customer when a saved wallet is captured', async () => {
+    const first = await checkout('paypal', { savePaymentMethod: true });
+    emulator.providers.paypal.complete(first);
+    await api('POST', `/api/checkout/${first}/capture`);
+
+    const customerId = customerRecord().customerIds.paypal;
+    const second = await checkout('paypal');
+    const { data } = await api('GET', '/api/users/user_123/payment-methods');
+
+    expect(customerId).toBeTruthy();
+    expect(emulator.providers.paypal.orders.get(second).attributes).toEqual({
+      customer: { id: customerId },
+    });
+    expect(data.data.paymentMethods).toMatchObject([
+      { provider: 'paypal', type: 'paypal', email: 'buyer@example.com' },
+    ]);
+  });
+
+  it('should link customers reported by webhooks', async () => {
+    emulator.emit('paddle', 'transaction.completed', {
+      id: 'txn_legacy',
+      origin: 'web',
+      currency_code: 'USD',
+      customer_id: 'ctm_legacy',
+      custom_data: { user_id: 'user_456' },
+      details: { totals: { grand_total: '1000' } },
+    });
+    await emulator.deliverWebhooks();
+
+    expect(customerRecord('user_456').customerIds).toEqual({ paddle: 'ctm_legacy' });
+  });
+
+  it("should not link a customer to a user named in another user's metadata", async () => {
+    const rejected = await api('POST', '/api/checkout', {
+      provider: 'stripe',
+      userId: 'user_123',
+      email: 'test@example.com',
+      amount: 1000,
+      productName: 'Pro T-shirt',
+      metadata: { user_id: 'user_456' },
+    });
+
+    emulator.emit('stripe', 'checkout.session.completed', {
+      id: 'cs_forged',
+      mode: 'payment',
+      payment_status: 'paid',
+      amount_total: 1000,
+      currency: 'usd',
+      customer: 'cus_attacker',
+      client_reference_id: 'user_123',
+      metadata: { user_id: 'user_456' },
+    });
+    await emulator.deliverWebhooks();
+
+    expect(rejected.status).toBe(400);
+    expect(rejected.data.errors.map((error) => error.field)).toEqual(['metadata']);
+    expect(customerRecord('user_456')).toBeNull();
+    expect(customerRecord().customerIds.stripe).toBe('cus_attacker');
+  });
+
+  it('should return 404 for payment methods of other customers', async () => {
+    await checkout('stripe');
+
+    const { status } = await api('DELETE', '/api/users/user_123/payment-methods/pm_unknown');
+
+    expect(status).toBe(404);
+  });
+
+  it("should deny access to another user's payment methods", async () => {
+    const response = await handlePaymentMethodDelete(
+      new Request('https://worker.test/api/users/user_456/payment-methods/pm_1', {
+        method: 'DELETE',
+      }),
+      env,
+      createMockLogger(),
+      'user_456',
+      'pm_1',
+      { type: 'jwt', userId: 'user_123', trusted: false }
+    );
+
+    expect(response.status).toBe(403);
+  });
+});
@@ -0,0 +1,178 @@
+/**
+ * End-to-end payment flows against the local provider emulator
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { route } from '../router.js';
+import { createProviderEmulator } from '../emulator/index.js';
+import { decodeForm } from '../emulator/stripe.js';
+import { createMockKV, createMockLogger } from './helpers.js';
+
+describe('Provider emulator flows', () => {
+  let emulator;
+  let env;
+  let logger;
+
+  function api(method, path, body) {
+    return route(
+      new Request(`https://worker.test${path}`, {
+        method,
+        headers: { 'Content-Type': 'application/json', 'Idempotency-Key': crypto.randomUUID() },
+        body: body && JSON.stringify(body),
+      }),
+      env,
+      logger
+    ).then((response) => response.json());
+  }
+
+  function checkout(provider, overrides = {}) {
+    return api('POST', '/api/checkout', {
+      provider,
+      userId: 'user_123',
+      email: 'test@example.com',
+      amount: 1000,
+      currency: 'USD',
+      productName: 'Test Product',
+      successUrl: 'https://shop.example.com/success',
+      ...overrides,
+    });
+  }
+
+  async function paymentState(sessionId) {
+    const receipt = await api('GET', `/api/receipt/${sessionId}`);
+    return receipt.data.state;
+  }
+
+  beforeEach(() => {
+    // Backend deliveries pass through the emulator to this mock
+    global.fetch = vi.fn(() => Promise.resolve(new Response('{}', { status: 200 })));
+
+    emulator = createProviderEmulator({
+      deliver: (request) => route(request, env, logger),
+    }).install();
+
+    env = {
+      ...emulator.env,
+      SESSIONS: createMockKV(),
+      CUSTOMERS: createMockKV(),
+      TRANSACTIONS: createMockKV(),
+      EVENTS: createMockKV(),
+      METRICS: createMockKV(),
+      AUTH_DISABLED: 'true',
+      INTERNAL_BACKEND_URL: 'https://backend.test',
+      ALLOWED_REDIRECT_ORIGINS: 'https://shop.example.com',
+    };
+    logger = createMockLogger();
+  });
+
+  afterEach(() => {
+    emulator.restore();
+  });
+
+  it('should run a Stripe payment and partial refund end to end', async () => {
+    const { data: session } = await checkout('stripe');
+    expect(session.checkoutUrl).toContain(`/emulator/checkout/stripe/${session.sessionId}`);
+
+    emulator.providers.stripe.complete(session.sessionId);
+    const deliveries = await emulator.deliverWebhooks();
+
+    expect(deliveries).toEqual([
+      { provider: 'stripe', eventType: 'checkout.session.completed', status: 200 },
+    ]);
+    expect(await paymentState(session.sessionId)).toBe('captured');
+
+    const refund = await api('POST', '/api/refund', { sessionId: session.sessionId, amount: 400 });
+    expect(refund.success).toBe(true);
+    await emulator.deliverWebhooks();
+
+    expect(await paymentState(session.sessionId)).toBe('partially_refunded');
+    const [charge] = emulator.providers.stripe.charges.values();
+    expect(charge.amount_refunded).toBe(400);
+  });
+
+  it('should approve and capture a PayPal order', async () => {
+    const { data: session } = await checkout('paypal');
+
+    emulator.providers.paypal.complete(session.sessionId);
+    await emulator.deliverWebhooks();
+    expect(await paymentState(session.sessionId)).toBe('authorized');
+
+    const capture = await api('POST', `/api/checkout/${session.sessionId}/capture`);
+    expect(capture.data.status).toBe('COMPLETED');
+
+    const deliveries = await emulator.deliverWebhooks();
+    expect(deliveries.map((delivery) => delivery.eventType)).toEqual(['PAYMENT.CAPTURE.COMPLETED']);
+    expect(await paymentState(session.sessionId)).toBe('captured');
+  });
+
+  it('should deliver webhooks queued by auto-capture in the same flush', async () => {
+    env.PAYPAL_AUTO_CAPTURE = 'true';
+    const { data: session } = await checkout('paypal');
+
+    emulator.providers.paypal.complete(session.sessionId);
+    const deliveries = await emulator.deliverWebhooks();
+
+    expect(deliveries.map((delivery) => delivery.eventType)).toEqual([
+      'CHECKOUT.ORDER.APPROVED',
+      'PAYMENT.CAPTURE.COMPLETED',
+    ]);
+    expect(await paymentState(session.sessionId)).toBe('captured');
+  });
+
+  it('should expire an unpaid Paddle transaction', async () => {
+    const { data: session } = await checkout('paddle');
+
+    emulator.providers.paddle.expire(session.sessionId);
+    await emulator.deliverWebhooks();
+
+    expect(await paymentState(session.sessionId)).toBe('expired');
+  });
+
+  it('should reject webhooks signed with another secret', async () => {
+    env.STRIPE_WEBHOOK_SECRET = 'whsec_other';
+    const { data: session } = await checkout('stripe');
+
+    emulator.providers.stripe.complete(session.sessionId);
+    const [delivery] = await emulator.deliverWebhooks();
+
+    expect(delivery.status).toBe(400);
+    expect(await paymentState(session.sessionId)).toBe('created');
+  });
+
+  it('should fail over when a provider returns injected errors', async () => {
+    env.PROVIDER_ROUTING = JSON.stringify([
+      { provider: 'stripe', weight: 1 },
+      { provider: 'paddle', weight: 0 },
+    ]);
+    emulator.failNext('stripe', 503);
+
+    const { data: session } = await checkout('auto');
+
+    expect(session.provider).toBe('paddle');
+    expect(emulator.providers.paddle.transactions.has(session.sessionId)).toBe(true);
+  });
+
+  it('should serve hosted checkout links that pay and redirect', async () => {
+    const { data: session } = await checkout('stripe');
+
+    const response = await emulator.handleControl(new Request(session.checkoutUrl));
+
+    expect(response.status).toBe(303);
+    expect(response.headers.get('Location')).toBe('https://shop.example.com/success');
+    expect(emulator.pendingWebhooks).toHaveLength(1);
+  });
+});
+
+describe('Stripe form decoding', () => {
+  it('should rebuild nested objects and arrays', () => {
+    expect(
+      decodeForm(
+        'mode=payment&line_items%5B0%5D%5Bprice_data%5D%5Bunit_amount%5D=1000&metadata%5Buser_id%5D=u1'
+      )
+    ).toEqual({
+      mode: 'payment',
+      line_items: [{ price_data: { unit_amount: '1000' } }],
+      metadata: { user_id: 'u1' },
+    });
+  });
+});
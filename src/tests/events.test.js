@@ -0,0 +1,337 @@
+/**
+ * Tests for normalized cross-provider webhook events
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { PaddleAdapter } from '../adapters/paddle.js';
+import { PayPalAdapter } from '../adapters/paypal.js';
+import { StripeAdapter } from '../adapters/stripe.js';
+import { EVENT_TYPES, createNormalizedEvent } from '../utils/events.js';
+import { handleWebhook } from '../router.js';
+import { createMockKV, createMockLogger } from './helpers.js';
+
+describe('createNormalizedEvent', () => {
+  it('should fill the canonical shape and drop empty references', () => {
+    const normalized = createNormalizedEvent(
+      { eventId: 'evt_1', eventType: 'raw.type' },
+      'paddle',
+      EVENT_TYPES.PAYMENT_SUCCEEDED,
+      { amount: 1000, currency: 'usd', refs: { transactionId: 'txn_1', invoiceId: null } }
+    );
+
+    expect(normalized).toMatchObject({
+      type: 'payment.succeeded',
+      provider: 'paddle',
+      providerEventId: 'evt_1',
+      providerEventType: 'raw.type',
+      data: {
+        amount: 1000,
+        currency: 'USD',
+        customer: { email: null, providerCustomerId: null },
+        userId: null,
+        refs: { transactionId: 'txn_1' },
+      },
+    });
+  });
+});
+
+describe('PaddleAdapter.normalizeEvent', () => {
+  const adapter = new PaddleAdapter({}, createMockLogger());
+
+  it('should map transaction.completed to payment.succeeded', () => {
+    const normalized = adapter.normalizeEvent({
+      eventId: 'evt_1',
+      eventType: 'transaction.completed',
+      data: {
+        id: 'txn_1',
+        origin: 'web',
+        currency_code: 'EUR',
+        customer_id: 'ctm_1',
+        custom_data: { user_id: 'user_123' },
+        details: { totals: { grand_total: '2999' } },
+      },
+      rawPayload: { occurred_at: '2024-01-15T10:30:00Z' },
+    });
+
+    expect(normalized.type).toBe(EVENT_TYPES.PAYMENT_SUCCEEDED);
+    expect(normalized.occurredAt).toBe('2024-01-15T10:30:00Z');
+    expect(normalized.data).toMatchObject({
+      amount: 2999,
+      currency: 'EUR',
+      userId: 'user_123',
+      sessionId: 'txn_1',
+      customer: { providerCustomerId: 'ctm_1' },
+    });
+  });
+
+  it('should map recurring transactions to subscription.renewed', () => {
+    const normalized = adapter.normalizeEvent({
+      eventId: 'evt_2',
+      eventType: 'transaction.completed',
+      data: { id: 'txn_2', origin: 'subscription_recurring', subscription_id: 'sub_1' },
+    });
+
+    expect(normalized.type).toBe(EVENT_TYPES.SUBSCRIPTION_RENEWED);
+    expect(normalized.data.subscriptionId).toBe('sub_1');
+  });
+
+  it('should map approved refund adjustments to refund.succeeded', () => {
+    const normalized = adapter.normalizeEvent({
+      eventId: 'evt_3',
+      eventType: 'adjustment.updated',
+      data: {
+        id: 'adj_1',
+        action: 'refund',
+        status: 'approved',
+        transaction_id: 'txn_1',
+        currency_code: 'USD',
+        totals: { total: '500' },
+      },
+    });
+
+    expect(normalized.type).toBe(EVENT_TYPES.REFUND_SUCCEEDED);
+    expect(normalized.data.amount).toBe(500);
+    expect(normalized.data.refs).toEqual({ transactionId: 'txn_1', adjustmentId: 'adj_1' });
+  });
+
+  it('should return null for pending refund adjustments and unknown events', () => {
+    expect(
+      adapter.normalizeEvent({
+        eventId: 'evt_4',
+        eventType: 'adjustment.created',
+        data: { action: 'refund', status: 'pending_approval' },
+      })
+    ).toBeNull();
+    expect(
+      adapter.normalizeEvent({ eventId: 'evt_5', eventType: 'address.created', data: {} })
+    ).toBeNull();
+  });
+
+  it('should map subscription.canceled', () => {
+    const normalized = adapter.normalizeEvent({
+      eventId: 'evt_6',
+      eventType: 'subscription.canceled',
+      data: { id: 'sub_1', custom_data: { user_id: 'user_123' } },
+    });
+
+    expect(normalized.type).toBe(EVENT_TYPES.SUBSCRIPTION_CANCELED);
+    expect(normalized.data.userId).toBe('user_123');
+  });
+});
+
+describe('PayPalAdapter.normalizeEvent', () => {
+  const adapter = new PayPalAdapter({}, createMockLogger());
+
+  it('should map PAYMENT.CAPTURE.COMPLETED to payment.succeeded in cents', () => {
+    const normalized = adapter.normalizeEvent({
+      eventId: 'WH-1',
+      eventType: 'PAYMENT.CAPTURE.COMPLETED',
+      data: {
+        id: 'cap_1',
+        amount: { value: '29.99', currency_code: 'USD' },
+        custom_id: 'user_123',
+        supplementary_data: { related_ids: { order_id: 'order_1' } },
+      },
+    });
+
+    expect(normalized.type).toBe(EVENT_TYPES.PAYMENT_SUCCEEDED);
+    expect(normalized.data).toMatchObject({
+      amount: 2999,
+      currency: 'USD',
+      userId: 'user_123',
+      sessionId: 'order_1',
+      refs: { orderId: 'order_1', captureId: 'cap_1' },
+    });
+  });
+
+  it('should map CHECKOUT.ORDER.APPROVED to payment.authorized', () => {
+    const normalized = adapter.normalizeEvent({
+      eventId: 'WH-2',
+      eventType: 'CHECKOUT.ORDER.APPROVED',
+      data: {
+        id: 'order_1',
+        purchase_units: [{ amount: { value: '10.00', currency_code: 'EUR' }, custom_id: 'u1' }],
+        payer: { email_address: 'buyer@example.com', payer_id: 'PAYER1' },
+      },
+    });
+
+    expect(normalized.type).toBe(EVENT_TYPES.PAYMENT_AUTHORIZED);
+    expect(normalized.data.customer).toEqual({
+      email: 'buyer@example.com',
+      providerCustomerId: 'PAYER1',
+    });
+  });
+
+  it('should map subscription payment failures to subscription.past_due', () => {
+    const normalized = adapter.normalizeEvent({
+      eventId: 'WH-3',
+      eventType: 'BILLING.SUBSCRIPTION.PAYMENT.FAILED',
+      data: { id: 'I-SUB1', custom_id: 'user_123', plan_id: 'P-1' },
+    });
+
+    expect(normalized.type).toBe(EVENT_TYPES.SUBSCRIPTION_PAST_DUE);
+    expect(normalized.data.subscriptionId).toBe('I-SUB1');
+  });
+
+  it('should map disputes', () => {
+    const normalized = adapter.normalizeEvent({
+      eventId: 'WH-4',
+      eventType: 'CUSTOMER.DISPUTE.CREATED',
+      data: { dispute_id: 'PP-D-1', dispute_amount: { value: '5.00', currency_code: 'USD' } },
+    });
+
+    expect(normalized.type).toBe(EVENT_TYPES.DISPUTE_OPENED);
+    expect(normalized.data.amount).toBe(500);
+  });
+});
+
+describe('StripeAdapter.normalizeEvent', () => {
+  const adapter = new StripeAdapter({}, createMockLogger());
+
+  it('should map paid checkout sessions to payment.succeeded', () => {
+    const normalized = adapter.normalizeEvent({
+      eventId: 'evt_1',
+      eventType: 'checkout.session.completed',
+      data: {
+        id: 'cs_1',
+        mode: 'payment',
+        payment_status: 'paid',
+        amount_total: 1500,
+        currency: 'gbp',
+        client_reference_id: 'user_123',
+        customer_details: { email: 'buyer@example.com' },
+        payment_intent: 'pi_1',
+      },
+      rawPayload: { created: 1705314600 },
+    });
+
+    expect(normalized.type).toBe(EVENT_TYPES.PAYMENT_SUCCEEDED);
+    expect(normalized.occurredAt).toBe('2024-01-15T10:30:00.000Z');
+    expect(normalized.data).toMatchObject({
+      amount: 1500,
+      currency: 'GBP',
+      userId: 'user_123',
+      sessionId: 'cs_1',
+      customer: { email: 'buyer@example.com' },
+      refs: { paymentIntentId: 'pi_1' },
+    });
+  });
+
+  it('should map unpaid checkout sessions to payment.pending', () => {
+    expect(
+      adapter.normalizeEvent({
+        eventId: 'evt_2',
+        eventType: 'checkout.session.completed',
+        data: { id: 'cs_2', mode: 'payment', payment_status: 'unpaid' },
+      }).type
+    ).toBe(EVENT_TYPES.PAYMENT_PENDING);
+  });
+
+  it('should map renewal invoices to subscription.renewed', () => {
+    const normalized = adapter.normalizeEvent({
+      eventId: 'evt_3',
+      eventType: 'invoice.paid',
+      data: {
+        id: 'in_1',
+        subscription: 'sub_1',
+        billing_reason: 'subscription_cycle',
+        amount_paid: 999,
+        currency: 'usd',
+        subscription_details: { metadata: { user_id: 'user_123' } },
+      },
+    });
+
+    expect(normalized.type).toBe(EVENT_TYPES.SUBSCRIPTION_RENEWED);
+    expect(normalized.data).toMatchObject({ amount: 999, userId: 'user_123' });
+  });
+
+  it('should map refunds and disputes', () => {
+    expect(
+      adapter.normalizeEvent({
+        eventId: 'evt_4',
+        eventType: 'charge.refunded',
+        data: { id: 'ch_1', amount_refunded: 300, currency: 'usd' },
+      }).type
+    ).toBe(EVENT_TYPES.REFUND_SUCCEEDED);
+    expect(
+      adapter.normalizeEvent({
+        eventId: 'evt_5',
+        eventType: 'charge.dispute.created',
+        data: { id: 'dp_1', amount: 1000, currency: 'usd', charge: 'ch_1' },
+      }).type
+    ).toBe(EVENT_TYPES.DISPUTE_OPENED);
+  });
+
+  it('should map deleted subscriptions to subscription.canceled', () => {
+    const normalized = adapter.normalizeEvent({
+      eventId: 'evt_6',
+      eventType: 'customer.subscription.deleted',
+      data: { id: 'sub_1', customer: 'cus_1', metadata: { user_id: 'user_123' } },
+    });
+
+    expect(normalized.type).toBe(EVENT_TYPES.SUBSCRIPTION_CANCELED);
+    expect(normalized.data.customer.providerCustomerId).toBe('cus_1');
+  });
+});
+
+describe('Webhook forwarding', () => {
+  let mockEnv;
+
+  beforeEach(() => {
+    mockEnv = {
+      EVENTS: createMockKV(),
+      METRICS: createMockKV(),
+      SESSIONS: createMockKV(),
+      PAYPAL_CLIENT_ID: 'test_paypal_id',
+      PAYPAL_CLIENT_SECRET: 'test_paypal_secret',
+      PAYPAL_WEBHOOK_ID: 'test_webhook_id',
+      INTERNAL_BACKEND_URL: 'https://test-backend.com',
+    };
+
+    global.fetch = vi.fn((url) => {
+      if (url.endsWith('/v1/oauth2/token')) {
+        return Promise.resolve({
+          ok: true,
+          json: () => Promise.resolve({ access_token: 'test_token', expires_in: 3600 }),
+        });
+      }
+      if (url.endsWith('/verify-webhook-signature')) {
+        return Promise.resolve({
+          ok: true,
+          json: () => Promise.resolve({ verification_status: 'SUCCESS' }),
+        });
+      }
+      return Promise.resolve({ ok: true, status: 200 });
+    });
+  });
+
+  it('should forward both the normalized and the raw event', async () => {
+    const request = new Request('https://example.com/api/webhook/paypal', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'paypal-transmission-id': 'tx_123',
+        'paypal-transmission-sig': 'sig',
+      },
+      body: JSON.stringify({
+        id: 'WH-123',
+        event_type: 'PAYMENT.CAPTURE.COMPLETED',
+        resource: { id: 'cap_123', amount: { value: '10.00', currency_code: 'USD' } },
+      }),
+    });
+
+    await handleWebhook(request, mockEnv, createMockLogger(), 'paypal');
+
+    const [, options] = global.fetch.mock.calls.find(([url]) => url.endsWith('/notify'));
+    const body = JSON.parse(options.body);
+
+    expect(body.event).toBe('PAYMENT.CAPTURE.COMPLETED');
+    expect(body.rawPayload.id).toBe('WH-123');
+    expect(body.normalized).toMatchObject({
+      type: 'payment.succeeded',
+      provider: 'paypal',
+      providerEventId: 'WH-123',
+      data: { amount: 1000, currency: 'USD', refs: { captureId: 'cap_123' } },
+    });
+  });
+});
@@ -0,0 +1,60 @@
+/**
+ * Shared test helpers
+ */
+
+import { vi } from 'vitest';
+
+/**
+ * Create an in-memory KV namespace mock backed by a Map
+ * @param {object} initial - Initial key/value pairs (values are stored as strings)
+ * @returns {object} KV mock exposing the underlying `store`
+ */
+export function createMockKV(initial = {}) {
+  const store = new Map(Object.entries(initial));
+  const metadata = new Map();
+  return {
+    store,
+    metadata,
+    get: vi.fn((key, type) => {
+      const value = store.has(key) ? store.get(key) : null;
+      return Promise.resolve(type === 'json' && value !== null ? JSON.parse(value) : value);
+    }),
+    put: vi.fn((key, value, options = {}) => {
+      store.set(key, value);
+      metadata.set(key, options.metadata);
+      return Promise.resolve();
+    }),
+    delete: vi.fn((key) => {
+      store.delete(key);
+      metadata.delete(key);
+      return Promise.resolve();
+    }),
+    list: vi.fn(({ prefix = '', limit = 1000, cursor } = {}) => {
+      // Cursors are offsets into the sorted matching keys
+      const offset = cursor ? parseInt(cursor) : 0;
+      const matching = [...store.keys()].filter((key) => key.startsWith(prefix)).sort();
+      const keys = matching
+        .slice(offset, offset + limit)
+        .map((name) => ({ name, metadata: metadata.get(name) }));
+      const listComplete = offset + limit >= matching.length;
+      return Promise.resolve({
+        keys,
+        list_complete: listComplete,
+        ...(!listComplete && { cursor: String(offset + limit) }),
+      });
+    }),
+  };
+}
+
+/**
+ * Create a logger mock
+ * @returns {object}
+ */
+export function createMockLogger() {
+  return {
+    info: vi.fn(),
+    error: vi.fn(),
+    warn: vi.fn(),
+    debug: vi.fn(),
+  };
+}
@@ -0,0 +1,162 @@
+/**
+ * Tests for Idempotency-Key support on creation endpoints
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { route } from '../router.js';
+import { fingerprintRequest } from '../utils/idempotency.js';
+import { createMockKV, createMockLogger } from './helpers.js';
+
+function checkoutRequest(key, overrides = {}) {
+  return new Request('https://example.com/api/checkout', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(key && { 'Idempotency-Key': key }),
+    },
+    body: JSON.stringify({
+      provider: 'paypal',
+      userId: 'user_123',
+      email: 'test@example.com',
+      amount: 1000,
+      currency: 'USD',
+      productName: 'Test Product',
+      ...overrides,
+    }),
+  });
+}
+
+/**
+ * Mock fetch for PayPal order creation, returning a new order ID per call
+ */
+function paypalFetchMock({ orderStatus = 201 } = {}) {
+  let orders = 0;
+  return vi.fn((url) => {
+    if (url.endsWith('/v1/oauth2/token')) {
+      return Promise.resolve({
+        ok: true,
+        json: () => Promise.resolve({ access_token: 'test_token', expires_in: 3600 }),
+      });
+    }
+    if (orderStatus >= 300) {
+      return Promise.resolve({
+        ok: false,
+        status: orderStatus,
+        text: () => Promise.resolve('upstream unavailable'),
+      });
+    }
+    orders++;
+    return Promise.resolve({
+      ok: true,
+      status: orderStatus,
+      json: () =>
+        Promise.resolve({
+          id: `order_${orders}`,
+          links: [{ rel: 'approve', href: `https://paypal.com/approve/${orders}` }],
+        }),
+    });
+  });
+}
+
+function orderCalls() {
+  return global.fetch.mock.calls.filter(([url]) => url.endsWith('/v2/checkout/orders'));
+}
+
+describe('Idempotency-Key', () => {
+  let mockEnv;
+  let mockLogger;
+
+  beforeEach(() => {
+    mockEnv = {
+      SESSIONS: createMockKV(),
+      CUSTOMERS: createMockKV(),
+      TRANSACTIONS: createMockKV(),
+      METRICS: createMockKV(),
+      PAYPAL_CLIENT_ID: 'test_paypal_id',
+      PAYPAL_CLIENT_SECRET: 'test_paypal_secret',
+      INTERNAL_BACKEND_URL: 'https://test-backend.com',
+      AUTH_DISABLED: 'true',
+    };
+
+    mockLogger = createMockLogger();
+    global.fetch = paypalFetchMock();
+  });
+
+  it('should replay the original response for a retried request', async () => {
+    const first = await route(checkoutRequest('key-1'), mockEnv, mockLogger);
+    const second = await route(checkoutRequest('key-1'), mockEnv, mockLogger);
+
+    expect(first.status).toBe(200);
+    expect(second.status).toBe(200);
+    expect(second.headers.get('Idempotent-Replayed')).toBe('true');
+    expect((await second.json()).data.sessionId).toBe((await first.json()).data.sessionId);
+    expect(orderCalls()).toHaveLength(1);
+  });
+
+  it('should create separate sessions without a key', async () => {
+    await route(checkoutRequest(), mockEnv, mockLogger);
+    await route(checkoutRequest(), mockEnv, mockLogger);
+
+    expect(orderCalls()).toHaveLength(2);
+  });
+
+  it('should pass a derived key to the provider', async () => {
+    await route(checkoutRequest('key-1'), mockEnv, mockLogger);
+
+    const [, options] = orderCalls()[0];
+    expect(options.headers['PayPal-Request-Id']).toMatch(/^[0-9a-f]{64}$/);
+  });
+
+  it('should reject a reused key with a different body', async () => {
+    await route(checkoutRequest('key-1'), mockEnv, mockLogger);
+    const response = await route(checkoutRequest('key-1', { amount: 2000 }), mockEnv, mockLogger);
+
+    expect(response.status).toBe(422);
+    expect(orderCalls()).toHaveLength(1);
+  });
+
+  it('should reject a key that is still in progress', async () => {
+    const request = checkoutRequest('key-1');
+    const fingerprint = await fingerprintRequest(
+      'POST',
+      '/api/checkout',
+      await request.clone().text()
+    );
+    await mockEnv.SESSIONS.put(
+      'idem:checkout:anonymous:key-1',
+      JSON.stringify({ status: 'in_progress', fingerprint })
+    );
+
+    const response = await route(request, mockEnv, mockLogger);
+
+    expect(response.status).toBe(409);
+    expect(orderCalls()).toHaveLength(0);
+  });
+
+  it('should not store server errors so the client can retry', async () => {
+    global.fetch = paypalFetchMock({ orderStatus: 503 });
+    const failed = await route(checkoutRequest('key-1'), mockEnv, mockLogger);
+
+    expect(failed.status).toBe(500);
+    expect(mockEnv.SESSIONS.store.has('idem:checkout:anonymous:key-1')).toBe(false);
+
+    global.fetch = paypalFetchMock();
+    const retried = await route(checkoutRequest('key-1'), mockEnv, mockLogger);
+
+    expect(retried.status).toBe(200);
+    expect(retried.headers.get('Idempotent-Replayed')).toBeNull();
+  });
+
+  it('should match bodies regardless of key order', async () => {
+    const a = await fingerprintRequest('POST', '/api/checkout', '{"a":1,"b":{"c":2,"d":3}}');
+    const b = await fingerprintRequest('POST', '/api/checkout', '{"b":{"d":3,"c":2},"a":1}');
+
+    expect(a).toBe(b);
+  });
+
+  it('should reject overly long keys', async () => {
+    const response = await route(checkoutRequest('k'.repeat(256)), mockEnv, mockLogger);
+
+    expect(response.status).toBe(400);
+  });
+});
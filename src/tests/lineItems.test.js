@@ -0,0 +1,265 @@
+/**
+ * Tests for line items, discounts and tax
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { buildOrder, allocate } from '../utils/lineItems.js';
+import { validateBody, SCHEMAS } from '../utils/validation.js';
+import { route } from '../router.js';
+import { createProviderEmulator } from '../emulator/index.js';
+import { createMockKV, createMockLogger } from './helpers.js';
+
+const items = [
+  { name: 'T-shirt', unitAmount: 2000, quantity: 2 },
+  { name: 'Sticker', unitAmount: 500 },
+];
+
+describe('buildOrder', () => {
+  it('should treat amount and productName as a single item', () => {
+    const order = buildOrder({ amount: 1000, productName: 'Test Product' }, 'USD');
+
+    expect(order.items).toEqual([
+      {
+        name: 'Test Product',
+        unitAmount: 1000,
+        quantity: 1,
+        priceId: null,
+        amount: 1000,
+        discount: 0,
+        tax: 0,
+        total: 1000,
+      },
+    ]);
+    expect(order.totals).toEqual({ subtotal: 1000, discount: 0, tax: 0, total: 1000 });
+  });
+
+  it('should spread a discount across lines in proportion to their amounts', () => {
+    const order = buildOrder({ items, discount: { amount: 1000, code: 'SAVE10' } }, 'USD');
+
+    expect(order.items.map((item) => item.discount)).toEqual([889, 111]);
+    expect(order.totals).toEqual({ subtotal: 4500, discount: 1000, tax: 0, total: 3500 });
+  });
+
+  it('should cap a discount at the subtotal', () => {
+    const order = buildOrder({ items, discount: { amount: 10000 } }, 'USD');
+
+    expect(order.totals.discount).toBe(4500);
+    expect(order.totals.total).toBe(0);
+  });
+
+  it('should add exclusive tax on the discounted line amounts', () => {
+    const order = buildOrder({ items, discount: { percent: 10 }, tax: { rate: 8.25 } }, 'USD');
+
+    // 3600 and 450 after discount; 297 and 37.125 tax
+    expect(order.items.map((item) => item.tax)).toEqual([297, 37]);
+    expect(order.totals).toEqual({ subtotal: 4500, discount: 450, tax: 334, total: 4384 });
+  });
+
+  it('should extract inclusive tax without changing the total', () => {
+    const order = buildOrder({ items, tax: { rate: 20, inclusive: true } }, 'EUR');
+
+    expect(order.items.map((item) => item.tax)).toEqual([667, 83]);
+    expect(order.totals).toEqual({ subtotal: 4500, discount: 0, tax: 750, total: 4500 });
+  });
+
+  it("should round to the provider's amount step", () => {
+    const order = buildOrder(
+      { items: [{ name: 'Ticket', unitAmount: 1000, quantity: 3 }], tax: { rate: 7.5 } },
+      'HUF',
+      'paypal'
+    );
+
+    expect(order.totals.tax % 100).toBe(0);
+    expect(order.totals.total).toBe(3200);
+  });
+});
+
+describe('allocate', () => {
+  it('should hand out remainders to the largest fractions', () => {
+    expect(allocate(100, [1, 1, 1])).toEqual([34, 33, 33]);
+    expect(allocate(5, [0, 0])).toEqual([0, 0]);
+  });
+});
+
+describe('line item validation', () => {
+  const body = {
+    provider: 'stripe',
+    userId: 'user_123',
+    email: 'test@example.com',
+    currency: 'USD',
+    items,
+  };
+
+  it('should accept items in place of amount and productName', () => {
+    expect(
+      validateBody({ ...body, discount: { percent: 15 }, tax: { rate: 19 } }, SCHEMAS.checkout)
+    ).toEqual([]);
+  });
+
+  it('should point errors at the failing line item field', () => {
+    const errors = validateBody(
+      { ...body, items: [items[0], { name: 'Sticker', unitAmount: 500, quantity: 0 }] },
+      SCHEMAS.checkout
+    );
+
+    expect(errors).toEqual([
+      {
+        field: 'items[1].quantity',
+        code: 'invalid',
+        message: 'items[1].quantity must be an integer from 1 to 9999',
+      },
+    ]);
+  });
+
+  it('should reject items combined with amount and malformed discounts', () => {
+    const errors = validateBody(
+      { ...body, amount: 1000, discount: { amount: 100, percent: 10 }, tax: { rate: 120 } },
+      SCHEMAS.checkout
+    );
+
+    expect(errors.map((error) => error.field)).toEqual(['items', 'discount', 'tax']);
+  });
+});
+
+describe('Checkout with line items', () => {
+  let emulator;
+  let env;
+
+  function checkout(provider, overrides = {}) {
+    return route(
+      new Request('https://worker.test/api/checkout', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          provider,
+          userId: 'user_123',
+          email: 'test@example.com',
+          currency: 'USD',
+          items,
+          discount: { amount: 1000, code: 'SAVE10' },
+          tax: { rate: 10 },
+          ...overrides,
+        }),
+      }),
+      env,
+      createMockLogger()
+    );
+  }
+
+  beforeEach(() => {
+    emulator = createProviderEmulator().install();
+    env = {
+      ...emulator.env,
+      SESSIONS: createMockKV(),
+      CUSTOMERS: createMockKV(),
+      TRANSACTIONS: createMockKV(),
+      METRICS: createMockKV(),
+      AUTH_DISABLED: 'true',
+      INTERNAL_BACKEND_URL: 'https://backend.test',
+    };
+  });
+
+  afterEach(() => {
+    emulator.restore();
+  });
+
+  it('should store the computed totals with the session', async () => {
+    const { data } = await (await checkout('stripe')).json();
+    const session = JSON.parse(env.SESSIONS.store.get(`session:${data.sessionId}`));
+
+    expect(session.totals).toEqual({ subtotal: 4500, discount: 1000, tax: 350, total: 3850 });
+    expect(session.amount).toBe(3850);
+    expect(session.items.map((item) => item.quantity)).toEqual([2, 1]);
+  });
+
+  it('should price Stripe sessions with a shared coupon and tax rate', async () => {
+    const { data } = await (await checkout('stripe')).json();
+    const second = await (await checkout('stripe')).json();
+    const stripe = emulator.providers.stripe;
+
+    expect(stripe.sessions.get(data.sessionId).amount_total).toBe(3850);
+    expect(stripe.sessions.get(second.data.sessionId).amount_total).toBe(3850);
+    expect([...stripe.coupons.values()]).toMatchObject([{ amount_off: 1000, name: 'SAVE10' }]);
+    expect([...stripe.taxRates.values()]).toMatchObject([{ percentage: 10, inclusive: false }]);
+  });
+
+  it('should send PayPal items with a matching breakdown', async () => {
+    const { data } = await (await checkout('paypal')).json();
+    const [unit] = emulator.providers.paypal.orders.get(data.sessionId).purchase_units;
+
+    expect(unit.amount).toEqual({
+      currency_code: 'USD',
+      value: '38.50',
+      breakdown: {
+        item_total: { currency_code: 'USD', value: '45.00' },
+        discount: { currency_code: 'USD', value: '10.00' },
+        tax_total: { currency_code: 'USD', value: '3.50' },
+      },
+    });
+    expect(unit.items[0]).toEqual({
+      name: 'T-shirt',
+      quantity: '2',
+      unit_amount: { currency_code: 'USD', value: '20.00' },
+    });
+  });
+
+  it('should send Paddle non-catalog prices and a discount', async () => {
+    const { data } = await (await checkout('paddle', { tax: undefined })).json();
+    const transaction = emulator.providers.paddle.transactions.get(data.sessionId);
+
+    expect(transaction.details.line_items.map((item) => item.price_id)).toEqual([null, null]);
+    expect(transaction.details.totals.discount).toBe('1000');
+    expect(transaction.details.totals.total).toBe('3500');
+  });
+
+  it('should refuse client price IDs and tax for Paddle', async () => {
+    const priced = await checkout('stripe', {
+      items: [{ name: 'Pro plan', unitAmount: 1000, priceId: 'price_123' }],
+    });
+    const taxed = await checkout('paddle');
+
+    expect(priced.status).toBe(400);
+    expect((await priced.json()).errors[0]).toMatchObject({
+      field: 'items[0].priceId',
+      message: 'items[0].priceId is not accepted; use a catalog SKU for provider prices',
+    });
+    expect(taxed.status).toBe(400);
+    expect((await taxed.json()).errors[0].field).toBe('tax');
+  });
+
+  it('should not route orders with tax to Paddle', async () => {
+    env.PROVIDER_ROUTING = JSON.stringify({ rules: [{ provider: 'paddle', weight: 1 }] });
+
+    const taxed = await checkout('auto');
+    const untaxed = await checkout('auto', { tax: undefined });
+
+    expect(taxed.status).toBe(422);
+    expect(untaxed.status).toBe(200);
+    expect(emulator.providers.paddle.transactions.size).toBe(1);
+  });
+
+  it('should apply Paddle discounts by ID and reuse them', async () => {
+    const first = await (await checkout('paddle', { tax: undefined })).json();
+    const second = await (await checkout('paddle', { tax: undefined })).json();
+    const paddle = emulator.providers.paddle;
+    const [discount] = paddle.discounts.values();
+
+    expect(paddle.discounts.size).toBe(1);
+    expect(discount).toMatchObject({
+      type: 'flat',
+      amount: '1000',
+      currency_code: 'USD',
+      enabled_for_checkout: false,
+    });
+    expect(paddle.transactions.get(first.data.sessionId).discount_id).toBe(discount.id);
+    expect(paddle.transactions.get(second.data.sessionId).discount_id).toBe(discount.id);
+  });
+
+  it('should reject orders discounted below the minimum charge', async () => {
+    const response = await checkout('stripe', { discount: { amount: 4480 } });
+    const data = await response.json();
+
+    expect(response.status).toBe(400);
+    expect(data.errors[0].field).toBe('items');
+  });
+});
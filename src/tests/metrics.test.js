@@ -0,0 +1,157 @@
+/**
+ * Tests for metrics counters, daily rollups and the report endpoint
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { route, handleMetricsReport } from '../router.js';
+import { rollupDailyMetrics, getMetricsReport } from '../utils/metrics.js';
+import { createProviderEmulator } from '../emulator/index.js';
+import { createMockKV, createMockLogger } from './helpers.js';
+
+describe('Metrics', () => {
+  let emulator;
+  let env;
+
+  async function api(method, path, body) {
+    const response = await route(
+      new Request(`https://worker.test${path}`, {
+        method,
+        headers: { 'Content-Type': 'application/json', 'Idempotency-Key': crypto.randomUUID() },
+        body: body && JSON.stringify(body),
+      }),
+      env,
+      createMockLogger()
+    );
+    return { status: response.status, data: await response.json() };
+  }
+
+  async function checkout(overrides) {
+    const { data } = await api('POST', '/api/checkout', {
+      provider: 'stripe',
+      userId: 'user_123',
+      email: 'test@example.com',
+      amount: 1000,
+      productName: 'Pro T-shirt',
+      ...overrides,
+    });
+    return data.data.sessionId;
+  }
+
+  beforeEach(() => {
+    emulator = createProviderEmulator({
+      deliver: (request) => route(request, env, createMockLogger()),
+    }).install();
+    env = {
+      ...emulator.env,
+      SESSIONS: createMockKV(),
+      CUSTOMERS: createMockKV(),
+      EVENTS: createMockKV(),
+      METRICS: createMockKV(),
+      SUBSCRIPTIONS: createMockKV(),
+      TRANSACTIONS: createMockKV(),
+      AUTH_DISABLED: 'true',
+      INTERNAL_BACKEND_URL: 'https://backend.test',
+    };
+  });
+
+  afterEach(() => {
+    emulator.restore();
+  });
+
+  it('should report checkouts, webhooks, conversion and revenue for today', async () => {
+    const paid = await checkout();
+    const euro = await checkout({ currency: 'EUR', amount: 2000 });
+    await checkout({ provider: 'paddle' });
+    emulator.providers.stripe.complete(paid);
+    emulator.providers.stripe.complete(euro);
+    await emulator.deliverWebhooks();
+    await api('POST', '/api/refund', { sessionId: paid, amount: 300 });
+    await emulator.deliverWebhooks();
+
+    const { status, data } = await api('GET', '/api/admin/metrics');
+    const { series, totals, conversion } = data.data;
+
+    expect(status).toBe(200);
+    expect(series).toHaveLength(30);
+    expect(series[29].checkouts).toEqual({ stripe: 2, paddle: 1 });
+    expect(totals.payments).toEqual({ stripe: 2 });
+    expect(totals.webhooks.stripe).toEqual({
+      'checkout.session.completed': 2,
+      'charge.refunded': 1,
+    });
+    expect(totals.revenue).toEqual({ USD: 1000, EUR: 2000 });
+    expect(totals.refunded).toEqual({ USD: 300 });
+    expect(totals.refunds).toEqual({ stripe: 1 });
+    expect(conversion).toEqual({
+      checkouts: 3,
+      payments: 2,
+      rate: 0.6667,
+      byProvider: {
+        stripe: { checkouts: 2, payments: 2, rate: 1 },
+        paddle: { checkouts: 1, payments: 0, rate: 0 },
+      },
+    });
+  });
+
+  it('should filter the report by provider', async () => {
+    await checkout();
+    await checkout({ provider: 'paddle' });
+
+    const { data } = await api('GET', '/api/admin/metrics?provider=paddle');
+
+    expect(data.data.totals.checkouts).toEqual({ paddle: 1 });
+  });
+
+  it('should roll finished days up and report from the rollup', async () => {
+    const logger = createMockLogger();
+    await env.METRICS.put('checkout:stripe:2026-01-10', '4');
+    await env.METRICS.put('payment:stripe:2026-01-10', '3');
+    await env.METRICS.put('revenue:stripe:USD:2026-01-10', '4500');
+    await env.METRICS.put('checkout:stripe:2026-01-11', '1');
+
+    const first = await rollupDailyMetrics(env, logger, Date.parse('2026-01-11T00:30:00Z'));
+    // A late checkout lands before the day has settled and is picked up by the next run
+    await env.METRICS.put('checkout:stripe:2026-01-10', '5');
+    const second = await rollupDailyMetrics(env, logger, Date.parse('2026-01-11T02:00:00Z'));
+    const third = await rollupDailyMetrics(env, logger, Date.parse('2026-01-11T02:05:00Z'));
+    env.METRICS.store.delete('checkout:stripe:2026-01-10');
+    const report = await getMetricsReport(
+      env,
+      { from: '2026-01-10', to: '2026-01-10' },
+      Date.parse('2026-03-01T00:00:00Z')
+    );
+
+    expect(first.rolledUp).toEqual(['2026-01-10', '2026-01-09']);
+    expect(second.rolledUp).toEqual(['2026-01-10']);
+    expect(third.rolledUp).toEqual([]);
+    expect(report.series[0]).toMatchObject({
+      date: '2026-01-10',
+      checkouts: { stripe: 5 },
+      payments: { stripe: 3 },
+      revenue: { USD: 4500 },
+    });
+    expect(report.conversion.rate).toBe(0.6);
+  });
+
+  it('should validate the date range', async () => {
+    const invalid = await api('GET', '/api/admin/metrics?from=2026-02-30&to=yesterday');
+    const reversed = await api('GET', '/api/admin/metrics?from=2026-02-01&to=2026-01-01');
+    const tooLong = await api('GET', '/api/admin/metrics?from=2024-01-01&to=2026-01-01');
+
+    expect(invalid.status).toBe(400);
+    expect(invalid.data.errors.map((error) => error.field)).toEqual(['from', 'to']);
+    expect(reversed.data.errors[0].field).toBe('to');
+    expect(tooLong.data.errors[0].field).toBe('from');
+  });
+
+  it('should deny end users', async () => {
+    const response = await handleMetricsReport(
+      new Request('https://worker.test/api/admin/metrics'),
+      env,
+      createMockLogger(),
+      { type: 'jwt', userId: 'user_123', trusted: false }
+    );
+
+    expect(response.status).toBe(403);
+  });
+});
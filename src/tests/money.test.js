@@ -0,0 +1,220 @@
+/**
+ * Tests for multi-currency money handling
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import {
+  getCurrencyExponent,
+  isRepresentable,
+  toMajorUnits,
+  toMinorUnits,
+  toProviderUnits,
+  fromProviderUnits,
+  formatMoney,
+} from '../utils/money.js';
+import { validateBody, SCHEMAS } from '../utils/validation.js';
+import { PayPalAdapter } from '../adapters/paypal.js';
+import { StripeAdapter } from '../adapters/stripe.js';
+import { createMockLogger } from './helpers.js';
+
+describe('Currency exponents', () => {
+  it('should use ISO 4217 minor units', () => {
+    expect(getCurrencyExponent('USD')).toBe(2);
+    expect(getCurrencyExponent('jpy')).toBe(0);
+    expect(getCurrencyExponent('KRW')).toBe(0);
+    expect(getCurrencyExponent('KWD')).toBe(3);
+    expect(getCurrencyExponent('BHD')).toBe(3);
+  });
+});
+
+describe('toMajorUnits', () => {
+  it('should convert two-, zero- and three-decimal currencies', () => {
+    expect(toMajorUnits(2999, 'USD')).toBe('29.99');
+    expect(toMajorUnits(5, 'EUR')).toBe('0.05');
+    expect(toMajorUnits(1000, 'JPY')).toBe('1000');
+    expect(toMajorUnits(1234, 'KWD')).toBe('1.234');
+    expect(toMajorUnits(-250, 'USD')).toBe('-2.50');
+  });
+
+  it('should apply provider precision', () => {
+    expect(toMajorUnits(12300, 'HUF', 'paypal')).toBe('123');
+    expect(toMajorUnits(12345, 'HUF')).toBe('123.45');
+  });
+
+  it('should reject amounts the provider cannot represent', () => {
+    expect(() => toMajorUnits(12345, 'HUF', 'paypal')).toThrow('must be a multiple of 100');
+    expect(() => toMajorUnits(10.5, 'USD')).toThrow('cannot be represented in USD');
+    expect(isRepresentable(1235, 'KWD', 'stripe')).toBe(false);
+    expect(isRepresentable(1230, 'KWD', 'stripe')).toBe(true);
+  });
+});
+
+describe('toMinorUnits', () => {
+  it('should parse decimals without float errors', () => {
+    expect(toMinorUnits('29.99', 'USD')).toBe(2999);
+    expect(toMinorUnits('0.29', 'USD')).toBe(29);
+    expect(toMinorUnits('1000', 'JPY')).toBe(1000);
+    expect(toMinorUnits('1.234', 'KWD')).toBe(1234);
+    expect(toMinorUnits('10', 'USD')).toBe(1000);
+    expect(toMinorUnits(undefined, 'USD')).toBeNull();
+  });
+
+  it('should round extra decimals', () => {
+    expect(toMinorUnits('1.005', 'USD')).toBe(101);
+    expect(toMinorUnits('1.005', 'USD', { rounding: 'half-even' })).toBe(100);
+    expect(toMinorUnits('1.015', 'USD', { rounding: 'half-even' })).toBe(102);
+    expect(toMinorUnits('1.0051', 'USD', { rounding: 'half-even' })).toBe(101);
+    expect(toMinorUnits('100.5', 'JPY')).toBe(101);
+  });
+
+  it('should reject extra decimals when asked', () => {
+    expect(() => toMinorUnits('1.005', 'USD', { rounding: 'reject' })).toThrow(
+      'more than 2 decimals'
+    );
+    expect(() => toMinorUnits('abc', 'USD')).toThrow('Invalid decimal amount');
+  });
+});
+
+describe('formatMoney', () => {
+  it('should format with the currency precision', () => {
+    expect(formatMoney(2999, 'USD')).toBe('$29.99');
+    expect(formatMoney(1000, 'JPY')).toBe('¥1,000');
+    expect(formatMoney(1234, 'KWD')).toMatch(/1\.234/);
+  });
+});
+
+describe('Amount validation', () => {
+  const body = {
+    provider: 'paypal',
+    userId: 'user_123',
+    email: 'test@example.com',
+    productName: 'Test Product',
+  };
+
+  it('should reject amounts a provider cannot charge in the currency', () => {
+    const errors = validateBody({ ...body, amount: 12345, currency: 'HUF' }, SCHEMAS.checkout);
+
+    expect(errors).toHaveLength(1);
+    expect(errors[0].message).toContain('multiple of 100');
+    expect(validateBody({ ...body, amount: 12300, currency: 'HUF' }, SCHEMAS.checkout)).toEqual([]);
+  });
+});
+
+describe('PayPal amounts', () => {
+  let adapter;
+
+  beforeEach(() => {
+    adapter = new PayPalAdapter(
+      { PAYPAL_CLIENT_ID: 'id', PAYPAL_CLIENT_SECRET: 'secret' },
+      createMockLogger()
+    );
+
+    global.fetch = vi.fn((url) => {
+      if (url.endsWith('/v1/oauth2/token')) {
+        return Promise.resolve({
+          ok: true,
+          json: () => Promise.resolve({ access_token: 'test_token', expires_in: 3600 }),
+        });
+      }
+      return Promise.resolve({
+        ok: true,
+        json: () => Promise.resolve({ id: 'order_1', links: [] }),
+      });
+    });
+  });
+
+  async function orderAmount(amount, currency) {
+    await adapter.createCheckoutSession({
+      userId: 'user_123',
+      email: 'test@example.com',
+      amount,
+      currency,
+      productName: 'Test Product',
+    });
+    const [, options] = global.fetch.mock.calls.find(([url]) =>
+      url.endsWith('/v2/checkout/orders')
+    );
+    return JSON.parse(options.body).purchase_units[0].amount;
+  }
+
+  it('should send zero-decimal currencies without decimals', async () => {
+    const money = { currency_code: 'JPY', value: '1000' };
+    expect(await orderAmount(1000, 'JPY')).toEqual({ ...money, breakdown: { item_total: money } });
+  });
+
+  it('should send three-decimal currencies with three decimals', async () => {
+    const money = { currency_code: 'BHD', value: '1.234' };
+    expect(await orderAmount(1234, 'BHD')).toEqual({ ...money, breakdown: { item_total: money } });
+  });
+
+  it('should parse webhook amounts in the event currency', () => {
+    const normalized = adapter.normalizeEvent({
+      eventId: 'WH-1',
+      eventType: 'PAYMENT.CAPTURE.COMPLETED',
+      data: { id: 'cap_1', amount: { value: '1500', currency_code: 'JPY' } },
+    });
+
+    expect(normalized.data.amount).toBe(1500);
+  });
+});
+
+describe('Stripe amounts', () => {
+  let adapter;
+
+  beforeEach(() => {
+    adapter = new StripeAdapter({ STRIPE_SECRET_KEY: 'sk_test_123' }, createMockLogger());
+    global.fetch = vi.fn(() =>
+      Promise.resolve({
+        ok: true,
+        json: () => Promise.resolve({ id: 'cs_1', url: 'https://checkout.stripe.test/cs_1' }),
+      })
+    );
+  });
+
+  async function unitAmount(amount, currency) {
+    await adapter.createCheckoutSession({
+      userId: 'user_123',
+      email: 'test@example.com',
+      amount,
+      currency,
+      productName: 'Test Product',
+    });
+    const [, options] = global.fetch.mock.calls[0];
+    return new URLSearchParams(options.body).get('line_items[0][price_data][unit_amount]');
+  }
+
+  it("should convert ISK and MGA to Stripe's units and back", () => {
+    expect(toProviderUnits(500, 'ISK', 'stripe')).toBe(50000);
+    expect(fromProviderUnits(50000, 'isk', 'stripe')).toBe(500);
+    expect(toProviderUnits(10000, 'MGA', 'stripe')).toBe(100);
+    expect(fromProviderUnits(100, 'mga', 'stripe')).toBe(10000);
+    expect(toProviderUnits(500, 'ISK', 'paypal')).toBe(500);
+    expect(toProviderUnits(2999, 'USD', 'stripe')).toBe(2999);
+  });
+
+  it('should reject MGA amounts with decimals for Stripe', () => {
+    expect(() => toProviderUnits(10050, 'MGA', 'stripe')).toThrow('must be a multiple of 100');
+  });
+
+  it('should send ISK and MGA checkouts in Stripe units', async () => {
+    expect(await unitAmount(500, 'ISK')).toBe('50000');
+    global.fetch.mockClear();
+    expect(await unitAmount(10000, 'MGA')).toBe('100');
+  });
+
+  it('should parse webhook amounts into ISO minor units', () => {
+    const normalized = adapter.normalizeEvent({
+      eventId: 'evt_1',
+      eventType: 'checkout.session.completed',
+      data: {
+        id: 'cs_1',
+        mode: 'payment',
+        payment_status: 'paid',
+        amount_total: 50000,
+        currency: 'isk',
+      },
+    });
+
+    expect(normalized.data.amount).toBe(500);
+  });
+});
@@ -0,0 +1,106 @@
+/**
+ * Tests for the generated OpenAPI document, API explorer and frontend client
+ */
+
+import { describe, it, expect } from 'vitest';
+import { readFile } from 'node:fs/promises';
+import * as prettier from 'prettier';
+import { route, getRoutes } from '../router.js';
+import { buildOpenApiDocument, renderClient } from '../utils/openapi.js';
+import { createMockKV, createMockLogger } from './helpers.js';
+
+const CLIENT_PATH = new URL('../../frontend/svelte/src/lib/api.js', import.meta.url);
+
+describe('OpenAPI', () => {
+  function send(path) {
+    return route(
+      new Request(`https://worker.test${path}`),
+      { SESSIONS: createMockKV() },
+      createMockLogger()
+    );
+  }
+
+  it('should serve the document without credentials', async () => {
+    const response = await send('/openapi.json');
+    const document = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(document.openapi).toBe('3.1.0');
+    expect(document.servers).toEqual([{ url: 'https://worker.test' }]);
+    expect(document.paths['/api/checkout'].post.operationId).toBe('createCheckoutSession');
+  });
+
+  it('should describe every route once with a unique operationId', () => {
+    const routes = getRoutes();
+    const document = buildOpenApiDocument(routes);
+    const operations = Object.values(document.paths).flatMap((methods) => Object.values(methods));
+    const ids = operations.map((operation) => operation.operationId);
+
+    expect(operations).toHaveLength(routes.length);
+    expect(ids.every(Boolean)).toBe(true);
+    expect(new Set(ids).size).toBe(ids.length);
+  });
+
+  it('should convert path params and list their schemas', () => {
+    const document = buildOpenApiDocument(getRoutes());
+    const webhook = document.paths['/api/webhook/{provider}'].post;
+
+    expect(document.paths['/api/subscription/{subscriptionId}/pause']).toBeDefined();
+    expect(Object.keys(document.paths).some((path) => path.includes(':'))).toBe(false);
+    expect(webhook.parameters[0]).toMatchObject({ name: 'provider', in: 'path', required: true });
+    expect(webhook.parameters[0].schema.enum).toContain('stripe');
+    expect(webhook.security).toEqual([]);
+  });
+
+  it('should publish body schemas generated from validation', () => {
+    const document = buildOpenApiDocument(getRoutes());
+    const subscription = document.components.schemas.SubscriptionRequest;
+    const checkout = document.paths['/api/checkout'].post;
+
+    expect(checkout.requestBody.content['application/json'].schema).toEqual({
+      $ref: '#/components/schemas/CheckoutRequest',
+    });
+    expect(checkout.parameters).toContainEqual({ $ref: '#/components/parameters/IdempotencyKey' });
+    expect(subscription.required).toEqual(['provider', 'userId', 'email']);
+    expect(subscription.additionalProperties).toBe(false);
+    expect(subscription.properties.planId.description).toContain('PayPal');
+    expect(subscription.properties.priceId.description).toContain('Stripe');
+  });
+
+  it('should keep admin routes to server credentials', () => {
+    const document = buildOpenApiDocument(getRoutes());
+
+    for (const [path, methods] of Object.entries(document.paths)) {
+      if (!path.startsWith('/api/admin/')) continue;
+      for (const operation of Object.values(methods)) {
+        expect(operation.security, path).toEqual([{ apiKey: [] }, { hmac: [] }]);
+        expect(operation.responses[403], path).toBeDefined();
+      }
+    }
+  });
+
+  it('should serve the explorer with a nonce-based CSP', async () => {
+    const response = await send('/docs');
+    const html = await response.text();
+    const nonce = response.headers
+      .get('Content-Security-Policy')
+      .match(/script-src 'nonce-([^']+)'/)[1];
+
+    expect(response.headers.get('Content-Type')).toContain('text/html');
+    expect(html).toContain(`<script nonce="${nonce}" data-spec="/openapi.json">`);
+    expect(html).not.toContain('innerHTML');
+  });
+
+  it('should match the committed frontend client', async () => {
+    const path = CLIENT_PATH.pathname;
+    const source = renderClient(buildOpenApiDocument(getRoutes()));
+    const expected = await prettier.format(source, {
+      ...(await prettier.resolveConfig(path)),
+      filepath: path,
+    });
+
+    expect(await readFile(CLIENT_PATH, 'utf8')).toBe(expected);
+    expect(source).toContain('export function createCheckoutSession(body, options = {})');
+    expect(source).not.toContain('listDeadLetters');
+  });
+});
@@ -0,0 +1,251 @@
+/**
+ * Tests for the webhook delivery outbox and dead-letter endpoints
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import {
+  handleWebhook,
+  handleDeadLetterList,
+  handleDeadLetterGet,
+  handleDeadLetterReplay,
+} from '../router.js';
+import { enqueueDelivery, processOutbox, getRetryDelay } from '../utils/outbox.js';
+import { createMockKV, createMockLogger } from './helpers.js';
+
+function paypalWebhookRequest() {
+  return new Request('https://example.com/api/webhook/paypal', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'paypal-transmission-id': 'tx_123',
+      'paypal-transmission-sig': 'sig',
+    },
+    body: JSON.stringify({
+      id: 'WH-123',
+      event_type: 'PAYMENT.CAPTURE.COMPLETED',
+      resource: { id: 'cap_123' },
+    }),
+  });
+}
+
+/**
+ * Mock fetch for PayPal verification with a configurable backend status
+ */
+function mockFetch(backendStatus) {
+  return vi.fn((url) => {
+    if (url.endsWith('/v1/oauth2/token')) {
+      return Promise.resolve({
+        ok: true,
+        json: () => Promise.resolve({ access_token: 'test_token', expires_in: 3600 }),
+      });
+    }
+    if (url.endsWith('/verify-webhook-signature')) {
+      return Promise.resolve({
+        ok: true,
+        json: () => Promise.resolve({ verification_status: 'SUCCESS' }),
+      });
+    }
+    return Promise.resolve({ ok: backendStatus < 300, status: backendStatus });
+  });
+}
+
+describe('Webhook outbox', () => {
+  let mockEnv;
+  let mockLogger;
+
+  beforeEach(() => {
+    mockEnv = {
+      EVENTS: createMockKV(),
+      METRICS: createMockKV(),
+      SESSIONS: createMockKV(),
+      PAYPAL_CLIENT_ID: 'test_paypal_id',
+      PAYPAL_CLIENT_SECRET: 'test_paypal_secret',
+      PAYPAL_WEBHOOK_ID: 'test_webhook_id',
+      INTERNAL_BACKEND_URL: 'https://test-backend.com',
+      INTERNAL_SECRET: 'test_internal_secret',
+      WEBHOOK_MAX_ATTEMPTS: '3',
+    };
+
+    mockLogger = createMockLogger();
+  });
+
+  it('should not queue anything when the backend accepts the event', async () => {
+    global.fetch = mockFetch(200);
+
+    const response = await handleWebhook(paypalWebhookRequest(), mockEnv, mockLogger, 'paypal');
+
+    expect(response.status).toBe(200);
+    expect(mockEnv.EVENTS.store.has('outbox:paypal:WH-123')).toBe(false);
+    expect(mockEnv.EVENTS.store.has('evt:paypal:WH-123')).toBe(true);
+  });
+
+  it('should queue the event when the backend forward fails', async () => {
+    global.fetch = mockFetch(503);
+
+    const response = await handleWebhook(paypalWebhookRequest(), mockEnv, mockLogger, 'paypal');
+
+    expect(response.status).toBe(200);
+
+    const entry = JSON.parse(mockEnv.EVENTS.store.get('outbox:paypal:WH-123'));
+    expect(entry.attempts).toBe(1);
+    expect(entry.lastError).toContain('503');
+    expect(entry.notification).toMatchObject({
+      provider: 'paypal',
+      event: 'PAYMENT.CAPTURE.COMPLETED',
+      eventId: 'WH-123',
+    });
+    expect(mockEnv.EVENTS.store.has('evt:paypal:WH-123')).toBe(true);
+  });
+
+  it('should back off exponentially up to a cap', () => {
+    expect(getRetryDelay(1, 60)).toBe(60);
+    expect(getRetryDelay(2, 60)).toBe(120);
+    expect(getRetryDelay(4, 60)).toBe(480);
+    expect(getRetryDelay(20, 60)).toBe(21600);
+  });
+
+  it('should skip entries that are not yet due', async () => {
+    global.fetch = vi.fn(() => Promise.resolve({ ok: true, status: 200 }));
+    const entry = await enqueueDelivery(mockEnv, 'paddle:evt_1', { eventId: 'evt_1' }, 'timeout');
+
+    const stats = await processOutbox(mockEnv, mockLogger, entry.nextAttemptAt - 1000);
+
+    expect(stats.delivered).toBe(0);
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  it('should deliver due entries and remove them from the outbox', async () => {
+    global.fetch = vi.fn(() => Promise.resolve({ ok: true, status: 200 }));
+    const entry = await enqueueDelivery(mockEnv, 'paddle:evt_1', { eventId: 'evt_1' }, 'timeout');
+
+    const stats = await processOutbox(mockEnv, mockLogger, entry.nextAttemptAt);
+
+    expect(stats.delivered).toBe(1);
+    expect(mockEnv.EVENTS.store.has('outbox:paddle:evt_1')).toBe(false);
+    expect(global.fetch).toHaveBeenCalledWith(
+      'https://test-backend.com/internal/payment/notify',
+      expect.objectContaining({ method: 'POST' })
+    );
+  });
+
+  it('should reschedule failed retries with a longer delay', async () => {
+    global.fetch = vi.fn(() => Promise.resolve({ ok: false, status: 500 }));
+    const entry = await enqueueDelivery(mockEnv, 'paddle:evt_1', { eventId: 'evt_1' }, 'timeout');
+
+    const stats = await processOutbox(mockEnv, mockLogger, entry.nextAttemptAt);
+
+    expect(stats.retried).toBe(1);
+    const updated = JSON.parse(mockEnv.EVENTS.store.get('outbox:paddle:evt_1'));
+    expect(updated.attempts).toBe(2);
+    expect(updated.nextAttemptAt).toBe(entry.nextAttemptAt + 120 * 1000);
+  });
+
+  it('should dead-letter entries after the maximum number of attempts', async () => {
+    global.fetch = vi.fn(() => Promise.resolve({ ok: false, status: 500 }));
+    await enqueueDelivery(mockEnv, 'paddle:evt_1', { eventId: 'evt_1' }, 'timeout');
+
+    const farFuture = Date.now() + 86400 * 1000;
+    await processOutbox(mockEnv, mockLogger, farFuture);
+    const stats = await processOutbox(mockEnv, mockLogger, farFuture * 2);
+
+    expect(stats.deadLettered).toBe(1);
+    expect(mockEnv.EVENTS.store.has('outbox:paddle:evt_1')).toBe(false);
+
+    const deadLetter = JSON.parse(mockEnv.EVENTS.store.get('dlq:paddle:evt_1'));
+    expect(deadLetter.attempts).toBe(3);
+    expect(deadLetter.deadLetteredAt).toBeDefined();
+  });
+});
+
+describe('Dead-letter admin endpoints', () => {
+  let mockEnv;
+  let mockLogger;
+
+  beforeEach(() => {
+    mockEnv = {
+      EVENTS: createMockKV({
+        'dlq:paddle:evt_1': JSON.stringify({
+          id: 'paddle:evt_1',
+          notification: { provider: 'paddle', event: 'transaction.completed', eventId: 'evt_1' },
+          attempts: 8,
+          lastError: 'Backend responded with status 500',
+          deadLetteredAt: '2024-01-15T10:30:00.000Z',
+        }),
+      }),
+      INTERNAL_BACKEND_URL: 'https://test-backend.com',
+    };
+
+    mockLogger = createMockLogger();
+  });
+
+  it('should list dead letters', async () => {
+    const request = new Request('https://example.com/api/admin/dead-letters');
+    const response = await handleDeadLetterList(request, mockEnv, mockLogger);
+    const data = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(data.data.deadLetters).toHaveLength(1);
+    expect(data.data.deadLetters[0]).toMatchObject({ id: 'paddle:evt_1', attempts: 8 });
+  });
+
+  it('should reject page sizes that are not positive integers', async () => {
+    const request = new Request('https://example.com/api/admin/dead-letters?limit=-5');
+    const response = await handleDeadLetterList(request, mockEnv, mockLogger);
+    const data = await response.json();
+
+    expect(response.status).toBe(400);
+    expect(data.errors[0]).toMatchObject({ field: 'limit', code: 'invalid' });
+  });
+
+  it('should return a single dead letter with its payload', async () => {
+    const request = new Request('https://example.com/api/admin/dead-letters/paddle:evt_1');
+    const response = await handleDeadLetterGet(request, mockEnv, mockLogger, 'paddle:evt_1');
+    const data = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(data.data.notification.eventId).toBe('evt_1');
+  });
+
+  it('should return 404 for unknown dead letters', async () => {
+    const request = new Request('https://example.com/api/admin/dead-letters/paddle:missing');
+    const response = await handleDeadLetterGet(request, mockEnv, mockLogger, 'paddle:missing');
+
+    expect(response.status).toBe(404);
+  });
+
+  it('should replay a dead letter and remove it on success', async () => {
+    global.fetch = vi.fn(() => Promise.resolve({ ok: true, status: 200 }));
+
+    const request = new Request('https://example.com/api/admin/dead-letters/paddle:evt_1/replay', {
+      method: 'POST',
+    });
+    const response = await handleDeadLetterReplay(request, mockEnv, mockLogger, 'paddle:evt_1');
+
+    expect(response.status).toBe(200);
+    expect(mockEnv.EVENTS.store.has('dlq:paddle:evt_1')).toBe(false);
+  });
+
+  it('should keep a dead letter when replay fails', async () => {
+    global.fetch = vi.fn(() => Promise.resolve({ ok: false, status: 500 }));
+
+    const request = new Request('https://example.com/api/admin/dead-letters/paddle:evt_1/replay', {
+      method: 'POST',
+    });
+    const response = await handleDeadLetterReplay(request, mockEnv, mockLogger, 'paddle:evt_1');
+
+    expect(response.status).toBe(502);
+    const entry = JSON.parse(mockEnv.EVENTS.store.get('dlq:paddle:evt_1'));
+    expect(entry.replayAttempts).toBe(1);
+  });
+
+  it('should forbid end users', async () => {
+    const request = new Request('https://example.com/api/admin/dead-letters');
+    const response = await handleDeadLetterList(request, mockEnv, mockLogger, {
+      type: 'jwt',
+      userId: 'user_123',
+      trusted: false,
+    });
+
+    expect(response.status).toBe(403);
+  });
+});
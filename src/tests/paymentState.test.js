@@ -0,0 +1,255 @@
+/**
+ * Tests for the payment lifecycle state machine
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { handleCapture, handleReceipt, handleWebhook } from '../router.js';
+import {
+  canTransition,
+  initialPaymentState,
+  transitionSession,
+  applyPaymentEvent,
+} from '../utils/paymentState.js';
+import { StripeAdapter } from '../adapters/stripe.js';
+import { createMockKV, createMockLogger } from './helpers.js';
+
+describe('Payment state transitions', () => {
+  it('should allow the documented lifecycle', () => {
+    expect(canTransition('created', 'pending')).toBe(true);
+    expect(canTransition('pending', 'authorized')).toBe(true);
+    expect(canTransition('authorized', 'captured')).toBe(true);
+    expect(canTransition('captured', 'partially_refunded')).toBe(true);
+    expect(canTransition('partially_refunded', 'refunded')).toBe(true);
+    expect(canTransition('captured', 'disputed')).toBe(true);
+  });
+
+  it('should reject transitions out of order', () => {
+    expect(canTransition('captured', 'pending')).toBe(false);
+    expect(canTransition('refunded', 'captured')).toBe(false);
+    expect(canTransition('expired', 'captured')).toBe(false);
+    expect(canTransition('created', 'refunded')).toBe(false);
+  });
+
+  it('should record each transition in the history', () => {
+    let session = { amount: 1000, ...initialPaymentState() };
+    session = transitionSession(session, 'authorized', { source: 'webhook' });
+    session = transitionSession(session, 'captured', { source: 'capture' });
+
+    expect(session.state).toBe('captured');
+    expect(session.stateHistory.map(({ from, to }) => [from, to])).toEqual([
+      [null, 'created'],
+      ['created', 'authorized'],
+      ['authorized', 'captured'],
+    ]);
+    expect(() => transitionSession(session, 'created')).toThrow(
+      'Illegal payment state transition: captured -> created'
+    );
+  });
+});
+
+describe('Webhook-driven payment state', () => {
+  let mockEnv;
+  let mockLogger;
+
+  function paypalWebhook(id, eventType, resource) {
+    return new Request('https://example.com/api/webhook/paypal', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'paypal-transmission-id': `tx_${id}`,
+        'paypal-transmission-sig': 'sig',
+      },
+      body: JSON.stringify({ id, event_type: eventType, resource }),
+    });
+  }
+
+  const storedSession = () => JSON.parse(mockEnv.SESSIONS.store.get('session:order_123'));
+
+  beforeEach(() => {
+    mockEnv = {
+      SESSIONS: createMockKV({
+        'session:order_123': JSON.stringify({
+          userId: 'user_123',
+          provider: 'paypal',
+          amount: 1000,
+          currency: 'USD',
+          ...initialPaymentState(),
+        }),
+      }),
+      EVENTS: createMockKV(),
+      METRICS: createMockKV(),
+      TRANSACTIONS: createMockKV(),
+      PAYPAL_CLIENT_ID: 'test_paypal_id',
+      PAYPAL_CLIENT_SECRET: 'test_paypal_secret',
+      PAYPAL_WEBHOOK_ID: 'test_webhook_id',
+      INTERNAL_BACKEND_URL: 'https://test-backend.com',
+    };
+
+    mockLogger = createMockLogger();
+
+    global.fetch = vi.fn((url) => {
+      if (url.endsWith('/v1/oauth2/token')) {
+        return Promise.resolve({
+          ok: true,
+          json: () => Promise.resolve({ access_token: 'test_token', expires_in: 3600 }),
+        });
+      }
+      if (url.endsWith('/verify-webhook-signature')) {
+        return Promise.resolve({
+          ok: true,
+          json: () => Promise.resolve({ verification_status: 'SUCCESS' }),
+        });
+      }
+      return Promise.resolve({ ok: true, json: () => Promise.resolve({}) });
+    });
+  });
+
+  it('should move the session through approval and capture', async () => {
+    await handleWebhook(
+      paypalWebhook('WH-1', 'CHECKOUT.ORDER.APPROVED', { id: 'order_123' }),
+      mockEnv,
+      mockLogger,
+      'paypal'
+    );
+    expect(storedSession().state).toBe('authorized');
+
+    await handleWebhook(
+      paypalWebhook('WH-2', 'PAYMENT.CAPTURE.COMPLETED', {
+        id: 'cap_123',
+        amount: { value: '10.00', currency_code: 'USD' },
+        supplementary_data: { related_ids: { order_id: 'order_123' } },
+      }),
+      mockEnv,
+      mockLogger,
+      'paypal'
+    );
+
+    const session = storedSession();
+    expect(session.state).toBe('captured');
+    expect(session.stateHistory.at(-1)).toMatchObject({
+      from: 'authorized',
+      to: 'captured',
+      source: 'webhook',
+      eventId: 'WH-2',
+    });
+    expect(mockEnv.SESSIONS.store.get('ref:paypal:cap_123')).toBe('order_123');
+  });
+
+  it('should reject illegal transitions without failing the webhook', async () => {
+    const session = transitionSession(storedSession(), 'expired');
+    mockEnv.SESSIONS.store.set('session:order_123', JSON.stringify(session));
+
+    const response = await handleWebhook(
+      paypalWebhook('WH-3', 'CHECKOUT.ORDER.APPROVED', { id: 'order_123' }),
+      mockEnv,
+      mockLogger,
+      'paypal'
+    );
+
+    expect(response.status).toBe(200);
+    expect(storedSession().state).toBe('expired');
+    expect(mockLogger.warn).toHaveBeenCalledWith(
+      'Payment state transition rejected',
+      expect.objectContaining({ from: 'expired', to: 'authorized' })
+    );
+  });
+
+  it('should refuse to capture sessions in a final state', async () => {
+    const session = transitionSession(storedSession(), 'expired');
+    mockEnv.SESSIONS.store.set('session:order_123', JSON.stringify(session));
+
+    const request = new Request('https://example.com/api/checkout/order_123/capture', {
+      method: 'POST',
+    });
+    const response = await handleCapture(request, mockEnv, mockLogger, 'order_123');
+
+    expect(response.status).toBe(409);
+  });
+});
+
+describe('Events without a session ID', () => {
+  let env;
+  let adapter;
+
+  beforeEach(() => {
+    env = {
+      SESSIONS: createMockKV({
+        'session:cs_123': JSON.stringify({
+          userId: 'user_123',
+          provider: 'stripe',
+          amount: 1000,
+          currency: 'USD',
+          ...initialPaymentState(),
+        }),
+      }),
+    };
+    adapter = new StripeAdapter({ STRIPE_SECRET_KEY: 'sk_test' }, createMockLogger());
+  });
+
+  const apply = (eventType, object) =>
+    applyPaymentEvent(
+      env,
+      createMockLogger(),
+      'stripe',
+      adapter.normalizeEvent({ eventId: `evt_${eventType}`, eventType, data: object })
+    );
+
+  it('should find sessions through indexed provider references', async () => {
+    await apply('checkout.session.completed', {
+      id: 'cs_123',
+      mode: 'payment',
+      payment_status: 'paid',
+      payment_intent: 'pi_123',
+      amount_total: 1000,
+      currency: 'usd',
+    });
+
+    const result = await apply('charge.refunded', {
+      id: 'ch_123',
+      payment_intent: 'pi_123',
+      amount_refunded: 400,
+      currency: 'usd',
+    });
+
+    expect(result).toMatchObject({ sessionId: 'cs_123', to: 'partially_refunded', applied: true });
+  });
+
+  it('should return to the prior state when a dispute closes', async () => {
+    await apply('checkout.session.completed', {
+      id: 'cs_123',
+      mode: 'payment',
+      payment_status: 'paid',
+      payment_intent: 'pi_123',
+    });
+    await apply('charge.dispute.created', { id: 'dp_123', payment_intent: 'pi_123' });
+    expect(JSON.parse(env.SESSIONS.store.get('session:cs_123')).state).toBe('disputed');
+
+    await apply('charge.dispute.closed', { id: 'dp_123', payment_intent: 'pi_123' });
+    expect(JSON.parse(env.SESSIONS.store.get('session:cs_123')).state).toBe('captured');
+  });
+});
+
+describe('Receipt state', () => {
+  it('should serve the stored state without calling the provider', async () => {
+    const session = transitionSession(
+      { userId: 'user_123', provider: 'stripe', amount: 1000, ...initialPaymentState() },
+      'captured'
+    );
+    const env = { SESSIONS: createMockKV({ 'session:cs_123': JSON.stringify(session) }) };
+    global.fetch = vi.fn();
+
+    const response = await handleReceipt(
+      new Request('https://example.com/api/receipt/cs_123'),
+      env,
+      createMockLogger(),
+      'cs_123'
+    );
+    const data = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(data.data.state).toBe('captured');
+    expect(data.data.stateHistory).toHaveLength(2);
+    expect(data.data.providerDetails).toBeUndefined();
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,156 @@
+/**
+ * Tests for per-route rate limits by IP, user, API key and webhook provider
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { route } from '../router.js';
+import { checkRateLimit, getRateLimitRules, DEFAULT_RATE_LIMITS } from '../utils/rateLimit.js';
+import { createMockKV, createMockLogger } from './helpers.js';
+
+const endUser = { type: 'jwt', userId: 'user_123', trusted: false };
+
+describe('Rate limiting', () => {
+  let env;
+
+  function send(path, { method = 'GET', ip = '203.0.113.7', headers = {} } = {}) {
+    return route(
+      new Request(`https://worker.test${path}`, {
+        method,
+        headers: { 'CF-Connecting-IP': ip, ...headers },
+        body: method === 'POST' ? '{}' : undefined,
+      }),
+      env,
+      createMockLogger()
+    );
+  }
+
+  beforeEach(() => {
+    env = {
+      SESSIONS: createMockKV(),
+      EVENTS: createMockKV(),
+      RATE_LIMITS: createMockKV(),
+      AUTH_DISABLED: 'true',
+      RATE_LIMIT_RULES: JSON.stringify({
+        receipt: { ip: { limit: 3, window: 60 } },
+        webhook: { provider: { limit: 1, window: 60 } },
+      }),
+    };
+  });
+
+  it('should limit clients by IP and answer 429 with Retry-After', async () => {
+    const allowed = [];
+    for (let i = 0; i < 3; i++) {
+      allowed.push(await send('/api/receipt/cs_missing'));
+    }
+    const limited = await send('/api/receipt/cs_missing');
+    const otherIp = await send('/api/receipt/cs_missing', { ip: '198.51.100.1' });
+
+    expect(allowed.map((response) => response.status)).toEqual([404, 404, 404]);
+    expect(allowed.map((response) => response.headers.get('RateLimit-Remaining'))).toEqual([
+      '2',
+      '1',
+      '0',
+    ]);
+    expect(allowed[0].headers.get('RateLimit-Limit')).toBe('3');
+    expect(allowed[0].headers.get('RateLimit-Policy')).toBe('3;w=60');
+    expect(limited.status).toBe(429);
+    expect(await limited.json()).toEqual({ success: false, error: 'Too many requests' });
+    expect(Number(limited.headers.get('Retry-After'))).toBeGreaterThan(0);
+    expect(limited.headers.get('RateLimit-Remaining')).toBe('0');
+    expect(otherIp.status).toBe(404);
+  });
+
+  it('should count rejected credentials against the IP', async () => {
+    delete env.AUTH_DISABLED;
+    env.API_KEYS = 'backend:key_abc123';
+    env.RATE_LIMIT_RULES = JSON.stringify({ api: { ip: { limit: 2, window: 60 } } });
+    const wrongKey = { headers: { 'X-API-Key': 'key_guess' } };
+
+    const first = await send('/api/transactions', wrongKey);
+    const second = await send('/api/transactions', wrongKey);
+    const third = await send('/api/transactions', wrongKey);
+
+    expect([first.status, second.status, third.status]).toEqual([401, 401, 429]);
+  });
+
+  it('should limit server callers by API key instead of IP', async () => {
+    delete env.AUTH_DISABLED;
+    env.API_KEYS = 'backend:key_abc123,reports:key_def456';
+    env.RATE_LIMIT_RULES = JSON.stringify({
+      receipt: { ip: { limit: 1, window: 60 }, apiKey: { limit: 2, window: 60 } },
+    });
+    const backend = { headers: { 'X-API-Key': 'key_abc123' } };
+
+    const statuses = [];
+    for (let i = 0; i < 3; i++) {
+      statuses.push((await send('/api/receipt/cs_missing', backend)).status);
+    }
+    const reports = await send('/api/receipt/cs_missing', {
+      headers: { 'X-API-Key': 'key_def456' },
+    });
+
+    expect(statuses).toEqual([404, 404, 429]);
+    expect(reports.status).toBe(404);
+  });
+
+  it('should give webhooks their own per-provider limits', async () => {
+    const webhook = { method: 'POST', headers: { 'Stripe-Signature': 't=1,v1=forged' } };
+
+    const first = await send('/api/webhook/stripe', webhook);
+    const second = await send('/api/webhook/stripe', webhook);
+    const paddle = await send('/api/webhook/paddle', { method: 'POST' });
+    const receipt = await send('/api/receipt/cs_missing');
+
+    expect(first.status).toBe(400);
+    expect(second.status).toBe(429);
+    expect(paddle.status).not.toBe(429);
+    expect(receipt.headers.get('RateLimit-Remaining')).toBe('2');
+  });
+
+  it('should not let one address use up a provider webhook limit', async () => {
+    const webhook = { method: 'POST', headers: { 'Stripe-Signature': 't=1,v1=forged' } };
+
+    await send('/api/webhook/stripe', webhook);
+    const flooder = await send('/api/webhook/stripe', webhook);
+    const stripe = await send('/api/webhook/stripe', { ...webhook, ip: '54.187.174.169' });
+
+    expect(flooder.status).toBe(429);
+    expect(stripe.status).not.toBe(429);
+  });
+
+  it('should slide the window over the previous window', async () => {
+    env.RATE_LIMIT_RULES = JSON.stringify({ checkout: { user: { limit: 10, window: 60 } } });
+    const request = new Request('https://worker.test/api/checkout', { method: 'POST' });
+    const check = (now) => checkRateLimit(request, env, { group: 'checkout', auth: endUser }, now);
+    const windowStart = 600000;
+
+    for (let i = 0; i < 10; i++) {
+      await check(windowStart + 1000);
+    }
+    const full = await check(windowStart + 2000);
+    // Halfway through the next window, half of the previous window's requests still count
+    const halfway = [];
+    for (let i = 0; i < 6; i++) {
+      halfway.push(await check(windowStart + 90000));
+    }
+
+    expect(full).toMatchObject({ allowed: false, client: 'user', retryAfter: 58 });
+    expect(halfway.map((state) => state.allowed)).toEqual([true, true, true, true, true, false]);
+    expect(halfway[5].retryAfter).toBe(6);
+  });
+
+  it('should merge RATE_LIMIT_RULES over the defaults and skip unbound limits', async () => {
+    env.RATE_LIMIT_RULES = JSON.stringify({ checkout: { user: null } });
+    const request = new Request('https://worker.test/api/checkout', { method: 'POST' });
+
+    const rules = getRateLimitRules(env);
+    const withoutClients = await checkRateLimit(request, env, { group: 'checkout', auth: endUser });
+    delete env.RATE_LIMITS;
+    const unbound = await send('/api/receipt/cs_missing');
+
+    expect(rules.checkout).toEqual({ ...DEFAULT_RATE_LIMITS.checkout, user: null });
+    expect(withoutClients).toBeNull();
+    expect(unbound.status).toBe(404);
+    expect(unbound.headers.get('RateLimit-Limit')).toBeNull();
+  });
+});
@@ -0,0 +1,274 @@
+/**
+ * Tests for refund endpoint
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { route, handleRefund } from '../router.js';
+import { createMockKV, createMockLogger } from './helpers.js';
+
+function refundRequest(body) {
+  return new Request('https://example.com/api/refund', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+}
+
+describe('Refund Endpoint', () => {
+  let mockEnv;
+  let mockLogger;
+
+  beforeEach(() => {
+    mockEnv = {
+      SESSIONS: createMockKV({
+        'session:txn_123': JSON.stringify({
+          userId: 'user_123',
+          provider: 'paddle',
+          email: 'test@example.com',
+          amount: 1000,
+          currency: 'USD',
+          productName: 'Test Product',
+        }),
+      }),
+      METRICS: createMockKV(),
+      PADDLE_API_KEY: 'test_paddle_key',
+    };
+
+    mockLogger = createMockLogger();
+
+    global.fetch = vi.fn((url) => {
+      if (url.endsWith('/transactions/txn_123')) {
+        return Promise.resolve({
+          ok: true,
+          json: () =>
+            Promise.resolve({
+              data: { id: 'txn_123', details: { line_items: [{ id: 'txnitm_1' }] } },
+            }),
+        });
+      }
+      return Promise.resolve({
+        ok: true,
+        json: () => Promise.resolve({ data: { id: 'adj_123', status: 'pending_approval' } }),
+      });
+    });
+  });
+
+  it('should reject requests with missing session ID', async () => {
+    const response = await handleRefund(refundRequest({}), mockEnv, mockLogger);
+    const data = await response.json();
+
+    expect(response.status).toBe(400);
+    expect(data.error).toContain('Missing required fields');
+  });
+
+  it('should reject non-integer amounts', async () => {
+    const response = await handleRefund(
+      refundRequest({ sessionId: 'txn_123', amount: 10.5 }),
+      mockEnv,
+      mockLogger
+    );
+
+    expect(response.status).toBe(400);
+  });
+
+  it('should return 404 for unknown sessions', async () => {
+    const response = await handleRefund(
+      refundRequest({ sessionId: 'txn_missing' }),
+      mockEnv,
+      mockLogger
+    );
+
+    expect(response.status).toBe(404);
+  });
+
+  it('should create a full refund and record it on the session', async () => {
+    const response = await handleRefund(
+      refundRequest({ sessionId: 'txn_123', reason: 'Customer request' }),
+      mockEnv,
+      mockLogger
+    );
+    const data = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(data.data.refundId).toBe('adj_123');
+    expect(data.data.refundedAmount).toBe(1000);
+
+    const adjustment = JSON.parse(global.fetch.mock.calls[0][1].body);
+    expect(adjustment.type).toBe('full');
+    expect(adjustment.transaction_id).toBe('txn_123');
+
+    const session = JSON.parse(mockEnv.SESSIONS.store.get('session:txn_123'));
+    expect(session.refunds).toHaveLength(1);
+    expect(session.refundedAmount).toBe(1000);
+    expect(session.refundStatus).toBe('refunded');
+  });
+
+  it('should create a partial refund', async () => {
+    const response = await handleRefund(
+      refundRequest({ sessionId: 'txn_123', amount: 400 }),
+      mockEnv,
+      mockLogger
+    );
+
+    expect(response.status).toBe(200);
+
+    const adjustment = JSON.parse(global.fetch.mock.calls[1][1].body);
+    expect(adjustment.type).toBe('partial');
+    expect(adjustment.items[0]).toEqual({ item_id: 'txnitm_1', type: 'partial', amount: '400' });
+
+    const session = JSON.parse(mockEnv.SESSIONS.store.get('session:txn_123'));
+    expect(session.refundStatus).toBe('partially_refunded');
+  });
+
+  it('should reject refunds exceeding the refundable balance', async () => {
+    const response = await handleRefund(
+      refundRequest({ sessionId: 'txn_123', amount: 5000 }),
+      mockEnv,
+      mockLogger
+    );
+    const data = await response.json();
+
+    expect(response.status).toBe(400);
+    expect(data.refundable).toBe(1000);
+  });
+
+  it('should allow repeated partial refunds of the same amount', async () => {
+    await handleRefund(refundRequest({ sessionId: 'txn_123', amount: 300 }), mockEnv, mockLogger);
+    const response = await handleRefund(
+      refundRequest({ sessionId: 'txn_123', amount: 300 }),
+      mockEnv,
+      mockLogger
+    );
+    const data = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(data.data.refundedAmount).toBe(600);
+  });
+
+  it('should replay retries with the same Idempotency-Key', async () => {
+    mockEnv.AUTH_DISABLED = 'true';
+    const send = () =>
+      route(
+        new Request('https://worker.test/api/refund', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', 'Idempotency-Key': 'refund-1' },
+          body: JSON.stringify({ sessionId: 'txn_123', amount: 300 }),
+        }),
+        mockEnv,
+        mockLogger
+      );
+
+    const first = await send();
+    const retry = await send();
+    const session = JSON.parse(mockEnv.SESSIONS.store.get('session:txn_123'));
+
+    expect(first.status).toBe(200);
+    expect(retry.headers.get('Idempotent-Replayed')).toBe('true');
+    expect(await retry.json()).toEqual(await first.json());
+    expect(session.refunds).toHaveLength(1);
+  });
+
+  it('should require an Idempotency-Key so identical refunds are not sent twice', async () => {
+    mockEnv.AUTH_DISABLED = 'true';
+    const send = () =>
+      route(
+        new Request('https://worker.test/api/refund', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ sessionId: 'txn_123', amount: 300 }),
+        }),
+        mockEnv,
+        mockLogger
+      );
+
+    const first = await send();
+    const second = await send();
+    const session = JSON.parse(mockEnv.SESSIONS.store.get('session:txn_123'));
+
+    expect(first.status).toBe(400);
+    expect(second.status).toBe(400);
+    expect((await first.json()).errors).toEqual([
+      expect.objectContaining({ field: 'Idempotency-Key', code: 'required' }),
+    ]);
+    expect(session.refunds).toBeUndefined();
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  it('should reject refunds of a fully refunded session', async () => {
+    await handleRefund(refundRequest({ sessionId: 'txn_123' }), mockEnv, mockLogger);
+    const response = await handleRefund(
+      refundRequest({ sessionId: 'txn_123', amount: 100 }),
+      mockEnv,
+      mockLogger
+    );
+
+    expect(response.status).toBe(409);
+  });
+
+  it('should check the balance under the lock and keep updates made during the refund', async () => {
+    const providerFetch = global.fetch;
+    global.fetch = vi.fn((url, options) => {
+      if (url.endsWith('/adjustments')) {
+        // A webhook lands while the provider processes the refund
+        const session = JSON.parse(mockEnv.SESSIONS.store.get('session:txn_123'));
+        mockEnv.SESSIONS.store.set(
+          'session:txn_123',
+          JSON.stringify({
+            ...session,
+            state: 'captured',
+            providerRefs: { transactionId: 'txn_123' },
+          })
+        );
+      }
+      return providerFetch(url, options);
+    });
+
+    const response = await handleRefund(
+      refundRequest({ sessionId: 'txn_123', amount: 400 }),
+      mockEnv,
+      mockLogger
+    );
+    const reads = mockEnv.SESSIONS.get.mock.calls.map(([key]) => key);
+    const session = JSON.parse(mockEnv.SESSIONS.store.get('session:txn_123'));
+
+    expect(response.status).toBe(200);
+    expect(reads.indexOf('lock:refund:txn_123')).toBeLessThan(reads.indexOf('session:txn_123'));
+    expect(session.providerRefs).toEqual({ transactionId: 'txn_123' });
+    expect(session.state).toBe('partially_refunded');
+    expect(session.refundedAmount).toBe(400);
+  });
+
+  it('should map provider rejections and outages without their messages', async () => {
+    const rejectWith = (status) => {
+      global.fetch = vi.fn(() =>
+        Promise.resolve({
+          ok: false,
+          status,
+          text: () => Promise.resolve('{"error":{"detail":"transaction already refunded"}}'),
+        })
+      );
+      return handleRefund(refundRequest({ sessionId: 'txn_123' }), mockEnv, mockLogger);
+    };
+
+    const rejected = await rejectWith(400);
+    const unavailable = await rejectWith(503);
+
+    expect(rejected.status).toBe(422);
+    expect((await rejected.json()).error).toBe('Refund was rejected by the payment provider');
+    expect(unavailable.status).toBe(502);
+    expect(mockEnv.SESSIONS.store.has('lock:refund:txn_123')).toBe(false);
+  });
+
+  it('should reject a refund while another is in progress', async () => {
+    mockEnv.SESSIONS.store.set('lock:refund:txn_123', new Date().toISOString());
+
+    const response = await handleRefund(
+      refundRequest({ sessionId: 'txn_123' }),
+      mockEnv,
+      mockLogger
+    );
+
+    expect(response.status).toBe(409);
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+});
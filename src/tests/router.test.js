@@ -0,0 +1,147 @@
+/**
+ * Tests for route matching, path params, 405s, HEAD and route middleware
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { route, getRoutes } from '../router.js';
+import { createRouteTable, matchPath, runMiddleware } from '../utils/routeTable.js';
+import { createMockKV, createMockLogger } from './helpers.js';
+
+describe('Router', () => {
+  let env;
+
+  function send(path, { method = 'GET', headers = {}, body } = {}) {
+    return route(
+      new Request(`https://worker.test${path}`, {
+        method,
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: body && JSON.stringify(body),
+      }),
+      env,
+      createMockLogger()
+    );
+  }
+
+  beforeEach(() => {
+    env = {
+      SESSIONS: createMockKV(),
+      SUBSCRIPTIONS: createMockKV(),
+      AUTH_DISABLED: 'true',
+    };
+  });
+
+  it('should only match whole templates', async () => {
+    const receipt = await send('/api/receipt/cs_missing');
+    const extra = await send('/api/receipt/cs_missing/extra');
+    const empty = await send('/api/receipt/');
+    const malformed = await send('/api/transactions/%E0%A4%A');
+
+    expect(receipt.status).toBe(404);
+    expect((await receipt.json()).error).toBe('Session not found');
+    expect(extra.status).toBe(404);
+    expect((await extra.json()).error).toBe('Endpoint not found');
+    expect(empty.status).toBe(404);
+    expect(malformed.status).toBe(404);
+  });
+
+  it('should decode params and prefer literal segments', () => {
+    const table = createRouteTable([
+      { method: 'POST', path: '/items/:id/:action', handler: () => null },
+      { method: 'POST', path: '/items/:id/preview', handler: () => null },
+    ]);
+
+    expect(matchPath(table, '/items/a%2Fb/preview')).toMatchObject({
+      template: '/items/:id/preview',
+      params: { id: 'a/b' },
+    });
+    expect(matchPath(table, '/items/a/pause')).toMatchObject({
+      template: '/items/:id/:action',
+      params: { id: 'a', action: 'pause' },
+    });
+    expect(() =>
+      createRouteTable([
+        { method: 'GET', path: '/items', handler: () => null },
+        { method: 'GET', path: '/items', handler: () => null },
+      ])
+    ).toThrow('Route declared twice: GET /items');
+  });
+
+  it('should answer 405 with Allow before authenticating', async () => {
+    delete env.AUTH_DISABLED;
+
+    const checkout = await send('/api/checkout');
+    const subscription = await send('/api/subscription/sub_123', { method: 'PUT' });
+    const health = await send('/health', { method: 'DELETE' });
+
+    expect(checkout.status).toBe(405);
+    expect(checkout.headers.get('Allow')).toBe('POST, OPTIONS');
+    expect(await checkout.json()).toEqual({ success: false, error: 'Method not allowed' });
+    expect(subscription.headers.get('Allow')).toBe('GET, HEAD, PATCH, DELETE, OPTIONS');
+    expect(health.headers.get('Allow')).toBe('GET, HEAD, OPTIONS');
+  });
+
+  it('should answer HEAD from the GET route without a body', async () => {
+    const response = await send('/health', { method: 'HEAD' });
+
+    expect(response.status).toBe(200);
+    expect(response.headers.get('Content-Type')).toBe('application/json');
+    expect(await response.text()).toBe('');
+  });
+
+  it('should validate the body before the route middleware and handler run', async () => {
+    const response = await send('/api/checkout', {
+      method: 'POST',
+      headers: { 'Idempotency-Key': 'order-1' },
+      body: { provider: 'stripe' },
+    });
+    const preview = await send('/api/subscription/sub_123/preview', {
+      method: 'POST',
+      body: { quantity: 0 },
+    });
+
+    expect(response.status).toBe(400);
+    expect((await response.json()).errors.map((error) => error.field)).toContain('userId');
+    expect([...env.SESSIONS.store.keys()].some((key) => key.startsWith('idem:'))).toBe(false);
+    expect(preview.status).toBe(400);
+  });
+
+  it('should run middleware in order around the handler', async () => {
+    const calls = [];
+    const trace = (name) => async (ctx, next) => {
+      calls.push(`${name}:before`);
+      const response = await next();
+      calls.push(`${name}:after`);
+      return response;
+    };
+
+    const response = await runMiddleware([trace('first'), trace('second')], { id: 1 }, (ctx) => {
+      calls.push(`handler:${ctx.id}`);
+      return new Response('ok');
+    });
+
+    expect(await response.text()).toBe('ok');
+    expect(calls).toEqual([
+      'first:before',
+      'second:before',
+      'handler:1',
+      'second:after',
+      'first:after',
+    ]);
+  });
+
+  it('should declare docs and middleware metadata on every route', () => {
+    const routes = getRoutes();
+
+    for (const definition of routes) {
+      expect(definition.summary, definition.path).toBeTruthy();
+      expect(definition.tags.length, definition.path).toBeGreaterThan(0);
+      expect(['none', 'user', 'server'], definition.path).toContain(definition.auth);
+      if (definition.path.startsWith('/api/')) {
+        expect(definition.rateLimit, definition.path).toBeTruthy();
+      }
+    }
+    expect(
+      routes.filter((definition) => definition.path.startsWith('/api/admin/')).map((r) => r.auth)
+    ).not.toContain('user');
+  });
+});
@@ -0,0 +1,210 @@
+/**
+ * Tests for provider routing and checkout failover
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { handleCheckout } from '../router.js';
+import { selectProviders, recordProviderResult, isRetryableError } from '../utils/routing.js';
+import { upstreamError } from '../adapters/providerAdapter.js';
+import { createMockKV, createMockLogger } from './helpers.js';
+
+const RULES = JSON.stringify({
+  rules: [
+    { provider: 'stripe', currencies: ['USD', 'EUR'], maxAmount: 500000, weight: 3 },
+    { provider: 'paddle', currencies: ['USD', 'EUR', 'GBP'], weight: 1 },
+    { provider: 'paypal', countries: ['DE', 'US'], weight: 0 },
+  ],
+});
+
+describe('selectProviders', () => {
+  let env;
+
+  beforeEach(() => {
+    env = { METRICS: createMockKV(), PROVIDER_ROUTING: RULES };
+  });
+
+  it('should filter by currency, country and amount', async () => {
+    expect(await selectProviders(env, { amount: 1000, currency: 'GBP', country: 'FR' })).toEqual([
+      'paddle',
+    ]);
+    expect(await selectProviders(env, { amount: 900000, currency: 'USD', country: 'US' })).toEqual([
+      'paddle',
+      'paypal',
+    ]);
+  });
+
+  it('should draw the first provider by weight', async () => {
+    const payment = { amount: 1000, currency: 'USD', country: 'US' };
+
+    expect(await selectProviders(env, payment, () => 0.5)).toEqual(['stripe', 'paddle', 'paypal']);
+    expect(await selectProviders(env, payment, () => 0.8)).toEqual(['paddle', 'stripe', 'paypal']);
+  });
+
+  it('should move unhealthy providers to the end', async () => {
+    const error = new Error('Stripe API error');
+    for (let i = 0; i < 3; i++) {
+      await recordProviderResult(env, 'stripe', error);
+    }
+
+    expect(
+      await selectProviders(env, { amount: 1000, currency: 'USD', country: 'US' }, () => 0)
+    ).toEqual(['paddle', 'paypal', 'stripe']);
+  });
+
+  it('should restore a provider after a success', async () => {
+    for (let i = 0; i < 3; i++) {
+      await recordProviderResult(env, 'stripe', new Error('down'));
+    }
+    await recordProviderResult(env, 'stripe');
+
+    expect(env.METRICS.store.has('health:stripe')).toBe(false);
+  });
+
+  it('should default to providers with credentials', async () => {
+    const defaults = { METRICS: createMockKV(), PADDLE_API_KEY: 'key', PAYPAL_CLIENT_ID: 'id' };
+
+    expect(await selectProviders(defaults, { amount: 1000, currency: 'USD' }, () => 0)).toEqual([
+      'paddle',
+      'paypal',
+    ]);
+  });
+
+  it('should exclude providers that cannot represent the amount', async () => {
+    const defaults = { METRICS: createMockKV(), PADDLE_API_KEY: 'key', PAYPAL_CLIENT_ID: 'id' };
+
+    expect(await selectProviders(defaults, { amount: 12345, currency: 'HUF' })).toEqual(['paddle']);
+  });
+});
+
+describe('isRetryableError', () => {
+  it('should retry 5xx, 429 and network errors only', () => {
+    expect(isRetryableError(upstreamError('down', 503))).toBe(true);
+    expect(isRetryableError(upstreamError('slow down', 429))).toBe(true);
+    expect(isRetryableError(upstreamError('bad request', 400))).toBe(false);
+    expect(isRetryableError(new TypeError('fetch failed'))).toBe(true);
+    expect(isRetryableError(new Error('Invalid amount'))).toBe(false);
+  });
+});
+
+describe('Checkout with provider "auto"', () => {
+  let mockEnv;
+  let mockLogger;
+
+  function autoCheckoutRequest(overrides = {}) {
+    return new Request('https://example.com/api/checkout', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        provider: 'auto',
+        userId: 'user_123',
+        email: 'test@example.com',
+        amount: 1000,
+        currency: 'USD',
+        country: 'US',
+        productName: 'Test Product',
+        ...overrides,
+      }),
+    });
+  }
+
+  /**
+   * Mock Stripe with a configurable status and Paddle as always healthy
+   */
+  function mockProviders(stripeStatus) {
+    return vi.fn((url) => {
+      if (url.includes('stripe.com')) {
+        return Promise.resolve({
+          ok: stripeStatus < 300,
+          status: stripeStatus,
+          text: () => Promise.resolve('stripe error'),
+          json: () => Promise.resolve({ id: 'cs_123', url: 'https://checkout.stripe.com/cs_123' }),
+        });
+      }
+      return Promise.resolve({
+        ok: true,
+        status: 200,
+        json: () =>
+          Promise.resolve({
+            data: { id: 'txn_123', checkout: { url: 'https://paddle.com/checkout/123' } },
+          }),
+      });
+    });
+  }
+
+  beforeEach(() => {
+    mockEnv = {
+      SESSIONS: createMockKV(),
+      CUSTOMERS: createMockKV(),
+      TRANSACTIONS: createMockKV(),
+      METRICS: createMockKV(),
+      STRIPE_SECRET_KEY: 'sk_test',
+      PADDLE_API_KEY: 'test_paddle_key',
+      INTERNAL_BACKEND_URL: 'https://test-backend.com',
+      PROVIDER_ROUTING: JSON.stringify([
+        { provider: 'stripe', weight: 1 },
+        { provider: 'paddle', weight: 0 },
+      ]),
+    };
+
+    mockLogger = createMockLogger();
+  });
+
+  it('should use the selected provider and record the decision', async () => {
+    global.fetch = mockProviders(200);
+
+    const response = await handleCheckout(autoCheckoutRequest(), mockEnv, mockLogger);
+    const data = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(data.data.provider).toBe('stripe');
+
+    const session = JSON.parse(mockEnv.SESSIONS.store.get('session:cs_123'));
+    expect(session.provider).toBe('stripe');
+    expect(session.routing).toEqual({
+      mode: 'auto',
+      country: 'US',
+      candidates: ['stripe', 'paddle'],
+      failedAttempts: [],
+    });
+
+    const date = new Date().toISOString().split('T')[0];
+    expect(mockEnv.METRICS.store.get(`routing:stripe:${date}`)).toBe('1');
+  });
+
+  it('should fail over on retryable upstream errors', async () => {
+    global.fetch = mockProviders(503);
+
+    const response = await handleCheckout(autoCheckoutRequest(), mockEnv, mockLogger);
+    const data = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(data.data.provider).toBe('paddle');
+
+    const session = JSON.parse(mockEnv.SESSIONS.store.get('session:txn_123'));
+    expect(session.routing.failedAttempts).toEqual([
+      { provider: 'stripe', error: 'Stripe customer error: stripe error' },
+    ]);
+
+    const date = new Date().toISOString().split('T')[0];
+    expect(mockEnv.METRICS.store.get(`failover:stripe:${date}`)).toBe('1');
+    expect(JSON.parse(mockEnv.METRICS.store.get('health:stripe')).consecutiveFailures).toBe(1);
+  });
+
+  it('should not fail over on client errors', async () => {
+    global.fetch = mockProviders(400);
+
+    const response = await handleCheckout(autoCheckoutRequest(), mockEnv, mockLogger);
+
+    expect(response.status).toBe(500);
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    expect(mockEnv.METRICS.store.has('health:stripe')).toBe(false);
+  });
+
+  it('should return 422 when no provider matches', async () => {
+    mockEnv.PROVIDER_ROUTING = JSON.stringify([{ provider: 'stripe', currencies: ['EUR'] }]);
+
+    const response = await handleCheckout(autoCheckoutRequest(), mockEnv, mockLogger);
+
+    expect(response.status).toBe(422);
+  });
+});
@@ -0,0 +1,441 @@
+/**
+ * Tests for subscription lifecycle management
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { route, handleUserSubscriptions } from '../router.js';
+import { applySubscriptionEvent, getSubscriptionRecord } from '../utils/subscriptions.js';
+import { createProviderEmulator } from '../emulator/index.js';
+import { createMockKV, createMockLogger } from './helpers.js';
+
+describe('Subscription lifecycle', () => {
+  let emulator;
+  let env;
+
+  async function api(method, path, body) {
+    const response = await route(
+      new Request(`https://worker.test${path}`, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body && JSON.stringify(body),
+      }),
+      env,
+      createMockLogger()
+    );
+    return { status: response.status, data: await response.json() };
+  }
+
+  async function subscribe(provider) {
+    const { data } = await api('POST', '/api/subscription', {
+      provider,
+      userId: 'user_123',
+      email: 'test@example.com',
+      // Stripe bills a price; Paddle and PayPal take the plan ID
+      [provider === 'stripe' ? 'priceId' : 'planId']: 'plan_basic',
+    });
+    const { subscriptionId } = data.data;
+
+    if (provider !== 'paddle') {
+      emulator.providers[provider].complete(subscriptionId);
+    }
+    return subscriptionId;
+  }
+
+  function storedRecord(id) {
+    return JSON.parse(env.SUBSCRIPTIONS.store.get(`subscription:${id}`));
+  }
+
+  beforeEach(() => {
+    emulator = createProviderEmulator({
+      deliver: (request) => route(request, env, createMockLogger()),
+    }).install();
+    env = {
+      ...emulator.env,
+      SESSIONS: createMockKV(),
+      CUSTOMERS: createMockKV(),
+      TRANSACTIONS: createMockKV(),
+      EVENTS: createMockKV(),
+      METRICS: createMockKV(),
+      CATALOG: createMockKV(),
+      SUBSCRIPTIONS: createMockKV(),
+      AUTH_DISABLED: 'true',
+      INTERNAL_BACKEND_URL: 'https://backend.test',
+    };
+  });
+
+  afterEach(() => {
+    emulator.restore();
+  });
+
+  describe('Stripe', () => {
+    it('should report the subscription in the provider-neutral shape', async () => {
+      const id = await subscribe('stripe');
+      const { status, data } = await api('GET', `/api/subscription/${id}`);
+
+      expect(status).toBe(200);
+      expect(data.data).toMatchObject({
+        subscriptionId: id,
+        provider: 'stripe',
+        status: 'active',
+        planId: 'plan_basic',
+        quantity: 1,
+        currency: 'USD',
+        cancelAtPeriodEnd: false,
+        pausedUntil: null,
+        userId: 'user_123',
+      });
+      expect(Date.parse(data.data.currentPeriodEnd)).toBeGreaterThan(Date.now());
+    });
+
+    it('should cancel at period end and withdraw the cancellation', async () => {
+      const id = await subscribe('stripe');
+
+      const cancelled = await api(
+        'DELETE',
+        `/api/subscription/${id}?immediately=false&reason=Too+expensive`
+      );
+      expect(cancelled.data.data).toMatchObject({ status: 'active', cancelAtPeriodEnd: true });
+      expect(emulator.providers.stripe.subscriptions.get(id).cancellation_details).toEqual({
+        comment: 'Too expensive',
+      });
+
+      const restored = await api('POST', `/api/subscription/${id}/uncancel`);
+      expect(restored.data.data.cancelAtPeriodEnd).toBe(false);
+    });
+
+    it('should cancel immediately by default', async () => {
+      const id = await subscribe('stripe');
+      const { data } = await api('DELETE', `/api/subscription/${id}`);
+
+      expect(data.data.status).toBe('canceled');
+    });
+
+    it('should pause until a date and resume', async () => {
+      const id = await subscribe('stripe');
+      const resumeAt = new Date(Date.now() + 7 * 86400 * 1000);
+      resumeAt.setMilliseconds(0);
+
+      const paused = await api('POST', `/api/subscription/${id}/pause`, {
+        resumeAt: resumeAt.toISOString(),
+      });
+      expect(paused.data.data).toMatchObject({
+        status: 'paused',
+        pausedUntil: resumeAt.toISOString(),
+      });
+
+      const resumed = await api('POST', `/api/subscription/${id}/resume`);
+      expect(resumed.data.data).toMatchObject({ status: 'active', pausedUntil: null });
+    });
+
+    it('should preview and apply a quantity change', async () => {
+      const id = await subscribe('stripe');
+
+      const preview = await api('POST', `/api/subscription/${id}/preview`, { quantity: 3 });
+      // Two more seats for (almost) the whole period, plus the next renewal at 3 x 1000
+      expect(preview.data.data.prorationAmount).toBeGreaterThan(1990);
+      expect(preview.data.data.amountDue).toBe(3000 + preview.data.data.prorationAmount);
+      expect(preview.data.data.billingDate).toBe(
+        (await api('GET', `/api/subscription/${id}`)).data.data.currentPeriodEnd
+      );
+
+      const updated = await api('PATCH', `/api/subscription/${id}`, { quantity: 3 });
+      expect(updated.data.data.quantity).toBe(3);
+      expect(storedRecord(id).quantity).toBe(3);
+    });
+
+    it('should bill an immediate downgrade as a credit', async () => {
+      const id = await subscribe('stripe');
+      await api('PATCH', `/api/subscription/${id}`, { quantity: 3, proration: 'none' });
+
+      const { data } = await api('POST', `/api/subscription/${id}/preview`, {
+        quantity: 1,
+        proration: 'immediately',
+      });
+
+      expect(data.data.prorationAmount).toBeLessThan(0);
+      expect(data.data.amountDue).toBe(0);
+    });
+
+    it('should change plans through the catalog', async () => {
+      await api('PUT', '/api/admin/catalog/plans/pro', {
+        name: 'Pro',
+        amount: 2500,
+        currency: 'USD',
+        interval: 'month',
+        providerIds: { stripe: 'price_pro' },
+      });
+      const id = await subscribe('stripe');
+
+      const { data } = await api('PATCH', `/api/subscription/${id}`, { planKey: 'pro' });
+
+      expect(data.data.planId).toBe('price_pro');
+      expect(storedRecord(id)).toMatchObject({
+        planKey: 'pro',
+        planId: 'price_pro',
+        amount: 2500,
+      });
+    });
+  });
+
+  describe('Paddle', () => {
+    it('should cancel at the end of the billing period by default', async () => {
+      const id = await subscribe('paddle');
+      const { data } = await api('DELETE', `/api/subscription/${id}`);
+
+      expect(data.data).toMatchObject({ status: 'active', cancelAtPeriodEnd: true });
+
+      const restored = await api('POST', `/api/subscription/${id}/uncancel`);
+      expect(restored.data.data.cancelAtPeriodEnd).toBe(false);
+    });
+
+    it('should cancel immediately on request', async () => {
+      const id = await subscribe('paddle');
+      const { data } = await api('DELETE', `/api/subscription/${id}?immediately=true`);
+
+      expect(data.data.status).toBe('canceled');
+    });
+
+    it('should pause and resume', async () => {
+      const id = await subscribe('paddle');
+
+      expect((await api('POST', `/api/subscription/${id}/pause`)).data.data.status).toBe('paused');
+      expect((await api('POST', `/api/subscription/${id}/resume`)).data.data.status).toBe('active');
+    });
+
+    it('should preview an immediately billed upgrade', async () => {
+      const id = await subscribe('paddle');
+
+      const { data } = await api('POST', `/api/subscription/${id}/preview`, {
+        quantity: 2,
+        proration: 'immediately',
+      });
+
+      expect(data.data.prorationAmount).toBeGreaterThan(990);
+      expect(data.data.amountDue).toBe(data.data.prorationAmount);
+      expect(emulator.providers.paddle.subscriptions.get(id).items[0].quantity).toBe(1);
+    });
+  });
+
+  describe('PayPal', () => {
+    it('should suspend and reactivate', async () => {
+      const id = await subscribe('paypal');
+
+      expect((await api('POST', `/api/subscription/${id}/pause`)).data.data.status).toBe('paused');
+      expect((await api('POST', `/api/subscription/${id}/resume`)).data.data.status).toBe('active');
+    });
+
+    it('should return 422 for operations PayPal does not offer', async () => {
+      const id = await subscribe('paypal');
+
+      const endOfPeriod = await api('DELETE', `/api/subscription/${id}?immediately=false`);
+      const preview = await api('POST', `/api/subscription/${id}/preview`, { quantity: 2 });
+
+      expect(endOfPeriod.status).toBe(422);
+      expect(preview.status).toBe(422);
+      expect(emulator.providers.paypal.subscriptions.get(id).status).toBe('ACTIVE');
+    });
+
+    it('should return an approval link for plan revisions', async () => {
+      const id = await subscribe('paypal');
+
+      const { data } = await api('PATCH', `/api/subscription/${id}`, { planId: 'P-PRO' });
+      expect(data.data.approvalUrl).toContain(id);
+      expect(data.data.planId).toBe('plan_basic');
+
+      emulator.providers.paypal.complete(id);
+      expect((await api('GET', `/api/subscription/${id}`)).data.data.planId).toBe('P-PRO');
+    });
+
+    it('should keep revisions pending until the subscriber approves them', async () => {
+      await api('PUT', '/api/admin/catalog/plans/pro', {
+        name: 'Pro',
+        amount: 2500,
+        currency: 'USD',
+        interval: 'month',
+        providerIds: { paypal: 'P-PRO' },
+      });
+      const id = await subscribe('paypal');
+      await emulator.deliverWebhooks();
+
+      const { data } = await api('PATCH', `/api/subscription/${id}`, { planKey: 'pro' });
+      const pending = storedRecord(id);
+
+      emulator.providers.paypal.complete(id);
+      await emulator.deliverWebhooks();
+
+      expect(pending).toMatchObject({
+        planId: 'plan_basic',
+        pendingChange: { planId: 'P-PRO', approvalUrl: data.data.approvalUrl },
+      });
+      expect(pending.planKey).toBeUndefined();
+      expect(storedRecord(id)).toMatchObject({ planId: 'P-PRO', planKey: 'pro', amount: 2500 });
+      expect(storedRecord(id).pendingChange).toBeUndefined();
+    });
+  });
+
+  describe('validation', () => {
+    it('should reject updates without a change and bad cancel options', async () => {
+      const id = await subscribe('stripe');
+
+      const update = await api('PATCH', `/api/subscription/${id}`, { proration: 'later' });
+      const cancel = await api('DELETE', `/api/subscription/${id}?immediately=yes`);
+
+      expect(update.status).toBe(400);
+      expect(update.data.errors.map((error) => error.field)).toEqual(['quantity', 'proration']);
+      expect(cancel.status).toBe(400);
+    });
+
+    it('should not treat checkout sessions as subscriptions', async () => {
+      await env.SESSIONS.put('session:txn_123', JSON.stringify({ userId: 'user_123' }));
+
+      expect((await api('GET', '/api/subscription/txn_123')).status).toBe(404);
+    });
+  });
+  describe('records', () => {
+    function event(type, occurredAt, subscription) {
+      return {
+        type,
+        provider: 'stripe',
+        providerEventId: `evt_${occurredAt}`,
+        occurredAt,
+        data: {
+          userId: 'user_123',
+          subscriptionId: 'sub_ext',
+          subscription,
+          customer: { email: null },
+        },
+      };
+    }
+
+    it('should keep records without expiry and list them by user', async () => {
+      const id = await subscribe('paddle');
+      await subscribe('stripe');
+
+      const { status, data } = await api('GET', '/api/users/user_123/subscriptions');
+
+      expect(env.SUBSCRIPTIONS.put.mock.calls.every(([, , options]) => !options)).toBe(true);
+      expect(status).toBe(200);
+      expect(data.data.subscriptions).toHaveLength(2);
+      expect(data.data.subscriptions.find((record) => record.subscriptionId === id)).toMatchObject({
+        provider: 'paddle',
+        userId: 'user_123',
+        email: 'test@example.com',
+        planId: 'plan_basic',
+      });
+    });
+
+    it('should filter listings by status', async () => {
+      await subscribe('stripe');
+      await emulator.deliverWebhooks();
+      await subscribe('paypal');
+
+      const { data } = await api('GET', '/api/users/user_123/subscriptions?status=pending');
+      const invalid = await api('GET', '/api/users/user_123/subscriptions?status=expired');
+
+      expect(data.data.subscriptions.map((record) => record.provider)).toEqual(['paypal']);
+      expect(invalid.status).toBe(400);
+    });
+
+    it('should fill filtered pages and validate the page size', async () => {
+      await subscribe('stripe');
+      await emulator.deliverWebhooks();
+      await subscribe('paypal');
+
+      const active = await api('GET', '/api/users/user_123/subscriptions?status=active&limit=1');
+      const pending = await api('GET', '/api/users/user_123/subscriptions?status=pending&limit=1');
+      const invalid = await Promise.all(
+        ['0', '-1', 'ten', '1.5'].map((limit) =>
+          api('GET', `/api/users/user_123/subscriptions?limit=${limit}`)
+        )
+      );
+
+      expect(active.data.data.subscriptions.map((record) => record.provider)).toEqual(['stripe']);
+      expect(pending.data.data.subscriptions.map((record) => record.provider)).toEqual(['paypal']);
+      for (const { status, data } of invalid) {
+        expect(status).toBe(400);
+        expect(data.errors).toEqual([expect.objectContaining({ field: 'limit', code: 'invalid' })]);
+      }
+    });
+
+    it("should not list another user's subscriptions", async () => {
+      const response = await handleUserSubscriptions(
+        new Request('https://worker.test/api/users/user_999/subscriptions'),
+        env,
+        createMockLogger(),
+        'user_999',
+        { type: 'jwt', userId: 'user_123', trusted: false }
+      );
+
+      expect(response.status).toBe(403);
+    });
+
+    it('should sync status and billing dates from webhooks', async () => {
+      const id = await subscribe('stripe');
+      await emulator.deliverWebhooks();
+
+      const active = storedRecord(id);
+      expect(active).toMatchObject({ status: 'active', cancelAtPeriodEnd: false });
+      expect(active.nextBillingAt).toBe(active.currentPeriodEnd);
+
+      // Cancelled in the Stripe dashboard rather than through the API
+      const subscription = emulator.providers.stripe.subscriptions.get(id);
+      subscription.cancel_at_period_end = true;
+      emulator.emit('stripe', 'customer.subscription.updated', subscription);
+      await emulator.deliverWebhooks();
+
+      expect(storedRecord(id)).toMatchObject({ cancelAtPeriodEnd: true, nextBillingAt: null });
+    });
+
+    it('should skip events older than the last one applied', async () => {
+      const logger = createMockLogger();
+
+      await applySubscriptionEvent(
+        env,
+        logger,
+        event('subscription.canceled', '2024-02-01T00:00:00.000Z', { status: 'canceled' })
+      );
+      const late = await applySubscriptionEvent(
+        env,
+        logger,
+        event('subscription.renewed', '2024-01-15T00:00:00.000Z', null)
+      );
+
+      expect(late.applied).toBe(false);
+      expect((await getSubscriptionRecord(env, 'sub_ext')).status).toBe('canceled');
+    });
+
+    it('should record subscriptions first seen in webhooks', async () => {
+      await applySubscriptionEvent(
+        env,
+        createMockLogger(),
+        event('subscription.created', '2024-01-01T00:00:00.000Z', {
+          subscriptionId: 'sub_ext',
+          provider: 'stripe',
+          status: 'active',
+          planId: 'price_ext',
+        })
+      );
+
+      expect(env.SUBSCRIPTIONS.store.has('user:user_123:sub_ext')).toBe(true);
+      expect(await getSubscriptionRecord(env, 'sub_ext')).toMatchObject({
+        provider: 'stripe',
+        userId: 'user_123',
+        status: 'active',
+        planId: 'price_ext',
+      });
+    });
+
+    it('should move subscriptions stored as sessions into records', async () => {
+      await env.SESSIONS.put(
+        'session:sub_old',
+        JSON.stringify({ userId: 'user_123', provider: 'paddle', type: 'subscription' })
+      );
+
+      expect(await getSubscriptionRecord(env, 'sub_old')).toMatchObject({
+        subscriptionId: 'sub_old',
+        provider: 'paddle',
+      });
+      expect(env.SUBSCRIPTIONS.store.has('user:user_123:sub_old')).toBe(true);
+    });
+  });
+});
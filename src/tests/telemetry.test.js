@@ -0,0 +1,215 @@
+/**
+ * Tests for request, provider and webhook telemetry exported at GET /metrics
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import worker from '../index.js';
+import { route, routeTemplate } from '../router.js';
+import { resetTelemetry, renderOpenMetrics, compactTelemetry } from '../utils/telemetry.js';
+import { createProviderEmulator } from '../emulator/index.js';
+import { createMockKV, createMockLogger } from './helpers.js';
+
+describe('Telemetry', () => {
+  let emulator;
+  let env;
+
+  // Waits for the background flush too, so flushes never overlap
+  async function fetchWorker(method, path, { body, headers } = {}) {
+    const ctx = { waitUntil: vi.fn() };
+    const response = await worker.fetch(
+      new Request(`https://worker.test${path}`, {
+        method,
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: body && JSON.stringify(body),
+      }),
+      env,
+      ctx
+    );
+    await Promise.all(ctx.waitUntil.mock.calls.map(([promise]) => promise));
+    return response;
+  }
+
+  function checkout(headers) {
+    return fetchWorker('POST', '/api/checkout', {
+      headers,
+      body: {
+        provider: 'stripe',
+        userId: 'user_123',
+        email: 'test@example.com',
+        amount: 1000,
+        productName: 'Pro T-shirt',
+      },
+    });
+  }
+
+  async function scrape() {
+    const response = await fetchWorker('GET', '/metrics', {
+      headers: { Authorization: 'Bearer scrape_token' },
+    });
+    return { response, text: await response.text() };
+  }
+
+  beforeEach(() => {
+    resetTelemetry();
+    emulator = createProviderEmulator({
+      deliver: (request) => route(request, env, createMockLogger()),
+    }).install();
+    env = {
+      ...emulator.env,
+      SESSIONS: createMockKV(),
+      CUSTOMERS: createMockKV(),
+      EVENTS: createMockKV(),
+      METRICS: createMockKV(),
+      SUBSCRIPTIONS: createMockKV(),
+      TRANSACTIONS: createMockKV(),
+      AUTH_DISABLED: 'true',
+      INTERNAL_BACKEND_URL: 'https://backend.test',
+      METRICS_TOKEN: 'scrape_token',
+    };
+  });
+
+  afterEach(() => {
+    emulator.restore();
+  });
+
+  it('should require the metrics bearer token', async () => {
+    const missing = await fetchWorker('GET', '/metrics');
+    const wrong = await fetchWorker('GET', '/metrics', {
+      headers: { Authorization: 'Bearer not_the_token' },
+    });
+    delete env.METRICS_TOKEN;
+    const unset = await fetchWorker('GET', '/metrics', {
+      headers: { Authorization: 'Bearer scrape_token' },
+    });
+
+    expect(missing.status).toBe(401);
+    expect(wrong.status).toBe(401);
+    expect(unset.status).toBe(401);
+  });
+
+  it('should export request and provider call counts and latencies', async () => {
+    await checkout();
+    await fetchWorker('GET', '/api/receipt/cs_missing');
+
+    const { response, text } = await scrape();
+
+    expect(response.headers.get('Content-Type')).toContain('application/openmetrics-text');
+    expect(text).toContain('# TYPE http_requests counter');
+    expect(text).toContain(
+      'http_requests_total{method="POST",route="/api/checkout",status="200"} 1'
+    );
+    expect(text).toContain(
+      'http_requests_total{method="GET",route="/api/receipt/:sessionId",status="404"} 1'
+    );
+    expect(text).toContain(
+      'http_request_duration_seconds_count{method="POST",route="/api/checkout"} 1'
+    );
+    expect(text).toContain(
+      'provider_requests_total{method="createCheckoutSession",outcome="success",provider="stripe"} 1'
+    );
+    expect(text).toMatch(
+      /provider_request_duration_seconds_bucket\{le="\+Inf",method="createCheckoutSession",provider="stripe"\} 1/
+    );
+    expect(text.endsWith('# EOF\n')).toBe(true);
+  });
+
+  it('should count webhook verification failures and idempotent replays', async () => {
+    await fetchWorker('POST', '/api/webhook/stripe', {
+      headers: { 'Stripe-Signature': 't=1,v1=forged' },
+      body: { id: 'evt_forged', type: 'checkout.session.completed' },
+    });
+    await checkout({ 'Idempotency-Key': 'order-1' });
+    await checkout({ 'Idempotency-Key': 'order-1' });
+
+    const { text } = await scrape();
+
+    expect(text).toContain('webhook_verification_failures_total{provider="stripe"} 1');
+    expect(text).toContain('idempotent_replays_total{source="checkout"} 1');
+  });
+
+  it('should keep totals across flushes', async () => {
+    await checkout();
+    await scrape();
+    await checkout();
+
+    const { text } = await scrape();
+
+    expect(text).toContain(
+      'http_requests_total{method="POST",route="/api/checkout",status="200"} 2'
+    );
+    expect(text).toContain('http_requests_total{method="GET",route="/metrics",status="200"} 1');
+  });
+
+  it('should sum the shards of other isolates without overwriting them', async () => {
+    const series = {
+      'idempotent_replays{source="webhook"}': {
+        name: 'idempotent_replays',
+        labels: { source: 'webhook' },
+        value: 5,
+      },
+    };
+    env.METRICS.store.set(
+      'telemetry:shard:other',
+      JSON.stringify({ updatedAt: Date.now(), series })
+    );
+    await fetchWorker('POST', '/api/webhook/stripe', {
+      headers: { 'Stripe-Signature': 't=1,v1=forged' },
+      body: { id: 'evt_forged', type: 'checkout.session.completed' },
+    });
+
+    const { text } = await scrape();
+
+    expect(text).toContain('idempotent_replays_total{source="webhook"} 5');
+    expect(text).toContain('webhook_verification_failures_total{provider="stripe"} 1');
+    expect(JSON.parse(env.METRICS.store.get('telemetry:shard:other')).series).toEqual(series);
+  });
+
+  it('should fold idle shards into the totals without changing the export', async () => {
+    const idleSince = Date.now() - 2 * 60 * 60 * 1000;
+    env.METRICS.store.set(
+      'telemetry:shard:retired',
+      JSON.stringify({
+        updatedAt: idleSince,
+        series: {
+          'idempotent_replays{source="checkout"}': {
+            name: 'idempotent_replays',
+            labels: { source: 'checkout' },
+            value: 3,
+          },
+        },
+      })
+    );
+    const before = (await scrape()).text;
+
+    expect(await compactTelemetry(env)).toEqual({ folded: 1, deleted: 0 });
+    const after = (await scrape()).text;
+    expect(await compactTelemetry(env, Date.now() + 25 * 60 * 60 * 1000)).toEqual({
+      folded: 0,
+      deleted: 1,
+    });
+    const deleted = (await scrape()).text;
+
+    expect(before).toContain('idempotent_replays_total{source="checkout"} 3');
+    expect(after).toContain('idempotent_replays_total{source="checkout"} 3');
+    expect(deleted).toContain('idempotent_replays_total{source="checkout"} 3');
+    expect(env.METRICS.store.has('telemetry:shard:retired')).toBe(false);
+  });
+
+  it('should label requests by route template', () => {
+    expect(routeTemplate('/api/subscription/sub_123/pause')).toBe(
+      '/api/subscription/:subscriptionId/pause'
+    );
+    expect(routeTemplate('/api/admin/catalog/products/pro')).toBe(
+      '/api/admin/catalog/products/:sku'
+    );
+    expect(routeTemplate('/api/receipt/')).toBe('unmatched');
+    expect(routeTemplate('/wp-login.php')).toBe('unmatched');
+  });
+
+  it('should render an empty exposition with every family declared', () => {
+    const text = renderOpenMetrics({});
+
+    expect(text.match(/^# TYPE /gm)).toHaveLength(8);
+    expect(text.endsWith('# EOF\n')).toBe(true);
+  });
+});
@@ -0,0 +1,197 @@
+/**
+ * Tests for trace context propagation, request IDs and OTLP span export
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import worker from '../index.js';
+import { parseTraceparent } from '../utils/tracing.js';
+import { createProviderEmulator } from '../emulator/index.js';
+import { createMockKV } from './helpers.js';
+
+const TRACE_ID = '4bf92f3577b34da6a3ce929d0e0e4736';
+const PARENT_ID = '00f067aa0ba902b7';
+
+describe('Tracing', () => {
+  let originalFetch;
+  let outbound;
+  let emulator;
+  let env;
+
+  // Waits for work scheduled with waitUntil, so trace exports are captured
+  async function fetchWorker(method, path, { body, headers } = {}) {
+    const ctx = { waitUntil: vi.fn() };
+    const response = await worker.fetch(
+      new Request(`https://worker.test${path}`, {
+        method,
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: body && JSON.stringify(body),
+      }),
+      env,
+      ctx
+    );
+    await Promise.all(ctx.waitUntil.mock.calls.map(([promise]) => promise));
+    return response;
+  }
+
+  function checkout(headers) {
+    return fetchWorker('POST', '/api/checkout', {
+      headers,
+      body: {
+        provider: 'stripe',
+        userId: 'user_123',
+        email: 'test@example.com',
+        amount: 1000,
+        productName: 'Pro T-shirt',
+      },
+    });
+  }
+
+  // Outgoing requests to a host
+  function requestsTo(host) {
+    return outbound.mock.calls
+      .map(([input, init]) => new Request(input, init))
+      .filter((request) => new URL(request.url).host === host);
+  }
+
+  async function exportedSpans() {
+    const [request] = requestsTo('collector.test');
+    const body = await request.json();
+    return body.resourceSpans[0].scopeSpans[0].spans;
+  }
+
+  beforeEach(() => {
+    originalFetch = globalThis.fetch;
+    // Backend and collector calls pass through the emulator to this mock
+    globalThis.fetch = vi.fn(() => Promise.resolve(new Response('{}', { status: 200 })));
+    emulator = createProviderEmulator({
+      deliver: (request) => worker.fetch(request, env, { waitUntil: vi.fn() }),
+    }).install();
+    outbound = vi.spyOn(globalThis, 'fetch');
+    env = {
+      ...emulator.env,
+      SESSIONS: createMockKV(),
+      CUSTOMERS: createMockKV(),
+      EVENTS: createMockKV(),
+      METRICS: createMockKV(),
+      SUBSCRIPTIONS: createMockKV(),
+      TRANSACTIONS: createMockKV(),
+      AUTH_DISABLED: 'true',
+      INTERNAL_BACKEND_URL: 'https://backend.test',
+      OTEL_EXPORTER_OTLP_ENDPOINT: 'https://collector.test/',
+      OTEL_EXPORTER_OTLP_HEADERS: 'Authorization=Bearer%20collector_token',
+    };
+  });
+
+  afterEach(() => {
+    outbound.mockRestore();
+    emulator.restore();
+    globalThis.fetch = originalFetch;
+  });
+
+  it('should return a request ID on every response', async () => {
+    const generated = await fetchWorker('GET', '/health');
+    const echoed = await fetchWorker('GET', '/nowhere', {
+      headers: { 'X-Request-Id': 'req-from-gateway' },
+    });
+    const invalid = await fetchWorker('GET', '/health', {
+      headers: { 'X-Request-Id': 'not a valid id' },
+    });
+
+    expect(generated.headers.get('X-Request-Id')).toMatch(/^[0-9a-f-]{36}$/);
+    expect(echoed.status).toBe(404);
+    expect(echoed.headers.get('X-Request-Id')).toBe('req-from-gateway');
+    expect(invalid.headers.get('X-Request-Id')).not.toBe('not a valid id');
+  });
+
+  it('should continue the caller trace in provider calls and exported spans', async () => {
+    const response = await checkout({
+      traceparent: `00-${TRACE_ID}-${PARENT_ID}-01`,
+      tracestate: 'vendor=abc',
+    });
+    const requestId = response.headers.get('X-Request-Id');
+
+    const providerCalls = requestsTo('emulator.payments.local');
+    const [providerCall] = providerCalls;
+    const spans = await exportedSpans();
+    const [collectorCall] = requestsTo('collector.test');
+    const server = spans.find((span) => span.name === 'POST /api/checkout');
+    const adapter = spans.find((span) => span.name === 'stripe.createCheckoutSession');
+    const kvPuts = spans.filter((span) => span.name === 'kv.put');
+    const callers = providerCalls.map((call) => {
+      const { traceId, parentSpanId } = parseTraceparent(call.headers.get('traceparent'));
+      return [traceId, spans.find((span) => span.spanId === parentSpanId).name];
+    });
+
+    expect(callers).toContainEqual([TRACE_ID, 'stripe.createCheckoutSession']);
+    expect(callers.every(([, name]) => name.startsWith('stripe.'))).toBe(true);
+    expect(providerCall.headers.get('tracestate')).toBe('vendor=abc');
+    expect(providerCall.headers.get('X-Request-Id')).toBe(requestId);
+    expect(collectorCall.url).toBe('https://collector.test/v1/traces');
+    expect(collectorCall.headers.get('Authorization')).toBe('Bearer collector_token');
+    expect(server).toMatchObject({ traceId: TRACE_ID, parentSpanId: PARENT_ID, kind: 2 });
+    expect(server.attributes).toContainEqual({
+      key: 'http.response.status_code',
+      value: { intValue: '200' },
+    });
+    expect(adapter).toMatchObject({ parentSpanId: server.spanId, kind: 3, status: { code: 1 } });
+    expect(kvPuts.length).toBeGreaterThan(0);
+    expect(kvPuts.every((span) => span.parentSpanId === server.spanId)).toBe(true);
+    expect(kvPuts.map((span) => span.attributes)).toContainEqual(
+      expect.arrayContaining([{ key: 'db.namespace', value: { stringValue: 'SESSIONS' } }])
+    );
+  });
+
+  it('should propagate the webhook trace to the backend', async () => {
+    const checkoutResponse = await checkout();
+    const { data } = await checkoutResponse.json();
+    emulator.providers.stripe.complete(data.sessionId);
+    await emulator.deliverWebhooks();
+
+    const [notify] = requestsTo('backend.test');
+    const parent = parseTraceparent(notify.headers.get('traceparent'));
+
+    expect(parent).toMatchObject({ sampled: true });
+    expect(notify.headers.get('X-Request-Id')).toBeTruthy();
+    expect(notify.headers.get('X-Request-Id')).not.toBe(
+      checkoutResponse.headers.get('X-Request-Id')
+    );
+  });
+
+  it('should propagate but not export unsampled traces', async () => {
+    await checkout({ traceparent: `00-${TRACE_ID}-${PARENT_ID}-00` });
+
+    const [providerCall] = requestsTo('emulator.payments.local');
+
+    expect(providerCall.headers.get('traceparent')).toMatch(new RegExp(`^00-${TRACE_ID}-.+-00$`));
+    expect(requestsTo('collector.test')).toHaveLength(0);
+  });
+
+  it('should mark failed requests as errors', async () => {
+    env.SESSIONS.put = vi.fn(() => Promise.reject(new Error('KV unavailable')));
+
+    const response = await checkout();
+    const spans = await exportedSpans();
+    const failedPut = spans.find((span) => span.name === 'kv.put' && span.status.code === 2);
+
+    expect(response.status).toBe(500);
+    expect(failedPut.status).toEqual({ code: 2, message: 'KV unavailable' });
+    expect(spans.find((span) => span.kind === 2).status.code).toBe(2);
+  });
+
+  it('should reject malformed traceparent headers', () => {
+    expect(parseTraceparent(`00-${TRACE_ID}-${PARENT_ID}-01`)).toEqual({
+      traceId: TRACE_ID,
+      parentSpanId: PARENT_ID,
+      sampled: true,
+    });
+    expect(parseTraceparent(`01-${TRACE_ID}-${PARENT_ID}-01-future`)).toMatchObject({
+      traceId: TRACE_ID,
+    });
+    expect(parseTraceparent(`ff-${TRACE_ID}-${PARENT_ID}-01`)).toBeNull();
+    expect(parseTraceparent(`00-${'0'.repeat(32)}-${PARENT_ID}-01`)).toBeNull();
+    expect(parseTraceparent(`00-${TRACE_ID}-${'0'.repeat(16)}-01`)).toBeNull();
+    expect(parseTraceparent(`00-${TRACE_ID.toUpperCase()}-${PARENT_ID}-01`)).toBeNull();
+    expect(parseTraceparent(`00-${TRACE_ID}-${PARENT_ID}-01-extra`)).toBeNull();
+    expect(parseTraceparent(null)).toBeNull();
+  });
+});
@@ -0,0 +1,242 @@
+/**
+ * Tests for the transaction ledger and search endpoints
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { route, handleTransactionList, handleTransactionGet } from '../router.js';
+import { createProviderEmulator } from '../emulator/index.js';
+import { createMockKV, createMockLogger } from './helpers.js';
+
+const endUser = { type: 'jwt', userId: 'user_123', trusted: false };
+
+describe('Transactions', () => {
+  let emulator;
+  let env;
+
+  async function api(method, path, body) {
+    const response = await route(
+      new Request(`https://worker.test${path}`, {
+        method,
+        headers: { 'Content-Type': 'application/json', 'Idempotency-Key': crypto.randomUUID() },
+        body: body && JSON.stringify(body),
+      }),
+      env,
+      createMockLogger()
+    );
+    return { status: response.status, data: await response.json() };
+  }
+
+  async function checkout(overrides) {
+    const { data } = await api('POST', '/api/checkout', {
+      provider: 'stripe',
+      userId: 'user_123',
+      email: 'test@example.com',
+      amount: 1000,
+      productName: 'Pro T-shirt',
+      ...overrides,
+    });
+    return data.data.sessionId;
+  }
+
+  async function search(query) {
+    const { status, data } = await api('GET', `/api/transactions?${new URLSearchParams(query)}`);
+    return { status, data: data.data, errors: data.errors };
+  }
+
+  const ids = (result) => result.data.transactions.map((transaction) => transaction.transactionId);
+
+  beforeEach(() => {
+    emulator = createProviderEmulator({
+      deliver: (request) => route(request, env, createMockLogger()),
+    }).install();
+    env = {
+      ...emulator.env,
+      SESSIONS: createMockKV(),
+      CUSTOMERS: createMockKV(),
+      EVENTS: createMockKV(),
+      METRICS: createMockKV(),
+      SUBSCRIPTIONS: createMockKV(),
+      TRANSACTIONS: createMockKV(),
+      AUTH_DISABLED: 'true',
+      INTERNAL_BACKEND_URL: 'https://backend.test',
+    };
+  });
+
+  afterEach(() => {
+    emulator.restore();
+    vi.useRealTimers();
+  });
+
+  it('should record checkouts with their event timeline', async () => {
+    const sessionId = await checkout();
+    emulator.providers.stripe.complete(sessionId);
+    await emulator.deliverWebhooks();
+    await api('POST', '/api/refund', { sessionId, amount: 400 });
+    await emulator.deliverWebhooks();
+
+    const { status, data } = await api('GET', `/api/transactions/${sessionId}`);
+
+    expect(status).toBe(200);
+    expect(data.data).toMatchObject({
+      transactionId: sessionId,
+      type: 'payment',
+      provider: 'stripe',
+      userId: 'user_123',
+      status: 'partially_refunded',
+      amount: 1000,
+      currency: 'USD',
+      refundedAmount: 400,
+    });
+    expect(data.data.events.map((event) => [event.type, event.status])).toEqual([
+      ['checkout.created', 'created'],
+      ['payment.succeeded', 'captured'],
+      ['refund.succeeded', 'partially_refunded'],
+    ]);
+  });
+
+  it("should record subscription charges under the invoice ID for the subscription's user", async () => {
+    await api('POST', '/api/subscription', {
+      provider: 'stripe',
+      userId: 'user_123',
+      email: 'test@example.com',
+      priceId: 'price_pro',
+    });
+    const [subscriptionId] = emulator.providers.stripe.subscriptions.keys();
+
+    emulator.emit('stripe', 'invoice.payment_failed', {
+      id: 'in_renewal',
+      subscription: subscriptionId,
+      billing_reason: 'subscription_cycle',
+      amount_due: 1500,
+      currency: 'usd',
+    });
+    emulator.emit('stripe', 'invoice.paid', {
+      id: 'in_renewal',
+      subscription: subscriptionId,
+      billing_reason: 'subscription_cycle',
+      amount_paid: 1500,
+      currency: 'usd',
+    });
+    await emulator.deliverWebhooks();
+
+    emulator.emit('stripe', 'invoice.paid', {
+      id: 'in_forged',
+      subscription: subscriptionId,
+      subscription_details: { metadata: { user_id: 'user_456' } },
+      billing_reason: 'subscription_cycle',
+      amount_paid: 1500,
+      currency: 'usd',
+    });
+    await emulator.deliverWebhooks();
+
+    const { data } = await api('GET', '/api/transactions/in_renewal');
+    const forged = await api('GET', '/api/transactions/in_forged');
+    const other = await search({ userId: 'user_456' });
+
+    expect(data.data).toMatchObject({
+      type: 'subscription',
+      subscriptionId,
+      userId: 'user_123',
+      status: 'captured',
+      amount: 1500,
+    });
+    expect(data.data.events.map((event) => event.type)).toEqual([
+      'subscription.past_due',
+      'subscription.renewed',
+    ]);
+    expect(forged.data.data.userId).toBe('user_123');
+    expect(ids(other)).toEqual([]);
+  });
+
+  it('should filter by provider, status, currency and amount', async () => {
+    const paid = await checkout({ amount: 5000 });
+    const euro = await checkout({ currency: 'EUR' });
+    const paddle = await checkout({ provider: 'paddle', amount: 2500 });
+    emulator.providers.stripe.complete(paid);
+    await emulator.deliverWebhooks();
+
+    expect(ids(await search({ provider: 'paddle' }))).toEqual([paddle]);
+    expect(ids(await search({ status: 'captured' }))).toEqual([paid]);
+    expect(ids(await search({ currency: 'eur' }))).toEqual([euro]);
+    expect(ids(await search({ minAmount: '2000', maxAmount: '4000' }))).toEqual([paddle]);
+    expect(ids(await search({ userId: 'user_456' }))).toEqual([]);
+  });
+
+  it('should list newest first within a date range and page with a cursor', async () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    const created = [];
+    for (const day of ['2026-01-10', '2026-01-20', '2026-02-05', '2026-02-15']) {
+      vi.setSystemTime(new Date(`${day}T12:00:00Z`));
+      created.push(await checkout());
+    }
+
+    const first = await search({ userId: 'user_123', from: '2026-01-15', limit: '2' });
+    const second = await search({
+      userId: 'user_123',
+      from: '2026-01-15',
+      limit: '2',
+      cursor: first.data.cursor,
+    });
+    const january = await search({ from: '2026-01-01', to: '2026-02-01' });
+
+    expect(ids(first)).toEqual([created[3], created[2]]);
+    expect(first.data.cursor).toBeTruthy();
+    expect(ids(second)).toEqual([created[1]]);
+    expect(second.data.cursor).toBeNull();
+    expect(ids(january)).toEqual([created[1], created[0]]);
+  });
+
+  it('should validate filters', async () => {
+    const { status, errors } = await search({
+      status: 'settled',
+      currency: 'XYZ',
+      from: 'yesterday',
+      minAmount: '-5',
+      limit: '10abc',
+    });
+
+    expect(status).toBe(400);
+    expect(errors.map((error) => error.field)).toEqual([
+      'status',
+      'currency',
+      'from',
+      'minAmount',
+      'limit',
+    ]);
+  });
+
+  it('should return 404 for unknown transactions', async () => {
+    const { status } = await api('GET', '/api/transactions/txn_missing');
+
+    expect(status).toBe(404);
+  });
+
+  it('should limit end users to their own transactions', async () => {
+    const sessionId = await checkout({ userId: 'user_456' });
+    const logger = createMockLogger();
+
+    const unscoped = await handleTransactionList(
+      new Request('https://worker.test/api/transactions'),
+      env,
+      logger,
+      endUser
+    );
+    const own = await handleTransactionList(
+      new Request('https://worker.test/api/transactions?userId=user_123'),
+      env,
+      logger,
+      endUser
+    );
+    const other = await handleTransactionGet(
+      new Request(`https://worker.test/api/transactions/${sessionId}`),
+      env,
+      logger,
+      sessionId,
+      endUser
+    );
+
+    expect(unscoped.status).toBe(403);
+    expect(own.status).toBe(200);
+    expect(other.status).toBe(403);
+  });
+});
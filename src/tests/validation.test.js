@@ -0,0 +1,199 @@
+/**
+ * Tests for request body validation
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { validateBody, SCHEMAS } from '../utils/validation.js';
+import { handleCheckout, handleSubscriptionCreate } from '../router.js';
+import { createMockKV, createMockLogger } from './helpers.js';
+
+const validCheckout = {
+  provider: 'paddle',
+  userId: 'user_123',
+  email: 'test@example.com',
+  amount: 1000,
+  currency: 'USD',
+  productName: 'Test Product',
+  successUrl: 'https://shop.example.com/success',
+  cancelUrl: 'https://shop.example.com/cancel',
+  metadata: { plan: 'premium' },
+};
+
+const redirectEnv = { ALLOWED_REDIRECT_ORIGINS: 'https://shop.example.com, http://localhost:5173' };
+
+function fieldsOf(errors) {
+  return errors.map((error) => error.field);
+}
+
+describe('validateBody', () => {
+  it('should accept a valid checkout body', () => {
+    expect(validateBody(validCheckout, SCHEMAS.checkout, redirectEnv)).toEqual([]);
+  });
+
+  it('should report every failing field', () => {
+    const errors = validateBody(
+      { ...validCheckout, amount: -5, currency: 'XYZ', email: 'not-an-email' },
+      SCHEMAS.checkout,
+      redirectEnv
+    );
+
+    expect(fieldsOf(errors)).toEqual(['email', 'amount', 'currency']);
+    expect(errors.every((error) => error.code === 'invalid')).toBe(true);
+  });
+
+  it('should reject fractional cents and amounts outside currency limits', () => {
+    expect(
+      fieldsOf(validateBody({ ...validCheckout, amount: 10.5 }, SCHEMAS.checkout, redirectEnv))
+    ).toEqual(['amount']);
+    expect(
+      validateBody({ ...validCheckout, amount: 20 }, SCHEMAS.checkout, redirectEnv)[0].message
+    ).toContain('at least 50 for USD');
+    expect(
+      fieldsOf(validateBody({ ...validCheckout, amount: 100000000 }, SCHEMAS.checkout, redirectEnv))
+    ).toEqual(['amount']);
+  });
+
+  it('should accept lower-case ISO currency codes', () => {
+    expect(
+      validateBody({ ...validCheckout, currency: 'eur' }, SCHEMAS.checkout, redirectEnv)
+    ).toEqual([]);
+  });
+
+  it('should reject script and plain-http redirect URLs', () => {
+    const errors = validateBody(
+      {
+        ...validCheckout,
+        successUrl: 'javascript:alert(1)',
+        cancelUrl: 'http://shop.example.com/cancel',
+      },
+      SCHEMAS.checkout,
+      redirectEnv
+    );
+
+    expect(fieldsOf(errors)).toEqual(['successUrl', 'cancelUrl']);
+  });
+
+  it('should allow http redirects to localhost', () => {
+    expect(
+      validateBody(
+        { ...validCheckout, successUrl: 'http://localhost:5173/ok' },
+        SCHEMAS.checkout,
+        redirectEnv
+      )
+    ).toEqual([]);
+  });
+
+  it('should enforce the redirect origin allowlist', () => {
+    const env = { ALLOWED_REDIRECT_ORIGINS: 'https://app.example.com, https://shop.example.com' };
+
+    expect(validateBody(validCheckout, SCHEMAS.checkout, env)).toEqual([]);
+    expect(
+      validateBody(
+        { ...validCheckout, successUrl: 'https://evil.example.net/success' },
+        SCHEMAS.checkout,
+        env
+      )[0]
+    ).toMatchObject({ field: 'successUrl', message: 'successUrl origin is not allowed' });
+  });
+
+  it('should only allow the INTERNAL_BACKEND_URL origin when no allowlist is set', () => {
+    const backend = { ...validCheckout, successUrl: 'https://backend.example.com/paid' };
+
+    expect(
+      fieldsOf(
+        validateBody(backend, SCHEMAS.checkout, {
+          INTERNAL_BACKEND_URL: 'https://backend.example.com',
+        })
+      )
+    ).toEqual(['cancelUrl']);
+    expect(fieldsOf(validateBody(backend, SCHEMAS.checkout))).toEqual(['successUrl', 'cancelUrl']);
+  });
+
+  it('should limit metadata size', () => {
+    const tooManyKeys = Object.fromEntries(
+      Array.from({ length: 21 }, (_, i) => [`key${i}`, 'value'])
+    );
+
+    expect(
+      fieldsOf(
+        validateBody({ ...validCheckout, metadata: tooManyKeys }, SCHEMAS.checkout, redirectEnv)
+      )
+    ).toEqual(['metadata']);
+    expect(
+      fieldsOf(
+        validateBody(
+          { ...validCheckout, metadata: { note: 'x'.repeat(501) } },
+          SCHEMAS.checkout,
+          redirectEnv
+        )
+      )
+    ).toEqual(['metadata']);
+    expect(
+      fieldsOf(
+        validateBody({ ...validCheckout, metadata: { nested: {} } }, SCHEMAS.checkout, redirectEnv)
+      )
+    ).toEqual(['metadata']);
+  });
+
+  it('should reject unknown fields', () => {
+    expect(validateBody({ ...validCheckout, admin: true }, SCHEMAS.checkout, redirectEnv)).toEqual([
+      { field: 'admin', code: 'unknown', message: 'admin is not a recognized field' },
+    ]);
+  });
+
+  it('should require either planId or priceId for subscriptions', () => {
+    const body = { provider: 'stripe', userId: 'user_123', email: 'test@example.com' };
+
+    expect(fieldsOf(validateBody(body, SCHEMAS.subscription))).toEqual(['planId', 'priceId']);
+    expect(validateBody({ ...body, priceId: 'price_1' }, SCHEMAS.subscription)).toEqual([]);
+  });
+
+  it('should reject non-object bodies', () => {
+    expect(validateBody([], SCHEMAS.refund)[0].field).toBe('body');
+  });
+});
+
+describe('Route validation', () => {
+  const mockEnv = {
+    SESSIONS: createMockKV(),
+    METRICS: createMockKV(),
+    INTERNAL_BACKEND_URL: 'https://test-backend.com',
+    ALLOWED_REDIRECT_ORIGINS: 'https://shop.example.com',
+  };
+
+  function jsonRequest(path, body) {
+    return new Request(`https://example.com${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body,
+    });
+  }
+
+  it('should return field-level errors without calling the provider', async () => {
+    global.fetch = vi.fn();
+
+    const response = await handleCheckout(
+      jsonRequest('/api/checkout', JSON.stringify({ ...validCheckout, amount: 0, email: 'x' })),
+      mockEnv,
+      createMockLogger()
+    );
+    const data = await response.json();
+
+    expect(response.status).toBe(400);
+    expect(data.error).toBe('Invalid request body');
+    expect(fieldsOf(data.errors)).toEqual(['email', 'amount']);
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  it('should return 400 for malformed JSON', async () => {
+    const response = await handleSubscriptionCreate(
+      jsonRequest('/api/subscription', '{not json'),
+      mockEnv,
+      createMockLogger()
+    );
+    const data = await response.json();
+
+    expect(response.status).toBe(400);
+    expect(data.errors[0].message).toBe('Request body must be valid JSON');
+  });
+});
@@ -0,0 +1,205 @@
+/**
+ * API explorer page
+ * A small Swagger-style page served at GET /docs: it lists the operations in
+ * the OpenAPI document by tag, shows their parameters and body schemas, and
+ * sends requests to this origin with the credentials typed into the page.
+ * It has no dependencies and builds its markup from DOM nodes, so nothing in
+ * the document is parsed as HTML.
+ */
+
+const EXPLORER_SCRIPT = `
+const SPEC_URL = document.currentScript.dataset.spec;
+
+function el(tag, props, ...children) {
+  const node = Object.assign(document.createElement(tag), props);
+  node.append(...children);
+  return node;
+}
+
+function refName(ref) {
+  return ref.split('/').pop();
+}
+
+// Skeleton body with the required fields, for the request editor
+function skeleton(schema) {
+  const body = {};
+  for (const field of schema.required || []) {
+    const property = schema.properties[field];
+    if (property.enum) body[field] = property.enum[0];
+    else if (property.type === 'integer' || property.type === 'number') body[field] = 0;
+    else if (property.type === 'boolean') body[field] = false;
+    else if (property.type === 'array') body[field] = [];
+    else if (property.type === 'object') body[field] = {};
+    else body[field] = '';
+  }
+  return body;
+}
+
+function credentialsLabel(operation) {
+  if (operation.security.length === 0) return 'No API credentials';
+  return 'Credentials: ' + operation.security.map((requirement) => Object.keys(requirement)[0]).join(' or ');
+}
+
+async function send(path, method, inputs, bodyInput, output) {
+  let url = path;
+  const query = new URLSearchParams();
+  const headers = {};
+
+  for (const { parameter, input } of inputs) {
+    if (input.value === '') continue;
+    if (parameter.in === 'path') url = url.replace('{' + parameter.name + '}', encodeURIComponent(input.value));
+    if (parameter.in === 'query') query.set(parameter.name, input.value);
+    if (parameter.in === 'header') headers[parameter.name] = input.value;
+  }
+  if (query.toString()) url += '?' + query;
+
+  const token = document.getElementById('token').value;
+  const apiKey = document.getElementById('apiKey').value;
+  if (token) headers.Authorization = 'Bearer ' + token;
+  if (apiKey) headers['X-API-Key'] = apiKey;
+  if (bodyInput) headers['Content-Type'] = 'application/json';
+
+  output.textContent = 'Sending…';
+  try {
+    const response = await fetch(url, {
+      method: method.toUpperCase(),
+      headers,
+      body: bodyInput ? bodyInput.value : undefined,
+    });
+    let text = await response.text();
+    try {
+      text = JSON.stringify(JSON.parse(text), null, 2);
+    } catch {
+      // Not JSON; show as is
+    }
+    output.textContent = response.status + ' ' + response.statusText + '\\n\\n' + text;
+  } catch (error) {
+    output.textContent = error.message;
+  }
+}
+
+function renderOperation(spec, path, method, operation) {
+  const inputs = [];
+  const body = el('div', { className: 'body' });
+
+  if (operation.description) body.append(el('p', { textContent: operation.description }));
+  body.append(el('p', { className: 'auth', textContent: credentialsLabel(operation) }));
+
+  for (const reference of operation.parameters || []) {
+    const parameter = reference.$ref ? spec.components.parameters[refName(reference.$ref)] : reference;
+    const input = el('input', { placeholder: parameter.description || '' });
+    inputs.push({ parameter, input });
+    body.append(el('label', { textContent: parameter.name + ' (' + parameter.in + ')' }, input));
+  }
+
+  let bodyInput = null;
+  const content = operation.requestBody && operation.requestBody.content['application/json'];
+  if (content) {
+    const schema = spec.components.schemas[refName(content.schema.$ref)];
+    bodyInput = el('textarea', { rows: 8, value: JSON.stringify(skeleton(schema), null, 2) });
+    body.append(
+      el('label', { textContent: refName(content.schema.$ref) }, bodyInput),
+      el('details', {}, el('summary', { textContent: 'Schema' }), el('pre', { textContent: JSON.stringify(schema, null, 2) }))
+    );
+  }
+
+  const output = el('pre');
+  const button = el('button', { type: 'button', textContent: 'Send' });
+  button.addEventListener('click', () => send(path, method, inputs, bodyInput, output));
+  body.append(button, output);
+
+  return el(
+    'details',
+    {},
+    el(
+      'summary',
+      {},
+      el('span', { className: 'method ' + method, textContent: method.toUpperCase() }),
+      el('span', { className: 'path', textContent: path }),
+      el('span', { textContent: operation.summary })
+    ),
+    body
+  );
+}
+
+async function main() {
+  const main = document.getElementById('operations');
+  try {
+    const spec = await (await fetch(SPEC_URL)).json();
+    document.title = spec.info.title;
+    main.replaceChildren(el('p', { textContent: spec.info.description }));
+
+    for (const { name } of spec.tags) {
+      main.append(el('h2', { textContent: name }));
+      for (const [path, methods] of Object.entries(spec.paths)) {
+        for (const [method, operation] of Object.entries(methods)) {
+          if (operation.tags[0] === name) main.append(renderOperation(spec, path, method, operation));
+        }
+      }
+    }
+  } catch (error) {
+    main.textContent = 'Could not load ' + SPEC_URL + ': ' + error.message;
+  }
+}
+
+main();
+`;
+
+const EXPLORER_STYLE = `
+body { font-family: system-ui, sans-serif; margin: 0 auto; max-width: 960px; padding: 1rem; color: #1f2933; }
+header { display: flex; gap: 1rem; align-items: end; }
+h1 { flex: 1; margin: 0; }
+h2 { margin-top: 1.5rem; border-bottom: 1px solid #d9e2ec; }
+details { border: 1px solid #d9e2ec; border-radius: 4px; margin: 0.5rem 0; }
+summary { cursor: pointer; padding: 0.5rem; display: flex; gap: 0.75rem; align-items: center; }
+.method { min-width: 4rem; padding: 0.15rem 0.4rem; border-radius: 3px; color: #fff; font-weight: bold; text-align: center; }
+.get { background: #2f80ed; }
+.post { background: #27ae60; }
+.put, .patch { background: #f2994a; }
+.delete { background: #eb5757; }
+.path { font-family: monospace; }
+.auth { color: #52606d; font-size: 0.9rem; }
+.body { padding: 0 1rem 1rem; }
+.body details summary { padding: 0.25rem; }
+label { display: block; margin: 0.5rem 0; font-size: 0.9rem; }
+input, textarea { display: block; width: 100%; box-sizing: border-box; padding: 0.3rem; font: inherit; }
+textarea, pre { font-family: monospace; font-size: 0.85rem; }
+pre { background: #f5f7fa; padding: 0.5rem; overflow: auto; max-height: 24rem; }
+`;
+
+/**
+ * Escape a value for an HTML attribute
+ * @param {string} value - Attribute value
+ * @returns {string}
+ */
+function escapeAttribute(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+}
+
+/**
+ * Render the explorer page
+ * @param {string} specUrl - URL of the OpenAPI document
+ * @param {string} nonce - CSP nonce allowing the page's inline script and style
+ * @returns {string} HTML
+ */
+export function renderApiExplorer(specUrl, nonce) {
+  return `<!doctype html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <title>API explorer</title>
+    <style nonce="${escapeAttribute(nonce)}">${EXPLORER_STYLE}</style>
+  </head>
+  <body>
+    <header>
+      <h1>API explorer</h1>
+      <label>Bearer token <input id="token" type="password" autocomplete="off"></label>
+      <label>API key <input id="apiKey" type="password" autocomplete="off"></label>
+    </header>
+    <main id="operations">Loading…</main>
+    <script nonce="${escapeAttribute(nonce)}" data-spec="${escapeAttribute(specUrl)}">${EXPLORER_SCRIPT}</script>
+  </body>
+</html>
+`;
+}
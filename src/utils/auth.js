@@ -0,0 +1,258 @@
+/**
+ * Request authentication for the public API routes
+ * Supports API keys and HMAC-signed requests for server callers, and JWTs
+ * issued by our own backend for end users.
+ */
+
+import { verifyHmacSignature, compareSignatures, isTimestampValid } from './webhook.js';
+
+/**
+ * Allowed clock skew in seconds when checking JWT exp/nbf claims
+ */
+const JWT_CLOCK_SKEW = 60;
+
+/**
+ * Parse a `name:secret,name:secret` list from an env variable
+ * @param {string} value - Raw env value
+ * @returns {Array<{name: string, secret: string}>}
+ */
+function parseCredentialList(value) {
+  if (!value) return [];
+
+  return value
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const separator = entry.indexOf(':');
+      return separator === -1
+        ? { name: 'default', secret: entry }
+        : { name: entry.slice(0, separator), secret: entry.slice(separator + 1) };
+    });
+}
+
+/**
+ * Decode a base64url string into bytes
+ * @param {string} input - base64url encoded string
+ * @returns {Uint8Array}
+ */
+function base64UrlDecode(input) {
+  const base64 = input.replace(/-/g, '+').replace(/_/g, '/');
+  const padded = base64 + '='.repeat((4 - (base64.length % 4)) % 4);
+  const binary = atob(padded);
+  return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+}
+
+/**
+ * Decode a base64url JSON segment
+ * @param {string} segment - base64url encoded JSON
+ * @returns {object}
+ */
+function decodeJsonSegment(segment) {
+  return JSON.parse(new TextDecoder().decode(base64UrlDecode(segment)));
+}
+
+/**
+ * API key authentication for server callers
+ * Keys are read from the `X-API-Key` header and configured in `API_KEYS`
+ * as a comma separated list of `name:key` pairs.
+ */
+export const apiKeyAuthenticator = {
+  name: 'apiKey',
+
+  canHandle(request) {
+    return request.headers.has('x-api-key');
+  },
+
+  async authenticate(request, env) {
+    const key = request.headers.get('x-api-key');
+    const match = parseCredentialList(env.API_KEYS).find((entry) =>
+      compareSignatures(key, entry.secret)
+    );
+
+    if (!match) return null;
+
+    return { type: 'apiKey', clientId: match.name, userId: null, trusted: true };
+  },
+};
+
+/**
+ * HMAC-signed request authentication for server callers
+ * The client sends `X-Client-Id`, `X-Signature-Timestamp` and `X-Signature`, where the
+ * signature is the hex HMAC-SHA256 of `${timestamp}.${METHOD}.${path+query}.${body}`
+ * using the client's secret from `HMAC_SECRETS` (`clientId:secret` pairs).
+ */
+export const hmacAuthenticator = {
+  name: 'hmac',
+
+  canHandle(request) {
+    return request.headers.has('x-signature');
+  },
+
+  async authenticate(request, env) {
+    const clientId = request.headers.get('x-client-id') || 'default';
+    const timestamp = request.headers.get('x-signature-timestamp');
+    const signature = request.headers.get('x-signature');
+
+    const client = parseCredentialList(env.HMAC_SECRETS).find((entry) => entry.name === clientId);
+
+    if (!client || !timestamp) return null;
+
+    if (!isTimestampValid(parseInt(timestamp), parseInt(env.HMAC_TOLERANCE || '300'))) {
+      return null;
+    }
+
+    const url = new URL(request.url);
+    const body = await request.clone().text();
+    const signedPayload = `${timestamp}.${request.method}.${url.pathname}${url.search}.${body}`;
+
+    const isValid = await verifyHmacSignature(signedPayload, signature, client.secret);
+    if (!isValid) return null;
+
+    return { type: 'hmac', clientId: client.name, userId: null, trusted: true };
+  },
+};
+
+/**
+ * Import the key used to verify a JWT signature
+ * HS256 uses `JWT_SECRET`; RS256 uses the key with the matching `kid` in `JWT_JWKS`.
+ * @param {object} header - Decoded JWT header
+ * @param {object} env - Environment variables
+ * @returns {Promise<{key: CryptoKey, algorithm: object}|null>}
+ */
+async function importJwtKey(header, env) {
+  if (header.alg === 'HS256' && env.JWT_SECRET) {
+    const key = await crypto.subtle.importKey(
+      'raw',
+      new TextEncoder().encode(env.JWT_SECRET),
+      { name: 'HMAC', hash: 'SHA-256' },
+      false,
+      ['verify']
+    );
+    return { key, algorithm: { name: 'HMAC' } };
+  }
+
+  if (header.alg === 'RS256' && env.JWT_JWKS) {
+    const jwks = typeof env.JWT_JWKS === 'string' ? JSON.parse(env.JWT_JWKS) : env.JWT_JWKS;
+    const jwk = (jwks.keys || []).find(
+      (candidate) => candidate.kty === 'RSA' && (!header.kid || candidate.kid === header.kid)
+    );
+
+    if (!jwk) return null;
+
+    const algorithm = { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' };
+    const key = await crypto.subtle.importKey(
+      'jwk',
+      { kty: jwk.kty, n: jwk.n, e: jwk.e, alg: 'RS256', ext: true },
+      algorithm,
+      false,
+      ['verify']
+    );
+    return { key, algorithm };
+  }
+
+  return null;
+}
+
+/**
+ * Verify a JWT and return its claims
+ * @param {string} token - Compact JWT
+ * @param {object} env - Environment variables
+ * @returns {Promise<object|null>} Claims, or null if the token is invalid
+ */
+export async function verifyJwt(token, env) {
+  try {
+    const [headerSegment, payloadSegment, signatureSegment] = token.split('.');
+    if (!headerSegment || !payloadSegment || !signatureSegment) return null;
+
+    const header = decodeJsonSegment(headerSegment);
+    const imported = await importJwtKey(header, env);
+    if (!imported) return null;
+
+    const isValid = await crypto.subtle.verify(
+      imported.algorithm,
+      imported.key,
+      base64UrlDecode(signatureSegment),
+      new TextEncoder().encode(`${headerSegment}.${payloadSegment}`)
+    );
+    if (!isValid) return null;
+
+    const claims = decodeJsonSegment(payloadSegment);
+    const now = Math.floor(Date.now() / 1000);
+
+    // Tokens without an expiry would stay valid forever once leaked
+    if (typeof claims.exp !== 'number' || now > claims.exp + JWT_CLOCK_SKEW) return null;
+    if (claims.nbf !== undefined && now < claims.nbf - JWT_CLOCK_SKEW) return null;
+    if (env.JWT_ISSUER && claims.iss !== env.JWT_ISSUER) return null;
+    if (env.JWT_AUDIENCE) {
+      const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+      if (!audiences.includes(env.JWT_AUDIENCE)) return null;
+    }
+
+    return claims;
+  } catch (error) {
+    console.error('JWT verification failed:', error);
+    return null;
+  }
+}
+
+/**
+ * JWT bearer authentication for end users
+ * The verified `sub` claim becomes the caller's userId.
+ */
+export const jwtAuthenticator = {
+  name: 'jwt',
+
+  canHandle(request) {
+    return (request.headers.get('authorization') || '').startsWith('Bearer ');
+  },
+
+  async authenticate(request, env) {
+    const token = request.headers.get('authorization').slice('Bearer '.length).trim();
+    const claims = await verifyJwt(token, env);
+
+    if (!claims || !claims.sub) return null;
+
+    return { type: 'jwt', userId: String(claims.sub), claims, trusted: false };
+  },
+};
+
+/**
+ * Authenticators tried in order; the first one that recognises the request decides
+ */
+export const defaultAuthenticators = [apiKeyAuthenticator, hmacAuthenticator, jwtAuthenticator];
+
+/**
+ * Authenticate a request
+ * @param {Request} request - Incoming request
+ * @param {object} env - Environment variables
+ * @param {Array<object>} authenticators - Authenticators to try
+ * @returns {Promise<{principal: object|null, error: string|null}>}
+ */
+export async function authenticateRequest(request, env, authenticators = defaultAuthenticators) {
+  const authenticator = authenticators.find((candidate) => candidate.canHandle(request));
+
+  if (!authenticator) {
+    return { principal: null, error: 'Authentication required' };
+  }
+
+  const principal = await authenticator.authenticate(request, env);
+
+  if (!principal) {
+    return { principal: null, error: 'Invalid credentials' };
+  }
+
+  return { principal, error: null };
+}
+
+/**
+ * Check whether a principal may act on a resource owned by userId
+ * Server callers (API key, HMAC) are trusted to act for any user.
+ * @param {object} principal - Authenticated principal
+ * @param {string} userId - Owner of the resource
+ * @returns {boolean}
+ */
+export function canAccessUser(principal, userId) {
+  if (!principal) return true;
+  return principal.trusted || principal.userId === userId;
+}
@@ -0,0 +1,207 @@
+/**
+ * Product and price catalog
+ * Products (one-time purchases, referenced by `sku`) and plans (recurring
+ * prices, referenced by `planKey`) are defined once in the CATALOG namespace
+ * and mapped to each provider's own price or plan IDs. Checkout and
+ * subscription requests that reference them are priced on the server, so
+ * clients cannot choose their own amounts.
+ */
+
+/**
+ * Catalog entry kinds by admin route segment
+ */
+export const CATALOG_KINDS = {
+  products: { prefix: 'product:', keyField: 'sku' },
+  plans: { prefix: 'plan:', keyField: 'planKey' },
+};
+
+/**
+ * Allowed SKU and plan key format
+ */
+export const CATALOG_KEY_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_.-]{0,63}$/;
+
+/**
+ * Check whether a string can be used as a SKU or plan key
+ * @param {string} key - Candidate key
+ * @returns {boolean}
+ */
+export function isValidCatalogKey(key) {
+  return typeof key === 'string' && CATALOG_KEY_PATTERN.test(key);
+}
+
+/**
+ * Get a catalog entry
+ * @param {object} env - Environment variables
+ * @param {string} kind - 'products' or 'plans'
+ * @param {string} key - SKU or plan key
+ * @returns {Promise<object|null>}
+ */
+export async function getCatalogEntry(env, kind, key) {
+  return env.CATALOG.get(`${CATALOG_KINDS[kind].prefix}${key}`, 'json');
+}
+
+/**
+ * Create or replace a catalog entry
+ * @param {object} env - Environment variables
+ * @param {string} kind - 'products' or 'plans'
+ * @param {string} key - SKU or plan key
+ * @param {object} fields - Validated entry fields
+ * @returns {Promise<object>} Stored entry
+ */
+export async function putCatalogEntry(env, kind, key, fields) {
+  const { prefix, keyField } = CATALOG_KINDS[kind];
+  const existing = await getCatalogEntry(env, kind, key);
+  const now = new Date().toISOString();
+
+  const entry = {
+    [keyField]: key,
+    ...fields,
+    currency: fields.currency.toUpperCase(),
+    providerIds: fields.providerIds || {},
+    active: fields.active ?? true,
+    createdAt: existing?.createdAt || now,
+    updatedAt: now,
+  };
+
+  await env.CATALOG.put(`${prefix}${key}`, JSON.stringify(entry));
+  return entry;
+}
+
+/**
+ * Delete a catalog entry
+ * Sessions keep their own copy of what was sold, so deleting is safe.
+ * @param {object} env - Environment variables
+ * @param {string} kind - 'products' or 'plans'
+ * @param {string} key - SKU or plan key
+ */
+export async function deleteCatalogEntry(env, kind, key) {
+  await env.CATALOG.delete(`${CATALOG_KINDS[kind].prefix}${key}`);
+}
+
+/**
+ * List every entry of a kind
+ * @param {object} env - Environment variables
+ * @param {string} kind - 'products' or 'plans'
+ * @returns {Promise<object[]>}
+ */
+export async function listCatalogEntries(env, kind) {
+  const { prefix } = CATALOG_KINDS[kind];
+  const names = [];
+  let cursor;
+
+  do {
+    const page = await env.CATALOG.list({ prefix, cursor });
+    names.push(...page.keys.map((key) => key.name));
+    cursor = page.list_complete ? null : page.cursor;
+  } while (cursor);
+
+  const entries = await Promise.all(names.map((name) => env.CATALOG.get(name, 'json')));
+  return entries.filter(Boolean);
+}
+
+/**
+ * Check whether checkouts and subscriptions must reference the catalog
+ * @param {object} env - Environment variables
+ * @returns {boolean}
+ */
+export function isCatalogRequired(env) {
+  return env.CATALOG_REQUIRED === 'true';
+}
+
+/**
+ * Replace SKU references in a checkout body with catalog prices
+ * A top-level `sku` is shorthand for a single line item. Resolved items keep
+ * their SKU and carry the product's provider IDs for the adapters. Only
+ * trusted callers may add a discount or tax to SKU orders, and nobody may
+ * when the catalog is required.
+ * @param {object} env - Environment variables
+ * @param {object} body - Validated checkout body
+ * @param {boolean} trusted - Whether the caller is a trusted server
+ * @returns {Promise<{body: object, errors: Array<{field: string, code: string, message: string}>}>}
+ */
+export async function resolveCheckoutItems(env, body, trusted) {
+  const { sku, ...rest } = body;
+  const items = sku ? [{ sku }] : body.items;
+  const references = (items || []).filter((item) => item.sku);
+
+  if (isCatalogRequired(env) && (!items || references.length < items.length)) {
+    const field = items ? 'items' : 'amount';
+    return {
+      body,
+      errors: [{ field, code: 'invalid', message: `${field} must reference catalog SKUs` }],
+    };
+  }
+
+  if (references.length > 0 && (!trusted || isCatalogRequired(env))) {
+    const adjustments = ['discount', 'tax'].filter((field) => body[field]);
+    if (adjustments.length > 0) {
+      return {
+        body,
+        errors: adjustments.map((field) => ({
+          field,
+          code: 'invalid',
+          message: `${field} is not accepted for catalog SKUs`,
+        })),
+      };
+    }
+  }
+
+  if (references.length === 0) {
+    return { body, errors: [] };
+  }
+
+  const products = await Promise.all(
+    items.map((item) => item.sku && getCatalogEntry(env, 'products', item.sku))
+  );
+  const errors = [];
+  let currency = body.currency?.toUpperCase();
+
+  const resolved = items.map((item, index) => {
+    const product = products[index];
+    if (!item.sku) {
+      return item;
+    }
+
+    const field = sku ? 'sku' : `items[${index}].sku`;
+    if (!product?.active) {
+      errors.push({ field, code: 'invalid', message: `${field} is not an available product` });
+      return item;
+    }
+
+    currency ??= product.currency;
+    if (product.currency !== currency) {
+      errors.push({
+        field,
+        code: 'invalid',
+        message: `${field} is priced in ${product.currency}, not ${currency}`,
+      });
+    }
+
+    return {
+      sku: product.sku,
+      name: product.name,
+      unitAmount: product.unitAmount,
+      quantity: item.quantity ?? 1,
+      providerIds: product.providerIds,
+    };
+  });
+
+  return { body: { ...rest, currency, items: resolved }, errors };
+}
+
+/**
+ * Resolve a subscription plan to the selected provider's plan or price ID
+ * @param {object} env - Environment variables
+ * @param {string} planKey - Plan key
+ * @param {string} provider - Provider name
+ * @returns {Promise<{plan: object|null, providerId: string|null}>}
+ */
+export async function resolvePlan(env, planKey, provider) {
+  const plan = await getCatalogEntry(env, 'plans', planKey);
+
+  if (!plan?.active) {
+    return { plan: null, providerId: null };
+  }
+
+  return { plan, providerId: plan.providerIds[provider.toLowerCase()] || null };
+}
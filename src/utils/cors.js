@@ -0,0 +1,152 @@
+/**
+ * CORS policy
+ * Browsers may call the API from the origins in CORS_ALLOWED_ORIGINS: exact
+ * origins (`https://app.example.com`), wildcard subdomains
+ * (`https://*.example.com`, which does not match the apex domain) or `*` for
+ * any origin. Allowed origins are echoed back rather than answered with `*`,
+ * so credentialed requests work when CORS_ALLOW_CREDENTIALS is `true`.
+ * Without CORS_ALLOWED_ORIGINS no origin is allowed.
+ */
+
+/**
+ * Request headers browsers may send
+ */
+const ALLOWED_HEADERS = [
+  'Content-Type',
+  'Authorization',
+  'Idempotency-Key',
+  'X-Request-Id',
+  'traceparent',
+  'tracestate',
+];
+
+/**
+ * Response headers browsers may read, before CORS_EXPOSED_HEADERS
+ */
+const EXPOSED_HEADERS = [
+  'X-Request-Id',
+  'Retry-After',
+  'RateLimit-Limit',
+  'RateLimit-Remaining',
+  'RateLimit-Reset',
+  'RateLimit-Policy',
+];
+
+const DEFAULT_MAX_AGE_SECONDS = 86400;
+
+/**
+ * Split a comma separated setting
+ * @param {string} value - Setting value
+ * @returns {string[]}
+ */
+function parseList(value) {
+  return (value || '')
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Check an origin against one CORS_ALLOWED_ORIGINS entry
+ * @param {URL} origin - Request origin
+ * @param {string} pattern - Allowed origin, possibly with a `*.` subdomain wildcard
+ * @returns {boolean}
+ */
+function matchesOrigin(origin, pattern) {
+  if (pattern === '*') return true;
+
+  const wildcard = pattern.includes('://*.');
+  let allowed;
+  try {
+    allowed = new URL(pattern.replace('://*.', '://'));
+  } catch {
+    return false;
+  }
+
+  if (allowed.protocol !== origin.protocol || allowed.port !== origin.port) {
+    return false;
+  }
+  return wildcard
+    ? origin.hostname.endsWith(`.${allowed.hostname}`)
+    : origin.hostname === allowed.hostname;
+}
+
+/**
+ * Check whether browsers on an origin may call the API
+ * @param {string|null} origin - `Origin` request header
+ * @param {object} env - Environment variables
+ * @returns {boolean}
+ */
+export function isOriginAllowed(origin, env) {
+  if (!origin || origin === 'null') return false;
+
+  let parsed;
+  try {
+    parsed = new URL(origin);
+  } catch {
+    return false;
+  }
+
+  return parseList(env.CORS_ALLOWED_ORIGINS).some((pattern) => matchesOrigin(parsed, pattern));
+}
+
+/**
+ * CORS headers for a response to an actual (non-preflight) request
+ * Responses always vary by origin; the other headers are only sent to allowed origins.
+ * @param {Request} request - Incoming request
+ * @param {object} env - Environment variables
+ * @returns {object} Headers
+ */
+export function corsHeaders(request, env) {
+  const origin = request.headers.get('Origin');
+
+  if (!isOriginAllowed(origin, env)) {
+    return { Vary: 'Origin' };
+  }
+
+  return {
+    'Access-Control-Allow-Origin': origin,
+    ...(env.CORS_ALLOW_CREDENTIALS === 'true' && { 'Access-Control-Allow-Credentials': 'true' }),
+    'Access-Control-Expose-Headers': [
+      ...EXPOSED_HEADERS,
+      ...parseList(env.CORS_EXPOSED_HEADERS),
+    ].join(', '),
+    Vary: 'Origin',
+  };
+}
+
+/**
+ * Check a CORS preflight against the policy and the route's methods
+ * @param {Request} request - OPTIONS request
+ * @param {object} env - Environment variables
+ * @param {string[]|null} methods - Methods the requested route accepts, including OPTIONS
+ *   (null for unknown routes)
+ * @returns {{status: number, error: string|null, headers: object}} status 204 when allowed
+ */
+export function checkPreflight(request, env, methods) {
+  const origin = request.headers.get('Origin');
+  const requestedMethod = request.headers.get('Access-Control-Request-Method');
+
+  if (!methods) {
+    return { status: 404, error: 'Endpoint not found', headers: { Vary: 'Origin' } };
+  }
+  if (!isOriginAllowed(origin, env)) {
+    return { status: 403, error: 'Origin not allowed', headers: { Vary: 'Origin' } };
+  }
+  if (requestedMethod && !methods.includes(requestedMethod)) {
+    return { status: 403, error: 'Method not allowed', headers: { Vary: 'Origin' } };
+  }
+
+  return {
+    status: 204,
+    error: null,
+    headers: {
+      'Access-Control-Allow-Origin': origin,
+      'Access-Control-Allow-Methods': methods.join(', '),
+      'Access-Control-Allow-Headers': ALLOWED_HEADERS.join(', '),
+      ...(env.CORS_ALLOW_CREDENTIALS === 'true' && { 'Access-Control-Allow-Credentials': 'true' }),
+      'Access-Control-Max-Age': String(parseInt(env.CORS_MAX_AGE || DEFAULT_MAX_AGE_SECONDS)),
+      Vary: 'Origin',
+    },
+  };
+}
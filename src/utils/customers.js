@@ -0,0 +1,104 @@
+/**
+ * Customer records
+ * Each of our users is linked to a customer at every provider they pay with
+ * (a Paddle customer, a Stripe customer, a PayPal vault customer). The links
+ * live in the CUSTOMERS namespace and never expire, so repeat purchases and
+ * saved payment methods stay with the same provider customer.
+ */
+
+const RECORD_PREFIX = 'customer:';
+
+/**
+ * Providers whose webhooks report the customer IDs we link
+ * PayPal events carry payer IDs, which are not vault customer IDs; PayPal
+ * customers are linked from the capture instead.
+ */
+const EVENT_LINKED_PROVIDERS = ['paddle', 'stripe'];
+
+/**
+ * Get a user's customer record
+ * @param {object} env - Environment variables
+ * @param {string} userId - Our user identifier
+ * @returns {Promise<object|null>} { userId, email, customerIds: { [provider]: id }, createdAt, updatedAt }
+ */
+export async function getCustomerRecord(env, userId) {
+  return env.CUSTOMERS.get(`${RECORD_PREFIX}${userId}`, 'json');
+}
+
+/**
+ * Link a provider customer to a user
+ * An existing link for the provider is kept, so a late event cannot move the
+ * user to another customer.
+ * @param {object} env - Environment variables
+ * @param {string} userId - Our user identifier
+ * @param {string} provider - Provider name
+ * @param {string} customerId - Provider customer ID
+ * @param {string} [email] - Email the customer was created with
+ * @returns {Promise<{record: object, linked: boolean}>}
+ */
+export async function linkProviderCustomer(env, userId, provider, customerId, email) {
+  const existing = await getCustomerRecord(env, userId);
+  if (existing?.customerIds[provider]) {
+    return { record: existing, linked: false };
+  }
+
+  const now = new Date().toISOString();
+  const record = {
+    userId,
+    email: existing?.email || email || null,
+    customerIds: { ...existing?.customerIds, [provider]: customerId },
+    createdAt: existing?.createdAt || now,
+    updatedAt: now,
+  };
+
+  await env.CUSTOMERS.put(`${RECORD_PREFIX}${userId}`, JSON.stringify(record));
+  return { record, linked: true };
+}
+
+/**
+ * Get the user's customer at an adapter's provider, creating it on first use
+ * @param {object} env - Environment variables
+ * @param {object} adapter - Provider adapter
+ * @param {object} customer - { userId, email, idempotencyKey }
+ * @returns {Promise<string|null>} Provider customer ID, or null when the
+ *   provider only creates customers with the first saved payment method
+ */
+export async function resolveProviderCustomer(env, adapter, { userId, email, idempotencyKey }) {
+  const provider = adapter.getName();
+  const record = await getCustomerRecord(env, userId);
+
+  if (record?.customerIds[provider]) {
+    return record.customerIds[provider];
+  }
+
+  const created = await adapter.createCustomer({ userId, email, idempotencyKey });
+  if (!created) {
+    return null;
+  }
+
+  await linkProviderCustomer(env, userId, provider, created.customerId, email);
+  return created.customerId;
+}
+
+/**
+ * Link the customer a normalized webhook event reports to the event's user
+ * @param {object} env - Environment variables
+ * @param {object|null} normalized - Normalized event
+ * @returns {Promise<{userId: string, customerId: string, linked: boolean}|null>}
+ */
+export async function applyCustomerEvent(env, normalized) {
+  if (!normalized || !EVENT_LINKED_PROVIDERS.includes(normalized.provider)) return null;
+
+  const { userId, customer } = normalized.data;
+  const customerId = customer.providerCustomerId;
+  if (!userId || !customerId) return null;
+
+  const { linked } = await linkProviderCustomer(
+    env,
+    userId,
+    normalized.provider,
+    customerId,
+    customer.email
+  );
+  return { userId, customerId, linked };
+}
@@ -0,0 +1,73 @@
+/**
+ * Canonical cross-provider webhook event vocabulary
+ * Adapters map their raw provider events into this schema so the backend can
+ * handle every provider with a single switch.
+ */
+
+/**
+ * Canonical event types
+ */
+export const EVENT_TYPES = {
+  PAYMENT_PENDING: 'payment.pending',
+  PAYMENT_AUTHORIZED: 'payment.authorized',
+  PAYMENT_SUCCEEDED: 'payment.succeeded',
+  PAYMENT_FAILED: 'payment.failed',
+  PAYMENT_EXPIRED: 'payment.expired',
+  REFUND_SUCCEEDED: 'refund.succeeded',
+  REFUND_FAILED: 'refund.failed',
+  SUBSCRIPTION_CREATED: 'subscription.created',
+  SUBSCRIPTION_ACTIVATED: 'subscription.activated',
+  SUBSCRIPTION_RENEWED: 'subscription.renewed',
+  SUBSCRIPTION_UPDATED: 'subscription.updated',
+  SUBSCRIPTION_PAUSED: 'subscription.paused',
+  SUBSCRIPTION_RESUMED: 'subscription.resumed',
+  SUBSCRIPTION_CANCELED: 'subscription.canceled',
+  SUBSCRIPTION_PAST_DUE: 'subscription.past_due',
+  DISPUTE_OPENED: 'dispute.opened',
+  DISPUTE_CLOSED: 'dispute.closed',
+};
+
+/**
+ * Build a normalized event
+ * @param {object} event - Verified provider event ({ eventId, eventType, rawPayload })
+ * @param {string} provider - Provider name
+ * @param {string} type - Canonical event type from EVENT_TYPES
+ * @param {object} fields - Normalized payload fields
+ * @param {number|null} [fields.amount] - Amount in minor units (cents)
+ * @param {string|null} [fields.currency] - ISO 4217 currency code (upper case)
+ * @param {object} [fields.customer] - { email, providerCustomerId }
+ * @param {string|null} [fields.userId] - Our user identifier
+ * @param {string|null} [fields.sessionId] - Our checkout session ID (provider checkout/order ID)
+ * @param {string|null} [fields.subscriptionId] - Provider subscription ID
+ * @param {object|null} [fields.subscription] - Provider-neutral subscription state (see
+ *   ProviderAdapter#getSubscription), when the event carries the subscription itself
+ * @param {object} [fields.refs] - Other provider references (transaction, capture, refund IDs...)
+ * @param {string} [fields.occurredAt] - ISO timestamp of the provider event
+ * @returns {object} Normalized event
+ */
+export function createNormalizedEvent(event, provider, type, fields = {}) {
+  return {
+    type,
+    provider,
+    providerEventId: event.eventId,
+    providerEventType: event.eventType,
+    occurredAt: fields.occurredAt || new Date().toISOString(),
+    data: {
+      amount: Number.isFinite(fields.amount) ? fields.amount : null,
+      currency: fields.currency ? fields.currency.toUpperCase() : null,
+      customer: {
+        email: fields.customer?.email || null,
+        providerCustomerId: fields.customer?.providerCustomerId || null,
+      },
+      userId: fields.userId || null,
+      sessionId: fields.sessionId || null,
+      subscriptionId: fields.subscriptionId || null,
+      subscription: fields.subscription || null,
+      refs: Object.fromEntries(
+        Object.entries(fields.refs || {}).filter(
+          ([, value]) => value !== undefined && value !== null
+        )
+      ),
+    },
+  };
+}
@@ -0,0 +1,174 @@
+/**
+ * Idempotency-Key support for creation endpoints
+ * Stores a fingerprint of the request and the response in KV so that client
+ * retries replay the original response instead of creating a second transaction.
+ */
+
+import { errorResponse, jsonResponse } from './response.js';
+import { countMetric } from './telemetry.js';
+
+/**
+ * How long completed responses are replayed (24 hours)
+ */
+const RESPONSE_TTL = 86400;
+
+/**
+ * How long an in-flight request blocks the key (KV minimum TTL). A worker that
+ * dies mid-request releases the key when this expires.
+ */
+const IN_FLIGHT_TTL = 60;
+
+/**
+ * Maximum accepted length of an Idempotency-Key header
+ */
+const MAX_KEY_LENGTH = 255;
+
+/**
+ * Serialize a value with sorted object keys so equivalent bodies match
+ * @param {*} value - Value to serialize
+ * @returns {string}
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Hex-encoded SHA-256 digest
+ * @param {string} input - Input string
+ * @returns {Promise<string>}
+ */
+async function sha256(input) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(input));
+  return Array.from(new Uint8Array(digest))
+    .map((b) => b.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+/**
+ * Fingerprint a request body
+ * @param {string} method - HTTP method
+ * @param {string} path - Request path
+ * @param {string} body - Raw request body
+ * @returns {Promise<string>}
+ */
+export async function fingerprintRequest(method, path, body) {
+  let normalizedBody = body;
+  try {
+    normalizedBody = canonicalJson(JSON.parse(body));
+  } catch {
+    // Not JSON - fingerprint the raw body
+  }
+  return sha256(`${method}\n${path}\n${normalizedBody}`);
+}
+
+/**
+ * Build the idempotency scope for a route and caller, so keys from different
+ * callers never collide
+ * @param {string} routeName - Route identifier (e.g. 'checkout')
+ * @param {object|null} principal - Authenticated principal
+ * @returns {string}
+ */
+export function idempotencyScope(routeName, principal) {
+  const caller = principal?.clientId || principal?.userId || 'anonymous';
+  return `${routeName}:${caller}`;
+}
+
+/**
+ * Run a handler with Idempotency-Key semantics
+ * - No header: the handler runs as usual
+ * - First use: the handler runs and its (non-5xx) response is stored
+ * - Replay with the same body: the stored response is returned
+ * - Replay with a different body: 422
+ * - Replay while the first request is still running: 409
+ * @param {Request} request - Incoming request
+ * @param {object} env - Environment variables
+ * @param {object} logger - Logger instance
+ * @param {string} scope - Scope from idempotencyScope()
+ * @param {function(string|null): Promise<Response>} handler - Receives the key to pass upstream
+ * @returns {Promise<Response>}
+ */
+export async function withIdempotency(request, env, logger, scope, handler) {
+  const key = request.headers.get('Idempotency-Key');
+
+  if (!key) {
+    return handler(null);
+  }
+
+  if (key.length > MAX_KEY_LENGTH) {
+    return errorResponse(`Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters`, 400);
+  }
+
+  const url = new URL(request.url);
+  const fingerprint = await fingerprintRequest(
+    request.method,
+    url.pathname,
+    await request.clone().text()
+  );
+  const storageKey = `idem:${scope}:${key}`;
+  const existing = await env.SESSIONS.get(storageKey, 'json');
+
+  if (existing) {
+    if (existing.fingerprint !== fingerprint) {
+      logger.warn('Idempotency key reused with a different request', { scope, key });
+      return errorResponse('Idempotency-Key was already used with a different request', 422);
+    }
+
+    if (existing.status === 'in_progress') {
+      return errorResponse('A request with this Idempotency-Key is still in progress', 409);
+    }
+
+    logger.info('Idempotent request replayed', { scope, key });
+    countMetric('idempotent_replays', { source: scope.split(':')[0] });
+    return jsonResponse(existing.response.body, existing.response.status, {
+      'Idempotent-Replayed': 'true',
+    });
+  }
+
+  await env.SESSIONS.put(
+    storageKey,
+    JSON.stringify({ status: 'in_progress', fingerprint, createdAt: new Date().toISOString() }),
+    { expirationTtl: IN_FLIGHT_TTL }
+  );
+
+  // Upstream providers get a key derived from the scope so callers cannot collide there either
+  const upstreamKey = await sha256(storageKey);
+
+  let response;
+  try {
+    response = await handler(upstreamKey);
+  } catch (error) {
+    await env.SESSIONS.delete(storageKey);
+    throw error;
+  }
+
+  if (response.status >= 500) {
+    // Server errors are not cached so the client can retry with the same key
+    await env.SESSIONS.delete(storageKey);
+    return response;
+  }
+
+  await env.SESSIONS.put(
+    storageKey,
+    JSON.stringify({
+      status: 'completed',
+      fingerprint,
+      createdAt: new Date().toISOString(),
+      response: {
+        status: response.status,
+        body: await response.clone().json(),
+      },
+    }),
+    { expirationTtl: RESPONSE_TTL }
+  );
+
+  return response;
+}
@@ -74,14 +74,61 @@ export async function markEventProcessed(kv, provider, eventId, data = {}, ttl =
 }
 
 /**
- * Increment a counter in KV
+ * Default counter lifetime: long enough for the daily rollup to read a full day
+ */
+const COUNTER_TTL = 86400 * 3;
+
+/**
+ * Add an amount to a counter in KV
  * @param {KVNamespace} kv - Cloudflare KV namespace
  * @param {string} counterKey - Counter key
- * @param {number} ttl - Time to live in seconds
+ * @param {number} amount - Amount to add
+ * @param {number} ttl - Time to live in seconds (default: 3 days)
+ * @returns {Promise<number>} New counter value
  */
-export async function incrementCounter(kv, counterKey, ttl = 86400) {
+export async function addToCounter(kv, counterKey, amount, ttl = COUNTER_TTL) {
   const current = (await kv.get(counterKey)) || '0';
-  const newValue = String(parseInt(current) + 1);
+  const newValue = String(parseInt(current) + amount);
   await kv.put(counterKey, newValue, { expirationTtl: ttl });
   return parseInt(newValue);
 }
+
+/**
+ * Increment a counter in KV
+ * @param {KVNamespace} kv - Cloudflare KV namespace
+ * @param {string} counterKey - Counter key
+ * @param {number} ttl - Time to live in seconds (default: 3 days)
+ * @returns {Promise<number>} New counter value
+ */
+export async function incrementCounter(kv, counterKey, ttl = COUNTER_TTL) {
+  return addToCounter(kv, counterKey, 1, ttl);
+}
+
+/**
+ * Acquire a short-lived lock in KV
+ * KV is eventually consistent, so this guards against retries and double
+ * submits rather than providing strict mutual exclusion.
+ * @param {KVNamespace} kv - Cloudflare KV namespace
+ * @param {string} lockKey - Lock identifier
+ * @param {number} ttl - Time to live in seconds (default: 60, the KV minimum)
+ * @returns {Promise<boolean>} True if the lock was acquired
+ */
+export async function acquireLock(kv, lockKey, ttl = 60) {
+  const key = `lock:${lockKey}`;
+  const existing = await kv.get(key);
+  if (existing !== null) {
+    return false;
+  }
+  await kv.put(key, new Date().toISOString(), { expirationTtl: ttl });
+  return true;
+}
+
+/**
+ * Release a lock acquired with acquireLock
+ * @param {KVNamespace} kv - Cloudflare KV namespace
+ * @param {string} lockKey - Lock identifier
+ */
+export async function releaseLock(kv, lockKey) {
+  const key = `lock:${lockKey}`;
+  await kv.delete(key);
+}
@@ -0,0 +1,154 @@
+/**
+ * Line items, discounts and tax
+ * A checkout describes its order as items with quantities, an optional
+ * order-level discount and an optional tax rate. buildOrder() computes line and
+ * order totals in minor units the way the providers do: the discount is spread
+ * across lines in proportion to their amounts, and tax is rounded per line.
+ */
+
+import { getMinorUnitStep } from './money.js';
+
+/**
+ * Rates and percentages are scaled to integers with four decimal places
+ */
+const PERCENT_SCALE = 10000;
+
+/**
+ * Divide non-negative integers, rounding half up
+ * @param {number} numerator
+ * @param {number} denominator
+ * @returns {number}
+ */
+function roundDiv(numerator, denominator) {
+  return Math.floor((2 * numerator + denominator) / (2 * denominator));
+}
+
+/**
+ * Apply a percentage to an amount
+ * @param {number} amount - Amount in minor units
+ * @param {number} percent - Percentage (e.g. 8.25)
+ * @returns {number}
+ */
+function percentOf(amount, percent) {
+  return roundDiv(amount * Math.round(percent * PERCENT_SCALE), 100 * PERCENT_SCALE);
+}
+
+/**
+ * Split a total across weights by the largest-remainder method
+ * @param {number} total - Integer to distribute
+ * @param {number[]} weights - Non-negative weights
+ * @returns {number[]} Shares that add up to total
+ */
+export function allocate(total, weights) {
+  const sum = BigInt(weights.reduce((acc, weight) => acc + weight, 0));
+  if (sum === 0n) {
+    return weights.map(() => 0);
+  }
+
+  const exact = weights.map((weight) => BigInt(total) * BigInt(weight));
+  const shares = exact.map((value) => Number(value / sum));
+  let rest = total - shares.reduce((acc, share) => acc + share, 0);
+
+  const byRemainder = exact
+    .map((value, index) => ({ index, remainder: value % sum }))
+    .sort((a, b) => (b.remainder > a.remainder ? 1 : b.remainder < a.remainder ? -1 : 0));
+
+  for (const { index } of byRemainder) {
+    if (rest === 0) break;
+    shares[index] += 1;
+    rest -= 1;
+  }
+
+  return shares;
+}
+
+/**
+ * Normalize a checkout payload into line items
+ * A payload without items is a single item of `amount` named `productName`.
+ * Catalog items use the product's price ID for the provider, when it has one.
+ * @param {object} payload - { items } or { amount, productName }
+ * @param {string} [provider] - Provider name
+ * @returns {Array<{name: string, unitAmount: number, quantity: number, priceId: string|null}>}
+ */
+export function getLineItems(payload, provider) {
+  if (Array.isArray(payload.items) && payload.items.length > 0) {
+    return payload.items.map((item) => ({
+      ...(item.sku && { sku: item.sku }),
+      name: item.name,
+      unitAmount: item.unitAmount,
+      quantity: item.quantity ?? 1,
+      priceId: item.providerIds?.[provider] || null,
+    }));
+  }
+
+  return [{ name: payload.productName, unitAmount: payload.amount, quantity: 1, priceId: null }];
+}
+
+/**
+ * Compute line and order totals for a checkout
+ * Discount and tax are rounded to the provider's smallest amount step, so every
+ * amount can be sent to the provider as-is.
+ * @param {object} payload - { items | amount + productName, discount, tax }
+ * @param {object} [payload.discount] - { amount } in minor units or { percent }, plus optional { code }
+ * @param {object} [payload.tax] - { rate } in percent and { inclusive }
+ * @param {string} currency - ISO 4217 code
+ * @param {string} [provider] - Provider name
+ * @returns {{items: Array, discount: object|null, tax: object|null, totals: object}}
+ */
+export function buildOrder(payload, currency, provider) {
+  const step = getMinorUnitStep(currency, provider);
+  const toStep = (value) => roundDiv(value, step) * step;
+  const discount = payload.discount || null;
+  const tax = payload.tax ? { rate: payload.tax.rate, inclusive: !!payload.tax.inclusive } : null;
+
+  const lines = getLineItems(payload, provider).map((item) => ({
+    ...item,
+    amount: item.unitAmount * item.quantity,
+  }));
+  const subtotal = lines.reduce((sum, line) => sum + line.amount, 0);
+
+  let discountTotal = 0;
+  if (discount?.amount) {
+    discountTotal = Math.min(toStep(discount.amount), subtotal);
+  } else if (discount?.percent) {
+    discountTotal = Math.min(toStep(percentOf(subtotal, discount.percent)), subtotal);
+  }
+
+  const lineDiscounts = allocate(
+    discountTotal / step,
+    lines.map((line) => line.amount)
+  ).map((units) => units * step);
+
+  const items = lines.map((line, index) => {
+    const net = line.amount - lineDiscounts[index];
+    let lineTax = 0;
+
+    if (tax) {
+      lineTax = tax.inclusive
+        ? net -
+          toStep(roundDiv(net * PERCENT_SCALE * 100, Math.round((100 + tax.rate) * PERCENT_SCALE)))
+        : toStep(percentOf(net, tax.rate));
+    }
+
+    return {
+      ...line,
+      discount: lineDiscounts[index],
+      tax: lineTax,
+      total: tax?.inclusive ? net : net + lineTax,
+    };
+  });
+
+  const taxTotal = items.reduce((sum, item) => sum + item.tax, 0);
+
+  return {
+    items,
+    discount: discount && { ...discount },
+    tax,
+    totals: {
+      subtotal,
+      discount: discountTotal,
+      tax: taxTotal,
+      total: items.reduce((sum, item) => sum + item.total, 0),
+    },
+  };
+}
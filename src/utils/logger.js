@@ -11,9 +11,10 @@ const LOG_LEVELS = {
 };
 
 export class Logger {
-  constructor(context = {}, env = {}) {
+  constructor(context = {}, env = {}, tracer = null) {
     this.context = context;
     this.env = env;
+    this.tracer = tracer;
     this.minLevel = env.LOG_LEVEL || LOG_LEVELS.INFO;
   }
 
@@ -65,11 +66,21 @@ export class Logger {
   }
 }
 
-export function createLogger(request, env) {
+/**
+ * Create a logger for a request
+ * With a tracer, entries carry its request and trace IDs, and handlers reach
+ * the tracer through `logger.tracer`.
+ * @param {Request|object} request - Incoming request (or `{ url, method }` for cron runs)
+ * @param {object} env - Environment variables
+ * @param {import('./tracing.js').Tracer} [tracer] - Request tracer
+ * @returns {Logger}
+ */
+export function createLogger(request, env, tracer = null) {
   const context = {
-    requestId: crypto.randomUUID(),
+    requestId: tracer ? tracer.requestId : crypto.randomUUID(),
+    ...(tracer && { traceId: tracer.traceId }),
     url: request.url,
     method: request.method,
   };
-  return new Logger(context, env);
+  return new Logger(context, env, tracer);
 }
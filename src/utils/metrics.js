@@ -0,0 +1,298 @@
+/**
+ * Metrics and reporting
+ * Handlers count activity in the METRICS namespace with daily counters
+ * (`<kind>:<dimensions>:<YYYY-MM-DD>`) that expire after a few days. The
+ * scheduled handler rolls each finished day up into a `rollup:<date>` record
+ * that never expires; reports read rollups and fall back to the live counters
+ * for days that have not been rolled up yet.
+ */
+
+import { addToCounter, incrementCounter } from './kv.js';
+import { PAYMENT_STATES } from './paymentState.js';
+
+const ROLLUP_PREFIX = 'rollup:';
+const DAY_MS = 86400 * 1000;
+
+/**
+ * Days rolled up by each scheduled run, counting back from yesterday. Must
+ * stay below the counter lifetime in kv.js.
+ */
+const ROLLUP_LOOKBACK_DAYS = 2;
+
+/**
+ * Counters written this long after a day ends (late webhooks) still make it
+ * into the day's rollup
+ */
+const ROLLUP_SETTLE_MS = 3600 * 1000;
+
+/**
+ * Days whose live counters still exist and may be read by reports
+ */
+const LIVE_COUNTER_DAYS = 3;
+
+/**
+ * Longest date range a report may cover
+ */
+export const MAX_REPORT_DAYS = 366;
+
+/**
+ * Counter kinds and the report section each is reported under. Counters of
+ * `byProvider` kinds start with the provider; `collapseProvider` sections sum
+ * over providers (revenue is reported per currency).
+ */
+const COUNTER_KINDS = {
+  checkout: { section: 'checkouts', byProvider: true },
+  payment: { section: 'payments', byProvider: true },
+  routing: { section: 'routed', byProvider: true },
+  failover: { section: 'failovers', byProvider: true },
+  refund: { section: 'refunds', byProvider: true },
+  webhook: { section: 'webhooks', byProvider: true },
+  revenue: { section: 'revenue', byProvider: true, collapseProvider: true },
+  refunded: { section: 'refunded', byProvider: true, collapseProvider: true },
+  error: { section: 'errors', byProvider: false },
+};
+
+/**
+ * UTC date of a timestamp, as used in counter keys
+ * @param {number} time - Milliseconds since the epoch
+ * @returns {string} YYYY-MM-DD
+ */
+export function dateKey(time) {
+  return new Date(time).toISOString().split('T')[0];
+}
+
+/**
+ * Count a transaction's move into a new status
+ * Called by the ledger for every update. A payment counts as completed (and
+ * its amount as revenue) the first time it is captured; refunded amounts are
+ * counted as they grow.
+ * @param {object} env - Environment variables
+ * @param {object|null} previous - Record before the update
+ * @param {object} record - Record after the update
+ */
+export async function recordTransactionMetrics(env, previous, record) {
+  const date = dateKey(Date.now());
+  const { provider, currency } = record;
+
+  const wasCaptured = previous?.events.some((event) => event.status === PAYMENT_STATES.CAPTURED);
+  if (record.status === PAYMENT_STATES.CAPTURED && !wasCaptured) {
+    if (record.type === 'payment') {
+      await incrementCounter(env.METRICS, `payment:${provider}:${date}`);
+    }
+    await addToCounter(env.METRICS, `revenue:${provider}:${currency}:${date}`, record.amount);
+  }
+
+  const refunded = (record.refundedAmount || 0) - (previous?.refundedAmount || 0);
+  if (refunded > 0) {
+    await addToCounter(env.METRICS, `refunded:${provider}:${currency}:${date}`, refunded);
+  }
+}
+
+/**
+ * Read the live counters of the given days
+ * @param {object} env - Environment variables
+ * @param {string[]} dates - Days to read (YYYY-MM-DD)
+ * @returns {Promise<Object<string, Object<string, number>>>} Counters by day, keyed without the date
+ */
+async function readLiveCounters(env, dates) {
+  if (dates.length === 0) return {};
+
+  const byDate = Object.fromEntries(dates.map((date) => [date, {}]));
+
+  for (const kind of Object.keys(COUNTER_KINDS)) {
+    let cursor;
+    do {
+      const page = await env.METRICS.list({ prefix: `${kind}:`, cursor });
+      cursor = page.list_complete ? undefined : page.cursor;
+
+      for (const { name } of page.keys) {
+        const separator = name.lastIndexOf(':');
+        const date = name.slice(separator + 1);
+        if (!byDate[date]) continue;
+
+        const value = parseInt(await env.METRICS.get(name));
+        if (value) byDate[date][name.slice(0, separator)] = value;
+      }
+    } while (cursor);
+  }
+
+  return byDate;
+}
+
+/**
+ * Roll recent finished days up into records that never expire
+ * A day is rolled up again until a run after its settle window has seen it.
+ * @param {object} env - Environment variables
+ * @param {object} logger - Logger instance
+ * @param {number} now - Current time in milliseconds
+ * @returns {Promise<{rolledUp: string[]}>} Days written by this run
+ */
+export async function rollupDailyMetrics(env, logger, now = Date.now()) {
+  const due = [];
+
+  for (let days = 1; days <= ROLLUP_LOOKBACK_DAYS; days++) {
+    const date = dateKey(now - days * DAY_MS);
+    const existing = await env.METRICS.get(`${ROLLUP_PREFIX}${date}`, 'json');
+    const settledAt = Date.parse(date) + DAY_MS + ROLLUP_SETTLE_MS;
+
+    if (!existing || Date.parse(existing.computedAt) < settledAt) {
+      due.push(date);
+    }
+  }
+
+  if (due.length === 0) {
+    return { rolledUp: [] };
+  }
+
+  const counters = await readLiveCounters(env, due);
+  for (const date of due) {
+    await env.METRICS.put(
+      `${ROLLUP_PREFIX}${date}`,
+      JSON.stringify({ date, counters: counters[date], computedAt: new Date(now).toISOString() })
+    );
+    logger.info('Daily metrics rolled up', { date, counters: Object.keys(counters[date]).length });
+  }
+
+  return { rolledUp: due };
+}
+
+/**
+ * Parse and validate a report range from query parameters
+ * `from` and `to` are UTC days (YYYY-MM-DD, inclusive); the range defaults to
+ * the last 30 days.
+ * @param {URLSearchParams} params - Query parameters
+ * @param {number} now - Current time in milliseconds
+ * @returns {{range: object, errors: Array<{field: string, code: string, message: string}>}}
+ */
+export function parseReportRange(params, now = Date.now()) {
+  const errors = [];
+  const to = params.get('to') || dateKey(now);
+  const from = params.get('from') || dateKey(Date.parse(to) - 29 * DAY_MS);
+
+  for (const [field, value] of [
+    ['from', from],
+    ['to', to],
+  ]) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || dateKey(Date.parse(value) || 0) !== value) {
+      errors.push({ field, code: 'invalid', message: `${field} must be a date (YYYY-MM-DD)` });
+    }
+  }
+
+  if (errors.length === 0) {
+    const days = (Date.parse(to) - Date.parse(from)) / DAY_MS + 1;
+    if (days < 1) {
+      errors.push({ field: 'to', code: 'invalid', message: 'to must not be before from' });
+    } else if (days > MAX_REPORT_DAYS) {
+      errors.push({
+        field: 'from',
+        code: 'invalid',
+        message: `range must not exceed ${MAX_REPORT_DAYS} days`,
+      });
+    }
+  }
+
+  return { range: { from, to, provider: params.get('provider') || null }, errors };
+}
+
+/**
+ * Empty report sections
+ * @returns {object}
+ */
+function emptySections() {
+  return Object.fromEntries(Object.values(COUNTER_KINDS).map(({ section }) => [section, {}]));
+}
+
+/**
+ * Add counters to report sections
+ * @param {object} sections - Sections to add to (modified)
+ * @param {Object<string, number>} counters - Counters keyed without the date
+ * @param {string|null} provider - Only count this provider's counters
+ */
+function addCounters(sections, counters, provider) {
+  for (const [name, value] of Object.entries(counters)) {
+    const [kind, ...dimensions] = name.split(':');
+    const config = COUNTER_KINDS[kind];
+    if (!config) continue;
+    if (provider && config.byProvider && dimensions[0] !== provider) continue;
+
+    const path = config.collapseProvider ? dimensions.slice(1) : dimensions;
+    let target = sections[config.section];
+    for (const dimension of path.slice(0, -1)) {
+      target = target[dimension] ??= {};
+    }
+    const leaf = path[path.length - 1];
+    target[leaf] = (target[leaf] || 0) + value;
+  }
+}
+
+/**
+ * Completed payments per checkout
+ * @param {number} checkouts - Checkouts created
+ * @param {number} payments - Checkouts paid
+ * @returns {{checkouts: number, payments: number, rate: number|null}}
+ */
+function conversion(checkouts, payments) {
+  return {
+    checkouts,
+    payments,
+    rate: checkouts > 0 ? Math.round((payments / checkouts) * 10000) / 10000 : null,
+  };
+}
+
+/**
+ * Build a metrics report over a range of days
+ * @param {object} env - Environment variables
+ * @param {object} range - { from, to } days (YYYY-MM-DD, inclusive) and optional provider
+ * @param {number} now - Current time in milliseconds
+ * @returns {Promise<object>} { from, to, provider, series, totals, conversion }
+ */
+export async function getMetricsReport(env, { from, to, provider = null }, now = Date.now()) {
+  const dates = [];
+  for (let time = Date.parse(from); time <= Date.parse(to); time += DAY_MS) {
+    dates.push(dateKey(time));
+  }
+
+  // Today and days the scheduled handler has not reached yet come from live counters
+  const countersByDate = {};
+  const missing = [];
+  for (const date of dates) {
+    const rollup =
+      date < dateKey(now) ? await env.METRICS.get(`${ROLLUP_PREFIX}${date}`, 'json') : null;
+    if (rollup) {
+      countersByDate[date] = rollup.counters;
+    } else if (Date.parse(date) > now - LIVE_COUNTER_DAYS * DAY_MS) {
+      missing.push(date);
+    }
+  }
+  Object.assign(countersByDate, await readLiveCounters(env, missing));
+
+  const totals = emptySections();
+  const series = dates.map((date) => {
+    const sections = emptySections();
+    addCounters(sections, countersByDate[date] || {}, provider);
+    addCounters(totals, countersByDate[date] || {}, provider);
+    return { date, ...sections };
+  });
+
+  const sum = (section) => Object.values(section).reduce((total, value) => total + value, 0);
+  const providers = [
+    ...new Set([...Object.keys(totals.checkouts), ...Object.keys(totals.payments)]),
+  ];
+
+  return {
+    from,
+    to,
+    provider,
+    series,
+    totals,
+    conversion: {
+      ...conversion(sum(totals.checkouts), sum(totals.payments)),
+      byProvider: Object.fromEntries(
+        providers.map((name) => [
+          name,
+          conversion(totals.checkouts[name] || 0, totals.payments[name] || 0),
+        ])
+      ),
+    },
+  };
+}
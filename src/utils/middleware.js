@@ -0,0 +1,146 @@
+/**
+ * Route middleware
+ * The router runs ROUTE_MIDDLEWARE before every route, then the route's own
+ * middleware (such as idempotent()). Each reads the route metadata it needs:
+ * - `auth`: 'user' (end users and server callers), 'server' (server callers
+ *   only) or 'none' (webhooks and routes with their own credentials)
+ * - `rateLimit`: rate limit group (see DEFAULT_RATE_LIMITS)
+ * - `body`: request body schema from SCHEMAS; `bodyRequired: false` lets
+ *   requests without a body through
+ * Middleware share a context: { request, env, logger, path, route, params,
+ * auth, authError, idempotencyKey }.
+ */
+
+import { jsonResponse, errorResponse, validationErrorResponse, withHeaders } from './response.js';
+import { authenticateRequest } from './auth.js';
+import { checkRateLimit, rateLimitHeaders } from './rateLimit.js';
+import { withIdempotency, idempotencyScope } from './idempotency.js';
+import { parseRequestBody } from './validation.js';
+import { countMetric } from './telemetry.js';
+
+const AUTHENTICATED = ['user', 'server'];
+
+/**
+ * Identify the caller of an authenticated route
+ * Failures are kept in `ctx.authError` and answered by requireAuth, so
+ * requests with bad credentials are still rate limited.
+ */
+export async function authenticate(ctx, next) {
+  ctx.auth = null;
+  ctx.authError = null;
+
+  if (AUTHENTICATED.includes(ctx.route.auth) && ctx.env.AUTH_DISABLED !== 'true') {
+    const { principal, error } = await authenticateRequest(ctx.request, ctx.env);
+    ctx.auth = principal;
+    ctx.authError = principal ? null : error;
+  }
+
+  return next();
+}
+
+/**
+ * Enforce the route's rate limit group and add RateLimit headers
+ * A failed check lets the request through.
+ */
+export async function limitRate(ctx, next) {
+  const { request, env, logger, path, route, params, auth } = ctx;
+  const group = route.rateLimit;
+
+  if (!group) {
+    return next();
+  }
+
+  let state = null;
+  try {
+    state = await checkRateLimit(request, env, { group, auth, provider: params.provider ?? null });
+  } catch (error) {
+    logger.warn('Rate limit check failed', { path, error: error.message });
+  }
+
+  if (state && !state.allowed) {
+    logger.warn('Rate limit exceeded', { path, group, client: state.client });
+    countMetric('rate_limited_requests', { group, client: state.client });
+    return jsonResponse(
+      { success: false, error: 'Too many requests' },
+      429,
+      rateLimitHeaders(state)
+    );
+  }
+
+  const response = await next();
+  return state ? withHeaders(response, rateLimitHeaders(state)) : response;
+}
+
+/**
+ * Reject callers that failed authentication, and end users on server-only routes
+ */
+export async function requireAuth(ctx, next) {
+  if (ctx.authError) {
+    ctx.logger.warn('Request authentication failed', { path: ctx.path, error: ctx.authError });
+    return errorResponse(ctx.authError, 401);
+  }
+
+  if (ctx.route.auth === 'server' && ctx.auth && !ctx.auth.trusted) {
+    return errorResponse('Access denied', 403);
+  }
+
+  return next();
+}
+
+/**
+ * Check the request body against the route's schema
+ * Handlers parse the body themselves, so this reads a copy.
+ */
+export async function validateRequestBody(ctx, next) {
+  const { body, bodyRequired = true } = ctx.route;
+
+  if (!body || (!bodyRequired && !ctx.request.body)) {
+    return next();
+  }
+
+  const { errors } = await parseRequestBody(ctx.request.clone(), body, ctx.env);
+  return errors ? validationErrorResponse(errors) : next();
+}
+
+/**
+ * Middleware every route runs, in order
+ */
+export const ROUTE_MIDDLEWARE = [authenticate, limitRate, requireAuth, validateRequestBody];
+
+/**
+ * Give a route Idempotency-Key semantics (see withIdempotency)
+ * The key to pass upstream is set as `ctx.idempotencyKey`. The middleware's
+ * `idempotencyScope` and `idempotencyRequired` properties let docs list the
+ * Idempotency-Key header.
+ * @param {string} routeName - Idempotency scope name (e.g. 'checkout')
+ * @param {object} [options]
+ * @param {boolean} [options.required] - Answer requests without the header with 400
+ * @returns {function} Middleware
+ */
+export function idempotent(routeName, { required = false } = {}) {
+  const middleware = (ctx, next) => {
+    if (required && !ctx.request.headers.get('Idempotency-Key')) {
+      return validationErrorResponse([
+        {
+          field: 'Idempotency-Key',
+          code: 'required',
+          message: 'Idempotency-Key header is required',
+        },
+      ]);
+    }
+
+    return withIdempotency(
+      ctx.request,
+      ctx.env,
+      ctx.logger,
+      idempotencyScope(routeName, ctx.auth),
+      (key) => {
+        ctx.idempotencyKey = key;
+        return next();
+      }
+    );
+  };
+  middleware.idempotencyScope = routeName;
+  middleware.idempotencyRequired = required;
+  return middleware;
+}
@@ -0,0 +1,259 @@
+/**
+ * Money handling shared by the Worker and the frontend
+ * Amounts are integers in the currency's ISO 4217 minor unit (cents for USD,
+ * yen for JPY, fils for KWD). Conversions use string arithmetic so no amount
+ * ever passes through a binary float. This module has no dependencies so the
+ * Svelte app can import it directly.
+ */
+
+/**
+ * Active ISO 4217 currency codes
+ */
+const ISO_CURRENCIES = new Set(
+  `AED AFN ALL AMD ANG AOA ARS AUD AWG AZN BAM BBD BDT BGN BHD BIF BMD BND BOB BRL BSD BTN
+  BWP BYN BZD CAD CDF CHF CLP CNY COP CRC CUP CVE CZK DJF DKK DOP DZD EGP ERN ETB EUR FJD
+  FKP GBP GEL GHS GIP GMD GNF GTQ GYD HKD HNL HTG HUF IDR ILS INR IQD IRR ISK JMD JOD JPY
+  KES KGS KHR KMF KPW KRW KWD KYD KZT LAK LBP LKR LRD LSL LYD MAD MDL MGA MKD MMK MNT MOP
+  MRU MUR MVR MWK MXN MYR MZN NAD NGN NIO NOK NPR NZD OMR PAB PEN PGK PHP PKR PLN PYG QAR
+  RON RSD RUB RWF SAR SBD SCR SDG SEK SGD SHP SLE SOS SRD SSP STN SVC SYP SZL THB TJS TMT
+  TND TOP TRY TTD TWD TZS UAH UGX USD UYU UZS VES VND VUV WST XAF XCD XOF XPF YER ZAR ZMW
+  ZWL`.split(/\s+/)
+);
+
+/**
+ * ISO 4217 minor-unit exponents that differ from the default of 2
+ */
+const CURRENCY_EXPONENTS = {
+  BIF: 0,
+  CLP: 0,
+  DJF: 0,
+  GNF: 0,
+  ISK: 0,
+  JPY: 0,
+  KMF: 0,
+  KRW: 0,
+  PYG: 0,
+  RWF: 0,
+  UGX: 0,
+  VND: 0,
+  VUV: 0,
+  XAF: 0,
+  XOF: 0,
+  XPF: 0,
+  BHD: 3,
+  IQD: 3,
+  JOD: 3,
+  KWD: 3,
+  LYD: 3,
+  OMR: 3,
+  TND: 3,
+};
+
+/**
+ * Provider restrictions on top of ISO: the smallest amount step, in ISO minor
+ * units, a provider accepts. PayPal takes HUF and TWD in whole units only;
+ * Stripe requires three-decimal amounts to end in 0, takes HUF and TWD in
+ * whole units and MGA without decimals.
+ */
+const PROVIDER_MINOR_UNIT_STEPS = {
+  paypal: { HUF: 100, TWD: 100 },
+  stripe: { BHD: 10, JOD: 10, KWD: 10, OMR: 10, TND: 10, HUF: 100, MGA: 100, TWD: 100 },
+};
+
+/**
+ * Provider API exponents that differ from ISO 4217. Stripe takes ISK and UGX
+ * as two-decimal amounts and MGA as zero-decimal.
+ */
+const PROVIDER_EXPONENTS = {
+  stripe: { ISK: 2, MGA: 0, UGX: 2 },
+};
+
+/**
+ * Check whether a currency code is a known ISO 4217 code
+ * @param {string} currency - Currency code (any case)
+ * @returns {boolean}
+ */
+export function isSupportedCurrency(currency) {
+  return typeof currency === 'string' && ISO_CURRENCIES.has(currency.toUpperCase());
+}
+
+/**
+ * Number of decimal places in a currency's minor unit
+ * @param {string} currency - ISO 4217 code
+ * @returns {number}
+ */
+export function getCurrencyExponent(currency) {
+  return CURRENCY_EXPONENTS[currency?.toUpperCase()] ?? 2;
+}
+
+/**
+ * Number of decimal places a provider's API uses for a currency's amounts
+ * @param {string} currency - ISO 4217 code
+ * @param {string} provider - Provider name
+ * @returns {number}
+ */
+export function getProviderExponent(currency, provider) {
+  return (
+    PROVIDER_EXPONENTS[provider?.toLowerCase()]?.[currency?.toUpperCase()] ??
+    getCurrencyExponent(currency)
+  );
+}
+
+/**
+ * Shift an integer amount by a number of decimal places
+ * @param {number} amount - Integer amount
+ * @param {number} places - Places to shift; negative divides
+ * @returns {number}
+ */
+function shiftDecimals(amount, places) {
+  return places >= 0 ? amount * 10 ** places : Math.round(amount / 10 ** -places);
+}
+
+/**
+ * Convert ISO minor units into the units a provider's API takes
+ * (e.g. 500 ISK -> 50000 for Stripe, 10000 MGA -> 100 for Stripe)
+ * @param {number} amount - Amount in ISO minor units
+ * @param {string} currency - ISO 4217 code
+ * @param {string} provider - Provider name
+ * @returns {number}
+ * @throws {Error} If the amount is not representable
+ */
+export function toProviderUnits(amount, currency, provider) {
+  assertRepresentable(amount, currency, provider);
+  return shiftDecimals(
+    amount,
+    getProviderExponent(currency, provider) - getCurrencyExponent(currency)
+  );
+}
+
+/**
+ * Convert an amount from a provider's API into ISO minor units
+ * @param {number|null|undefined} amount - Amount in the provider's units
+ * @param {string} currency - ISO 4217 code
+ * @param {string} provider - Provider name
+ * @returns {number|null|undefined} Minor units; missing amounts are returned as is
+ */
+export function fromProviderUnits(amount, currency, provider) {
+  if (amount === undefined || amount === null) {
+    return amount;
+  }
+  return shiftDecimals(
+    amount,
+    getCurrencyExponent(currency) - getProviderExponent(currency, provider)
+  );
+}
+
+/**
+ * Smallest amount step (in minor units) a provider accepts for a currency
+ * @param {string} currency - ISO 4217 code
+ * @param {string} [provider] - Provider name
+ * @returns {number}
+ */
+export function getMinorUnitStep(currency, provider) {
+  return PROVIDER_MINOR_UNIT_STEPS[provider?.toLowerCase()]?.[currency?.toUpperCase()] || 1;
+}
+
+/**
+ * Check whether an amount can be charged in a currency (and by a provider)
+ * @param {number} amount - Amount in minor units
+ * @param {string} currency - ISO 4217 code
+ * @param {string} [provider] - Provider name
+ * @returns {boolean}
+ */
+export function isRepresentable(amount, currency, provider) {
+  return Number.isInteger(amount) && amount % getMinorUnitStep(currency, provider) === 0;
+}
+
+/**
+ * Throw unless an amount can be charged in a currency (and by a provider)
+ * @param {number} amount - Amount in minor units
+ * @param {string} currency - ISO 4217 code
+ * @param {string} [provider] - Provider name
+ * @throws {Error} If the amount is not representable
+ */
+export function assertRepresentable(amount, currency, provider) {
+  if (!isRepresentable(amount, currency, provider)) {
+    const step = getMinorUnitStep(currency, provider);
+    throw new Error(
+      `Amount ${amount} cannot be represented in ${currency?.toUpperCase()}` +
+        (step > 1 ? ` by ${provider} (must be a multiple of ${step})` : '')
+    );
+  }
+}
+
+/**
+ * Convert minor units into a major-unit decimal string (e.g. 2999 USD -> "29.99")
+ * With a provider, the string uses the provider's precision (e.g. 12300 HUF -> "123" for PayPal).
+ * @param {number} amount - Amount in minor units
+ * @param {string} currency - ISO 4217 code
+ * @param {string} [provider] - Provider name
+ * @returns {string}
+ * @throws {Error} If the amount is not representable
+ */
+export function toMajorUnits(amount, currency, provider) {
+  assertRepresentable(amount, currency, provider);
+
+  const step = getMinorUnitStep(currency, provider);
+  const decimals = getCurrencyExponent(currency) - Math.round(Math.log10(step));
+  const digits = String(Math.abs(amount) / step).padStart(decimals + 1, '0');
+  const major = decimals > 0 ? `${digits.slice(0, -decimals)}.${digits.slice(-decimals)}` : digits;
+
+  return amount < 0 ? `-${major}` : major;
+}
+
+/**
+ * Convert a major-unit decimal (e.g. "29.99") into minor units
+ * @param {string|number} value - Decimal amount
+ * @param {string} currency - ISO 4217 code
+ * @param {object} [options]
+ * @param {'half-up'|'half-even'|'reject'} [options.rounding] - How to treat extra decimals (default: half-up)
+ * @returns {number|null} Minor units, or null when value is missing
+ * @throws {Error} If the value is not a decimal, or has extra decimals with rounding 'reject'
+ */
+export function toMinorUnits(value, currency, { rounding = 'half-up' } = {}) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const match = /^(-)?(\d+)(?:\.(\d+))?$/.exec(String(value).trim());
+  if (!match) {
+    throw new Error(`Invalid decimal amount: ${value}`);
+  }
+
+  const [, sign, whole, fraction = ''] = match;
+  const exponent = getCurrencyExponent(currency);
+  const dropped = fraction.slice(exponent);
+  let minor = parseInt(whole + fraction.slice(0, exponent).padEnd(exponent, '0'), 10);
+
+  if (/[1-9]/.test(dropped)) {
+    if (rounding === 'reject') {
+      throw new Error(`Amount ${value} has more than ${exponent} decimals for ${currency}`);
+    }
+
+    const first = Number(dropped[0]);
+    const exactHalf = first === 5 && !/[1-9]/.test(dropped.slice(1));
+    const roundUp = rounding === 'half-even' && exactHalf ? minor % 2 === 1 : first >= 5;
+    if (roundUp) {
+      minor += 1;
+    }
+  }
+
+  return sign ? -minor : minor;
+}
+
+/**
+ * Format minor units for display (e.g. 2999 USD -> "$29.99", 1000 JPY -> "¥1,000")
+ * @param {number} amount - Amount in minor units
+ * @param {string} currency - ISO 4217 code
+ * @param {string} [locale] - BCP 47 locale (default: en-US)
+ * @returns {string}
+ */
+export function formatMoney(amount, currency, locale = 'en-US') {
+  const exponent = getCurrencyExponent(currency);
+  return new Intl.NumberFormat(locale, {
+    style: 'currency',
+    currency: currency.toUpperCase(),
+    minimumFractionDigits: exponent,
+    maximumFractionDigits: exponent,
+  }).format(Number(toMajorUnits(amount, currency)));
+}
@@ -0,0 +1,455 @@
+/**
+ * OpenAPI document
+ * Built from the route table (see getRoutes) and the body schemas in SCHEMAS,
+ * so it describes exactly what the router and validation accept. Served at
+ * GET /openapi.json; renderClient() turns it into the frontend API client.
+ */
+
+import { SCHEMAS, toJsonSchema } from './validation.js';
+
+const API_INFO = {
+  title: 'Payment System API',
+  version: '1.0.0',
+  description:
+    'Checkout, subscriptions, refunds and webhooks across Paddle, PayPal and Stripe. Amounts are integers in minor units (cents).',
+};
+
+const SECURITY_SCHEMES = {
+  apiKey: {
+    type: 'apiKey',
+    in: 'header',
+    name: 'X-API-Key',
+    description: 'Server API key from API_KEYS',
+  },
+  hmac: {
+    type: 'apiKey',
+    in: 'header',
+    name: 'X-Signature',
+    description:
+      'Hex HMAC-SHA256 of `${timestamp}.${METHOD}.${path+query}.${body}` with the HMAC_SECRETS secret, sent with X-Client-Id and X-Signature-Timestamp',
+  },
+  bearerJwt: {
+    type: 'http',
+    scheme: 'bearer',
+    bearerFormat: 'JWT',
+    description: 'User JWT issued by your backend; end users can only act on their own data',
+  },
+  metricsToken: { type: 'http', scheme: 'bearer', description: 'METRICS_TOKEN' },
+};
+
+/**
+ * Security requirement of each route `auth` value
+ */
+const SECURITY_BY_AUTH = {
+  user: [{ apiKey: [] }, { hmac: [] }, { bearerJwt: [] }],
+  server: [{ apiKey: [] }, { hmac: [] }],
+  none: [],
+};
+
+const RESPONSE_SCHEMAS = {
+  SuccessResponse: {
+    type: 'object',
+    properties: {
+      success: { const: true },
+      data: {},
+      message: { type: 'string' },
+    },
+    required: ['success', 'data'],
+  },
+  ErrorResponse: {
+    type: 'object',
+    properties: {
+      success: { const: false },
+      error: { type: 'string' },
+    },
+    required: ['success', 'error'],
+  },
+  ValidationErrorResponse: {
+    type: 'object',
+    properties: {
+      success: { const: false },
+      error: { type: 'string' },
+      errors: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            field: { type: 'string' },
+            code: { enum: ['required', 'invalid', 'unknown'] },
+            message: { type: 'string' },
+          },
+          required: ['field', 'code', 'message'],
+        },
+      },
+    },
+    required: ['success', 'error'],
+  },
+};
+
+/**
+ * Error responses by status, with the schema of their body
+ */
+const ERROR_RESPONSES = {
+  400: ['Invalid request', 'ValidationErrorResponse'],
+  401: ['Missing or invalid credentials', 'ErrorResponse'],
+  403: ['The caller may not access this resource', 'ErrorResponse'],
+  404: ['Not found', 'ErrorResponse'],
+  409: ['A request with this Idempotency-Key is still in progress', 'ErrorResponse'],
+  422: ['Idempotency-Key reused with a different request, or unprocessable', 'ErrorResponse'],
+  429: ['Rate limit exceeded; retry after Retry-After seconds', 'ErrorResponse'],
+  500: ['Internal error', 'ErrorResponse'],
+};
+
+/**
+ * Name of a body schema's component, such as `CheckoutRequest`
+ * @param {object} schema - Schema from SCHEMAS
+ * @returns {string}
+ */
+function requestSchemaName(schema) {
+  const [key] = Object.entries(SCHEMAS).find(([, candidate]) => candidate === schema);
+  return `${key[0].toUpperCase()}${key.slice(1)}Request`;
+}
+
+/**
+ * Statuses a route can answer with besides 200
+ * @param {object} route - Route definition
+ * @returns {number[]}
+ */
+function errorStatuses(route) {
+  const idempotent = route.middleware.some((middleware) => middleware.idempotencyScope);
+  const statuses = [];
+
+  if (route.body || route.query || route.method !== 'GET') statuses.push(400);
+  if (route.auth !== 'none' || route.security) statuses.push(401);
+  if (route.auth !== 'none') statuses.push(403);
+  if (route.path.includes('/:')) statuses.push(404);
+  if (idempotent) statuses.push(409, 422);
+  if (route.rateLimit) statuses.push(429);
+
+  return [...statuses, 500];
+}
+
+/**
+ * Describe one route as an OpenAPI operation
+ * @param {object} route - Route definition
+ * @returns {object} Operation object
+ */
+function buildOperation(route) {
+  const pathParams = route.path
+    .split('/')
+    .filter((part) => part.startsWith(':'))
+    .map((part) => part.slice(1));
+  const parameters = [
+    ...pathParams.map((name) => ({
+      name,
+      in: 'path',
+      required: true,
+      schema: { type: 'string', ...route.params?.[name] },
+    })),
+    ...Object.entries(route.query || {}).map(([name, { description, ...schema }]) => ({
+      name,
+      in: 'query',
+      ...(description && { description }),
+      schema,
+    })),
+  ];
+  const idempotency = route.middleware.find((middleware) => middleware.idempotencyScope);
+  if (idempotency) {
+    parameters.push({
+      $ref: `#/components/parameters/${idempotency.idempotencyRequired ? 'Required' : ''}IdempotencyKey`,
+    });
+  }
+
+  const success = route.contentType
+    ? {
+        description: 'OK',
+        content: {
+          [route.contentType]: {
+            schema: { type: route.contentType === 'application/json' ? 'object' : 'string' },
+          },
+        },
+      }
+    : {
+        description: 'OK',
+        content: {
+          'application/json': { schema: { $ref: '#/components/schemas/SuccessResponse' } },
+        },
+      };
+
+  return {
+    operationId: route.operationId,
+    summary: route.summary,
+    ...(route.description && { description: route.description }),
+    tags: route.tags,
+    security: route.security || SECURITY_BY_AUTH[route.auth],
+    ...(parameters.length > 0 && { parameters }),
+    ...(route.body && {
+      requestBody: {
+        required: route.bodyRequired !== false,
+        content: {
+          'application/json': {
+            schema: { $ref: `#/components/schemas/${requestSchemaName(route.body)}` },
+          },
+        },
+      },
+    }),
+    responses: {
+      200: success,
+      ...Object.fromEntries(
+        errorStatuses(route).map((status) => [status, { $ref: `#/components/responses/${status}` }])
+      ),
+    },
+  };
+}
+
+/**
+ * Build the OpenAPI 3.1 document of a set of routes
+ * @param {Array<object>} routes - Route definitions (see getRoutes)
+ * @param {object} [options]
+ * @param {string} [options.serverUrl] - Base URL of this deployment
+ * @returns {object} OpenAPI document
+ */
+export function buildOpenApiDocument(routes, { serverUrl } = {}) {
+  const paths = {};
+  const schemas = { ...RESPONSE_SCHEMAS };
+
+  for (const route of routes) {
+    const path = route.path.replace(/:(\w+)/g, '{$1}');
+    paths[path] = { ...paths[path], [route.method.toLowerCase()]: buildOperation(route) };
+
+    if (route.body) {
+      schemas[requestSchemaName(route.body)] = toJsonSchema(route.body);
+    }
+  }
+
+  return {
+    openapi: '3.1.0',
+    info: API_INFO,
+    ...(serverUrl && { servers: [{ url: serverUrl }] }),
+    tags: [...new Set(routes.flatMap((route) => route.tags))].map((name) => ({ name })),
+    paths,
+    components: {
+      schemas,
+      responses: Object.fromEntries(
+        Object.entries(ERROR_RESPONSES).map(([status, [description, schema]]) => [
+          status,
+          {
+            description,
+            content: { 'application/json': { schema: { $ref: `#/components/schemas/${schema}` } } },
+            ...(status === '429' && {
+              headers: { 'Retry-After': { schema: { type: 'integer' } } },
+            }),
+          },
+        ])
+      ),
+      parameters: {
+        IdempotencyKey: {
+          name: 'Idempotency-Key',
+          in: 'header',
+          description:
+            'Replays of the same request with the same key return the first response instead of running again',
+          schema: { type: 'string', maxLength: 255 },
+        },
+        RequiredIdempotencyKey: {
+          name: 'Idempotency-Key',
+          in: 'header',
+          required: true,
+          description:
+            'Required. Replays of the same request with the same key return the first response instead of running again',
+          schema: { type: 'string', maxLength: 255 },
+        },
+      },
+      securitySchemes: SECURITY_SCHEMES,
+    },
+  };
+}
+
+/**
+ * JSDoc type of a JSON Schema; `$ref`s become the component's typedef name
+ * @param {object} schema - JSON Schema
+ * @returns {string}
+ */
+function jsDocType(schema) {
+  if (schema.$ref) return schema.$ref.split('/').pop();
+  if (schema.enum) return schema.enum.map((value) => JSON.stringify(value)).join('|');
+  if (schema.oneOf && !schema.type) return schema.oneOf.map(jsDocType).join('|');
+  if (Array.isArray(schema.type)) return schema.type.join('|');
+  if (schema.type === 'integer') return 'number';
+  if (schema.type === 'array') return `Array<${jsDocType(schema.items)}>`;
+  if (schema.type === 'object' && schema.properties) {
+    const fields = Object.entries(schema.properties).map(([name, property]) => {
+      const optional = (schema.required || []).includes(name) ? '' : '?';
+      return `${name}${optional}: ${jsDocType(property)}`;
+    });
+    return `{${fields.join(', ')}}`;
+  }
+  return schema.type || '*';
+}
+
+/**
+ * Render the client function of one operation
+ * Path params come first, then the body, then an options object with the
+ * query params and Idempotency-Key.
+ * @param {string} path - OpenAPI path
+ * @param {string} method - Lowercase HTTP method
+ * @param {object} operation - Operation object
+ * @returns {string} Function source
+ */
+function renderClientOperation(path, method, operation) {
+  const parameters = operation.parameters || [];
+  const pathParams = parameters.filter((parameter) => parameter.in === 'path');
+  const queryParams = parameters.filter((parameter) => parameter.in === 'query');
+  const idempotent = parameters.some((parameter) => parameter.$ref?.endsWith('IdempotencyKey'));
+  const body = operation.requestBody?.content['application/json'].schema;
+
+  const args = pathParams.map((parameter) => parameter.name);
+  const docs = pathParams.map((parameter) => ` * @param {string} ${parameter.name}`);
+  if (body) {
+    args.push('body');
+    docs.push(
+      ` * @param {${jsDocType(body)}} ${operation.requestBody.required ? 'body' : '[body]'}`
+    );
+  }
+
+  const options = [
+    ...queryParams.map((parameter) => `${parameter.name}?: ${jsDocType(parameter.schema)}`),
+    ...(idempotent ? ['idempotencyKey?: string'] : []),
+  ];
+  if (options.length > 0) {
+    args.push(`options = {}`);
+    docs.push(` * @param {{${options.join(', ')}}} [options]`);
+  }
+
+  const url =
+    pathParams.length > 0
+      ? `\`${path.replace(/\{(\w+)\}/g, '${encodeURIComponent($1)}')}\``
+      : `'${path}'`;
+  const query = queryParams.map((parameter) => parameter.name);
+  const init = [
+    ...(body ? ['body'] : []),
+    ...(query.length > 0
+      ? [`query: { ${query.map((name) => `${name}: options.${name}`).join(', ')} }`]
+      : []),
+    ...(idempotent ? ["headers: { 'Idempotency-Key': options.idempotencyKey }"] : []),
+  ];
+
+  return `/**
+ * ${operation.summary}
+${docs.join('\n')}
+ * @returns {Promise<ApiResponse>}
+ */
+export function ${operation.operationId}(${args.join(', ')}) {
+  return request('${method.toUpperCase()}', ${url}${init.length > 0 ? `, { ${init.join(', ')} }` : ''});
+}
+`;
+}
+
+/**
+ * Render a JavaScript API client for the operations end users may call
+ * Only operations that accept a user JWT are included: server API keys and
+ * HMAC secrets must never reach a browser.
+ * @param {object} document - OpenAPI document
+ * @returns {string} ES module source
+ */
+export function renderClient(document) {
+  const operations = [];
+  const schemaNames = new Set();
+
+  for (const [path, methods] of Object.entries(document.paths)) {
+    for (const [method, operation] of Object.entries(methods)) {
+      if (!operation.security.some((requirement) => 'bearerJwt' in requirement)) continue;
+
+      operations.push(renderClientOperation(path, method, operation));
+      const body = operation.requestBody?.content['application/json'].schema;
+      if (body) schemaNames.add(body.$ref.split('/').pop());
+    }
+  }
+
+  const typedefs = [...schemaNames].map((name) => {
+    const schema = document.components.schemas[name];
+    const properties = Object.entries(schema.properties).map(([field, property]) => {
+      const type = jsDocType(property);
+      const label = schema.required.includes(field) ? field : `[${field}]`;
+      return ` * @property {${type}} ${label}${property.description ? ` - ${property.description}` : ''}`;
+    });
+    return `/**\n * @typedef {object} ${name}\n${properties.join('\n')}\n */\n`;
+  });
+
+  return `/**
+ * API client for payment worker
+ * Generated from the OpenAPI document by \`npm run generate:client\`; do not edit.
+ */
+
+const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:8787';
+
+let authToken = import.meta.env.VITE_API_TOKEN || null;
+
+/**
+ * Set the JWT issued by our backend for the signed-in user
+ * @param {string|null} token - Bearer token
+ */
+export function setAuthToken(token) {
+  authToken = token;
+}
+
+/**
+ * @typedef {object} ApiResponse
+ * @property {true} success
+ * @property {*} data
+ * @property {string} [message]
+ */
+
+/**
+ * Error thrown for non-2xx responses
+ * \`status\` is the HTTP status and \`errors\` the per-field validation errors.
+ */
+export class ApiError extends Error {
+  constructor(message, status, errors = []) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.errors = errors;
+  }
+}
+
+${typedefs.join('\n')}
+/**
+ * Send an API request
+ * @param {string} method - HTTP method
+ * @param {string} path - Path with params filled in
+ * @param {object} [init]
+ * @param {object} [init.body] - JSON body
+ * @param {object} [init.query] - Query parameters; undefined values are skipped
+ * @param {object} [init.headers] - Extra headers; undefined values are skipped
+ * @returns {Promise<ApiResponse>}
+ */
+async function request(method, path, { body, query = {}, headers = {} } = {}) {
+  const url = new URL(path, API_BASE_URL);
+  for (const [name, value] of Object.entries(query)) {
+    if (value !== undefined) url.searchParams.set(name, String(value));
+  }
+
+  const response = await fetch(url, {
+    method,
+    headers: {
+      ...(body !== undefined && { 'Content-Type': 'application/json' }),
+      ...(authToken && { Authorization: \`Bearer \${authToken}\` }),
+      ...Object.fromEntries(Object.entries(headers).filter(([, value]) => value !== undefined)),
+    },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+  const payload = await response.json().catch(() => null);
+
+  if (!response.ok) {
+    throw new ApiError(
+      payload?.error || \`Request failed with status \${response.status}\`,
+      response.status,
+      payload?.errors
+    );
+  }
+
+  return payload;
+}
+
+${operations.join('\n')}`;
+}
@@ -0,0 +1,226 @@
+/**
+ * Durable outbox for forwarding webhook events to the internal backend
+ * Failed deliveries are persisted in KV, retried with exponential backoff from
+ * the scheduled handler, and moved to a dead-letter list after too many attempts.
+ */
+
+import { countMetric } from './telemetry.js';
+import { withSpan, SPAN_KINDS } from './tracing.js';
+
+const OUTBOX_PREFIX = 'outbox:';
+const DEAD_LETTER_PREFIX = 'dlq:';
+
+/**
+ * Default number of delivery attempts before an event is dead-lettered
+ */
+const DEFAULT_MAX_ATTEMPTS = 8;
+
+/**
+ * Default delay before the first retry, doubled on each attempt
+ */
+const DEFAULT_RETRY_BASE_SECONDS = 60;
+
+/**
+ * Upper bound for the retry delay (6 hours)
+ */
+const MAX_RETRY_DELAY_SECONDS = 21600;
+
+/**
+ * Maximum deliveries attempted per scheduled run, to keep cron invocations short
+ */
+const MAX_DELIVERIES_PER_RUN = 50;
+
+/**
+ * Compute the delay before the next attempt
+ * @param {number} attempts - Attempts made so far (1 after the first failure)
+ * @param {number} baseSeconds - Delay before the first retry
+ * @returns {number} Delay in seconds
+ */
+export function getRetryDelay(attempts, baseSeconds = DEFAULT_RETRY_BASE_SECONDS) {
+  return Math.min(baseSeconds * 2 ** (attempts - 1), MAX_RETRY_DELAY_SECONDS);
+}
+
+/**
+ * Forward a notification to the internal backend
+ * @param {object} env - Environment variables
+ * @param {object} notification - Notification body
+ * @param {import('./tracing.js').Tracer} [tracer] - Tracer whose context is propagated to the backend
+ * @throws {Error} If the backend is unreachable or returns a non-2xx status
+ */
+export async function deliverNotification(env, notification, tracer = null) {
+  await withSpan(tracer, 'backend.notify', { kind: SPAN_KINDS.CLIENT }, async (span) => {
+    const response = await fetch(`${env.INTERNAL_BACKEND_URL}/internal/payment/notify`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Internal-Secret': env.INTERNAL_SECRET || '',
+        ...(tracer && tracer.headers(span)),
+      },
+      body: JSON.stringify(notification),
+    });
+
+    if (!response.ok) {
+      throw new Error(`Backend responded with status ${response.status}`);
+    }
+  });
+}
+
+/**
+ * Persist a failed delivery for retry
+ * @param {object} env - Environment variables
+ * @param {string} id - Delivery identifier (`<provider>:<eventId>`)
+ * @param {object} notification - Notification body
+ * @param {string} error - Reason the last attempt failed
+ * @returns {Promise<object>} Stored outbox entry
+ */
+export async function enqueueDelivery(env, id, notification, error) {
+  const now = Date.now();
+  const baseSeconds = parseInt(env.WEBHOOK_RETRY_BASE_SECONDS || DEFAULT_RETRY_BASE_SECONDS);
+  const entry = {
+    id,
+    notification,
+    attempts: 1,
+    lastError: error,
+    createdAt: new Date(now).toISOString(),
+    nextAttemptAt: now + getRetryDelay(1, baseSeconds) * 1000,
+  };
+
+  await env.EVENTS.put(`${OUTBOX_PREFIX}${id}`, JSON.stringify(entry), {
+    metadata: { nextAttemptAt: entry.nextAttemptAt },
+  });
+
+  return entry;
+}
+
+/**
+ * Retry due outbox deliveries
+ * Called from the scheduled handler.
+ * @param {object} env - Environment variables
+ * @param {object} logger - Logger instance
+ * @param {number} now - Current time in milliseconds
+ * @returns {Promise<{delivered: number, retried: number, deadLettered: number}>}
+ */
+export async function processOutbox(env, logger, now = Date.now()) {
+  const maxAttempts = parseInt(env.WEBHOOK_MAX_ATTEMPTS || DEFAULT_MAX_ATTEMPTS);
+  const baseSeconds = parseInt(env.WEBHOOK_RETRY_BASE_SECONDS || DEFAULT_RETRY_BASE_SECONDS);
+  const stats = { delivered: 0, retried: 0, deadLettered: 0 };
+
+  let cursor;
+  let processed = 0;
+
+  do {
+    const page = await env.EVENTS.list({ prefix: OUTBOX_PREFIX, cursor });
+    cursor = page.list_complete ? undefined : page.cursor;
+
+    for (const key of page.keys) {
+      if (processed >= MAX_DELIVERIES_PER_RUN) return stats;
+      if (key.metadata?.nextAttemptAt > now) continue;
+
+      const entry = await env.EVENTS.get(key.name, 'json');
+      if (!entry) continue;
+
+      processed++;
+
+      try {
+        await deliverNotification(env, entry.notification, logger.tracer);
+        await env.EVENTS.delete(key.name);
+        stats.delivered++;
+
+        logger.info('Outbox delivery succeeded', { id: entry.id, attempts: entry.attempts + 1 });
+      } catch (error) {
+        countMetric('backend_forward_failures', { source: 'outbox' });
+        const updated = {
+          ...entry,
+          attempts: entry.attempts + 1,
+          lastError: error.message,
+          lastAttemptAt: new Date(now).toISOString(),
+        };
+
+        if (updated.attempts >= maxAttempts) {
+          await env.EVENTS.put(
+            `${DEAD_LETTER_PREFIX}${entry.id}`,
+            JSON.stringify({ ...updated, deadLetteredAt: new Date(now).toISOString() })
+          );
+          await env.EVENTS.delete(key.name);
+          stats.deadLettered++;
+
+          logger.error('Outbox delivery dead-lettered', {
+            id: entry.id,
+            attempts: updated.attempts,
+            error: error.message,
+          });
+        } else {
+          updated.nextAttemptAt = now + getRetryDelay(updated.attempts, baseSeconds) * 1000;
+          await env.EVENTS.put(key.name, JSON.stringify(updated), {
+            metadata: { nextAttemptAt: updated.nextAttemptAt },
+          });
+          stats.retried++;
+
+          logger.warn('Outbox delivery failed, will retry', {
+            id: entry.id,
+            attempts: updated.attempts,
+            error: error.message,
+          });
+        }
+      }
+    }
+  } while (cursor);
+
+  return stats;
+}
+
+/**
+ * List dead-lettered deliveries
+ * @param {KVNamespace} kv - Cloudflare KV namespace (EVENTS)
+ * @param {object} options - Pagination options
+ * @param {string} [options.cursor] - Cursor from a previous page
+ * @param {number} [options.limit] - Page size (default: 50)
+ * @returns {Promise<{ids: string[], cursor: string|null}>}
+ */
+export async function listDeadLetters(kv, { cursor, limit = 50 } = {}) {
+  const page = await kv.list({ prefix: DEAD_LETTER_PREFIX, cursor, limit });
+  return {
+    ids: page.keys.map((key) => key.name.slice(DEAD_LETTER_PREFIX.length)),
+    cursor: page.list_complete ? null : page.cursor,
+  };
+}
+
+/**
+ * Get a dead-lettered delivery
+ * @param {KVNamespace} kv - Cloudflare KV namespace (EVENTS)
+ * @param {string} id - Delivery identifier
+ * @returns {Promise<object|null>}
+ */
+export async function getDeadLetter(kv, id) {
+  return kv.get(`${DEAD_LETTER_PREFIX}${id}`, 'json');
+}
+
+/**
+ * Replay a dead-lettered delivery immediately
+ * The entry is removed on success and kept, with the new error, on failure.
+ * @param {object} env - Environment variables
+ * @param {object} entry - Dead-letter entry
+ * @param {import('./tracing.js').Tracer} [tracer] - Request tracer
+ * @returns {Promise<boolean>} True if delivery succeeded
+ */
+export async function replayDeadLetter(env, entry, tracer = null) {
+  const key = `${DEAD_LETTER_PREFIX}${entry.id}`;
+
+  try {
+    await deliverNotification(env, entry.notification, tracer);
+    await env.EVENTS.delete(key);
+    return true;
+  } catch (error) {
+    countMetric('backend_forward_failures', { source: 'replay' });
+    await env.EVENTS.put(
+      key,
+      JSON.stringify({
+        ...entry,
+        replayAttempts: (entry.replayAttempts || 0) + 1,
+        lastError: error.message,
+        lastAttemptAt: new Date().toISOString(),
+      })
+    );
+    return false;
+  }
+}
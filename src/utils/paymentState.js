@@ -0,0 +1,239 @@
+/**
+ * Payment lifecycle state machine
+ * Each checkout session in KV carries its current `state` and a `stateHistory`
+ * of transitions. Normalized webhook events and our own capture and refund
+ * calls drive the transitions; transitions the lifecycle does not allow are
+ * rejected so late or out-of-order events cannot move a payment backwards.
+ */
+
+import { storeSession, getSession } from './kv.js';
+import { EVENT_TYPES } from './events.js';
+
+/**
+ * Payment states
+ */
+export const PAYMENT_STATES = {
+  CREATED: 'created',
+  PENDING: 'pending',
+  AUTHORIZED: 'authorized',
+  CAPTURED: 'captured',
+  PARTIALLY_REFUNDED: 'partially_refunded',
+  REFUNDED: 'refunded',
+  FAILED: 'failed',
+  EXPIRED: 'expired',
+  DISPUTED: 'disputed',
+};
+
+const S = PAYMENT_STATES;
+
+/**
+ * Allowed transitions by current state. A failed payment may still succeed
+ * when the buyer retries within the same checkout.
+ */
+const TRANSITIONS = {
+  [S.CREATED]: [S.PENDING, S.AUTHORIZED, S.CAPTURED, S.FAILED, S.EXPIRED],
+  [S.PENDING]: [S.AUTHORIZED, S.CAPTURED, S.FAILED, S.EXPIRED],
+  [S.AUTHORIZED]: [S.CAPTURED, S.FAILED, S.EXPIRED],
+  [S.FAILED]: [S.PENDING, S.AUTHORIZED, S.CAPTURED, S.EXPIRED],
+  [S.CAPTURED]: [S.PARTIALLY_REFUNDED, S.REFUNDED, S.DISPUTED],
+  [S.PARTIALLY_REFUNDED]: [S.PARTIALLY_REFUNDED, S.REFUNDED, S.DISPUTED],
+  [S.DISPUTED]: [S.CAPTURED, S.PARTIALLY_REFUNDED, S.REFUNDED],
+  [S.REFUNDED]: [],
+  [S.EXPIRED]: [],
+};
+
+/**
+ * How long payment sessions are kept: long enough for late refunds and disputes
+ */
+export const PAYMENT_SESSION_TTL = 86400 * 180;
+
+const REF_PREFIX = 'ref:';
+
+/**
+ * Check whether a transition is allowed
+ * Sessions stored before state tracking (no state) accept any first transition.
+ * @param {string|undefined} from - Current state
+ * @param {string} to - Target state
+ * @returns {boolean}
+ */
+export function canTransition(from, to) {
+  if (!from) return Object.values(S).includes(to);
+  return TRANSITIONS[from]?.includes(to) ?? false;
+}
+
+/**
+ * Initial state fields for a new checkout session
+ * @param {string} [source] - What created the session
+ * @returns {{state: string, stateHistory: Array}}
+ */
+export function initialPaymentState(source = 'checkout') {
+  return {
+    state: S.CREATED,
+    stateHistory: [{ from: null, to: S.CREATED, at: new Date().toISOString(), source }],
+  };
+}
+
+/**
+ * Apply a transition to a session
+ * Repeating the current state is a no-op (except for additional partial refunds).
+ * @param {object} session - Stored session
+ * @param {string} to - Target state
+ * @param {object} [details] - History details ({ source, eventId, eventType })
+ * @returns {object} Updated session (the input is not modified)
+ * @throws {Error} If the transition is not allowed
+ */
+export function transitionSession(session, to, details = {}) {
+  const from = session.state;
+
+  if (from === to && to !== S.PARTIALLY_REFUNDED) {
+    return session;
+  }
+
+  if (!canTransition(from, to)) {
+    throw new Error(`Illegal payment state transition: ${from} -> ${to}`);
+  }
+
+  return {
+    ...session,
+    state: to,
+    stateHistory: [
+      ...(session.stateHistory || []),
+      { from: from || null, to, at: new Date().toISOString(), ...details },
+    ],
+  };
+}
+
+/**
+ * Persist a payment session with the payment retention TTL
+ * @param {object} env - Environment variables
+ * @param {string} sessionId - Session identifier
+ * @param {object} session - Session data
+ */
+export async function savePaymentSession(env, sessionId, session) {
+  await storeSession(env.SESSIONS, sessionId, session, PAYMENT_SESSION_TTL);
+}
+
+/**
+ * Work out the state a normalized event moves a session to
+ * @param {object} normalized - Normalized event
+ * @param {object} session - Stored session
+ * @returns {string|null} Target state, or null for events that do not affect payments
+ */
+export function stateForEvent(normalized, session) {
+  switch (normalized.type) {
+    case EVENT_TYPES.PAYMENT_PENDING:
+      return S.PENDING;
+    case EVENT_TYPES.PAYMENT_AUTHORIZED:
+      return S.AUTHORIZED;
+    case EVENT_TYPES.PAYMENT_SUCCEEDED:
+      return S.CAPTURED;
+    case EVENT_TYPES.PAYMENT_FAILED:
+      return S.FAILED;
+    case EVENT_TYPES.PAYMENT_EXPIRED:
+      return S.EXPIRED;
+    case EVENT_TYPES.REFUND_SUCCEEDED: {
+      const refunded = Math.max(
+        normalized.data.amount ?? session.amount,
+        session.refundedAmount || 0
+      );
+      return refunded >= session.amount ? S.REFUNDED : S.PARTIALLY_REFUNDED;
+    }
+    case EVENT_TYPES.DISPUTE_OPENED:
+      return S.DISPUTED;
+    case EVENT_TYPES.DISPUTE_CLOSED: {
+      // Return to the state the payment was in when the dispute opened
+      const opened = [...(session.stateHistory || [])]
+        .reverse()
+        .find((entry) => entry.to === S.DISPUTED);
+      return opened?.from || S.CAPTURED;
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Find the session a normalized event belongs to
+ * Events without our session ID (e.g. Stripe refunds) are matched through the
+ * provider references indexed when earlier events were applied.
+ * @param {object} env - Environment variables
+ * @param {string} provider - Provider name
+ * @param {object} normalized - Normalized event
+ * @returns {Promise<{sessionId: string, session: object}|null>}
+ */
+async function findSession(env, provider, normalized) {
+  const { sessionId, refs } = normalized.data;
+
+  if (sessionId) {
+    const session = await getSession(env.SESSIONS, sessionId);
+    if (session) return { sessionId, session };
+  }
+
+  for (const value of Object.values(refs)) {
+    const refSessionId = await env.SESSIONS.get(`${REF_PREFIX}${provider}:${value}`);
+    if (refSessionId) {
+      const session = await getSession(env.SESSIONS, refSessionId);
+      if (session) return { sessionId: refSessionId, session };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Apply a normalized webhook event to the payment state of its session
+ * Illegal transitions are logged and skipped rather than failing the webhook,
+ * since the provider would otherwise redeliver the event forever.
+ * @param {object} env - Environment variables
+ * @param {object} logger - Logger instance
+ * @param {string} provider - Provider name
+ * @param {object|null} normalized - Normalized event
+ * @returns {Promise<{sessionId: string, from: string, to: string, applied: boolean}|null>}
+ */
+export async function applyPaymentEvent(env, logger, provider, normalized) {
+  if (!normalized) return null;
+
+  const found = await findSession(env, provider, normalized);
+  if (!found || found.session.type === 'subscription') return null;
+
+  const { sessionId, session } = found;
+  const to = stateForEvent(normalized, session);
+  if (!to) return null;
+
+  const from = session.state || null;
+  let updated;
+  try {
+    updated = transitionSession(session, to, {
+      source: 'webhook',
+      eventId: normalized.providerEventId,
+      eventType: normalized.type,
+    });
+  } catch (error) {
+    logger.warn('Payment state transition rejected', {
+      sessionId,
+      from,
+      to,
+      eventId: normalized.providerEventId,
+    });
+    return { sessionId, from, to, applied: false };
+  }
+
+  // Index provider references so later events without our session ID find this session
+  const knownRefs = session.providerRefs || {};
+  const newRefs = Object.entries(normalized.data.refs).filter(
+    ([name, value]) => knownRefs[name] !== value
+  );
+  for (const [, value] of newRefs) {
+    await env.SESSIONS.put(`${REF_PREFIX}${provider}:${value}`, sessionId, {
+      expirationTtl: PAYMENT_SESSION_TTL,
+    });
+  }
+
+  await savePaymentSession(env, sessionId, {
+    ...updated,
+    providerRefs: { ...knownRefs, ...Object.fromEntries(newRefs) },
+  });
+
+  logger.info('Payment state updated', { sessionId, from, to });
+  return { sessionId, from, to, applied: true };
+}
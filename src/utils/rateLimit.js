@@ -0,0 +1,204 @@
+/**
+ * Rate limiting
+ * Requests are counted per route group and per client in the RATE_LIMITS
+ * namespace with a sliding window: the current fixed window's count plus the
+ * previous window's count weighted by how much of it still overlaps the
+ * sliding window.
+ *
+ * KV counters undercount and fail open. Each check is a read-modify-write of
+ * one key per window, but KV takes about one write per second per key and
+ * caches reads for up to 60 seconds, so concurrent requests overwrite each
+ * other's counts: a client sending faster than about one request per second
+ * is counted far below its real rate, and limits above 60 per minute cannot
+ * be reached by one client. Failed reads or writes let the request through
+ * (see limitRate). These limits slow down modest abuse from one client; for
+ * exact limits, or to stop floods, use a Durable Object counter, the Workers
+ * Rate Limiting binding or Cloudflare rate limiting rules in front of the
+ * Worker.
+ */
+
+const RATE_LIMIT_PREFIX = 'rl:';
+
+/**
+ * Shortest expiration KV accepts
+ */
+const MIN_KV_TTL = 60;
+
+/**
+ * Default limits per route group. Routes name their group in their `rateLimit`
+ * metadata. Each group limits any of these clients:
+ * - `ip`: the `CF-Connecting-IP` address of callers without a server credential
+ * - `user`: the `userId` of end users (JWT callers)
+ * - `apiKey`: the API key or HMAC client name of server callers
+ * - `provider`: the provider a webhook comes from, per `CF-Connecting-IP`
+ *   address, because the limit applies before signatures are checked and
+ *   forged webhooks must not use up the provider's own deliveries
+ */
+export const DEFAULT_RATE_LIMITS = {
+  checkout: {
+    ip: { limit: 20, window: 60 },
+    user: { limit: 10, window: 60 },
+    apiKey: { limit: 600, window: 60 },
+  },
+  subscription: {
+    ip: { limit: 20, window: 60 },
+    user: { limit: 10, window: 60 },
+    apiKey: { limit: 600, window: 60 },
+  },
+  receipt: {
+    ip: { limit: 60, window: 60 },
+    user: { limit: 60, window: 60 },
+    apiKey: { limit: 1200, window: 60 },
+  },
+  refund: {
+    apiKey: { limit: 120, window: 60 },
+  },
+  webhook: {
+    provider: { limit: 1200, window: 60 },
+  },
+  api: {
+    ip: { limit: 120, window: 60 },
+    user: { limit: 120, window: 60 },
+    apiKey: { limit: 1200, window: 60 },
+  },
+};
+
+/**
+ * Read rate limits, with RATE_LIMIT_RULES merged over the defaults
+ * RATE_LIMIT_RULES is JSON shaped like DEFAULT_RATE_LIMITS; a client set to
+ * null turns that limit off.
+ * @param {object} env - Environment variables
+ * @returns {object} Limits by group and client
+ * @throws {Error} If RATE_LIMIT_RULES is not valid JSON
+ */
+export function getRateLimitRules(env) {
+  const overrides = env.RATE_LIMIT_RULES ? JSON.parse(env.RATE_LIMIT_RULES) : {};
+  const rules = {};
+
+  for (const group of new Set([...Object.keys(DEFAULT_RATE_LIMITS), ...Object.keys(overrides)])) {
+    rules[group] = { ...DEFAULT_RATE_LIMITS[group], ...overrides[group] };
+  }
+
+  return rules;
+}
+
+/**
+ * Identify the clients a request is counted against
+ * @param {Request} request - Incoming request
+ * @param {object|null} auth - Authenticated principal
+ * @param {string|null} provider - Webhook provider
+ * @returns {object} Client keys by client type
+ */
+function clientKeys(request, auth, provider) {
+  const serverCaller = auth && auth.trusted;
+  const ip = request.headers.get('CF-Connecting-IP');
+
+  return {
+    ip: serverCaller ? null : ip,
+    user: auth && !auth.trusted ? auth.userId : null,
+    apiKey: serverCaller ? auth.clientId : null,
+    provider: provider && (ip ? `${provider}:${ip}` : provider),
+  };
+}
+
+/**
+ * Estimate a client's requests in the sliding window
+ * @param {object} kv - RATE_LIMITS namespace
+ * @param {string} key - Counter key without the window index
+ * @param {object} rule - { limit, window }
+ * @param {number} now - Current time in milliseconds
+ * @returns {Promise<object>} Counter state
+ */
+async function readWindow(kv, key, { limit, window }, now) {
+  const windowMs = window * 1000;
+  const index = Math.floor(now / windowMs);
+  const elapsed = now - index * windowMs;
+  const current = parseInt(await kv.get(`${key}:${index}`)) || 0;
+  const previous = parseInt(await kv.get(`${key}:${index - 1}`)) || 0;
+  const overlap = (windowMs - elapsed) / windowMs;
+  const estimate = previous * overlap + current;
+
+  // Time until the estimate leaves room for one more request
+  let retryAfterMs = 0;
+  if (estimate + 1 > limit) {
+    retryAfterMs =
+      current + 1 > limit || previous === 0
+        ? windowMs - elapsed
+        : Math.max(0, windowMs - elapsed - ((limit - current - 1) * windowMs) / previous);
+  }
+
+  return {
+    counterKey: `${key}:${index}`,
+    current,
+    limit,
+    window,
+    allowed: estimate + 1 <= limit,
+    remaining: Math.max(0, Math.floor(limit - estimate - 1)),
+    reset: Math.ceil((windowMs - elapsed) / 1000),
+    retryAfter: Math.max(1, Math.ceil(retryAfterMs / 1000)),
+  };
+}
+
+/**
+ * Check and count a request against its route group's limits
+ * Nothing is counted when any limit is exceeded.
+ * @param {Request} request - Incoming request
+ * @param {object} env - Environment variables
+ * @param {object} options
+ * @param {string} options.group - Route group
+ * @param {object|null} options.auth - Authenticated principal
+ * @param {string|null} [options.provider] - Webhook provider
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {Promise<object|null>} The most restrictive limit's state
+ *   ({ allowed, client, limit, window, remaining, reset, retryAfter }),
+ *   or null when no limit applies or RATE_LIMITS is not bound
+ */
+export async function checkRateLimit(
+  request,
+  env,
+  { group, auth, provider = null },
+  now = Date.now()
+) {
+  if (!env.RATE_LIMITS) return null;
+
+  const rules = getRateLimitRules(env)[group] || {};
+  const keys = clientKeys(request, auth, provider);
+  const windows = [];
+
+  for (const [client, rule] of Object.entries(rules)) {
+    if (!rule || !keys[client]) continue;
+
+    const key = `${RATE_LIMIT_PREFIX}${group}:${client}:${encodeURIComponent(keys[client])}`;
+    windows.push({ client, ...(await readWindow(env.RATE_LIMITS, key, rule, now)) });
+  }
+
+  if (windows.length === 0) return null;
+
+  const denied = windows.filter((state) => !state.allowed);
+  if (denied.length > 0) {
+    return denied.reduce((worst, state) => (state.retryAfter > worst.retryAfter ? state : worst));
+  }
+
+  for (const { counterKey, current, window } of windows) {
+    await env.RATE_LIMITS.put(counterKey, String(current + 1), {
+      expirationTtl: Math.max(MIN_KV_TTL, window * 2),
+    });
+  }
+
+  return windows.reduce((worst, state) => (state.remaining < worst.remaining ? state : worst));
+}
+
+/**
+ * RateLimit headers describing a limit's state
+ * @param {object} state - Result of checkRateLimit
+ * @returns {object} Headers
+ */
+export function rateLimitHeaders({ allowed, limit, window, remaining, reset, retryAfter }) {
+  return {
+    'RateLimit-Limit': String(limit),
+    'RateLimit-Remaining': String(allowed ? remaining : 0),
+    'RateLimit-Reset': String(allowed ? reset : retryAfter),
+    'RateLimit-Policy': `${limit};w=${window}`,
+    ...(!allowed && { 'Retry-After': String(retryAfter) }),
+  };
+}
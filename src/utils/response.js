@@ -3,7 +3,7 @@
  */
 
 /**
- * Create a JSON response with CORS headers
+ * Create a JSON response
  * @param {object} data - Response data
  * @param {number} status - HTTP status code
  * @param {object} headers - Additional headers
@@ -14,9 +14,6 @@ export function jsonResponse(data, status = 200, headers = {}) {
     status,
     headers: {
       'Content-Type': 'application/json',
-      'Access-Control-Allow-Origin': '*',
-      'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
-      'Access-Control-Allow-Headers': 'Content-Type, Authorization',
       ...headers,
     },
   });
@@ -55,19 +52,29 @@ export function errorResponse(message, status = 400, details = {}) {
 }
 
 /**
- * Handle CORS preflight requests
+ * Create a 400 response listing every failing field
+ * @param {Array<{field: string, code: string, message: string}>} errors - Validation errors
  * @returns {Response}
  */
-export function corsResponse() {
-  return new Response(null, {
-    status: 204,
-    headers: {
-      'Access-Control-Allow-Origin': '*',
-      'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
-      'Access-Control-Allow-Headers': 'Content-Type, Authorization',
-      'Access-Control-Max-Age': '86400',
-    },
-  });
+export function validationErrorResponse(errors) {
+  const message = errors.some((error) => error.code === 'required')
+    ? 'Missing required fields'
+    : 'Invalid request body';
+  return errorResponse(message, 400, { errors });
+}
+
+/**
+ * Copy a response with extra headers
+ * @param {Response} response - Response to copy
+ * @param {object} headers - Headers to set
+ * @returns {Response}
+ */
+export function withHeaders(response, headers) {
+  const copy = new Response(response.body, response);
+  for (const [name, value] of Object.entries(headers)) {
+    copy.headers.set(name, value);
+  }
+  return copy;
 }
 
 /**
@@ -0,0 +1,145 @@
+/**
+ * Route table
+ * Routes are declared as `{ method, path, handler, middleware, ...metadata }`.
+ * A path is a template whose `:name` segments each match one non-empty path
+ * segment; the matched values are URL-decoded into `params`. Literal segments
+ * win over params, so `/api/subscription/:subscriptionId/preview` is matched
+ * before a param in the same position would be. All routes of one template
+ * are kept together so the methods a path accepts can be listed in `Allow`.
+ */
+
+/**
+ * Compile route definitions into a table
+ * @param {Array<object>} routes - Route definitions
+ * @returns {Array<object>} Templates ({ template, segments, methods }) with their routes by method
+ * @throws {Error} If a method and path is declared twice
+ */
+export function createRouteTable(routes) {
+  const templates = new Map();
+
+  for (const route of routes) {
+    if (!templates.has(route.path)) {
+      templates.set(route.path, {
+        template: route.path,
+        segments: route.path.split('/'),
+        methods: {},
+      });
+    }
+
+    const entry = templates.get(route.path);
+    if (entry.methods[route.method]) {
+      throw new Error(`Route declared twice: ${route.method} ${route.path}`);
+    }
+    entry.methods[route.method] = { middleware: [], ...route };
+  }
+
+  return [...templates.values()];
+}
+
+/**
+ * Count the literal segments of a template that match a path, or -1 if it does not match
+ * @param {string[]} templateSegments - Template split on `/`
+ * @param {string[]} segments - Path split on `/`
+ * @returns {number}
+ */
+function matchSegments(templateSegments, segments) {
+  if (templateSegments.length !== segments.length) return -1;
+
+  let literals = 0;
+  for (let i = 0; i < segments.length; i++) {
+    const part = templateSegments[i];
+    if (part.startsWith(':')) {
+      if (segments[i] === '') return -1;
+    } else if (part === segments[i]) {
+      literals++;
+    } else {
+      return -1;
+    }
+  }
+  return literals;
+}
+
+/**
+ * Find the template a path belongs to
+ * @param {Array<object>} table - Table from createRouteTable
+ * @param {string} path - URL pathname
+ * @returns {object|null} { template, methods, params }, or null if no template
+ *   matches or a param is not valid percent-encoding
+ */
+export function matchPath(table, path) {
+  const segments = path.split('/');
+  let best = null;
+  let bestLiterals = -1;
+
+  for (const entry of table) {
+    const literals = matchSegments(entry.segments, segments);
+    if (literals > bestLiterals) {
+      best = entry;
+      bestLiterals = literals;
+    }
+  }
+
+  if (!best) return null;
+
+  const params = {};
+  try {
+    best.segments.forEach((part, i) => {
+      if (part.startsWith(':')) {
+        params[part.slice(1)] = decodeURIComponent(segments[i]);
+      }
+    });
+  } catch {
+    return null;
+  }
+
+  return { template: best.template, methods: best.methods, params };
+}
+
+/**
+ * Methods a matched template accepts, for `Allow` headers
+ * GET routes also answer HEAD, and every route answers OPTIONS.
+ * @param {object} match - Result of matchPath
+ * @returns {string[]}
+ */
+export function allowedMethods(match) {
+  const methods = [];
+  for (const method of Object.keys(match.methods)) {
+    methods.push(method);
+    if (method === 'GET' && !match.methods.HEAD) methods.push('HEAD');
+  }
+  return [...methods, 'OPTIONS'];
+}
+
+/**
+ * Pick the route for a request method; HEAD falls back to GET
+ * @param {object} match - Result of matchPath
+ * @param {string} method - Request method
+ * @returns {object|undefined} Route definition
+ */
+export function selectRoute(match, method) {
+  return match.methods[method] || (method === 'HEAD' ? match.methods.GET : undefined);
+}
+
+/**
+ * Run a handler behind middleware
+ * Each middleware is called as `middleware(ctx, next)` and returns a Response,
+ * either its own or the one `next()` resolves to.
+ * @param {Array<function>} middleware - Middleware in the order they run
+ * @param {object} ctx - Request context shared by the middleware and handler
+ * @param {function(object): Promise<Response>} handler - Route handler
+ * @returns {Promise<Response>}
+ */
+export async function runMiddleware(middleware, ctx, handler) {
+  const next = async (index) =>
+    index < middleware.length ? middleware[index](ctx, () => next(index + 1)) : handler(ctx);
+  return next(0);
+}
+
+/**
+ * List every route in a table, for docs and metrics
+ * @param {Array<object>} table - Table from createRouteTable
+ * @returns {Array<object>} Route definitions
+ */
+export function listRoutes(table) {
+  return table.flatMap((entry) => Object.values(entry.methods));
+}
@@ -0,0 +1,169 @@
+/**
+ * Provider routing for `provider: "auto"` checkouts
+ * Rules from PROVIDER_ROUTING decide which providers may take a payment and in
+ * what order they are tried; a per-provider circuit breaker in KV keeps
+ * failing providers at the back of the queue until they recover.
+ */
+
+import { isRepresentable } from './money.js';
+
+const HEALTH_PREFIX = 'health:';
+
+/**
+ * Consecutive failures after which a provider is considered unhealthy
+ */
+const DEFAULT_FAILURE_THRESHOLD = 3;
+
+/**
+ * How long an unhealthy provider stays deprioritized after its last failure
+ */
+const DEFAULT_COOLDOWN_SECONDS = 300;
+
+/**
+ * Credential that marks a provider as configured when no rules are set
+ */
+const PROVIDER_CREDENTIALS = {
+  paddle: 'PADDLE_API_KEY',
+  paypal: 'PAYPAL_CLIENT_ID',
+  stripe: 'STRIPE_SECRET_KEY',
+};
+
+/**
+ * Read routing rules from PROVIDER_ROUTING
+ * Without rules, every provider with credentials is eligible with equal weight.
+ * @param {object} env - Environment variables
+ * @returns {Array<object>} Rules ({ provider, weight, currencies, countries, minAmount, maxAmount })
+ * @throws {Error} If PROVIDER_ROUTING is not valid JSON
+ */
+export function getRoutingRules(env) {
+  if (env.PROVIDER_ROUTING) {
+    const config = JSON.parse(env.PROVIDER_ROUTING);
+    return (Array.isArray(config) ? config : config.rules || []).map((rule) => ({
+      weight: 1,
+      ...rule,
+      provider: rule.provider.toLowerCase(),
+    }));
+  }
+
+  return Object.entries(PROVIDER_CREDENTIALS)
+    .filter(([, credential]) => env[credential])
+    .map(([provider]) => ({ provider, weight: 1 }));
+}
+
+/**
+ * Check whether a rule accepts a payment
+ * @param {object} rule - Routing rule
+ * @param {object} payment - { amount, currency, country }
+ * @returns {boolean}
+ */
+function matchesRule(rule, { amount, currency, country }) {
+  if (rule.currencies && !rule.currencies.includes(currency)) return false;
+  if (rule.countries && !rule.countries.includes(country)) return false;
+  if (rule.minAmount !== undefined && amount < rule.minAmount) return false;
+  if (rule.maxAmount !== undefined && amount > rule.maxAmount) return false;
+  return isRepresentable(amount, currency, rule.provider);
+}
+
+/**
+ * Get a provider's health record
+ * @param {object} env - Environment variables
+ * @param {string} provider - Provider name
+ * @returns {Promise<object|null>} { consecutiveFailures, lastFailureAt, lastError }
+ */
+export async function getProviderHealth(env, provider) {
+  return env.METRICS.get(`${HEALTH_PREFIX}${provider}`, 'json');
+}
+
+/**
+ * Check whether a provider's circuit breaker is open
+ * @param {object} env - Environment variables
+ * @param {object|null} health - Health record
+ * @param {number} now - Current time in milliseconds
+ * @returns {boolean}
+ */
+function isUnhealthy(env, health, now) {
+  const threshold = parseInt(env.PROVIDER_FAILURE_THRESHOLD || DEFAULT_FAILURE_THRESHOLD);
+  const cooldown = parseInt(env.PROVIDER_COOLDOWN_SECONDS || DEFAULT_COOLDOWN_SECONDS);
+
+  return (
+    !!health &&
+    health.consecutiveFailures >= threshold &&
+    now - health.lastFailureAt < cooldown * 1000
+  );
+}
+
+/**
+ * Record the outcome of a provider call for health tracking
+ * Successes only write when they close an open failure streak.
+ * @param {object} env - Environment variables
+ * @param {string} provider - Provider name
+ * @param {Error|null} error - Error from the call, or null on success
+ */
+export async function recordProviderResult(env, provider, error = null) {
+  const key = `${HEALTH_PREFIX}${provider}`;
+  const health = await env.METRICS.get(key, 'json');
+
+  if (!error) {
+    if (health?.consecutiveFailures) {
+      await env.METRICS.delete(key);
+    }
+    return;
+  }
+
+  await env.METRICS.put(
+    key,
+    JSON.stringify({
+      consecutiveFailures: (health?.consecutiveFailures || 0) + 1,
+      lastFailureAt: Date.now(),
+      lastError: error.message,
+    })
+  );
+}
+
+/**
+ * Check whether a provider error should trigger failover
+ * Provider API errors carry `retryable`; network failures surface as TypeError.
+ * @param {Error} error - Error thrown by an adapter
+ * @returns {boolean}
+ */
+export function isRetryableError(error) {
+  return error.retryable ?? error instanceof TypeError;
+}
+
+/**
+ * Order the providers eligible for a payment
+ * The first provider is drawn by weight among healthy providers; the rest
+ * follow by descending weight, with unhealthy providers last. Weight 0 makes a
+ * provider fallback-only.
+ * @param {object} env - Environment variables
+ * @param {object} payment - { amount, currency, country }
+ * @param {function(): number} random - Random source in [0, 1)
+ * @returns {Promise<string[]>} Provider names in the order to try
+ */
+export async function selectProviders(env, payment, random = Math.random) {
+  const now = Date.now();
+  const eligible = getRoutingRules(env).filter((rule) => matchesRule(rule, payment));
+  // The first matching rule for a provider wins
+  const seen = new Set();
+  const providers = eligible.filter((rule) => !seen.has(rule.provider) && seen.add(rule.provider));
+
+  const healthy = [];
+  const unhealthy = [];
+  for (const rule of providers) {
+    const health = await getProviderHealth(env, rule.provider);
+    (isUnhealthy(env, health, now) ? unhealthy : healthy).push(rule);
+  }
+
+  const byWeight = (a, b) => b.weight - a.weight;
+  healthy.sort(byWeight);
+  unhealthy.sort(byWeight);
+
+  const totalWeight = healthy.reduce((sum, rule) => sum + rule.weight, 0);
+  if (totalWeight > 0) {
+    let pick = random() * totalWeight;
+    const index = healthy.findIndex((rule) => (pick -= rule.weight) < 0);
+    healthy.unshift(...healthy.splice(index, 1));
+  }
+
+  return [...healthy, ...unhealthy].map((rule) => rule.provider);
+}
@@ -0,0 +1,315 @@
+/**
+ * Subscription lifecycle and records
+ * Adapters report subscriptions in one provider-neutral shape (see
+ * ProviderAdapter#getSubscription) so clients can manage them without knowing
+ * which provider bills them. Each subscription we create gets a record in the
+ * SUBSCRIPTIONS namespace that never expires and is indexed by user; webhooks
+ * and our own lifecycle calls keep it in step with the provider.
+ */
+
+import { EVENT_TYPES } from './events.js';
+
+/**
+ * Provider-neutral subscription statuses
+ */
+export const SUBSCRIPTION_STATUSES = {
+  PENDING: 'pending',
+  TRIALING: 'trialing',
+  ACTIVE: 'active',
+  PAST_DUE: 'past_due',
+  PAUSED: 'paused',
+  CANCELED: 'canceled',
+};
+
+/**
+ * When the price difference of a plan or quantity change is billed
+ * - `immediately`: charge or credit the prorated difference now
+ * - `next_period`: add the prorated difference to the next renewal
+ * - `none`: no proration; the new price applies from the next renewal
+ */
+export const PRORATION_MODES = ['immediately', 'next_period', 'none'];
+
+export const DEFAULT_PRORATION = 'next_period';
+
+/**
+ * Create an error for an operation a provider does not offer
+ * The router turns these into 422 responses.
+ * @param {string} message - Error message
+ * @returns {Error}
+ */
+export function unsupportedOperation(message) {
+  const error = new Error(message);
+  error.status = 422;
+  error.unsupported = true;
+  return error;
+}
+
+/**
+ * Convert an ISO timestamp or Unix seconds to an ISO string
+ * @param {string|number|null} value - Provider timestamp
+ * @returns {string|null}
+ */
+export function toIsoTime(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  const date = new Date(typeof value === 'number' ? value * 1000 : value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+const RECORD_PREFIX = 'subscription:';
+const USER_INDEX_PREFIX = 'user:';
+
+/**
+ * Index pages read per filtered listing before returning a partial page and a cursor
+ */
+const MAX_SCAN_PAGES = 10;
+
+/**
+ * Fields of the provider-neutral shape that are only updated when the
+ * provider reports a value (PayPal, for example, does not report currency)
+ */
+const OPTIONAL_FIELDS = [
+  'planId',
+  'quantity',
+  'currency',
+  'currentPeriodStart',
+  'currentPeriodEnd',
+];
+
+/**
+ * Fields of adapter results that are not subscription state
+ */
+const IDENTITY_FIELDS = ['subscriptionId', 'provider', 'approvalUrl'];
+
+/**
+ * Catalog fields that describe the plan a record was created or changed with
+ */
+const PLAN_FIELDS = ['planKey', 'amount', 'currency', 'interval'];
+
+/**
+ * Statuses implied by events that do not carry the subscription itself
+ * (e.g. renewal payments)
+ */
+const EVENT_STATUSES = {
+  [EVENT_TYPES.SUBSCRIPTION_ACTIVATED]: SUBSCRIPTION_STATUSES.ACTIVE,
+  [EVENT_TYPES.SUBSCRIPTION_RENEWED]: SUBSCRIPTION_STATUSES.ACTIVE,
+  [EVENT_TYPES.SUBSCRIPTION_RESUMED]: SUBSCRIPTION_STATUSES.ACTIVE,
+  [EVENT_TYPES.SUBSCRIPTION_PAUSED]: SUBSCRIPTION_STATUSES.PAUSED,
+  [EVENT_TYPES.SUBSCRIPTION_PAST_DUE]: SUBSCRIPTION_STATUSES.PAST_DUE,
+  [EVENT_TYPES.SUBSCRIPTION_CANCELED]: SUBSCRIPTION_STATUSES.CANCELED,
+};
+
+/**
+ * Get a subscription record
+ * Subscriptions created before records existed live in SESSIONS with a TTL;
+ * they are moved into SUBSCRIPTIONS the first time they are read.
+ * @param {object} env - Environment variables
+ * @param {string} subscriptionId - Provider subscription ID
+ * @returns {Promise<object|null>}
+ */
+export async function getSubscriptionRecord(env, subscriptionId) {
+  const record = await env.SUBSCRIPTIONS.get(`${RECORD_PREFIX}${subscriptionId}`, 'json');
+  if (record) {
+    return record;
+  }
+
+  const legacy = await env.SESSIONS.get(`session:${subscriptionId}`, 'json');
+  if (legacy?.type !== 'subscription') {
+    return null;
+  }
+
+  const migrated = { subscriptionId, ...legacy };
+  delete migrated.type;
+  return saveSubscriptionRecord(env, migrated);
+}
+
+/**
+ * Store a subscription record without expiry and index it by user
+ * @param {object} env - Environment variables
+ * @param {object} record - Record with at least subscriptionId and provider
+ * @returns {Promise<object>} Stored record
+ */
+export async function saveSubscriptionRecord(env, record) {
+  const stored = { ...record, updatedAt: new Date().toISOString() };
+
+  await env.SUBSCRIPTIONS.put(`${RECORD_PREFIX}${record.subscriptionId}`, JSON.stringify(stored));
+  if (record.userId) {
+    await env.SUBSCRIPTIONS.put(
+      `${USER_INDEX_PREFIX}${record.userId}:${record.subscriptionId}`,
+      record.subscriptionId
+    );
+  }
+
+  return stored;
+}
+
+/**
+ * List a user's subscription records, oldest index key first
+ * With a `status`, index pages are read until the page is full. A page can
+ * still hold fewer than `limit` records while `cursor` is not null when few
+ * of the scanned records match.
+ * @param {object} env - Environment variables
+ * @param {string} userId - Our user identifier
+ * @param {object} [options] - { cursor, limit, status }
+ * @returns {Promise<{subscriptions: object[], cursor: string|null}>}
+ */
+export async function listUserSubscriptions(env, userId, { cursor, limit = 50, status } = {}) {
+  const prefix = `${USER_INDEX_PREFIX}${userId}:`;
+  const subscriptions = [];
+  let next = cursor;
+
+  for (let scanned = 0; scanned < MAX_SCAN_PAGES && subscriptions.length < limit; scanned++) {
+    // Never list more keys than the page has room for, so the cursor resumes exactly
+    const page = await env.SUBSCRIPTIONS.list({
+      prefix,
+      cursor: next,
+      limit: limit - subscriptions.length,
+    });
+    const records = await Promise.all(
+      page.keys.map((key) =>
+        env.SUBSCRIPTIONS.get(`${RECORD_PREFIX}${key.name.slice(prefix.length)}`, 'json')
+      )
+    );
+
+    subscriptions.push(
+      ...records.filter((record) => record && (!status || record.status === status))
+    );
+
+    if (page.list_complete) {
+      return { subscriptions, cursor: null };
+    }
+    next = page.cursor;
+  }
+
+  return { subscriptions, cursor: next };
+}
+
+/**
+ * Switch a record to another plan
+ * Catalog fields of the previous plan are dropped; pass the catalog plan to
+ * record the new plan's.
+ * @param {object} record - Subscription record
+ * @param {string} planId - Provider plan or price ID
+ * @param {object} [plan] - Catalog plan
+ * @returns {object} Updated record
+ */
+export function withPlan(record, planId, plan) {
+  const updated = { ...record, planId };
+  for (const field of PLAN_FIELDS) {
+    delete updated[field];
+  }
+
+  return plan
+    ? {
+        ...updated,
+        planKey: plan.planKey,
+        amount: plan.amount,
+        currency: plan.currency,
+        interval: plan.interval,
+      }
+    : updated;
+}
+
+/**
+ * Apply a plan or quantity change to a record
+ * @param {object} record - Subscription record
+ * @param {object} change - { planId, plan, quantity }; plan is the catalog plan, if any
+ * @returns {object} Updated record
+ */
+export function withChange(record, { planId, plan, quantity }) {
+  const updated = planId ? withPlan(record, planId, plan) : { ...record };
+  return quantity ? { ...updated, quantity } : updated;
+}
+
+/**
+ * Apply a record's pending change once the provider reports it in effect
+ * @param {object} record - Subscription record
+ * @returns {object} Updated record
+ */
+function settlePendingChange(record) {
+  const { pendingChange, ...rest } = record;
+  if (!pendingChange) return record;
+
+  const confirmed =
+    (!pendingChange.planId || rest.planId === pendingChange.planId) &&
+    (!pendingChange.quantity || rest.quantity === pendingChange.quantity);
+  return confirmed ? withChange(rest, pendingChange) : record;
+}
+
+/**
+ * Merge a provider-neutral subscription into a record
+ * A pending change (see handleSubscriptionUpdate) is applied when the
+ * subscription reports it.
+ * @param {object} record - Subscription record
+ * @param {object} subscription - Result of an adapter lifecycle method
+ * @returns {object} Updated record
+ */
+export function mergeSubscriptionState(record, subscription) {
+  const { planId } = subscription;
+  const merged =
+    planId && record.planId && planId !== record.planId ? withPlan(record, planId) : { ...record };
+
+  for (const [field, value] of Object.entries(subscription)) {
+    if (IDENTITY_FIELDS.includes(field)) {
+      continue;
+    }
+    if (value !== null && value !== undefined) {
+      merged[field] = value;
+    } else if (!OPTIONAL_FIELDS.includes(field)) {
+      merged[field] = null;
+    }
+  }
+
+  return settlePendingChange(merged);
+}
+
+/**
+ * Apply a normalized webhook event to the subscription record it belongs to
+ * Events older than the last one applied are skipped, so a late redelivery
+ * cannot roll the record back. Subscriptions we have no record of are
+ * recorded when the event carries the subscription itself.
+ * @param {object} env - Environment variables
+ * @param {object} logger - Logger instance
+ * @param {object|null} normalized - Normalized event
+ * @returns {Promise<{subscriptionId: string, status: string, applied: boolean}|null>}
+ */
+export async function applySubscriptionEvent(env, logger, normalized) {
+  const subscriptionId = normalized?.data.subscriptionId;
+  if (!subscriptionId) return null;
+
+  const { subscription, userId, customer } = normalized.data;
+  const status = EVENT_STATUSES[normalized.type];
+  const record = await getSubscriptionRecord(env, subscriptionId);
+
+  if (!record && !subscription) return null;
+
+  if (record?.lastEventAt && normalized.occurredAt < record.lastEventAt) {
+    logger.warn('Out-of-order subscription event skipped', {
+      subscriptionId,
+      eventId: normalized.providerEventId,
+    });
+    return { subscriptionId, status: record.status, applied: false };
+  }
+
+  let updated = record || {
+    subscriptionId,
+    provider: normalized.provider,
+    userId,
+    email: customer.email,
+    createdAt: normalized.occurredAt,
+  };
+  if (subscription) {
+    updated = mergeSubscriptionState(updated, subscription);
+  } else if (status) {
+    updated = { ...updated, status };
+  }
+
+  const saved = await saveSubscriptionRecord(env, {
+    ...updated,
+    lastEventAt: normalized.occurredAt,
+  });
+
+  logger.info('Subscription record updated', { subscriptionId, status: saved.status });
+  return { subscriptionId, status: saved.status, applied: true };
+}
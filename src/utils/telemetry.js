@@ -0,0 +1,398 @@
+/**
+ * Prometheus telemetry
+ * Request, provider call and webhook measurements are collected in memory by
+ * each isolate, which writes its cumulative totals to its own shard key in the
+ * METRICS namespace at most every few seconds. GET /metrics sums the shards
+ * and renders them in the OpenMetrics text format. Only one isolate writes
+ * each key, so no write overwrites another isolate's counts and exported
+ * counters only go up. The scheduled handler folds the shards of isolates
+ * that stopped flushing into one totals key, so scrapes read few keys.
+ */
+
+const TOTALS_KEY = 'telemetry:totals';
+const SHARD_PREFIX = 'telemetry:shard:';
+
+/**
+ * Minimum time between flushes of an isolate's measurements
+ */
+const FLUSH_INTERVAL_MS = 10000;
+
+/**
+ * A shard not written for this long belongs to a retired isolate and is folded
+ * into the totals
+ */
+const SHARD_IDLE_MS = 60 * 60 * 1000;
+
+/**
+ * Folded shards are deleted after a day, and their IDs forgotten after two, so
+ * scrapes reading a stale totals key never count a shard twice or drop it
+ */
+const FOLDED_SHARD_TTL_MS = 24 * 60 * 60 * 1000;
+const FOLDED_RECORD_TTL_MS = 2 * FOLDED_SHARD_TTL_MS;
+
+/**
+ * Latency histogram bucket bounds in seconds
+ */
+const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+export const OPENMETRICS_CONTENT_TYPE =
+  'application/openmetrics-text; version=1.0.0; charset=utf-8';
+
+/**
+ * Metric families, in the order they are exported
+ */
+export const METRIC_FAMILIES = {
+  http_requests: {
+    type: 'counter',
+    help: 'HTTP requests handled, by route template, method and status',
+  },
+  http_request_duration_seconds: {
+    type: 'histogram',
+    help: 'HTTP request latency, by route template and method',
+  },
+  provider_requests: {
+    type: 'counter',
+    help: 'Provider API calls, by provider, adapter method and outcome',
+  },
+  provider_request_duration_seconds: {
+    type: 'histogram',
+    help: 'Provider API call latency, by provider and adapter method',
+  },
+  webhook_verification_failures: {
+    type: 'counter',
+    help: 'Webhooks rejected by signature verification, by provider',
+  },
+  idempotent_replays: {
+    type: 'counter',
+    help: 'Duplicate requests and webhook events answered without reprocessing, by source',
+  },
+  rate_limited_requests: {
+    type: 'counter',
+    help: 'Requests rejected by rate limits, by route group and limited client type',
+  },
+  backend_forward_failures: {
+    type: 'counter',
+    help: 'Failed deliveries of webhook events to the backend, by source',
+  },
+};
+
+let shardId = crypto.randomUUID();
+let measurements = new Map();
+let unflushed = false;
+let lastFlushAt = 0;
+
+/**
+ * Escape a label value for the text format
+ * @param {string} value - Label value
+ * @returns {string}
+ */
+function escapeLabelValue(value) {
+  return value.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Format a label set, sorted by name so each series has one key
+ * @param {object} labels - Label names and values
+ * @returns {string} `{name="value",...}`, or '' without labels
+ */
+function formatLabels(labels) {
+  const pairs = Object.keys(labels)
+    .sort()
+    .map((name) => `${name}="${escapeLabelValue(String(labels[name]))}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * Format a bucket bound as a canonical OpenMetrics float
+ * @param {number} bound - Bucket bound
+ * @returns {string}
+ */
+function formatBound(bound) {
+  return Number.isInteger(bound) ? bound.toFixed(1) : String(bound);
+}
+
+/**
+ * Add a measurement series into another (modified)
+ * @param {object} target - Series to add to
+ * @param {object} delta - Series to add
+ * @returns {object} target
+ */
+function mergeSeries(target, delta) {
+  if (delta.buckets) {
+    target.buckets = target.buckets.map((count, index) => count + delta.buckets[index]);
+    target.sum += delta.sum;
+    target.count += delta.count;
+  } else {
+    target.value += delta.value;
+  }
+  return target;
+}
+
+/**
+ * Add series by key into totals by key (modified); the added series are copied
+ * @param {object} totals - Totals by series key
+ * @param {object} series - Series by series key
+ * @returns {object} totals
+ */
+function mergeTotals(totals, series) {
+  for (const [key, delta] of Object.entries(series)) {
+    totals[key] = totals[key] ? mergeSeries(totals[key], delta) : structuredClone(delta);
+  }
+  return totals;
+}
+
+/**
+ * Get this isolate's series for a label set, creating it empty
+ * @param {string} name - Family name
+ * @param {object} labels - Label names and values
+ * @param {object} empty - Initial measurement fields
+ * @returns {object}
+ */
+function localSeries(name, labels, empty) {
+  const key = `${name}${formatLabels(labels)}`;
+  if (!measurements.has(key)) {
+    measurements.set(key, { name, labels, ...empty });
+  }
+  unflushed = true;
+  return measurements.get(key);
+}
+
+/**
+ * Increment a counter
+ * @param {string} name - Family name from METRIC_FAMILIES
+ * @param {object} [labels] - Label names and values
+ * @param {number} [value] - Amount to add
+ */
+export function countMetric(name, labels = {}, value = 1) {
+  localSeries(name, labels, { value: 0 }).value += value;
+}
+
+/**
+ * Record a latency in a histogram
+ * @param {string} name - Family name from METRIC_FAMILIES
+ * @param {object} labels - Label names and values
+ * @param {number} seconds - Observed latency
+ */
+export function observeMetric(name, labels, seconds) {
+  const series = localSeries(name, labels, {
+    buckets: LATENCY_BUCKETS.map(() => 0),
+    sum: 0,
+    count: 0,
+  });
+  mergeSeries(series, {
+    buckets: LATENCY_BUCKETS.map((bound) => (seconds <= bound ? 1 : 0)),
+    sum: seconds,
+    count: 1,
+  });
+}
+
+/**
+ * Time and count every call of the given adapter methods
+ * @param {object} adapter - Provider adapter (modified)
+ * @param {string[]} methods - Methods that call the provider API
+ * @returns {object} adapter
+ */
+export function instrumentAdapter(adapter, methods) {
+  const provider = adapter.getName();
+
+  for (const method of methods) {
+    const original = adapter[method].bind(adapter);
+
+    adapter[method] = async (...args) => {
+      const startedAt = Date.now();
+      let outcome = 'success';
+      try {
+        return await original(...args);
+      } catch (error) {
+        outcome = 'error';
+        throw error;
+      } finally {
+        countMetric('provider_requests', { provider, method, outcome });
+        observeMetric(
+          'provider_request_duration_seconds',
+          { provider, method },
+          (Date.now() - startedAt) / 1000
+        );
+      }
+    };
+  }
+
+  return adapter;
+}
+
+/**
+ * Read the totals key: folded series and the IDs of the shards folded into them
+ * @param {object} env - Environment variables
+ * @returns {Promise<{series: object, folded: object}>}
+ */
+async function readFoldedTotals(env) {
+  const stored = await env.METRICS.get(TOTALS_KEY, 'json');
+  // Totals written before sharding are plain series by key
+  return stored?.series ? stored : { series: stored || {}, folded: {} };
+}
+
+/**
+ * List every shard key
+ * @param {object} env - Environment variables
+ * @returns {Promise<string[]>}
+ */
+async function listShardKeys(env) {
+  const names = [];
+  let cursor;
+
+  do {
+    const page = await env.METRICS.list({ prefix: SHARD_PREFIX, cursor });
+    names.push(...page.keys.map((key) => key.name));
+    cursor = page.list_complete ? null : page.cursor;
+  } while (cursor);
+
+  return names;
+}
+
+/**
+ * Write this isolate's cumulative measurements to its shard
+ * @param {object} env - Environment variables
+ * @param {number} now - Current time in milliseconds
+ * @returns {Promise<void>}
+ */
+export async function flushTelemetry(env, now = Date.now()) {
+  lastFlushAt = now;
+  if (!unflushed) {
+    return;
+  }
+
+  unflushed = false;
+  try {
+    await env.METRICS.put(
+      `${SHARD_PREFIX}${shardId}`,
+      JSON.stringify({ updatedAt: now, series: Object.fromEntries(measurements) })
+    );
+  } catch (error) {
+    unflushed = true;
+    throw error;
+  }
+}
+
+/**
+ * Sum the folded totals and every shard not folded into them
+ * This isolate's series are taken from memory rather than its shard.
+ * @param {object} env - Environment variables
+ * @returns {Promise<object>} Totals by series key
+ */
+export async function readTelemetryTotals(env) {
+  const { series, folded } = await readFoldedTotals(env);
+  const totals = mergeTotals({}, series);
+  const own = `${SHARD_PREFIX}${shardId}`;
+
+  const names = (await listShardKeys(env)).filter(
+    (name) => name !== own && !folded[name.slice(SHARD_PREFIX.length)]
+  );
+  const shards = await Promise.all(names.map((name) => env.METRICS.get(name, 'json')));
+  for (const shard of shards) {
+    if (shard) mergeTotals(totals, shard.series);
+  }
+
+  return folded[shardId] ? totals : mergeTotals(totals, Object.fromEntries(measurements));
+}
+
+/**
+ * Fold the shards of isolates that stopped flushing into the totals key
+ * Runs from the scheduled handler only, so the totals key has one writer.
+ * @param {object} env - Environment variables
+ * @param {number} now - Current time in milliseconds
+ * @returns {Promise<{folded: number, deleted: number}>}
+ */
+export async function compactTelemetry(env, now = Date.now()) {
+  const totals = await readFoldedTotals(env);
+  const stats = { folded: 0, deleted: 0 };
+
+  for (const name of await listShardKeys(env)) {
+    const id = name.slice(SHARD_PREFIX.length);
+
+    if (totals.folded[id]) {
+      if (now - totals.folded[id] >= FOLDED_SHARD_TTL_MS) {
+        await env.METRICS.delete(name);
+        stats.deleted += 1;
+      }
+      continue;
+    }
+
+    const shard = await env.METRICS.get(name, 'json');
+    if (shard && id !== shardId && now - shard.updatedAt >= SHARD_IDLE_MS) {
+      mergeTotals(totals.series, shard.series);
+      totals.folded[id] = now;
+      stats.folded += 1;
+    }
+  }
+
+  for (const [id, foldedAt] of Object.entries(totals.folded)) {
+    if (now - foldedAt >= FOLDED_RECORD_TTL_MS) {
+      delete totals.folded[id];
+    }
+  }
+
+  await env.METRICS.put(TOTALS_KEY, JSON.stringify(totals));
+  return stats;
+}
+
+/**
+ * Flush this isolate's measurements when the last flush is old enough
+ * @param {object} env - Environment variables
+ * @param {number} now - Current time in milliseconds
+ * @returns {Promise<void>}
+ */
+export async function flushTelemetryIfDue(env, now = Date.now()) {
+  if (now - lastFlushAt >= FLUSH_INTERVAL_MS) {
+    await flushTelemetry(env, now);
+  }
+}
+
+/**
+ * Start this isolate over with no measurements and a new shard
+ * Isolates never need this; tests use it to start from a clean slate.
+ */
+export function resetTelemetry() {
+  shardId = crypto.randomUUID();
+  measurements = new Map();
+  unflushed = false;
+  lastFlushAt = 0;
+}
+
+/**
+ * Render totals in the OpenMetrics text format
+ * @param {object} totals - Totals by series key (from readTelemetryTotals)
+ * @returns {string}
+ */
+export function renderOpenMetrics(totals) {
+  const lines = [];
+
+  for (const [name, family] of Object.entries(METRIC_FAMILIES)) {
+    lines.push(`# TYPE ${name} ${family.type}`, `# HELP ${name} ${family.help}`);
+
+    const series = Object.keys(totals)
+      .filter((key) => totals[key].name === name)
+      .sort()
+      .map((key) => totals[key]);
+
+    for (const { labels, value, buckets, sum, count } of series) {
+      if (family.type === 'counter') {
+        lines.push(`${name}_total${formatLabels(labels)} ${value}`);
+        continue;
+      }
+
+      LATENCY_BUCKETS.forEach((bound, index) => {
+        lines.push(
+          `${name}_bucket${formatLabels({ ...labels, le: formatBound(bound) })} ${buckets[index]}`
+        );
+      });
+      lines.push(
+        `${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+        `${name}_sum${formatLabels(labels)} ${sum}`,
+        `${name}_count${formatLabels(labels)} ${count}`
+      );
+    }
+  }
+
+  lines.push('# EOF');
+  return `${lines.join('\n')}\n`;
+}
@@ -0,0 +1,389 @@
+/**
+ * Distributed tracing
+ * Each request continues the trace in its W3C `traceparent` header (or starts
+ * one) and records spans for the route handler, provider adapter calls and KV
+ * operations. Outgoing provider and backend calls carry `traceparent`,
+ * `tracestate` and `X-Request-Id`. When `OTEL_EXPORTER_OTLP_ENDPOINT` is set,
+ * sampled traces are exported to the collector as OTLP/HTTP JSON after the
+ * response is sent.
+ */
+
+/**
+ * OTLP span kinds
+ */
+export const SPAN_KINDS = {
+  INTERNAL: 1,
+  SERVER: 2,
+  CLIENT: 3,
+};
+
+/**
+ * OTLP span status codes
+ */
+const STATUS_CODES = {
+  OK: 1,
+  ERROR: 2,
+};
+
+const DEFAULT_SERVICE_NAME = 'payment-system';
+
+/**
+ * Spans kept per trace; long KV scans stop being recorded past this
+ */
+const MAX_SPANS = 512;
+
+/**
+ * KV namespace methods recorded as spans
+ */
+const KV_METHODS = ['get', 'getWithMetadata', 'put', 'delete', 'list'];
+
+const TRACEPARENT_PATTERN = /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})(-.*)?$/;
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+/**
+ * Random lowercase hex ID
+ * @param {number} bytes - Length in bytes
+ * @returns {string}
+ */
+function randomId(bytes) {
+  return Array.from(crypto.getRandomValues(new Uint8Array(bytes)), (byte) =>
+    byte.toString(16).padStart(2, '0')
+  ).join('');
+}
+
+/**
+ * Parse a W3C `traceparent` header
+ * Unknown future versions are read as version 00, as the spec requires.
+ * @param {string|null} header - Header value
+ * @returns {{traceId: string, parentSpanId: string, sampled: boolean}|null} null if invalid
+ */
+export function parseTraceparent(header) {
+  const match = TRACEPARENT_PATTERN.exec((header || '').trim());
+  if (!match) return null;
+
+  const [, version, traceId, parentSpanId, flags, rest] = match;
+  if (version === 'ff' || (version === '00' && rest)) return null;
+  if (/^0+$/.test(traceId) || /^0+$/.test(parentSpanId)) return null;
+
+  return { traceId, parentSpanId, sampled: (parseInt(flags, 16) & 1) === 1 };
+}
+
+/**
+ * Convert span attributes to OTLP key/value pairs
+ * @param {object} attributes - Attribute names and values
+ * @returns {Array<{key: string, value: object}>}
+ */
+function toOtlpAttributes(attributes) {
+  return Object.entries(attributes)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => {
+      if (typeof value === 'boolean') return { key, value: { boolValue: value } };
+      if (Number.isInteger(value)) return { key, value: { intValue: String(value) } };
+      if (typeof value === 'number') return { key, value: { doubleValue: value } };
+      return { key, value: { stringValue: String(value) } };
+    });
+}
+
+/**
+ * Parse `OTEL_EXPORTER_OTLP_HEADERS` (`key=value` pairs separated by commas)
+ * @param {string} value - Header list
+ * @returns {object} Headers
+ */
+function parseExporterHeaders(value) {
+  const headers = {};
+  for (const pair of (value || '').split(',')) {
+    const separator = pair.indexOf('=');
+    if (separator > 0) {
+      headers[pair.slice(0, separator).trim()] = decodeURIComponent(
+        pair.slice(separator + 1).trim()
+      );
+    }
+  }
+  return headers;
+}
+
+export class Tracer {
+  /**
+   * @param {object} context - Trace context
+   * @param {string} context.requestId - Request ID returned as `X-Request-Id`
+   * @param {string} [context.traceId] - Trace to continue; a new one is started without it
+   * @param {string} [context.parentSpanId] - Caller's span, parent of the root span
+   * @param {boolean} [context.sampled] - Whether spans are exported
+   * @param {string} [context.tracestate] - Vendor state, forwarded unchanged
+   * @param {object} env - Environment variables
+   */
+  constructor({ requestId, traceId, parentSpanId = null, sampled, tracestate = null }, env = {}) {
+    this.env = env;
+    this.requestId = requestId;
+    this.traceId = traceId || randomId(16);
+    this.parentSpanId = parentSpanId;
+    this.sampled = sampled ?? Math.random() < parseFloat(env.TRACE_SAMPLE_RATE ?? '1');
+    this.tracestate = tracestate;
+    this.rootSpan = null;
+    this.spans = [];
+    this.droppedSpans = 0;
+  }
+
+  /**
+   * Start a span; the first span started is the root span
+   * @param {string} name - Span name
+   * @param {object} [options]
+   * @param {number} [options.kind] - One of SPAN_KINDS
+   * @param {object} [options.parent] - Parent span (default: the root span)
+   * @param {object} [options.attributes] - Span attributes
+   * @returns {object} Span
+   */
+  startSpan(name, { kind = SPAN_KINDS.INTERNAL, parent = this.rootSpan, attributes = {} } = {}) {
+    const span = {
+      spanId: randomId(8),
+      parentSpanId: parent ? parent.spanId : this.parentSpanId,
+      name,
+      kind,
+      attributes: { ...attributes },
+      startTime: Date.now(),
+      endTime: null,
+      status: null,
+    };
+
+    if (!this.rootSpan) {
+      this.rootSpan = span;
+    }
+    if (this.spans.length < MAX_SPANS) {
+      this.spans.push(span);
+    } else {
+      this.droppedSpans++;
+    }
+    return span;
+  }
+
+  /**
+   * End a span
+   * @param {object} span - Span from startSpan
+   * @param {Error} [error] - Error the traced operation failed with
+   */
+  endSpan(span, error) {
+    span.endTime = Date.now();
+    span.status = error
+      ? { code: STATUS_CODES.ERROR, message: error.message }
+      : { code: STATUS_CODES.OK };
+  }
+
+  /**
+   * Headers propagating this trace to an outgoing request
+   * @param {object} [span] - Span making the request (default: the root span)
+   * @returns {object} `traceparent`, `tracestate` (when received) and `X-Request-Id`
+   */
+  headers(span = this.rootSpan) {
+    const spanId = span ? span.spanId : this.parentSpanId || randomId(8);
+    return {
+      traceparent: `00-${this.traceId}-${spanId}-${this.sampled ? '01' : '00'}`,
+      ...(this.tracestate && { tracestate: this.tracestate }),
+      'X-Request-Id': this.requestId,
+    };
+  }
+
+  /**
+   * Build the OTLP/HTTP JSON body for the ended spans
+   * @returns {object} ExportTraceServiceRequest
+   */
+  toOtlp() {
+    const serviceName = this.env.OTEL_SERVICE_NAME || DEFAULT_SERVICE_NAME;
+
+    return {
+      resourceSpans: [
+        {
+          resource: {
+            attributes: toOtlpAttributes({
+              'service.name': serviceName,
+              'deployment.environment': this.env.ENVIRONMENT,
+            }),
+          },
+          scopeSpans: [
+            {
+              scope: { name: serviceName },
+              spans: this.spans
+                .filter((span) => span.endTime !== null)
+                .map((span) => ({
+                  traceId: this.traceId,
+                  spanId: span.spanId,
+                  ...(span.parentSpanId && { parentSpanId: span.parentSpanId }),
+                  ...(span === this.rootSpan && this.tracestate && { traceState: this.tracestate }),
+                  name: span.name,
+                  kind: span.kind,
+                  startTimeUnixNano: `${span.startTime}000000`,
+                  endTimeUnixNano: `${span.endTime}000000`,
+                  attributes: toOtlpAttributes({
+                    'request.id': this.requestId,
+                    ...(span === this.rootSpan &&
+                      this.droppedSpans > 0 && {
+                        'trace.dropped_spans': this.droppedSpans,
+                      }),
+                    ...span.attributes,
+                  }),
+                  status: span.status,
+                })),
+            },
+          ],
+        },
+      ],
+    };
+  }
+
+  /**
+   * Send the ended spans to the configured collector
+   * Does nothing when no collector is configured or the trace is not sampled.
+   * @returns {Promise<boolean>} Whether spans were exported
+   * @throws {Error} If the collector rejects the spans
+   */
+  async export() {
+    const endpoint = this.env.OTEL_EXPORTER_OTLP_ENDPOINT;
+    if (!endpoint || !this.sampled || this.spans.length === 0) {
+      return false;
+    }
+
+    const response = await fetch(`${endpoint.replace(/\/$/, '')}/v1/traces`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...parseExporterHeaders(this.env.OTEL_EXPORTER_OTLP_HEADERS),
+      },
+      body: JSON.stringify(this.toOtlp()),
+    });
+
+    if (!response.ok) {
+      throw new Error(`Trace collector responded with status ${response.status}`);
+    }
+    return true;
+  }
+}
+
+/**
+ * Create a tracer for an incoming request
+ * Continues the caller's trace and request ID when their headers are valid.
+ * @param {Request|object} request - Incoming request (or `{ url, method }` for cron runs)
+ * @param {object} env - Environment variables
+ * @returns {Tracer}
+ */
+export function createTracer(request, env) {
+  const header = (name) => (request.headers ? request.headers.get(name) : null);
+  const parent = parseTraceparent(header('traceparent'));
+  const requestId = header('X-Request-Id');
+
+  return new Tracer(
+    {
+      requestId: REQUEST_ID_PATTERN.test(requestId || '') ? requestId : crypto.randomUUID(),
+      ...(parent && {
+        traceId: parent.traceId,
+        parentSpanId: parent.parentSpanId,
+        sampled: parent.sampled,
+        tracestate: header('tracestate'),
+      }),
+    },
+    env
+  );
+}
+
+/**
+ * Run an operation in a span
+ * Runs it untraced when there is no tracer (e.g. handlers called directly in tests).
+ * @param {Tracer|null} tracer - Request tracer
+ * @param {string} name - Span name
+ * @param {object} options - startSpan options
+ * @param {function(object|null): Promise<*>} operation - Receives the span
+ * @returns {Promise<*>} The operation's result
+ */
+export async function withSpan(tracer, name, options, operation) {
+  if (!tracer) {
+    return operation(null);
+  }
+
+  const span = tracer.startSpan(name, options);
+  try {
+    const result = await operation(span);
+    tracer.endSpan(span);
+    return result;
+  } catch (error) {
+    tracer.endSpan(span, error);
+    throw error;
+  }
+}
+
+/**
+ * Record a span for every call of the given adapter methods
+ * The span in progress is kept on `adapter.activeSpan` so provider API
+ * requests made during the call propagate it.
+ * @param {object} adapter - Provider adapter (modified)
+ * @param {string[]} methods - Methods that call the provider API
+ * @returns {object} adapter
+ */
+export function traceAdapter(adapter, methods) {
+  const tracer = adapter.logger && adapter.logger.tracer;
+  if (!tracer) {
+    return adapter;
+  }
+
+  const provider = adapter.getName();
+  for (const method of methods) {
+    const original = adapter[method].bind(adapter);
+
+    adapter[method] = (...args) =>
+      withSpan(
+        tracer,
+        `${provider}.${method}`,
+        { kind: SPAN_KINDS.CLIENT, attributes: { 'payment.provider': provider } },
+        async (span) => {
+          const previous = adapter.activeSpan;
+          adapter.activeSpan = span;
+          try {
+            return await original(...args);
+          } finally {
+            adapter.activeSpan = previous;
+          }
+        }
+      );
+  }
+
+  return adapter;
+}
+
+/**
+ * Copy the environment with every KV namespace recording a span per operation
+ * @param {object} env - Environment variables
+ * @param {Tracer} tracer - Request tracer
+ * @returns {object} Environment for this request
+ */
+export function traceEnv(env, tracer) {
+  const traced = { ...env };
+
+  for (const [binding, namespace] of Object.entries(env)) {
+    const isKV =
+      namespace &&
+      typeof namespace === 'object' &&
+      ['get', 'put', 'list'].every((method) => typeof namespace[method] === 'function');
+    if (!isKV) continue;
+
+    traced[binding] = Object.create(namespace);
+    for (const method of KV_METHODS) {
+      if (typeof namespace[method] !== 'function') continue;
+
+      traced[binding][method] = (...args) =>
+        withSpan(
+          tracer,
+          `kv.${method}`,
+          {
+            kind: SPAN_KINDS.CLIENT,
+            attributes: {
+              'db.system': 'cloudflare-kv',
+              'db.namespace': binding,
+              'db.operation.name': method,
+              ...(typeof args[0] === 'string' && { 'db.kv.key': args[0] }),
+              ...(method === 'list' && args[0] && { 'db.kv.prefix': args[0].prefix }),
+            },
+          },
+          () => namespace[method](...args)
+        );
+    }
+  }
+
+  return traced;
+}
@@ -0,0 +1,439 @@
+/**
+ * Transaction ledger
+ * Every checkout and every subscription charge gets a transaction in the
+ * TRANSACTIONS namespace that never expires. The record holds the current
+ * status and the timeline of events that moved it; index keys carry a summary
+ * in their KV metadata so searches are answered from list() pages alone.
+ *
+ * Key layout:
+ *   txn:<transactionId>                                  full record
+ *   idx:all:<sortKey>:<transactionId>                    every transaction
+ *   idx:user:<userId>:<sortKey>:<transactionId>          by user
+ *   idx:provider:<provider>:<sortKey>:<transactionId>    by provider
+ *
+ * The sort key is the creation time counted down from the largest date, so
+ * list() returns the newest transactions first and a date range shares a key
+ * prefix that narrows the scan.
+ */
+
+import { getSession } from './kv.js';
+import { EVENT_TYPES } from './events.js';
+import { PAYMENT_STATES, canTransition } from './paymentState.js';
+import { getSubscriptionRecord } from './subscriptions.js';
+import { isSupportedCurrency } from './money.js';
+import { recordTransactionMetrics } from './metrics.js';
+
+const RECORD_PREFIX = 'txn:';
+const INDEX_PREFIX = 'idx:';
+
+/**
+ * Largest JavaScript timestamp; sort keys are padded to its 16 digits
+ */
+const MAX_TIMESTAMP = 8640000000000000;
+
+/**
+ * Index pages read per search before returning a partial page and a cursor
+ */
+const MAX_SCAN_PAGES = 10;
+
+/**
+ * Transaction types
+ */
+export const TRANSACTION_TYPES = {
+  PAYMENT: 'payment',
+  SUBSCRIPTION: 'subscription',
+};
+
+/**
+ * Timeline entry type recorded when a checkout is created
+ */
+export const CHECKOUT_CREATED = 'checkout.created';
+
+/**
+ * Statuses of subscription charges by the event that reports them. Only
+ * events without a subscription snapshot are charges; the rest describe the
+ * subscription itself.
+ */
+const CHARGE_STATUSES = {
+  [EVENT_TYPES.PAYMENT_SUCCEEDED]: PAYMENT_STATES.CAPTURED,
+  [EVENT_TYPES.SUBSCRIPTION_ACTIVATED]: PAYMENT_STATES.CAPTURED,
+  [EVENT_TYPES.SUBSCRIPTION_RENEWED]: PAYMENT_STATES.CAPTURED,
+  [EVENT_TYPES.PAYMENT_FAILED]: PAYMENT_STATES.FAILED,
+  [EVENT_TYPES.SUBSCRIPTION_PAST_DUE]: PAYMENT_STATES.FAILED,
+};
+
+/**
+ * Sort key that orders index keys newest first
+ * @param {string} createdAt - ISO timestamp
+ * @returns {string}
+ */
+function sortKey(createdAt) {
+  return String(MAX_TIMESTAMP - Date.parse(createdAt)).padStart(16, '0');
+}
+
+/**
+ * Index key prefixes a transaction is listed under
+ * @param {object} record - Transaction record
+ * @returns {string[]}
+ */
+function indexPrefixes(record) {
+  return [
+    `${INDEX_PREFIX}all:`,
+    `${INDEX_PREFIX}provider:${record.provider}:`,
+    ...(record.userId ? [`${INDEX_PREFIX}user:${encodeURIComponent(record.userId)}:`] : []),
+  ];
+}
+
+/**
+ * Summary of a transaction stored as index metadata and returned by searches
+ * @param {object} record - Transaction record
+ * @returns {object}
+ */
+function toSummary(record) {
+  return {
+    transactionId: record.transactionId,
+    type: record.type,
+    provider: record.provider,
+    userId: record.userId,
+    status: record.status,
+    amount: record.amount,
+    currency: record.currency,
+    createdAt: record.createdAt,
+  };
+}
+
+/**
+ * Get a transaction with its event timeline
+ * @param {object} env - Environment variables
+ * @param {string} transactionId - Checkout session ID or provider charge ID
+ * @returns {Promise<object|null>}
+ */
+export async function getTransaction(env, transactionId) {
+  return env.TRANSACTIONS.get(`${RECORD_PREFIX}${transactionId}`, 'json');
+}
+
+/**
+ * Create or update a transaction and append an entry to its timeline
+ * Entries of a provider event already on the timeline are not added again.
+ * A status the payment lifecycle cannot reach from the current one is kept
+ * off the record, but its entry is still recorded.
+ * @param {object} env - Environment variables
+ * @param {object} fields - Transaction fields, at least transactionId and provider
+ * @param {object} entry - Timeline entry ({ type, status, occurredAt, ... })
+ * @returns {Promise<object>} Stored record
+ */
+export async function recordTransaction(env, fields, entry) {
+  const existing = await getTransaction(env, fields.transactionId);
+  const events = existing?.events || [];
+
+  if (
+    entry.providerEventId &&
+    events.some((event) => event.providerEventId === entry.providerEventId)
+  ) {
+    return existing;
+  }
+
+  const now = new Date().toISOString();
+  const keepStatus =
+    existing?.status &&
+    fields.status !== existing.status &&
+    !canTransition(existing.status, fields.status);
+
+  const record = {
+    ...existing,
+    ...fields,
+    userId: existing?.userId || fields.userId || null,
+    status: keepStatus ? existing.status : fields.status,
+    createdAt: existing?.createdAt || fields.createdAt || now,
+    updatedAt: now,
+    events: [...events, { ...entry, recordedAt: now }],
+  };
+
+  await env.TRANSACTIONS.put(`${RECORD_PREFIX}${record.transactionId}`, JSON.stringify(record));
+
+  // Index keys never move, since createdAt is fixed; their metadata is refreshed
+  const metadata = toSummary(record);
+  const suffix = `${sortKey(record.createdAt)}:${record.transactionId}`;
+  for (const prefix of indexPrefixes(record)) {
+    await env.TRANSACTIONS.put(`${prefix}${suffix}`, record.transactionId, { metadata });
+  }
+
+  await recordTransactionMetrics(env, existing, record);
+  return record;
+}
+
+/**
+ * Transaction fields mirrored from a stored checkout session
+ * @param {string} sessionId - Checkout session ID
+ * @param {object} session - Stored session
+ * @returns {object}
+ */
+function fromSession(sessionId, session) {
+  return {
+    transactionId: sessionId,
+    type: TRANSACTION_TYPES.PAYMENT,
+    provider: session.provider,
+    userId: session.userId,
+    email: session.email || null,
+    status: session.state || PAYMENT_STATES.CREATED,
+    amount: session.amount,
+    currency: session.currency || 'USD',
+    refundedAmount: session.refundedAmount || 0,
+    productName: session.productName || null,
+    sessionId,
+    subscriptionId: null,
+    createdAt: session.createdAt,
+  };
+}
+
+/**
+ * Timeline entry for a normalized webhook event
+ * @param {object} normalized - Normalized event
+ * @param {string} status - Transaction status after the event
+ * @param {boolean} applied - Whether the event moved the payment state
+ * @returns {object}
+ */
+function eventEntry(normalized, status, applied) {
+  return {
+    type: normalized.type,
+    providerEventId: normalized.providerEventId,
+    providerEventType: normalized.providerEventType,
+    amount: normalized.data.amount,
+    currency: normalized.data.currency,
+    status,
+    applied,
+    occurredAt: normalized.occurredAt,
+  };
+}
+
+/**
+ * Record a newly created checkout session
+ * @param {object} env - Environment variables
+ * @param {string} sessionId - Checkout session ID
+ * @param {object} session - Stored session
+ * @returns {Promise<object>}
+ */
+export async function recordCheckoutTransaction(env, sessionId, session) {
+  const fields = fromSession(sessionId, session);
+  return recordTransaction(env, fields, {
+    type: CHECKOUT_CREATED,
+    amount: fields.amount,
+    currency: fields.currency,
+    status: fields.status,
+    occurredAt: fields.createdAt,
+  });
+}
+
+/**
+ * Record a normalized webhook event in the ledger
+ * Events applied to a checkout session update its transaction from the
+ * session. Subscription charges (Stripe invoices, Paddle renewal
+ * transactions, PayPal sales) are recorded under the provider's charge ID,
+ * for the user the Worker stored with the subscription; the event's user is
+ * only used for subscriptions created outside the Worker.
+ * @param {object} env - Environment variables
+ * @param {object|null} normalized - Normalized event
+ * @param {object|null} stateChange - Result of applyPaymentEvent
+ * @returns {Promise<object|null>} Stored record, or null when the event is not a transaction's
+ */
+export async function applyTransactionEvent(env, normalized, stateChange) {
+  if (!normalized) return null;
+
+  if (stateChange) {
+    const session = await getSession(env.SESSIONS, stateChange.sessionId);
+    if (!session) return null;
+
+    const fields = fromSession(stateChange.sessionId, session);
+    return recordTransaction(
+      env,
+      fields,
+      eventEntry(normalized, fields.status, stateChange.applied)
+    );
+  }
+
+  const { data } = normalized;
+  const status = CHARGE_STATUSES[normalized.type];
+  const chargeId = data.refs.transactionId || data.refs.invoiceId || data.refs.saleId;
+  if (!status || !data.subscriptionId || data.subscription || !chargeId || data.amount === null) {
+    return null;
+  }
+
+  const subscription = await getSubscriptionRecord(env, data.subscriptionId);
+  return recordTransaction(
+    env,
+    {
+      transactionId: chargeId,
+      type: TRANSACTION_TYPES.SUBSCRIPTION,
+      provider: normalized.provider,
+      userId: subscription?.userId || data.userId || null,
+      email: subscription?.email || data.customer.email || null,
+      status,
+      amount: data.amount,
+      currency: data.currency,
+      refundedAmount: 0,
+      productName: subscription?.productName || null,
+      sessionId: null,
+      subscriptionId: data.subscriptionId,
+      createdAt: normalized.occurredAt,
+    },
+    eventEntry(normalized, status, true)
+  );
+}
+
+/**
+ * Parse and validate transaction search filters from query parameters
+ * Dates are ISO 8601; `from` is inclusive and `to` exclusive. Amounts are
+ * minor units.
+ * @param {URLSearchParams} params - Query parameters
+ * @returns {{filters: object, errors: Array<{field: string, code: string, message: string}>}}
+ */
+export function parseTransactionFilters(params) {
+  const errors = [];
+  const filters = {};
+
+  for (const field of ['userId', 'provider']) {
+    if (params.get(field)) filters[field] = params.get(field);
+  }
+
+  const status = params.get('status');
+  if (status && !Object.values(PAYMENT_STATES).includes(status)) {
+    errors.push({
+      field: 'status',
+      code: 'invalid',
+      message: `status must be one of ${Object.values(PAYMENT_STATES).join(', ')}`,
+    });
+  } else if (status) {
+    filters.status = status;
+  }
+
+  const currency = params.get('currency');
+  if (currency && !isSupportedCurrency(currency)) {
+    errors.push({
+      field: 'currency',
+      code: 'invalid',
+      message: 'currency must be an ISO 4217 code',
+    });
+  } else if (currency) {
+    filters.currency = currency.toUpperCase();
+  }
+
+  for (const field of ['from', 'to']) {
+    const value = params.get(field);
+    if (value && Number.isNaN(Date.parse(value))) {
+      errors.push({ field, code: 'invalid', message: `${field} must be an ISO 8601 date` });
+    } else if (value) {
+      filters[field] = new Date(value).toISOString();
+    }
+  }
+
+  for (const field of ['minAmount', 'maxAmount']) {
+    const value = params.get(field);
+    if (value && !/^\d+$/.test(value)) {
+      errors.push({
+        field,
+        code: 'invalid',
+        message: `${field} must be a non-negative integer in minor units`,
+      });
+    } else if (value) {
+      filters[field] = parseInt(value);
+    }
+  }
+
+  if (filters.from && filters.to && filters.from >= filters.to) {
+    errors.push({ field: 'to', code: 'invalid', message: 'to must be later than from' });
+  }
+  if (filters.maxAmount < filters.minAmount) {
+    errors.push({
+      field: 'maxAmount',
+      code: 'invalid',
+      message: 'maxAmount must not be less than minAmount',
+    });
+  }
+
+  return { filters, errors };
+}
+
+/**
+ * Index prefix that answers a search: the user or provider index when one is
+ * filtered on, extended by the sort key digits shared by the whole date range
+ * @param {object} filters - Parsed filters
+ * @returns {string}
+ */
+function searchPrefix(filters) {
+  let prefix = `${INDEX_PREFIX}all:`;
+  if (filters.userId) {
+    prefix = `${INDEX_PREFIX}user:${encodeURIComponent(filters.userId)}:`;
+  } else if (filters.provider) {
+    prefix = `${INDEX_PREFIX}provider:${filters.provider}:`;
+  }
+
+  if (filters.from && filters.to) {
+    const newest = sortKey(filters.to);
+    const oldest = sortKey(filters.from);
+    let shared = 0;
+    while (shared < newest.length && newest[shared] === oldest[shared]) shared++;
+    prefix += newest.slice(0, shared);
+  }
+
+  return prefix;
+}
+
+/**
+ * Check an index summary against the filters not answered by the prefix
+ * @param {object} summary - Index metadata
+ * @param {object} filters - Parsed filters
+ * @returns {boolean}
+ */
+function matchesFilters(summary, filters) {
+  return (
+    (!filters.userId || summary.userId === filters.userId) &&
+    (!filters.provider || summary.provider === filters.provider) &&
+    (!filters.status || summary.status === filters.status) &&
+    (!filters.currency || summary.currency === filters.currency) &&
+    (!filters.to || summary.createdAt < filters.to) &&
+    (filters.minAmount === undefined || summary.amount >= filters.minAmount) &&
+    (filters.maxAmount === undefined || summary.amount <= filters.maxAmount)
+  );
+}
+
+/**
+ * Search transactions, newest first
+ * Filters are checked against index metadata, so no records are read. A page
+ * can hold fewer than `limit` transactions while `cursor` is not null when
+ * the filters match few of the scanned keys.
+ * @param {object} env - Environment variables
+ * @param {object} filters - Parsed filters (see parseTransactionFilters)
+ * @param {object} [options] - { cursor, limit }
+ * @returns {Promise<{transactions: object[], cursor: string|null}>}
+ */
+export async function searchTransactions(env, filters, { cursor, limit = 50 } = {}) {
+  const prefix = searchPrefix(filters);
+  const transactions = [];
+  let next = cursor;
+
+  for (let scanned = 0; scanned < MAX_SCAN_PAGES && transactions.length < limit; scanned++) {
+    // Never list more keys than the page has room for, so the cursor resumes exactly
+    const page = await env.TRANSACTIONS.list({
+      prefix,
+      cursor: next,
+      limit: limit - transactions.length,
+    });
+
+    for (const { metadata } of page.keys) {
+      // Keys are newest first: everything after one older than the range is older too
+      if (filters.from && metadata.createdAt < filters.from) {
+        return { transactions, cursor: null };
+      }
+      if (matchesFilters(metadata, filters)) {
+        transactions.push(metadata);
+      }
+    }
+
+    if (page.list_complete) {
+      return { transactions, cursor: null };
+    }
+    next = page.cursor;
+  }
+
+  return { transactions, cursor: next };
+}
@@ -0,0 +1,728 @@
+/**
+ * Request body validation
+ * Each route declares a schema of typed field rules; validateBody() checks a
+ * parsed body against it and reports every failing field, so clients can fix
+ * all problems in one round trip.
+ */
+
+import { isSupportedCurrency, isRepresentable, getMinorUnitStep } from './money.js';
+import { isValidCatalogKey, CATALOG_KEY_PATTERN } from './catalog.js';
+import { PRORATION_MODES } from './subscriptions.js';
+
+/**
+ * Amount limits in minor units. Providers reject charges below their minimums
+ * and above 99,999,999 minor units, so we reject them before calling out.
+ */
+const DEFAULT_AMOUNT_LIMITS = { min: 1, max: 99999999 };
+const AMOUNT_LIMITS = {
+  USD: { min: 50, max: 99999999 },
+  EUR: { min: 50, max: 99999999 },
+  GBP: { min: 30, max: 99999999 },
+  CAD: { min: 50, max: 99999999 },
+  AUD: { min: 50, max: 99999999 },
+  JPY: { min: 50, max: 99999999 },
+};
+
+/**
+ * Metadata limits (the strictest of the supported providers)
+ */
+const MAX_METADATA_KEYS = 20;
+const MAX_METADATA_KEY_LENGTH = 40;
+const MAX_METADATA_VALUE_LENGTH = 500;
+
+/**
+ * Metadata keys the Worker sets itself; webhooks read the user from them
+ */
+const RESERVED_METADATA_KEYS = ['user_id'];
+
+/**
+ * Line item limits
+ */
+const MAX_LINE_ITEMS = 100;
+const MAX_QUANTITY = 9999;
+const LINE_ITEM_FIELDS = ['name', 'unitAmount', 'quantity'];
+const CATALOG_ITEM_FIELDS = ['sku', 'quantity'];
+
+/**
+ * Supported providers, for request bodies and catalog entries
+ */
+const PROVIDERS = ['paddle', 'paypal', 'stripe'];
+
+/**
+ * Pragmatic RFC 5321/5322 address check: dot-atom local part and a domain of
+ * LDH labels with a TLD
+ */
+const EMAIL_PATTERN =
+  /^[A-Za-z0-9!#$%&'*+/=?^_`{|}~-]+(\.[A-Za-z0-9!#$%&'*+/=?^_`{|}~-]+)*@([A-Za-z0-9]([A-Za-z0-9-]{0,61}[A-Za-z0-9])?\.)+[A-Za-z]{2,63}$/;
+
+const LOCAL_HOSTNAMES = new Set(['localhost', '127.0.0.1', '[::1]']);
+
+/**
+ * Origins redirect URLs may use: ALLOWED_REDIRECT_ORIGINS, or else the origin
+ * of INTERNAL_BACKEND_URL, which serves the default redirect pages
+ * @param {object} env - Environment variables
+ * @returns {string[]}
+ */
+function redirectOrigins(env) {
+  const listed = (env.ALLOWED_REDIRECT_ORIGINS || '')
+    .split(',')
+    .map((origin) => origin.trim())
+    .filter(Boolean);
+  if (listed.length > 0) {
+    return listed;
+  }
+
+  try {
+    return [new URL(env.INTERNAL_BACKEND_URL).origin];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Get the amount limits for a currency
+ * @param {string} [currency] - ISO 4217 code
+ * @returns {{min: number, max: number}}
+ */
+export function getAmountLimits(currency) {
+  return AMOUNT_LIMITS[currency?.toUpperCase()] || DEFAULT_AMOUNT_LIMITS;
+}
+
+/**
+ * Check that an amount can be charged in the body's currency with its provider
+ * @returns {string|null} Error message
+ */
+function representableError(value, body) {
+  const currency = body.currency || 'USD';
+  if (
+    body.provider &&
+    isSupportedCurrency(currency) &&
+    !isRepresentable(value, currency, body.provider)
+  ) {
+    return `must be a multiple of ${getMinorUnitStep(currency, body.provider)} for ${currency.toUpperCase()} with ${body.provider}`;
+  }
+  return null;
+}
+
+/**
+ * Validate one checkout line item
+ * @returns {{field: string, message: string}|null}
+ */
+function lineItemError(item) {
+  if (!item || typeof item !== 'object' || Array.isArray(item)) {
+    return { field: '', message: 'must be an object' };
+  }
+  // Provider prices come only from catalog SKUs, so the stored unit amount is the charged one
+  if (item.sku === undefined && item.priceId !== undefined) {
+    return { field: '.priceId', message: 'is not accepted; use a catalog SKU for provider prices' };
+  }
+  // Catalog items are priced on the server and carry only a SKU and quantity
+  const fields = item.sku === undefined ? LINE_ITEM_FIELDS : CATALOG_ITEM_FIELDS;
+  const unknown = Object.keys(item).find((key) => !fields.includes(key));
+  if (unknown) {
+    return { field: `.${unknown}`, message: 'is not a recognized field' };
+  }
+  if (item.sku !== undefined && !isValidCatalogKey(item.sku)) {
+    return { field: '.sku', message: 'must be a catalog SKU' };
+  }
+  if (
+    item.sku === undefined &&
+    (typeof item.name !== 'string' || item.name.trim() === '' || item.name.length > 200)
+  ) {
+    return { field: '.name', message: 'must be a non-empty string of at most 200 characters' };
+  }
+  if (item.sku === undefined && (!Number.isInteger(item.unitAmount) || item.unitAmount < 0)) {
+    return {
+      field: '.unitAmount',
+      message: 'must be a non-negative integer in minor units (cents)',
+    };
+  }
+  if (
+    item.quantity !== undefined &&
+    (!Number.isInteger(item.quantity) || item.quantity < 1 || item.quantity > MAX_QUANTITY)
+  ) {
+    return { field: '.quantity', message: `must be an integer from 1 to ${MAX_QUANTITY}` };
+  }
+  return null;
+}
+
+/**
+ * Field validators by rule type. Each returns an error message or null; a
+ * validator for nested values may return { field, message } to point at the
+ * nested field (e.g. `items[1].quantity`).
+ */
+const validators = {
+  string(value, rule) {
+    if (typeof value !== 'string' || value.trim() === '') {
+      return 'must be a non-empty string';
+    }
+    if (rule.maxLength && value.length > rule.maxLength) {
+      return `must be at most ${rule.maxLength} characters`;
+    }
+    return null;
+  },
+
+  email(value) {
+    if (
+      typeof value !== 'string' ||
+      value.length > 254 ||
+      value.split('@')[0].length > 64 ||
+      !EMAIL_PATTERN.test(value)
+    ) {
+      return 'must be a valid email address';
+    }
+    return null;
+  },
+
+  currency(value) {
+    if (!isSupportedCurrency(value)) {
+      return 'must be an ISO 4217 currency code';
+    }
+    return null;
+  },
+
+  amount(value, rule, body) {
+    if (!Number.isInteger(value) || value <= 0) {
+      return 'must be a positive integer in minor units (cents)';
+    }
+    const currency = rule.currencyField ? body[rule.currencyField] || 'USD' : undefined;
+    const { min, max } = getAmountLimits(currency);
+    if (currency && value < min) {
+      return `must be at least ${min} for ${currency.toUpperCase()}`;
+    }
+    if (value > max) {
+      return `must be at most ${max}`;
+    }
+    if (currency && body.provider && !isRepresentable(value, currency, body.provider)) {
+      return `must be a multiple of ${getMinorUnitStep(currency, body.provider)} for ${currency.toUpperCase()} with ${body.provider}`;
+    }
+    return null;
+  },
+
+  items(value, rule, body, env, field) {
+    if (!Array.isArray(value) || value.length === 0 || value.length > MAX_LINE_ITEMS) {
+      return `must be an array of 1 to ${MAX_LINE_ITEMS} line items`;
+    }
+    if (body.amount !== undefined || body.sku !== undefined) {
+      return 'cannot be combined with amount or sku';
+    }
+    for (const [index, item] of value.entries()) {
+      const error = lineItemError(item);
+      const message = error
+        ? error.message
+        : item.sku === undefined && representableError(item.unitAmount, body);
+      if (message) {
+        return { field: `${field}[${index}]${error ? error.field : '.unitAmount'}`, message };
+      }
+    }
+    return null;
+  },
+
+  discount(value, rule, body) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      return 'must be an object';
+    }
+    const unknown = Object.keys(value).find((key) => !['amount', 'percent', 'code'].includes(key));
+    if (unknown) {
+      return `has an unrecognized field ${unknown}`;
+    }
+    if ((value.amount === undefined) === (value.percent === undefined)) {
+      return 'must have either amount or percent';
+    }
+    if (value.amount !== undefined && (!Number.isInteger(value.amount) || value.amount <= 0)) {
+      return 'amount must be a positive integer in minor units (cents)';
+    }
+    if (value.amount !== undefined && representableError(value.amount, body)) {
+      return `amount ${representableError(value.amount, body)}`;
+    }
+    if (
+      value.percent !== undefined &&
+      (typeof value.percent !== 'number' || value.percent <= 0 || value.percent > 100)
+    ) {
+      return 'percent must be a number greater than 0 and at most 100';
+    }
+    if (value.code !== undefined && (typeof value.code !== 'string' || value.code.length > 64)) {
+      return 'code must be a string of at most 64 characters';
+    }
+    return null;
+  },
+
+  catalogKey(value, rule, body) {
+    if (!isValidCatalogKey(value)) {
+      return 'must be 1-64 letters, digits, dots, dashes or underscores';
+    }
+    if (rule.exclusive?.some((field) => body[field] !== undefined)) {
+      return `cannot be combined with ${rule.exclusive.join(' or ')}`;
+    }
+    return null;
+  },
+
+  providerIds(value) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      return 'must be an object';
+    }
+    for (const [provider, id] of Object.entries(value)) {
+      if (!PROVIDERS.includes(provider)) {
+        return `keys must be one of ${PROVIDERS.join(', ')}`;
+      }
+      if (typeof id !== 'string' || id === '' || id.length > 128) {
+        return 'values must be non-empty strings of at most 128 characters';
+      }
+    }
+    return null;
+  },
+
+  quantity(value) {
+    if (!Number.isInteger(value) || value < 1 || value > MAX_QUANTITY) {
+      return `must be an integer from 1 to ${MAX_QUANTITY}`;
+    }
+    return null;
+  },
+
+  futureDate(value) {
+    if (typeof value !== 'string' || Number.isNaN(Date.parse(value))) {
+      return 'must be an ISO 8601 date-time';
+    }
+    if (Date.parse(value) <= Date.now()) {
+      return 'must be in the future';
+    }
+    return null;
+  },
+
+  boolean(value) {
+    return typeof value === 'boolean' ? null : 'must be a boolean';
+  },
+
+  oneOf(value, rule) {
+    return rule.values.includes(value) ? null : `must be one of ${rule.values.join(', ')}`;
+  },
+
+  tax(value, rule, body) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      return 'must be an object';
+    }
+    // Paddle adds its own tax, so a client rate would not match the charge
+    if (body.provider?.toLowerCase?.() === 'paddle') {
+      return 'is calculated by Paddle and cannot be set';
+    }
+    const unknown = Object.keys(value).find((key) => !['rate', 'inclusive'].includes(key));
+    if (unknown) {
+      return `has an unrecognized field ${unknown}`;
+    }
+    if (typeof value.rate !== 'number' || value.rate < 0 || value.rate > 100) {
+      return 'rate must be a percentage from 0 to 100';
+    }
+    if (value.inclusive !== undefined && typeof value.inclusive !== 'boolean') {
+      return 'inclusive must be a boolean';
+    }
+    return null;
+  },
+
+  country(value) {
+    if (typeof value !== 'string' || !/^[A-Za-z]{2}$/.test(value)) {
+      return 'must be an ISO 3166-1 alpha-2 country code';
+    }
+    return null;
+  },
+
+  redirectUrl(value, rule, body, env) {
+    let url;
+    try {
+      url = new URL(value);
+    } catch {
+      return 'must be an absolute URL';
+    }
+
+    const isLocal = LOCAL_HOSTNAMES.has(url.hostname);
+    if (url.protocol !== 'https:' && !(url.protocol === 'http:' && isLocal)) {
+      return 'must use https';
+    }
+
+    if (!redirectOrigins(env).includes(url.origin)) {
+      return 'origin is not allowed';
+    }
+    return null;
+  },
+
+  metadata(value) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      return 'must be an object';
+    }
+    const entries = Object.entries(value);
+    if (entries.length > MAX_METADATA_KEYS) {
+      return `must have at most ${MAX_METADATA_KEYS} keys`;
+    }
+    for (const [key, item] of entries) {
+      if (key.length > MAX_METADATA_KEY_LENGTH) {
+        return `keys must be at most ${MAX_METADATA_KEY_LENGTH} characters`;
+      }
+      if (RESERVED_METADATA_KEYS.includes(key)) {
+        return `must not set the reserved key ${key}`;
+      }
+      if (!['string', 'number', 'boolean'].includes(typeof item)) {
+        return 'values must be strings, numbers or booleans';
+      }
+      if (String(item).length > MAX_METADATA_VALUE_LENGTH) {
+        return `values must be at most ${MAX_METADATA_VALUE_LENGTH} characters`;
+      }
+    }
+    return null;
+  },
+};
+
+/**
+ * JSON Schemas of the rule types, for the OpenAPI document. Checks that
+ * depend on other fields or on the environment (currency minimums, provider
+ * rounding, redirect origins) are left to the field descriptions.
+ */
+const jsonSchemas = {
+  string: (rule) => ({
+    type: 'string',
+    minLength: 1,
+    ...(rule.maxLength && { maxLength: rule.maxLength }),
+  }),
+  email: () => ({ type: 'string', format: 'email', maxLength: 254 }),
+  currency: () => ({ type: 'string', pattern: '^[A-Za-z]{3}$' }),
+  amount: () => ({ type: 'integer', minimum: 1, maximum: DEFAULT_AMOUNT_LIMITS.max }),
+  items: () => ({
+    type: 'array',
+    minItems: 1,
+    maxItems: MAX_LINE_ITEMS,
+    items: {
+      oneOf: [
+        {
+          type: 'object',
+          properties: {
+            name: { type: 'string', minLength: 1, maxLength: 200 },
+            unitAmount: { type: 'integer', minimum: 0 },
+            quantity: { type: 'integer', minimum: 1, maximum: MAX_QUANTITY },
+          },
+          required: ['name', 'unitAmount'],
+          additionalProperties: false,
+        },
+        {
+          type: 'object',
+          properties: {
+            sku: { type: 'string', pattern: CATALOG_KEY_PATTERN.source },
+            quantity: { type: 'integer', minimum: 1, maximum: MAX_QUANTITY },
+          },
+          required: ['sku'],
+          additionalProperties: false,
+        },
+      ],
+    },
+  }),
+  discount: () => ({
+    type: 'object',
+    properties: {
+      amount: { type: 'integer', minimum: 1 },
+      percent: { type: 'number', exclusiveMinimum: 0, maximum: 100 },
+      code: { type: 'string', maxLength: 64 },
+    },
+    oneOf: [{ required: ['amount'] }, { required: ['percent'] }],
+    additionalProperties: false,
+  }),
+  catalogKey: () => ({ type: 'string', pattern: CATALOG_KEY_PATTERN.source }),
+  providerIds: () => ({
+    type: 'object',
+    properties: Object.fromEntries(
+      PROVIDERS.map((provider) => [provider, { type: 'string', minLength: 1, maxLength: 128 }])
+    ),
+    additionalProperties: false,
+  }),
+  quantity: () => ({ type: 'integer', minimum: 1, maximum: MAX_QUANTITY }),
+  futureDate: () => ({ type: 'string', format: 'date-time' }),
+  boolean: () => ({ type: 'boolean' }),
+  oneOf: (rule) => ({ enum: rule.values }),
+  tax: () => ({
+    type: 'object',
+    properties: {
+      rate: { type: 'number', minimum: 0, maximum: 100 },
+      inclusive: { type: 'boolean' },
+    },
+    required: ['rate'],
+    additionalProperties: false,
+  }),
+  country: () => ({ type: 'string', pattern: '^[A-Za-z]{2}$' }),
+  redirectUrl: () => ({ type: 'string', format: 'uri' }),
+  metadata: () => ({
+    type: 'object',
+    maxProperties: MAX_METADATA_KEYS,
+    propertyNames: { maxLength: MAX_METADATA_KEY_LENGTH, not: { enum: RESERVED_METADATA_KEYS } },
+    additionalProperties: {
+      type: ['string', 'number', 'boolean'],
+      maxLength: MAX_METADATA_VALUE_LENGTH,
+    },
+  }),
+};
+
+const redirectUrls = {
+  successUrl: {
+    type: 'redirectUrl',
+    description:
+      'Where the provider sends the buyer afterwards. Must use https (http only for localhost) and an origin in ALLOWED_REDIRECT_ORIGINS (default: the INTERNAL_BACKEND_URL origin)',
+  },
+  cancelUrl: {
+    type: 'redirectUrl',
+    description: 'Where the provider sends the buyer on cancel; same rules as successUrl',
+  },
+};
+
+/**
+ * Request body schemas by route
+ * `required` may be a function of the body for fields that depend on each other.
+ */
+export const SCHEMAS = {
+  checkout: {
+    provider: {
+      type: 'oneOf',
+      required: true,
+      values: [...PROVIDERS, 'auto'],
+      description: 'Payment provider, or auto to pick one from PROVIDER_ROUTING',
+    },
+    userId: {
+      type: 'string',
+      required: true,
+      maxLength: 128,
+      description: 'Your user ID; end users may only pass their own',
+    },
+    email: { type: 'email', required: true },
+    amount: {
+      type: 'amount',
+      required: (body) => !body.items && !body.sku,
+      currencyField: 'currency',
+      description:
+        "Total in minor units (cents). Required unless items or sku is given. Must meet the currency's minimum and be a multiple of the provider's smallest unit",
+    },
+    currency: { type: 'currency', description: 'ISO 4217 code (default USD)' },
+    productName: {
+      type: 'string',
+      required: (body) => !body.items && !body.sku,
+      maxLength: 200,
+      description: 'Required with amount',
+    },
+    sku: {
+      type: 'catalogKey',
+      exclusive: ['amount', 'items'],
+      description: 'Catalog product to buy, instead of amount or items',
+    },
+    items: {
+      type: 'items',
+      description:
+        'Line items instead of amount: { name, unitAmount, quantity } or catalog items { sku, quantity }',
+    },
+    discount: {
+      type: 'discount',
+      description: 'Either amount in minor units or percent, with an optional code',
+    },
+    tax: {
+      type: 'tax',
+      description:
+        'rate as a percentage; inclusive when the prices already include it. Not accepted for Paddle, which calculates tax itself',
+    },
+    country: {
+      type: 'country',
+      description:
+        "Buyer's ISO 3166-1 alpha-2 country for provider routing (default: from the request)",
+    },
+    savePaymentMethod: {
+      type: 'boolean',
+      description: "Save the payment method on the user's provider customer",
+    },
+    ...redirectUrls,
+    metadata: {
+      type: 'metadata',
+      description:
+        'Up to 20 string, number or boolean values passed to the provider. user_id is reserved',
+    },
+  },
+  refund: {
+    sessionId: { type: 'string', required: true, maxLength: 255 },
+    amount: {
+      type: 'amount',
+      description: 'Partial refund in minor units (default: the remaining amount)',
+    },
+    reason: { type: 'string', maxLength: 500 },
+  },
+  subscription: {
+    provider: { type: 'oneOf', required: true, values: PROVIDERS },
+    userId: { type: 'string', required: true, maxLength: 128 },
+    email: { type: 'email', required: true },
+    planId: {
+      type: 'string',
+      required: (body) => !body.priceId && !body.planKey,
+      maxLength: 128,
+      description:
+        'PayPal billing plan ID (P-...). PayPal subscriptions need planId or planKey; Paddle and Stripe ignore it',
+    },
+    priceId: {
+      type: 'string',
+      required: (body) => !body.planId && !body.planKey,
+      maxLength: 128,
+      description:
+        'Paddle or Stripe price ID. Paddle and Stripe subscriptions need priceId or planKey; PayPal ignores it',
+    },
+    planKey: {
+      type: 'catalogKey',
+      exclusive: ['planId', 'priceId'],
+      description: "Catalog plan, which supplies each provider's plan or price ID",
+    },
+    ...redirectUrls,
+  },
+  subscriptionUpdate: {
+    planKey: {
+      type: 'catalogKey',
+      exclusive: ['planId', 'priceId'],
+      description: 'New catalog plan',
+    },
+    planId: {
+      type: 'string',
+      maxLength: 128,
+      description: 'New provider plan or price ID; planId and priceId are interchangeable here',
+    },
+    priceId: { type: 'string', maxLength: 128, description: 'Same as planId' },
+    quantity: {
+      type: 'quantity',
+      required: (body) => !body.planKey && !body.planId && !body.priceId,
+      description: 'New quantity. Required unless the plan changes',
+    },
+    proration: { type: 'oneOf', values: PRORATION_MODES },
+  },
+  subscriptionPause: {
+    resumeAt: { type: 'futureDate', description: 'When to resume automatically' },
+    reason: { type: 'string', maxLength: 500 },
+  },
+  catalogProduct: {
+    name: { type: 'string', required: true, maxLength: 200 },
+    description: { type: 'string', maxLength: 500 },
+    unitAmount: { type: 'amount', required: true, currencyField: 'currency' },
+    currency: { type: 'currency', required: true },
+    providerIds: {
+      type: 'providerIds',
+      description: 'Price IDs by provider; others get an ad-hoc price for the same amount',
+    },
+    active: { type: 'boolean', description: 'Inactive products cannot be bought (default true)' },
+  },
+  catalogPlan: {
+    name: { type: 'string', required: true, maxLength: 200 },
+    description: { type: 'string', maxLength: 500 },
+    amount: { type: 'amount', required: true, currencyField: 'currency' },
+    currency: { type: 'currency', required: true },
+    interval: { type: 'oneOf', required: true, values: ['day', 'week', 'month', 'year'] },
+    providerIds: {
+      type: 'providerIds',
+      required: true,
+      description: 'Plan or price ID at each provider that should offer the plan',
+    },
+    active: { type: 'boolean' },
+  },
+};
+
+/**
+ * Validate a parsed body against a schema
+ * @param {*} body - Parsed JSON body
+ * @param {object} schema - Schema from SCHEMAS
+ * @param {object} env - Environment variables
+ * @returns {Array<{field: string, code: string, message: string}>} Empty when valid
+ */
+export function validateBody(body, schema, env = {}) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return [{ field: 'body', code: 'invalid', message: 'Request body must be a JSON object' }];
+  }
+
+  const errors = [];
+
+  for (const [field, rule] of Object.entries(schema)) {
+    const value = body[field];
+    const required = typeof rule.required === 'function' ? rule.required(body) : rule.required;
+
+    if (value === undefined || value === null || value === '') {
+      if (required) {
+        errors.push({ field, code: 'required', message: `${field} is required` });
+      }
+      continue;
+    }
+
+    const result = validators[rule.type](value, rule, body, env, field);
+    if (result) {
+      const { field: path, message } =
+        typeof result === 'string' ? { field, message: result } : result;
+      errors.push({ field: path, code: 'invalid', message: `${path} ${message}` });
+    }
+  }
+
+  for (const field of Object.keys(body)) {
+    if (!(field in schema)) {
+      errors.push({ field, code: 'unknown', message: `${field} is not a recognized field` });
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Describe a body schema as JSON Schema, for the OpenAPI document
+ * Fields whose `required` depends on the rest of the body are optional here
+ * and explain the condition in their description.
+ * @param {object} schema - Schema from SCHEMAS
+ * @returns {object} JSON Schema
+ */
+export function toJsonSchema(schema) {
+  const properties = {};
+  const required = [];
+
+  for (const [field, rule] of Object.entries(schema)) {
+    const property = jsonSchemas[rule.type](rule);
+    properties[field] = rule.description
+      ? { ...property, description: rule.description }
+      : property;
+    if (rule.required === true) {
+      required.push(field);
+    }
+  }
+
+  return { type: 'object', properties, required, additionalProperties: false };
+}
+
+/**
+ * Check that an order's total is within the currency's amount limits
+ * @param {number} total - Order total in minor units
+ * @param {string} currency - ISO 4217 code
+ * @param {string} field - Field to report the error on
+ * @returns {Array<{field: string, code: string, message: string}>} Empty when valid
+ */
+export function validateOrderTotal(total, currency, field) {
+  const { min, max } = getAmountLimits(currency);
+  if (total < min || total > max) {
+    return [
+      {
+        field,
+        code: 'invalid',
+        message: `order total must be between ${min} and ${max} for ${currency.toUpperCase()}`,
+      },
+    ];
+  }
+  return [];
+}
+
+/**
+ * Parse and validate a JSON request body
+ * @param {Request} request - Incoming request
+ * @param {object} schema - Schema from SCHEMAS
+ * @param {object} env - Environment variables
+ * @returns {Promise<{body: object|null, errors: Array|null}>}
+ */
+export async function parseRequestBody(request, schema, env) {
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return {
+      body: null,
+      errors: [{ field: 'body', code: 'invalid', message: 'Request body must be valid JSON' }],
+    };
+  }
+
+  const errors = validateBody(body, schema, env);
+  return errors.length > 0 ? { body: null, errors } : { body, errors: null };
+}
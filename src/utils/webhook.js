@@ -2,6 +2,30 @@
  * Webhook signature verification utilities
  */
 
+/**
+ * Create a hex-encoded HMAC signature
+ * @param {string} payload - Payload string
+ * @param {string} secret - Signing secret
+ * @param {string} algorithm - Hash algorithm (default: SHA-256)
+ * @returns {Promise<string>}
+ */
+export async function createHmacSignature(payload, secret, algorithm = 'SHA-256') {
+  const encoder = new TextEncoder();
+  const key = await crypto.subtle.importKey(
+    'raw',
+    encoder.encode(secret),
+    { name: 'HMAC', hash: algorithm },
+    false,
+    ['sign']
+  );
+
+  const signatureBuffer = await crypto.subtle.sign('HMAC', key, encoder.encode(payload));
+
+  return Array.from(new Uint8Array(signatureBuffer))
+    .map((b) => b.toString(16).padStart(2, '0'))
+    .join('');
+}
+
 /**
  * Verify HMAC signature for webhook requests
  * @param {string} payload - Raw payload string
@@ -12,20 +36,7 @@
  */
 export async function verifyHmacSignature(payload, signature, secret, algorithm = 'SHA-256') {
   try {
-    const encoder = new TextEncoder();
-    const key = await crypto.subtle.importKey(
-      'raw',
-      encoder.encode(secret),
-      { name: 'HMAC', hash: algorithm },
-      false,
-      ['sign', 'verify']
-    );
-
-    const signatureBuffer = await crypto.subtle.sign('HMAC', key, encoder.encode(payload));
-
-    const expectedSignature = Array.from(new Uint8Array(signatureBuffer))
-      .map((b) => b.toString(16).padStart(2, '0'))
-      .join('');
+    const expectedSignature = await createHmacSignature(payload, secret, algorithm);
 
     // Remove any prefix like 'sha256=' if present
     const cleanSignature = signature.includes('=') ? signature.split('=')[1] : signature;